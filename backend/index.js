@@ -7,9 +7,29 @@ const { Server } = require('socket.io');
 const { program } = require('commander');
 const chalk = require('chalk');
 const path = require('path');
+const fs = require('fs');
 
-const BoschDisplayTool = require('./lib/BoschDisplayTool');
-const WebUsbWrapper = require('./lib/WebUsbWrapper');
+const {
+  BoschDisplayTool,
+  NodeHidTransport,
+  SimulatorTransport,
+  DisplaySimulator,
+  KeyAlgorithmRegistry,
+  FirmwareImage,
+  MemoryView,
+  MEMORY_FORMAT,
+  RoutineRegistry,
+  SAFETY_LEVELS,
+  ReadoutProfileRegistry,
+  StaticValueCache,
+  ProtocolHelper,
+  DEVICE_CONSTANTS,
+  SUPPORTED_DISPLAYS,
+  UDS_SERVICES,
+  UdsNegativeResponseError,
+  BridgeTransport,
+  BRIDGE_EVENTS
+} = require('bosch-hmi-protocol');
 
 // Express App Setup
 const app = express();
@@ -18,7 +38,9 @@ const io = new Server(server, {
   cors: {
     origin: "*",
     methods: ["GET", "POST"]
-  }
+  },
+  // Firmware-Container für die Pre-Flight-Prüfung kommen über den Socket
+  maxHttpBufferSize: 32 * 1024 * 1024
 });
 
 // Middleware
@@ -28,9 +50,45 @@ app.use(express.static(path.join(__dirname, 'frontend/dist')));
 
 // Globale Variablen
 let displayTool = null;
-let webUsbWrapper = null;
+let transport = null;
+let bridgeSocketId = null;
 let isConnected = false;
 
+// Schlüsselalgorithmus und Security-Level für gebridgte Displays (connect --key-algorithm/--security)
+let bridgeSecurity = { keyAlgorithm: null, autoSecurity: null };
+
+// Maximale Länge eines Lesevorgangs der Hex-Ansicht im Frontend (Bytes)
+const MEMORY_VIEW_LIMIT = 0x4000;
+
+// Services, für die das Backend bei NRC 0x7E/0x7F selbst in die Extended Session wechselt
+const AUTO_SESSION = {
+  [UDS_SERVICES.READ_MEMORY_BY_ADDRESS]: 'extended',
+  [UDS_SERVICES.SECURITY_ACCESS]: 'extended',
+  [UDS_SERVICES.WRITE_DATA_BY_IDENTIFIER]: 'extended'
+};
+
+// Farbiger Logger für BoschDisplayTool in der CLI
+const cliLogger = {
+  info: (message) => console.log(chalk.blue(message)),
+  success: (message) => console.log(chalk.green(message)),
+  warn: (message) => console.log(chalk.yellow(message)),
+  error: (message) => console.error(chalk.red(message)),
+  debug: (message) => console.log(chalk.gray(message))
+};
+
+// Statische Data Identifier je Seriennummer auf der Platte (Browser-Verbindungen nutzen localStorage)
+const STATIC_CACHE_FILE = process.env.STATIC_CACHE_FILE || path.join(__dirname, '.cache', 'static-values.json');
+const staticCache = new StaticValueCache(fileCacheStorage(STATIC_CACHE_FILE));
+
+// Simulierte Displays (simulate, Demo-Modus) melden die Seriennummern der Referenzgeräte und
+// bekommen daher eine eigene Cache-Datei, damit sie die Werte echter Geräte nicht überschreiben
+const SIMULATOR_CACHE_FILE = process.env.SIMULATOR_CACHE_FILE || path.join(__dirname, '.cache', 'static-values-simulator.json');
+const simulatorCache = new StaticValueCache(fileCacheStorage(SIMULATOR_CACHE_FILE));
+
+// Eigene Auslese-Profile (Aufbau wie shared/readoutProfiles.json), ergänzen bzw. ersetzen die mitgelieferten
+const READOUT_PROFILES_FILE = process.env.READOUT_PROFILES_FILE || path.join(__dirname, 'readoutProfiles.json');
+const READOUT_PROFILE_KEYS = ReadoutProfileRegistry.default.list().map(profile => profile.key).join(', ');
+
 // CLI Commands
 program
   .name('bosch-display-webusb')
@@ -45,17 +103,8 @@ program
     try {
       console.log(chalk.blue('🔍 Suche nach HID-Geräten...'));
       
-      // Für WebUSB simulieren wir nur Bosch Displays
-      const devices = [
-        {
-          vendorId: 0x108c,
-          productId: 0x155,
-          product: 'Bosch eBike Display (BUI25X)',
-          manufacturer: 'Bosch eBike Systems',
-          path: 'WebUSB-Device',
-          interface: 0
-        }
-      ];
+      // Angeschlossene Bosch Displays über node-hid
+      const devices = await NodeHidTransport.list();
       
       if (devices.length === 0) {
         console.log(chalk.yellow('⚠️  Keine HID-Geräte gefunden.'));
@@ -67,8 +116,7 @@ program
       // Zeige Geräte in einer einfachen Tabelle
       console.log(chalk.blue('\n📋 Verfügbare Geräte:'));
       devices.forEach((device, index) => {
-        const isBosch = device.vendorId === 0x108c && device.productId === 0x155;
-        const status = isBosch ? chalk.green('✓ Bosch Display') : chalk.gray('Anderes Gerät');
+        const status = chalk.green(`✓ ${ProtocolHelper.getProductName(device.productId)}`);
         console.log(chalk.white(`  ${index + 1}. ${device.product} (${device.manufacturer})`));
         console.log(chalk.gray(`     VID: 0x${device.vendorId.toString(16).toUpperCase()}, PID: 0x${device.productId.toString(16).toUpperCase()}`));
         console.log(chalk.gray(`     Status: ${status}`));
@@ -92,10 +140,17 @@ program
   .command('connect')
   .description('Verbinde mit dem Bosch Display und starte Web-Server')
   .option('-v, --verbose', 'Verbose-Ausgabe aktivieren')
-  .option('-m, --mode <mode>', 'Modus: display (nur Display-Info) oder full (alle Komponenten)', 'display')
+  .option('-m, --mode <profile>', `Auslese-Profil (${READOUT_PROFILE_KEYS} oder eigenes, siehe readout-profiles)`, 'display')
   .option('-p, --port <port>', 'Port für den Web-Server', '3000')
+  .option('--security <level>', 'Security-Level, das vor Schreibzugriffen entsperrt wird (Hex, z.B. 0x01)')
+  .option('--key-algorithm <file|name>', 'Schlüsselalgorithmus: Plugin-Datei oder registrierter Name')
   .action(async (options) => {
     try {
+      bridgeSecurity = {
+        keyAlgorithm: resolveKeyAlgorithm(options.keyAlgorithm),
+        autoSecurity: options.security ? parseInt(options.security, 16) : null
+      };
+      
       if (options.verbose) {
         console.log(chalk.gray('Verbose-Modus aktiviert'));
       }
@@ -110,12 +165,12 @@ program
       console.log(chalk.gray('Moderne Browser-basierte Lösung für einfache Nutzung'));
       console.log();
       
-      // Backend startet nur als Web-Server - WebUSB wird vom Frontend gehandhabt
+      // Backend startet als Web-Server - das Display hängt per Bridge in einem Browser-Tab
       console.log(chalk.blue('🔍 Backend startet als Web-Server...'));
-      console.log(chalk.gray('WebUSB-Kommunikation wird vom Frontend gehandhabt'));
+      console.log(chalk.gray('Der Browser leitet HID-Reports weiter, die Diagnose läuft im Backend'));
       
-      // Keine WebUSB-Initialisierung im Backend
-      webUsbWrapper = null;
+      // Transport entsteht erst beim Verbinden im Frontend (BridgeTransport)
+      transport = null;
       displayTool = null;
       
       // Starte Web-Server
@@ -138,21 +193,791 @@ program
   });
 
 
+program
+  .command('read')
+  .description('Lese Display-Informationen direkt über node-hid (ohne Browser)')
+  .option('-m, --mode <profile>', `Auslese-Profil (${READOUT_PROFILE_KEYS} oder eigenes, siehe readout-profiles)`, 'display')
+  .option('--path <path>', 'HID-Gerätepfad (Standard: erstes Bosch Display)')
+  .option('-s, --session <name>', 'Diagnose-Session vor dem Lesen (default, extended, programming)')
+  .option('--security <level>', 'Security-Level vor dem Lesen entsperren (Hex, z.B. 0x01)')
+  .option('--key-algorithm <file|name>', 'Schlüsselalgorithmus: Plugin-Datei oder registrierter Name')
+  .option('--no-batch', 'Jeden Data Identifier einzeln lesen (keine Sammelabfragen)')
+  .option('--refresh', 'Cache für statische Werte umgehen und neu befüllen')
+  .action(async (options) => {
+    try {
+      const profile = loadReadoutProfiles().resolve(options.mode);
+      transport = new NodeHidTransport({ path: options.path || null });
+      displayTool = new BoschDisplayTool(transport, {
+        logger: cliLogger,
+        keyAlgorithm: resolveKeyAlgorithm(options.keyAlgorithm),
+        cache: staticCache
+      });
+      
+      await displayTool.connect();
+      await prepareDiagnostics(options);
+      const information = await displayTool.readAllInformation(profile, { batch: options.batch, refresh: Boolean(options.refresh) });
+      
+      console.log();
+      console.log(JSON.stringify(information, null, 2));
+      
+    } catch (error) {
+      console.error(chalk.red('Fehler beim Lesen des Displays:'), error.message);
+      process.exitCode = 1;
+    } finally {
+      if (displayTool && displayTool.isConnected) {
+        await displayTool.disconnect();
+      }
+      displayTool = null;
+      transport = null;
+    }
+  });
+
+program
+  .command('simulate')
+  .description('Lese Display-Informationen von einem simulierten Display (ohne Hardware)')
+  .option('-p, --profile <name>', `Geräteprofil (${DisplaySimulator.profiles().join(', ')})`, 'intuvia')
+  .option('-m, --mode <profile>', `Auslese-Profil (${READOUT_PROFILE_KEYS} oder eigenes, siehe readout-profiles)`, 'display')
+  .option('--delay <ms>', 'Antwortverzögerung in ms (überschreibt das Profil)')
+  .option('--pending <count>', 'Anzahl Response-Pending-Antworten (0x78) vor jeder Read-Response')
+  .option('-s, --session <name>', 'Diagnose-Session vor dem Lesen (default, extended, programming)')
+  .option('--security <level>', 'Security-Level vor dem Lesen entsperren (Hex, z.B. 0x01)')
+  .option('--key-algorithm <file|name>', 'Schlüsselalgorithmus: Plugin-Datei oder registrierter Name', 'simulator')
+  .option('--no-batch', 'Jeden Data Identifier einzeln lesen (keine Sammelabfragen)')
+  .option('--refresh', 'Cache für statische Werte umgehen und neu befüllen')
+  .action(async (options) => {
+    try {
+      const profile = loadReadoutProfiles().resolve(options.mode);
+      transport = new SimulatorTransport(options.profile, {
+        responseDelay: options.delay !== undefined ? parseInt(options.delay) : null,
+        pending: options.pending !== undefined ? parseInt(options.pending) : null
+      });
+      displayTool = new BoschDisplayTool(transport, {
+        logger: cliLogger,
+        keyAlgorithm: resolveKeyAlgorithm(options.keyAlgorithm),
+        cache: simulatorCache
+      });
+      
+      console.log(chalk.blue(`🧪 Simulator: ${transport.simulator.profile.description}`));
+      await displayTool.connect();
+      await prepareDiagnostics(options);
+      const information = await displayTool.readAllInformation(profile, { batch: options.batch, refresh: Boolean(options.refresh) });
+      
+      console.log();
+      console.log(JSON.stringify(information, null, 2));
+      
+    } catch (error) {
+      console.error(chalk.red('Simulator-Fehler:'), error.message);
+      process.exitCode = 1;
+    } finally {
+      if (displayTool && displayTool.isConnected) {
+        await displayTool.disconnect();
+      }
+      displayTool = null;
+      transport = null;
+    }
+  });
+
+program
+  .command('clock')
+  .description('Display-Uhr lesen und mit der Host-Zeit vergleichen oder synchronisieren')
+  .option('--sync', 'Display-Uhr auf die Host-Zeit stellen')
+  .option('--dry-run', 'Nur die Frames für --sync anzeigen, nichts senden')
+  .option('-z, --time-zone <zone>', 'IANA-Zeitzone der Display-Uhr (Standard: Zeitzone des Hosts)')
+  .option('--path <path>', 'HID-Gerätepfad (Standard: erstes Bosch Display)')
+  .option('--simulate <profile>', `Simuliertes Display statt Hardware (${DisplaySimulator.profiles().join(', ')})`)
+  .option('--security <level>', 'Security-Level, das bei Bedarf vor dem Schreiben entsperrt wird (Hex, Standard 0x01; nur mit Schlüsselalgorithmus)')
+  .option('--key-algorithm <file|name>', 'Schlüsselalgorithmus: Plugin-Datei oder registrierter Name')
+  .action(async (options) => {
+    try {
+      transport = options.simulate
+        ? new SimulatorTransport(options.simulate)
+        : new NodeHidTransport({ path: options.path || null });
+      displayTool = new BoschDisplayTool(transport, {
+        logger: cliLogger,
+        autoSession: AUTO_SESSION,
+        keyAlgorithm: resolveKeyAlgorithm(options.keyAlgorithm || (options.simulate && 'simulator')),
+        autoSecurity: options.security ? parseInt(options.security, 16) : null
+      });
+      
+      await displayTool.connect();
+      
+      if (options.sync) {
+        const result = await displayTool.syncClock({ timeZone: options.timeZone, dryRun: Boolean(options.dryRun) });
+        if (result.dryRun) {
+          result.frames.forEach(frame => console.log(frame));
+        }
+      }
+      
+      if (!options.dryRun) {
+        const clock = await displayTool.readClock({ timeZone: options.timeZone });
+        console.log();
+        console.log(`Display: ${clock.displayTime}`);
+        console.log(`Host:    ${clock.hostTime} (${clock.timeZone})`);
+        console.log(`Abweichung: ${clock.drift}`);
+      }
+      
+    } catch (error) {
+      console.error(chalk.red('Uhr-Fehler:'), error.message);
+      process.exitCode = 1;
+    } finally {
+      if (displayTool && displayTool.isConnected) {
+        await displayTool.disconnect();
+      }
+      displayTool = null;
+      transport = null;
+    }
+  });
+
+program
+  .command('flash <file>')
+  .description('Firmware-Container prüfen und per RequestDownload/TransferData/RequestTransferExit übertragen')
+  .option('--raw', 'Datei ist ein rohes Image ohne Container (keine Vorabprüfung)')
+  .option('-a, --address <address>', 'Zieladresse für --raw (Hex)', '0x00080000')
+  .option('--path <path>', 'HID-Gerätepfad (Standard: erstes Bosch Display)')
+  .option('--simulate <profile>', `Simuliertes Display statt Hardware (${DisplaySimulator.profiles().join(', ')})`)
+  .option('--security <level>', 'Security-Level, das vor dem Download entsperrt wird (Hex, z.B. 0x01)')
+  .option('--key-algorithm <file|name>', 'Schlüsselalgorithmus: Plugin-Datei oder registrierter Name')
+  .option('--retries <count>', 'Wiederholungen pro Block (Timeout, NRC 0x71)')
+  .action(async (file, options) => {
+    try {
+      const data = fs.readFileSync(path.resolve(file));
+      // Container vor dem Verbinden prüfen - ein beschädigtes Image erreicht das Display nie
+      const image = options.raw ? null : FirmwareImage.parse(data);
+      
+      transport = options.simulate
+        ? new SimulatorTransport(options.simulate)
+        : new NodeHidTransport({ path: options.path || null });
+      displayTool = new BoschDisplayTool(transport, {
+        logger: cliLogger,
+        keyAlgorithm: resolveKeyAlgorithm(options.keyAlgorithm || (options.simulate && 'simulator')),
+        autoSecurity: options.security ? parseInt(options.security, 16) : null
+      });
+      
+      await displayTool.connect();
+      
+      const progress = {};
+      const downloadOptions = {
+        maxRetries: options.retries !== undefined ? parseInt(options.retries) : undefined,
+        onProgress: (event) => {
+          // Fortschritt in 10%-Schritten (je Segment)
+          const segment = event.segment ? `Segment ${event.segment}/${event.segmentCount}, ` : '';
+          const last = progress[segment] !== undefined ? progress[segment] : -1;
+          if (event.phase === 'transfer' && event.percent >= last + 10) {
+            progress[segment] = event.percent - (event.percent % 10);
+            console.log(chalk.gray(`  ${event.percent}% (${segment}Block ${event.block}/${event.blockCount}, ${event.bytesSent}/${event.totalBytes} Bytes)`));
+          }
+        }
+      };
+      
+      let result;
+      if (image) {
+        result = await displayTool.flashFirmware(image, downloadOptions);
+      } else {
+        console.log(chalk.yellow('⚠️  Rohes Image - keine Prüfung von Komponente, Artikelnummer und Hardware'));
+        result = await displayTool.downloadFirmware(data, { ...downloadOptions, address: parseInt(options.address, 16) });
+      }
+      
+      console.log();
+      console.log(JSON.stringify(result, null, 2));
+      
+    } catch (error) {
+      if (error.report) {
+        printPreflightReport(error.report);
+      }
+      console.error(chalk.red('Flash-Fehler:'), error.message);
+      process.exitCode = 1;
+    } finally {
+      if (displayTool && displayTool.isConnected) {
+        await displayTool.disconnect();
+      }
+      displayTool = null;
+      transport = null;
+    }
+  });
+
+program
+  .command('firmware <file>')
+  .description('Firmware-Container anzeigen und optional gegen ein Display prüfen (Pre-Flight)')
+  .option('--check', 'Mit dem Display verbinden und Komponente, Artikelnummer und Hardware prüfen')
+  .option('--path <path>', 'HID-Gerätepfad (Standard: erstes Bosch Display)')
+  .option('--simulate <profile>', `Gegen ein simuliertes Display prüfen (${DisplaySimulator.profiles().join(', ')})`)
+  .action(async (file, options) => {
+    try {
+      const image = FirmwareImage.parse(fs.readFileSync(path.resolve(file)));
+      
+      if (!options.check && !options.simulate) {
+        console.log(JSON.stringify(image.describe(), null, 2));
+        return;
+      }
+      
+      transport = options.simulate
+        ? new SimulatorTransport(options.simulate)
+        : new NodeHidTransport({ path: options.path || null });
+      displayTool = new BoschDisplayTool(transport, { logger: cliLogger });
+      
+      await displayTool.connect();
+      const report = await displayTool.preflightFirmware(image);
+      printPreflightReport(report);
+      
+      if (!report.ok) {
+        process.exitCode = 1;
+      }
+      
+    } catch (error) {
+      console.error(chalk.red('Firmware-Fehler:'), error.message);
+      process.exitCode = 1;
+    } finally {
+      if (displayTool && displayTool.isConnected) {
+        await displayTool.disconnect();
+      }
+      displayTool = null;
+      transport = null;
+    }
+  });
+
+program
+  .command('pack-firmware <output> <segments...>')
+  .description('Firmware-Container aus rohen Images bauen (Segment: <adresse>:<datei>)')
+  .requiredOption('-c, --component <code>', 'Komponententyp (Hex, z.B. 0x0D für Nyon)')
+  .requiredOption('--part-number <number>', 'Artikelnummer des Ziels')
+  .option('--software-version <version>', 'Software-Version des Images (a.b.c.d)', '0.0.0.0')
+  .option('--hardware <versions>', 'Kompatible Hardware-Versionen, kommagetrennt (a.b.c.d,...)', '')
+  .action((output, segments, options) => {
+    try {
+      const container = FirmwareImage.create({
+        componentType: parseInt(options.component, 16),
+        partNumber: options.partNumber,
+        softwareVersion: options.softwareVersion,
+        hardwareVersions: options.hardware.split(',').filter(Boolean),
+        segments: segments.map(segment => {
+          const separator = segment.indexOf(':');
+          if (separator < 0) {
+            throw new Error(`Ungültiges Segment "${segment}" (erwartet <adresse>:<datei>)`);
+          }
+          return {
+            address: parseInt(segment.slice(0, separator), 16),
+            data: fs.readFileSync(path.resolve(segment.slice(separator + 1)))
+          };
+        })
+      });
+      
+      fs.writeFileSync(path.resolve(output), container);
+      console.log(JSON.stringify(FirmwareImage.parse(container).describe(), null, 2));
+      
+    } catch (error) {
+      console.error(chalk.red('Fehler beim Packen:'), error.message);
+      process.exitCode = 1;
+    }
+  });
+
+// Gibt einen Pre-Flight-Bericht (preflightFirmware) aus
+function printPreflightReport(report) {
+  const { image } = report;
+  console.log();
+  console.log(chalk.bold(`Firmware ${image.component} ${image.partNumber} (SW ${image.softwareVersion}, ${image.size} Bytes)`));
+  image.segments.forEach(segment => {
+    console.log(chalk.gray(`  Segment ${segment.address}: ${segment.length} Bytes, CRC-32 ${segment.crc}`));
+  });
+  report.checks.forEach(check => {
+    const line = `${check.name.padEnd(18)} Image: ${check.expected}  Gerät: ${check.actual}`;
+    console.log(check.ok ? chalk.green(`  ✓ ${line}`) : chalk.red(`  ✗ ${line}`));
+  });
+  console.log(report.ok ? chalk.green('Pre-Flight bestanden') : chalk.red('Pre-Flight fehlgeschlagen - Image passt nicht zum Gerät'));
+}
+
+program
+  .command('dtc')
+  .description('Fehlerspeicher lesen (0x19) oder löschen (0x14)')
+  .option('--mask <mask>', 'Statusmaske (Hex)', '0xFF')
+  .option('--no-details', 'Keine Snapshot- und Extended-Data-Records lesen')
+  .option('--clear', 'Fehlerspeicher löschen')
+  .option('-y, --yes', 'Löschen bestätigen')
+  .option('--path <path>', 'HID-Gerätepfad (Standard: erstes Bosch Display)')
+  .option('--simulate <profile>', `Simuliertes Display statt Hardware (${DisplaySimulator.profiles().join(', ')})`)
+  .action(async (options) => {
+    try {
+      if (options.clear && !options.yes) {
+        throw new Error('Löschen des Fehlerspeichers mit --yes bestätigen');
+      }
+      
+      transport = options.simulate
+        ? new SimulatorTransport(options.simulate)
+        : new NodeHidTransport({ path: options.path || null });
+      displayTool = new BoschDisplayTool(transport, { logger: cliLogger });
+      
+      await displayTool.connect();
+      
+      if (options.clear) {
+        await displayTool.clearDiagnosticInformation({ confirm: true });
+      }
+      
+      const faultMemory = await displayTool.readFaultMemory({
+        statusMask: parseInt(options.mask, 16),
+        details: options.details
+      });
+      
+      console.log();
+      faultMemory.dtcs.forEach(dtc => {
+        const code = dtc.displayCode ? `${dtc.displayCode} ` : '';
+        const line = `${code}(${dtc.dtc}) ${dtc.description} - ${dtc.status.labels.join(', ')}`;
+        console.log(dtc.status.active ? chalk.red(`● ${line}`) : chalk.yellow(`○ ${line}`));
+      });
+      console.log();
+      console.log(JSON.stringify(faultMemory, null, 2));
+      
+    } catch (error) {
+      console.error(chalk.red('Fehlerspeicher-Fehler:'), error.message);
+      process.exitCode = 1;
+    } finally {
+      if (displayTool && displayTool.isConnected) {
+        await displayTool.disconnect();
+      }
+      displayTool = null;
+      transport = null;
+    }
+  });
+
+program
+  .command('readout-profiles')
+  .description(`Auslese-Profile anzeigen (mitgelieferte und eigene aus ${path.basename(READOUT_PROFILES_FILE)})`)
+  .action(() => {
+    try {
+      describeReadoutProfiles().forEach(profile => {
+        const details = [
+          `${profile.identifiers} DIDs: ${profile.ecus.join(', ')}`,
+          profile.timeout ? `Timeout ${profile.timeout} ms` : null,
+          profile.tolerate.length > 0 ? `hingenommen: ${profile.tolerate.join(', ')}` : null
+        ].filter(Boolean).join(', ');
+        console.log(`${profile.key.padEnd(18)} ${profile.name} (${details})`);
+        if (profile.description) {
+          console.log(chalk.gray(`${''.padEnd(18)} ${profile.description}`));
+        }
+      });
+    } catch (error) {
+      console.error(chalk.red('Fehler in den Auslese-Profilen:'), error.message);
+      process.exitCode = 1;
+    }
+  });
+
+program
+  .command('routine [key]')
+  .description('Routine starten, stoppen oder ihr Ergebnis abfragen (0x31) - ohne Schlüssel: Katalog anzeigen')
+  .option('--start', 'Routine starten (Standard; mit --stop/--results in derselben Verbindung)')
+  .option('--stop', 'Laufende Routine stoppen')
+  .option('--results', 'Ergebnis abfragen')
+  .option('-p, --param <key=value>', 'Start-Parameter (mehrfach möglich)', (value, list) => [...list, value], [])
+  .option('-y, --yes', 'Routinen oberhalb von "harmless" bestätigen')
+  .option('--path <path>', 'HID-Gerätepfad (Standard: erstes Bosch Display)')
+  .option('--simulate <profile>', `Simuliertes Display statt Hardware (${DisplaySimulator.profiles().join(', ')})`)
+  .option('--security <level>', 'Security-Level, das bei Bedarf entsperrt wird (Hex, z.B. 0x01)')
+  .option('--key-algorithm <file|name>', 'Schlüsselalgorithmus: Plugin-Datei oder registrierter Name')
+  .action(async (key, options) => {
+    if (!key) {
+      RoutineRegistry.default.list().forEach(entry => {
+        const rid = ProtocolHelper.formatIdentifier(entry.rid);
+        const safety = SAFETY_LEVELS[entry.safety].label;
+        const line = `${rid}  ${entry.key.padEnd(32)} ${entry.name} [${safety}] (${entry.controls.join(', ')})`;
+        console.log(entry.safety === 'harmless' ? line : chalk.yellow(line));
+      });
+      return;
+    }
+    
+    try {
+      // Reihenfolge Start, Stopp, Ergebnis - alles in einer Verbindung und Session
+      const controls = [
+        (options.start || (!options.stop && !options.results)) && 'start',
+        options.stop && 'stop',
+        options.results && 'results'
+      ].filter(Boolean);
+      const entry = RoutineRegistry.default.resolve(key);
+      if (controls.includes('start') && RoutineRegistry.default.requiresConfirmation(entry) && !options.yes) {
+        throw new Error(`${entry.name} (${SAFETY_LEVELS[entry.safety].label}) mit --yes bestätigen`);
+      }
+      const parameters = Object.fromEntries(options.param.map(param => {
+        const index = param.indexOf('=');
+        if (index < 1) {
+          throw new Error(`Parameter "${param}" erwartet key=value`);
+        }
+        return [param.slice(0, index), param.slice(index + 1)];
+      }));
+      
+      transport = options.simulate
+        ? new SimulatorTransport(options.simulate)
+        : new NodeHidTransport({ path: options.path || null });
+      displayTool = new BoschDisplayTool(transport, {
+        logger: cliLogger,
+        keyAlgorithm: resolveKeyAlgorithm(options.keyAlgorithm || (options.simulate && 'simulator')),
+        autoSecurity: options.security ? parseInt(options.security, 16) : null
+      });
+      
+      await displayTool.connect();
+      for (const control of controls) {
+        const result = await displayTool.routineControl(key, control, { parameters, confirm: Boolean(options.yes) });
+        
+        console.log();
+        result.results.forEach(entry => console.log(`${entry.name}: ${entry.value}`));
+        console.log(JSON.stringify(result, null, 2));
+      }
+      
+    } catch (error) {
+      console.error(chalk.red('Routine-Fehler:'), error.message);
+      process.exitCode = 1;
+    } finally {
+      if (displayTool && displayTool.isConnected) {
+        await displayTool.disconnect();
+      }
+      displayTool = null;
+      transport = null;
+    }
+  });
+
+program
+  .command('reset [type]')
+  .description('Display neu starten (0x11: hard, soft, key-off-on) und danach neu verbinden')
+  .option('-y, --yes', 'Neustart bestätigen')
+  .option('--no-reconnect', 'Nach dem Reset nicht auf das Display warten')
+  .option('--path <path>', 'HID-Gerätepfad (Standard: erstes Bosch Display)')
+  .option('--simulate <profile>', `Simuliertes Display statt Hardware (${DisplaySimulator.profiles().join(', ')})`)
+  .action(async (type = 'hard', options) => {
+    try {
+      if (!options.yes) {
+        throw new Error('Neustart des Displays mit --yes bestätigen');
+      }
+      
+      transport = options.simulate
+        ? new SimulatorTransport(options.simulate)
+        : new NodeHidTransport({ path: options.path || null });
+      displayTool = new BoschDisplayTool(transport, { logger: cliLogger });
+      
+      await displayTool.connect();
+      const result = await displayTool.ecuReset(type, { reconnect: options.reconnect });
+      
+      if (result.reconnected) {
+        console.log(chalk.green(`✓ Display nach ${result.duration} ms wieder bereit (Seriennummer ${await displayTool.readSerialNumber()})`));
+      }
+      
+    } catch (error) {
+      console.error(chalk.red('Reset-Fehler:'), error.message);
+      process.exitCode = 1;
+    } finally {
+      if (displayTool && displayTool.isConnected) {
+        await displayTool.disconnect();
+      }
+      displayTool = null;
+      transport = null;
+    }
+  });
+
+// Lädt einen Schlüsselalgorithmus aus einer lokalen Plugin-Datei oder wählt einen registrierten
+function resolveKeyAlgorithm(value) {
+  if (!value) {
+    return null;
+  }
+
+  const file = path.resolve(value);
+  if (fs.existsSync(file)) {
+    return KeyAlgorithmRegistry.default.register(require(file)).name;
+  }
+  return KeyAlgorithmRegistry.default.get(value).name;
+}
+
+// Speicher für StaticValueCache als JSON-Datei (fehlende oder unlesbare Datei = leerer Cache)
+function fileCacheStorage(file) {
+  return {
+    load: () => {
+      try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          console.log(chalk.yellow(`⚠️  Cache-Datei ${file} nicht lesbar: ${error.message}`));
+        }
+        return null;
+      }
+    },
+    save: (data) => {
+      try {
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(`${file}.tmp`, JSON.stringify(data, null, 2));
+        fs.renameSync(`${file}.tmp`, file);
+      } catch (error) {
+        console.log(chalk.yellow(`⚠️  Cache-Datei ${file} nicht schreibbar: ${error.message}`));
+      }
+    }
+  };
+}
+
+// Mitgelieferte und eigene Auslese-Profile; die Datei wird bei jedem Aufruf gelesen,
+// Änderungen gelten also ohne Neustart des Servers
+function loadReadoutProfiles() {
+  let definition;
+  try {
+    definition = JSON.parse(fs.readFileSync(READOUT_PROFILES_FILE, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return ReadoutProfileRegistry.default;
+    }
+    throw new Error(`Auslese-Profile ${READOUT_PROFILES_FILE} nicht lesbar: ${error.message}`);
+  }
+  try {
+    return ReadoutProfileRegistry.default.extend(definition);
+  } catch (error) {
+    throw new Error(`${READOUT_PROFILES_FILE}: ${error.message}`);
+  }
+}
+
+// Übersicht der Auslese-Profile für CLI, REST und Frontend
+function describeReadoutProfiles() {
+  const formatTolerance = (value) => (value === 'timeout' ? value : `0x${value.toString(16).padStart(2, '0').toUpperCase()}`);
+  return loadReadoutProfiles().list().map(profile => ({
+    key: profile.key,
+    name: profile.name,
+    description: profile.description,
+    identifiers: profile.items.length,
+    ecus: [...new Set(profile.items.map(item => item.ecu))],
+    timeout: profile.timeout,
+    tolerate: profile.tolerate.map(formatTolerance)
+  }));
+}
+
+// Öffnet Diagnose-Session und Security-Level laut CLI-Optionen
+async function prepareDiagnostics(options) {
+  if (options.session) {
+    await displayTool.startSession(options.session);
+  }
+  if (options.security) {
+    await displayTool.securityAccess(parseInt(options.security, 16));
+  }
+}
+
+// Formatiert eine negative Antwort für Log und Fehlermeldung
+function describeNegativeResponse(entry) {
+  const nrc = `0x${entry.nrc.toString(16).padStart(2, '0').toUpperCase()}`;
+  return `DID ${entry.dataIdentifier || '?'}: NRC ${nrc} (${entry.nrcName})`;
+}
+
+program
+  .command('dump <output>')
+  .description('Speicherbereich per ReadMemoryByAddress (0x23) in eine Datei lesen (fortsetzbar)')
+  .requiredOption('-a, --address <address>', 'Startadresse (0x... oder dezimal)')
+  .requiredOption('-l, --length <length>', 'Anzahl Bytes (0x... oder dezimal)')
+  .option('--format <format>', 'addressAndLengthFormatIdentifier (Hex)', `0x${MEMORY_FORMAT.ADDRESS_AND_LENGTH.toString(16)}`)
+  .option('--chunk-size <bytes>', 'Bytes pro Request (0x... oder dezimal)', String(MEMORY_FORMAT.CHUNK_SIZE))
+  .option('--restart', 'Vorhandene Datei verwerfen und von vorn beginnen')
+  .option('--path <path>', 'HID-Gerätepfad (Standard: erstes Bosch Display)')
+  .option('--simulate <profile>', `Simuliertes Display statt Hardware (${DisplaySimulator.profiles().join(', ')})`)
+  .option('--security <level>', 'Security-Level, das bei Bedarf entsperrt wird (Hex, z.B. 0x01)')
+  .option('--key-algorithm <file|name>', 'Schlüsselalgorithmus: Plugin-Datei oder registrierter Name')
+  .action(async (output, options) => {
+    try {
+      const address = MemoryView.parseNumber(options.address);
+      const length = MemoryView.parseNumber(options.length);
+      const file = path.resolve(output);
+      // Fortschrittsdatei: solange sie existiert, ist der Abzug unvollständig und wird fortgesetzt
+      const progressFile = `${file}.progress.json`;
+      
+      let offset = 0;
+      if (fs.existsSync(file) && !options.restart) {
+        if (!fs.existsSync(progressFile)) {
+          throw new Error(`${output} existiert bereits - mit --restart überschreiben`);
+        }
+        
+        const saved = JSON.parse(fs.readFileSync(progressFile, 'utf8'));
+        if (saved.address !== address || saved.length !== length) {
+          throw new Error(`Angefangener Abzug gehört zu ${MemoryView.formatAddress(saved.address)} (${saved.length} Bytes) - gleiche Parameter oder --restart verwenden`);
+        }
+        
+        offset = Math.min(fs.statSync(file).size, length);
+        console.log(chalk.yellow(`↻ Setze Abzug bei ${MemoryView.formatAddress(address + offset)} fort (${offset}/${length} Bytes vorhanden)`));
+      } else {
+        fs.writeFileSync(file, Buffer.alloc(0));
+      }
+      fs.writeFileSync(progressFile, JSON.stringify({ address, length }));
+      
+      transport = options.simulate
+        ? new SimulatorTransport(options.simulate)
+        : new NodeHidTransport({ path: options.path || null });
+      displayTool = new BoschDisplayTool(transport, {
+        logger: cliLogger,
+        autoSession: AUTO_SESSION,
+        keyAlgorithm: resolveKeyAlgorithm(options.keyAlgorithm || (options.simulate && 'simulator')),
+        autoSecurity: options.security ? parseInt(options.security, 16) : null
+      });
+      
+      await displayTool.connect();
+      
+      let lastPercent = -10;
+      await displayTool.dumpMemory(address + offset, length - offset, {
+        format: parseInt(options.format, 16),
+        chunkSize: MemoryView.parseNumber(options.chunkSize),
+        // Jeder Teil wird sofort angehängt - ein Abbruch verliert höchstens einen Request
+        onChunk: (chunkAddress, bytes) => fs.appendFileSync(file, bytes),
+        onProgress: (event) => {
+          const percent = Math.floor(((offset + event.bytesRead) / length) * 100);
+          if (percent >= lastPercent + 10) {
+            lastPercent = percent - (percent % 10);
+            console.log(chalk.gray(`  ${percent}% (${offset + event.bytesRead}/${length} Bytes)`));
+          }
+        }
+      });
+      
+      fs.unlinkSync(progressFile);
+      console.log(chalk.green(`✓ ${length} Bytes ab ${MemoryView.formatAddress(address)} in ${output} gespeichert`));
+      
+    } catch (error) {
+      console.error(chalk.red('Dump-Fehler:'), error.message);
+      process.exitCode = 1;
+    } finally {
+      if (displayTool && displayTool.isConnected) {
+        await displayTool.disconnect();
+      }
+      displayTool = null;
+      transport = null;
+    }
+  });
+
+// Liest ein Auslese-Profil (Schlüssel oder Profil-Objekt) über den gebridgten Transport und meldet
+// negative Antworten (refresh: Cache umgehen, cache: Cache des Browsers statt des Caches der Verbindung)
+async function readDisplayInformation(profile, timeZone = null, { refresh = false, cache } = {}) {
+  if (!displayTool || !displayTool.isConnected) {
+    throw new Error('Display nicht verbunden');
+  }
+  
+  const data = await displayTool.readAllInformation(loadReadoutProfiles().resolve(profile), { timeZone, refresh, cache });
+  
+  (data.negativeResponses || []).forEach(entry => {
+    console.log(chalk.yellow(`⚠️  ${describeNegativeResponse(entry)}`));
+  });
+  
+  return data;
+}
+
+// Schreibt einen Data Identifier über das gebridgte Display (dryRun: nur Frames anzeigen)
+async function writeIdentifier({ key, value, dryRun = false }) {
+  if (!displayTool || !displayTool.isConnected) {
+    throw new Error('Display nicht verbunden');
+  }
+  if (!key) {
+    throw new Error('Kein Data Identifier angegeben');
+  }
+  
+  return displayTool.writeDataByIdentifier(key, value, { dryRun: Boolean(dryRun) });
+}
+
+// Liest die Display-Uhr oder stellt sie auf die Host-Zeit ({ sync, timeZone, dryRun })
+async function displayClock({ sync = false, timeZone = null, dryRun = false }) {
+  if (!displayTool || !displayTool.isConnected) {
+    throw new Error('Display nicht verbunden');
+  }
+  
+  if (!sync) {
+    return displayTool.readClock({ timeZone });
+  }
+  
+  const result = await displayTool.syncClock({ timeZone, dryRun: Boolean(dryRun) });
+  return result.dryRun ? result : { ...result, clock: await displayTool.readClock({ timeZone }) };
+}
+
+// Liest den Fehlerspeicher oder löscht ihn zuvor ({ clear, confirm })
+async function faultMemory({ clear = false, confirm = false } = {}) {
+  const tool = connectedTool();
+  
+  if (clear) {
+    await tool.clearDiagnosticInformation({ confirm: Boolean(confirm) });
+  }
+  return tool.readFaultMemory();
+}
+
+// Startet/stoppt eine Routine oder fragt ihr Ergebnis ab ({ key, control, parameters, confirm })
+async function runRoutine({ key, control = 'start', parameters = {}, confirm = false } = {}) {
+  if (!key) {
+    throw new Error('Keine Routine angegeben');
+  }
+  return connectedTool().routineControl(key, control, { parameters, confirm: Boolean(confirm) });
+}
+
+// Startet das Display neu und verbindet danach wieder ({ type, confirm })
+async function resetDisplay({ type = 'hard', confirm = false } = {}) {
+  if (!confirm) {
+    throw new Error('Neustart des Displays muss bestätigt werden (confirm: true)');
+  }
+  return connectedTool().ecuReset(type);
+}
+
+// Aktuell gebridgtes Display oder Fehler
+function connectedTool() {
+  if (!displayTool || !displayTool.isConnected) {
+    throw new Error('Display nicht verbunden');
+  }
+  return displayTool;
+}
+
+// Trennt das aktuell gebridgte Display (z.B. neuer Tab oder Client weg)
+async function releaseDisplay(reason) {
+  if (displayTool) {
+    console.log(chalk.gray(`Display-Bridge beendet (${reason})`));
+    await displayTool.disconnect();
+  }
+  
+  displayTool = null;
+  transport = null;
+  bridgeSocketId = null;
+  isConnected = false;
+}
+
 // WebSocket Event Setup
 function setupWebSocketEvents(io) {
   io.on('connection', (socket) => {
     console.log(chalk.blue('🔌 Client verbunden:', socket.id));
     
+    // Eingehende Reports aus dem Browser an den Bridge-Transport
+    socket.on(BRIDGE_EVENTS.REPORT_IN, (data) => {
+      if (transport && bridgeSocketId === socket.id) {
+        transport.receive(data);
+      }
+    });
+    
+    socket.on(BRIDGE_EVENTS.ERROR, (data) => {
+      if (transport && bridgeSocketId === socket.id) {
+        transport.handleError(new Error(data.error));
+      }
+    });
+    
+    socket.on(BRIDGE_EVENTS.CLOSED, async (data) => {
+      if (bridgeSocketId === socket.id) {
+        await releaseDisplay(data.reason || 'Browser');
+        socket.emit('display-disconnected', {
+          success: true
+        });
+      }
+    });
+    
     socket.on('connect-display', async (data) => {
       try {
-        console.log(chalk.blue('📱 WebUSB Verbindung angefordert'));
+        console.log(chalk.blue('📱 Display-Bridge angefordert'));
         console.log(chalk.gray(`Gerät: ${data.device.productName} (VID: 0x${data.device.vendorId.toString(16)}, PID: 0x${data.device.productId.toString(16)})`));
         
-        // Validiere Bosch Display
-        if (data.device.vendorId !== 0x108c || data.device.productId !== 0x155) {
+        // Validiere Bosch Display (alle unterstützten Modelle)
+        if (data.device.vendorId !== DEVICE_CONSTANTS.VENDOR_ID ||
+            !SUPPORTED_DISPLAYS.some(display => display.productId === data.device.productId)) {
           throw new Error('Kein gültiges Bosch eBike Display');
         }
         
+        // Nur ein Display gleichzeitig - vorherige Bridge beenden
+        await releaseDisplay('neue Verbindung');
+        
+        // Backend spricht das Protokoll, der Browser leitet nur Reports weiter
+        transport = new BridgeTransport({
+          send: (report) => socket.emit(BRIDGE_EVENTS.REPORT_OUT, report),
+          info: data.device
+        });
+        bridgeSocketId = socket.id;
+        
+        // Demo-Displays (Simulator im Browser) verwenden den Testalgorithmus des Simulators
+        const security = data.demo ? { keyAlgorithm: 'simulator', autoSecurity: 0x01 } : bridgeSecurity;
+        const cache = data.demo ? simulatorCache : staticCache;
+        displayTool = new BoschDisplayTool(transport, { logger: cliLogger, autoSession: AUTO_SESSION, cache, ...security });
+        await displayTool.connect(data.device);
+        
         // Setze Verbindungsstatus
         isConnected = true;
         
@@ -164,7 +989,8 @@ function setupWebSocketEvents(io) {
         console.log(chalk.green('✓ Display erfolgreich verbunden'));
         
       } catch (error) {
-        console.error(chalk.red('❌ WebUSB Verbindungsfehler:'), error.message);
+        console.error(chalk.red('❌ Verbindungsfehler:'), error.message);
+        await releaseDisplay('Verbindungsfehler');
         socket.emit('display-error', {
           success: false,
           error: error.message
@@ -174,49 +1000,234 @@ function setupWebSocketEvents(io) {
     
     socket.on('read-display-info', async (data) => {
       try {
-        if (!isConnected) {
-          throw new Error('Display nicht verbunden');
-        }
+        const profile = data.profile || data.mode || 'display';
+        console.log(chalk.blue(`📊 Lese Display-Informationen (Profil: ${profile.key || profile}${data.refresh ? ', ohne Cache' : ''})`));
         
-        const mode = data.mode || 'display';
-        console.log(chalk.blue(`📊 Lese Display-Informationen (Modus: ${mode})`));
+        // Der Browser schickt seinen Cache (localStorage) mit und bekommt ihn aktualisiert zurück
+        const cache = data.cache !== undefined
+          ? new StaticValueCache(StaticValueCache.memoryStorage(data.cache))
+          : undefined;
+        const information = await readDisplayInformation(profile, data.timeZone, { refresh: Boolean(data.refresh), cache });
         
-        // Fordere das Frontend auf, die WebUSB-Daten zu lesen
-        socket.emit('request-display-data', { mode: mode });
+        socket.emit('display-info', {
+          success: true,
+          data: information,
+          cache: data.cache !== undefined ? cache.export() : undefined,
+          timestamp: new Date().toISOString()
+        });
+        
+        // Negative Antworten einzelner Identifier melden
+        const negativeResponses = information.negativeResponses || [];
+        if (negativeResponses.length > 0) {
+          socket.emit('display-error', {
+            success: false,
+            error: `Negative Antwort für ${negativeResponses.map(describeNegativeResponse).join(', ')}`,
+            negativeResponses
+          });
+        }
         
       } catch (error) {
         console.error(chalk.red('❌ Display-Info-Lesefehler:'), error.message);
         socket.emit('display-error', {
           success: false,
-          error: error.message
+          error: error.message,
+          negativeResponse: error instanceof UdsNegativeResponseError ? error.toJSON() : null
         });
       }
     });
-
-    // Empfängt echte Display-Daten vom Frontend
-    socket.on('display-data-response', async (data) => {
+    
+    socket.on('readout-profiles', () => {
       try {
-        console.log(chalk.green('✓ Display-Daten vom Frontend empfangen'));
+        socket.emit('readout-profiles-result', { success: true, data: describeReadoutProfiles() });
+      } catch (error) {
+        console.error(chalk.red('❌ Auslese-Profile:'), error.message);
+        socket.emit('readout-profiles-result', { success: false, error: error.message });
+      }
+    });
+    
+    socket.on('write-identifier', async (data) => {
+      try {
+        console.log(chalk.blue(`📝 ${data.dryRun ? 'Dry-Run' : 'Schreibe'} ${data.key} = ${data.value}`));
         
-        socket.emit('display-info', {
+        socket.emit('write-result', {
           success: true,
-          data: data,
+          data: await writeIdentifier(data),
           timestamp: new Date().toISOString()
         });
         
       } catch (error) {
-        console.error(chalk.red('❌ Display-Daten-Verarbeitungsfehler:'), error.message);
-        socket.emit('display-error', {
+        console.error(chalk.red('❌ Schreibfehler:'), error.message);
+        socket.emit('write-result', {
           success: false,
-          error: error.message
+          key: data.key,
+          error: error.message,
+          negativeResponse: error instanceof UdsNegativeResponseError ? error.toJSON() : null
+        });
+      }
+    });
+    
+    socket.on('clock', async (data = {}) => {
+      try {
+        console.log(chalk.blue(`🕐 ${data.sync ? (data.dryRun ? 'Dry-Run Uhr stellen' : 'Stelle Display-Uhr') : 'Lese Display-Uhr'}`));
+        
+        socket.emit('clock-result', {
+          success: true,
+          sync: Boolean(data.sync),
+          data: await displayClock(data),
+          timestamp: new Date().toISOString()
+        });
+        
+      } catch (error) {
+        console.error(chalk.red('❌ Uhr-Fehler:'), error.message);
+        socket.emit('clock-result', {
+          success: false,
+          sync: Boolean(data.sync),
+          error: error.message,
+          negativeResponse: error instanceof UdsNegativeResponseError ? error.toJSON() : null
+        });
+      }
+    });
+    
+    socket.on('read-memory', async (data = {}) => {
+      try {
+        const address = MemoryView.parseNumber(data.address);
+        const length = MemoryView.parseNumber(data.length);
+        if (length > MEMORY_VIEW_LIMIT) {
+          throw new Error(`Hex-Ansicht liest höchstens ${MEMORY_VIEW_LIMIT} Bytes - größere Bereiche mit "dump" sichern`);
+        }
+        
+        socket.emit('memory-result', {
+          success: true,
+          address,
+          data: Buffer.from(await connectedTool().readMemory(address, length))
+        });
+        
+      } catch (error) {
+        console.error(chalk.red('❌ Speicher-Lesefehler:'), error.message);
+        socket.emit('memory-result', {
+          success: false,
+          error: error.message,
+          negativeResponse: error instanceof UdsNegativeResponseError ? error.toJSON() : null
+        });
+      }
+    });
+    
+    socket.on('search-memory', async (data = {}) => {
+      try {
+        const address = MemoryView.parseNumber(data.address);
+        const length = MemoryView.parseNumber(data.length);
+        const pattern = MemoryView.parsePattern(data.pattern);
+        console.log(chalk.blue(`🔍 Suche "${data.pattern}" ab ${MemoryView.formatAddress(address)} (${length} Bytes)`));
+        
+        socket.emit('memory-search-result', {
+          success: true,
+          pattern: data.pattern,
+          data: await connectedTool().searchMemory(address, length, pattern)
+        });
+        
+      } catch (error) {
+        console.error(chalk.red('❌ Speicher-Suchfehler:'), error.message);
+        socket.emit('memory-search-result', {
+          success: false,
+          error: error.message,
+          negativeResponse: error instanceof UdsNegativeResponseError ? error.toJSON() : null
+        });
+      }
+    });
+    
+    socket.on('fault-memory', async (data = {}) => {
+      try {
+        console.log(chalk.blue(data.clear ? '🧹 Lösche Fehlerspeicher' : '🩺 Lese Fehlerspeicher'));
+        
+        socket.emit('fault-memory-result', {
+          success: true,
+          cleared: Boolean(data.clear),
+          data: await faultMemory(data),
+          timestamp: new Date().toISOString()
+        });
+        
+      } catch (error) {
+        console.error(chalk.red('❌ Fehlerspeicher-Fehler:'), error.message);
+        socket.emit('fault-memory-result', {
+          success: false,
+          error: error.message,
+          negativeResponse: error instanceof UdsNegativeResponseError ? error.toJSON() : null
+        });
+      }
+    });
+    
+    socket.on('routine', async (data = {}) => {
+      try {
+        console.log(chalk.blue(`⚙️  Routine ${data.key} (${data.control || 'start'})`));
+        
+        socket.emit('routine-result', {
+          success: true,
+          key: data.key,
+          data: await runRoutine(data),
+          timestamp: new Date().toISOString()
+        });
+        
+      } catch (error) {
+        console.error(chalk.red('❌ Routine-Fehler:'), error.message);
+        socket.emit('routine-result', {
+          success: false,
+          key: data.key,
+          error: error.message,
+          negativeResponse: error instanceof UdsNegativeResponseError ? error.toJSON() : null
+        });
+      }
+    });
+    
+    socket.on('ecu-reset', async (data = {}) => {
+      try {
+        console.log(chalk.blue(`🔄 Neustart des Displays (${data.type || 'hard'})`));
+        
+        socket.emit('ecu-reset-result', {
+          success: true,
+          data: await resetDisplay(data),
+          timestamp: new Date().toISOString()
+        });
+        
+      } catch (error) {
+        console.error(chalk.red('❌ Reset-Fehler:'), error.message);
+        socket.emit('ecu-reset-result', {
+          success: false,
+          error: error.message,
+          negativeResponse: error instanceof UdsNegativeResponseError ? error.toJSON() : null
+        });
+      }
+    });
+    
+    socket.on('firmware-preflight', async (data = {}) => {
+      try {
+        if (!displayTool || !displayTool.isConnected) {
+          throw new Error('Display nicht verbunden');
+        }
+        
+        console.log(chalk.blue(`🔎 Pre-Flight für ${data.name || 'Firmware'}`));
+        socket.emit('firmware-report', {
+          success: true,
+          name: data.name,
+          data: await displayTool.preflightFirmware(new Uint8Array(data.data || [])),
+          timestamp: new Date().toISOString()
+        });
+        
+      } catch (error) {
+        console.error(chalk.red('❌ Pre-Flight-Fehler:'), error.message);
+        socket.emit('firmware-report', {
+          success: false,
+          name: data.name,
+          error: error.message,
+          negativeResponse: error instanceof UdsNegativeResponseError ? error.toJSON() : null
         });
       }
     });
     
     socket.on('disconnect-display', async () => {
       try {
-        // Backend hat keine WebUSB-Verbindung zu trennen
-        isConnected = false;
+        if (bridgeSocketId === socket.id) {
+          await releaseDisplay('getrennt');
+        }
         
         socket.emit('display-disconnected', {
           success: true
@@ -233,8 +1244,12 @@ function setupWebSocketEvents(io) {
       }
     });
     
-    socket.on('disconnect', () => {
+    socket.on('disconnect', async () => {
       console.log(chalk.gray('🔌 Client getrennt:', socket.id));
+      
+      if (bridgeSocketId === socket.id) {
+        await releaseDisplay('Client getrennt');
+      }
     });
   });
 }
@@ -250,18 +1265,18 @@ function setupApiRoutes(app) {
     });
   });
   
-  // Geräte auflisten
+  // Geräte auflisten (aktuell über einen Browser-Tab gebridgtes Display)
   app.get('/api/devices', (req, res) => {
     try {
-      const devices = [
+      const devices = displayTool && displayTool.isConnected ? [
         {
-          vendorId: 0x108c,
-          productId: 0x155,
-          product: 'Bosch eBike Display (BUI25X)',
-          manufacturer: 'Bosch eBike Systems',
+          vendorId: displayTool.device.vendorId,
+          productId: displayTool.device.productId,
+          product: ProtocolHelper.getProductName(displayTool.device.productId),
+          manufacturer: displayTool.device.manufacturerName || 'Bosch eBike Systems',
           isBosch: true
         }
-      ];
+      ] : [];
       
       res.json({
         success: true,
@@ -276,20 +1291,192 @@ function setupApiRoutes(app) {
     }
   });
   
-  // Display-Informationen lesen - nur für API-Kompatibilität
+  // Auslese-Profile (mitgelieferte und eigene)
+  app.get('/api/readout-profiles', (req, res) => {
+    try {
+      res.json({ success: true, profiles: describeReadoutProfiles() });
+    } catch (error) {
+      console.error(chalk.red('❌ Auslese-Profile:'), error.message);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+  
+  // Display-Informationen lesen - über das im Browser gebridgte Display
   app.post('/api/display/read', async (req, res) => {
     try {
-      // Backend kann keine Display-Daten lesen - nur Frontend kann WebUSB nutzen
-      return res.status(400).json({
-        success: false,
-        error: 'Display-Daten können nur über das Frontend gelesen werden'
+      if (!displayTool || !displayTool.isConnected) {
+        return res.status(409).json({
+          success: false,
+          error: 'Kein Display verbunden - bitte zuerst im Frontend verbinden'
+        });
+      }
+      
+      // profile: Schlüssel oder eigenes Profil-Objekt; mode bleibt als älterer Name erhalten
+      let profile;
+      try {
+        profile = loadReadoutProfiles().resolve((req.body && (req.body.profile || req.body.mode)) || 'display');
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          error: error.message
+        });
+      }
+      console.log(chalk.blue(`📊 API: Lese Display-Informationen (Profil: ${profile.key})`));
+      
+      res.json({
+        success: true,
+        data: await readDisplayInformation(profile, req.body && req.body.timeZone, { refresh: Boolean(req.body && req.body.refresh) }),
+        timestamp: new Date().toISOString()
       });
       
     } catch (error) {
       console.error(chalk.red('❌ API Display-Info-Lesefehler:'), error.message);
       res.status(500).json({
         success: false,
-        error: error.message
+        error: error.message,
+        negativeResponse: error instanceof UdsNegativeResponseError ? error.toJSON() : null
+      });
+    }
+  });
+  
+  // Data Identifier schreiben - { key, value, dryRun }
+  app.post('/api/display/write', async (req, res) => {
+    try {
+      if (!displayTool || !displayTool.isConnected) {
+        return res.status(409).json({
+          success: false,
+          error: 'Kein Display verbunden - bitte zuerst im Frontend verbinden'
+        });
+      }
+      
+      console.log(chalk.blue(`📝 API: ${req.body.dryRun ? 'Dry-Run' : 'Schreibe'} ${req.body.key} = ${req.body.value}`));
+      
+      res.json({
+        success: true,
+        data: await writeIdentifier(req.body || {}),
+        timestamp: new Date().toISOString()
+      });
+      
+    } catch (error) {
+      console.error(chalk.red('❌ API Schreibfehler:'), error.message);
+      res.status(500).json({
+        success: false,
+        error: error.message,
+        negativeResponse: error instanceof UdsNegativeResponseError ? error.toJSON() : null
+      });
+    }
+  });
+  
+  // Display-Uhr lesen - ?timeZone=Europe/Berlin
+  app.get('/api/display/clock', async (req, res) => {
+    try {
+      if (!displayTool || !displayTool.isConnected) {
+        return res.status(409).json({
+          success: false,
+          error: 'Kein Display verbunden - bitte zuerst im Frontend verbinden'
+        });
+      }
+      
+      res.json({
+        success: true,
+        data: await displayClock({ timeZone: req.query.timeZone }),
+        timestamp: new Date().toISOString()
+      });
+      
+    } catch (error) {
+      console.error(chalk.red('❌ API Uhr-Lesefehler:'), error.message);
+      res.status(500).json({
+        success: false,
+        error: error.message,
+        negativeResponse: error instanceof UdsNegativeResponseError ? error.toJSON() : null
+      });
+    }
+  });
+  
+  // Display-Uhr auf die Host-Zeit stellen - { timeZone, dryRun }
+  app.post('/api/display/clock/sync', async (req, res) => {
+    try {
+      if (!displayTool || !displayTool.isConnected) {
+        return res.status(409).json({
+          success: false,
+          error: 'Kein Display verbunden - bitte zuerst im Frontend verbinden'
+        });
+      }
+      
+      const { timeZone, dryRun } = req.body || {};
+      console.log(chalk.blue(`🕐 API: ${dryRun ? 'Dry-Run Uhr stellen' : 'Stelle Display-Uhr'}`));
+      
+      res.json({
+        success: true,
+        data: await displayClock({ sync: true, timeZone, dryRun }),
+        timestamp: new Date().toISOString()
+      });
+      
+    } catch (error) {
+      console.error(chalk.red('❌ API Uhr-Fehler:'), error.message);
+      res.status(500).json({
+        success: false,
+        error: error.message,
+        negativeResponse: error instanceof UdsNegativeResponseError ? error.toJSON() : null
+      });
+    }
+  });
+  
+  // Fehlerspeicher lesen
+  app.get('/api/display/dtc', async (req, res) => {
+    try {
+      if (!displayTool || !displayTool.isConnected) {
+        return res.status(409).json({
+          success: false,
+          error: 'Kein Display verbunden - bitte zuerst im Frontend verbinden'
+        });
+      }
+      
+      res.json({
+        success: true,
+        data: await faultMemory(),
+        timestamp: new Date().toISOString()
+      });
+      
+    } catch (error) {
+      console.error(chalk.red('❌ API Fehlerspeicher-Lesefehler:'), error.message);
+      res.status(500).json({
+        success: false,
+        error: error.message,
+        negativeResponse: error instanceof UdsNegativeResponseError ? error.toJSON() : null
+      });
+    }
+  });
+  
+  // Fehlerspeicher löschen - { confirm: true } erforderlich
+  app.post('/api/display/dtc/clear', async (req, res) => {
+    try {
+      if (!displayTool || !displayTool.isConnected) {
+        return res.status(409).json({
+          success: false,
+          error: 'Kein Display verbunden - bitte zuerst im Frontend verbinden'
+        });
+      }
+      if (!req.body || req.body.confirm !== true) {
+        return res.status(400).json({
+          success: false,
+          error: 'Löschen des Fehlerspeichers mit { "confirm": true } bestätigen'
+        });
+      }
+      
+      console.log(chalk.blue('🧹 API: Lösche Fehlerspeicher'));
+      res.json({
+        success: true,
+        data: await faultMemory({ clear: true, confirm: true }),
+        timestamp: new Date().toISOString()
+      });
+      
+    } catch (error) {
+      console.error(chalk.red('❌ API Fehlerspeicher-Löschfehler:'), error.message);
+      res.status(500).json({
+        success: false,
+        error: error.message,
+        negativeResponse: error instanceof UdsNegativeResponseError ? error.toJSON() : null
       });
     }
   });
@@ -1,14 +1,30 @@
 /**
  * WebUSB Client für Bosch eBike Display Kommunikation
  * Diese Datei wird im Browser geladen und ermöglicht die direkte WebUSB-Kommunikation
+ *
+ * Ein dauerhaft ausstehender transferIn füllt eine Frame-Warteschlange,
+ * read() wartet nur noch auf diese Warteschlange (kein Polling).
  */
 
+// Report-ID + 64 Byte Daten
+const TRANSFER_SIZE = 65;
+
 class BoschDisplayWebUsbClient {
-  constructor() {
+  /**
+   * @param {Object} options
+   * @param {number} options.highWaterMark - ab so vielen ungelesenen Frames wird
+   *   kein weiterer transferIn gestellt (Backpressure)
+   */
+  constructor({ highWaterMark = 32 } = {}) {
     this.device = null;
     this.isConnected = false;
     this.endpointIn = null;
     this.endpointOut = null;
+    this.highWaterMark = highWaterMark;
+    this.frames = [];
+    this.waiters = [];
+    this.reading = false;
+    this.resumeReading = null;
   }
 
   /**
@@ -55,6 +71,10 @@ class BoschDisplayWebUsbClient {
    * Öffnet die WebUSB-Verbindung
    */
   async open() {
+    if (this.isConnected) {
+      return true;
+    }
+
     if (!this.device) {
       throw new Error('Kein WebUSB-Gerät ausgewählt');
     }
@@ -106,8 +126,8 @@ class BoschDisplayWebUsbClient {
       
       // Endpoints finden
       const configuration = this.device.configurations[0];
-      const interface = configuration.interfaces[0];
-      const alternate = interface.alternates[0];
+      const usbInterface = configuration.interfaces[0];
+      const alternate = usbInterface.alternates[0];
       
       this.endpointIn = alternate.endpoints.find(ep => ep.direction === 'in');
       this.endpointOut = alternate.endpoints.find(ep => ep.direction === 'out');
@@ -116,18 +136,22 @@ class BoschDisplayWebUsbClient {
         throw new Error('HID-Endpoints nicht gefunden');
       }
       
-      this.isConnected = true;
-      return true;
-      
     } catch (error) {
       throw new Error(`WebUSB-Verbindungsfehler: ${error.message}`);
     }
+
+    // Leseschleife erst starten, wenn die Verbindung steht (wie afterOpen() im WebUsbTransport)
+    this.isConnected = true;
+    this.startReading();
+    return true;
   }
 
   /**
    * Schließt die WebUSB-Verbindung
    */
   async close() {
+    this.stopReading(new Error('WebUSB-Verbindung geschlossen'));
+
     if (this.device && this.isConnected) {
       try {
         // Interface freigeben
@@ -190,54 +214,121 @@ class BoschDisplayWebUsbClient {
   }
 
   /**
-   * Liest Daten vom WebUSB-Gerät
+   * Liest den nächsten Frame aus der Warteschlange
+   * Über options.signal (AbortSignal) lässt sich das Warten vorzeitig abbrechen
    */
-  async read(timeout = 5000) {
+  read(timeout = 5000, { signal = null } = {}) {
     if (!this.isConnected || !this.device || !this.endpointIn) {
-      throw new Error('WebUSB-Gerät nicht verbunden');
+      return Promise.reject(new Error('WebUSB-Gerät nicht verbunden'));
     }
 
-    try {
-      // Timeout für Transfer setzen
-      const startTime = Date.now();
-      
-      while (Date.now() - startTime < timeout) {
-        try {
-          // Versuche Daten zu lesen
-          const result = await this.device.transferIn(this.endpointIn.endpointNumber, 65);
-          
-          if (result.status === 'ok' && result.data && result.data.byteLength > 0) {
-            // Konvertiere Uint8Array zu Buffer
-            const buffer = new Uint8Array(result.data);
-            
-            // Entferne Report-ID (erstes Byte)
-            const data = buffer.slice(1);
-            
-            // Debug-Ausgabe
-            const hexString = data.slice(0, 8).map(b => b.toString(16).padStart(2, '0')).join(' ');
-            console.log(`RX: ${hexString}...`);
-            
-            return data;
-          }
-          
-        } catch (error) {
-          // Ignoriere "no data" Fehler und versuche es erneut
-          if (!error.message.includes('no data') && !error.message.includes('timeout')) {
-            throw error;
-          }
+    if (this.frames.length > 0) {
+      const frame = this.frames.shift();
+      this.continueReading();
+      return Promise.resolve(frame);
+    }
+
+    if (signal && signal.aborted) {
+      return Promise.reject(new Error('ABORTED'));
+    }
+
+    return new Promise((resolve, reject) => {
+      const settle = (callback) => (value) => {
+        clearTimeout(waiter.timeoutId);
+        if (signal) {
+          signal.removeEventListener('abort', abort);
         }
-        
-        // Kurze Pause vor dem nächsten Versuch
-        await new Promise(resolve => setTimeout(resolve, 10));
+        this.waiters = this.waiters.filter(entry => entry !== waiter);
+        callback(value);
+      };
+
+      const waiter = {
+        resolve: settle(resolve),
+        reject: settle(reject)
+      };
+
+      const abort = () => waiter.reject(new Error('ABORTED'));
+
+      waiter.timeoutId = setTimeout(() => waiter.reject(new Error('TIMEOUT')), timeout);
+      if (signal) {
+        signal.addEventListener('abort', abort);
       }
-      
-      throw new Error('TIMEOUT');
-      
-    } catch (error) {
-      if (error.message.includes('timeout') || error.message.includes('TIMEOUT')) {
-        throw new Error('TIMEOUT');
+
+      this.waiters.push(waiter);
+    });
+  }
+
+  /**
+   * Startet die Leseschleife: immer genau ein ausstehender transferIn
+   */
+  startReading() {
+    this.frames = [];
+    this.reading = true;
+    this.readLoop();
+  }
+
+  /**
+   * Beendet die Leseschleife und weist wartende Leser ab
+   */
+  stopReading(error) {
+    this.reading = false;
+    this.continueReading();
+    this.waiters.slice().forEach(waiter => waiter.reject(error));
+    this.frames = [];
+  }
+
+  /**
+   * Gibt die Leseschleife nach Backpressure wieder frei
+   */
+  continueReading() {
+    if (this.resumeReading && (!this.reading || this.frames.length < this.highWaterMark)) {
+      const resume = this.resumeReading;
+      this.resumeReading = null;
+      resume();
+    }
+  }
+
+  async readLoop() {
+    while (this.reading) {
+      // Backpressure: erst weiterlesen, wenn read() die Warteschlange abgebaut hat
+      if (this.frames.length >= this.highWaterMark) {
+        await new Promise(resolve => {
+          this.resumeReading = resolve;
+        });
+        continue;
+      }
+
+      let result;
+      try {
+        result = await this.device.transferIn(this.endpointIn.endpointNumber, TRANSFER_SIZE);
+      } catch (error) {
+        if (this.reading) {
+          this.stopReading(new Error(`WebUSB-Lesefehler: ${error.message}`));
+        }
+        return;
+      }
+
+      if (!this.reading) {
+        return;
+      }
+
+      if (result.status === 'stall') {
+        await this.device.clearHalt('in', this.endpointIn.endpointNumber).catch(() => {});
+        continue;
+      }
+
+      if (result.status === 'ok' && result.data && result.data.byteLength > 1) {
+        // Report-ID (erstes Byte) entfernen
+        const buffer = new Uint8Array(result.data.buffer, result.data.byteOffset, result.data.byteLength);
+        const frame = buffer.slice(1);
+
+        const waiter = this.waiters[0];
+        if (waiter) {
+          waiter.resolve(frame);
+        } else {
+          this.frames.push(frame);
+        }
       }
-      throw new Error(`WebUSB-Lesefehler: ${error.message}`);
     }
   }
 
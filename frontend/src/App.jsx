@@ -11,10 +11,79 @@ import {
   Loader2,
   Moon,
   Sun,
-  Settings
+  Settings,
+  Pencil,
+  Clock,
+  FileCheck,
+  Stethoscope,
+  Trash2,
+  MemoryStick,
+  Search,
+  ChevronLeft,
+  ChevronRight,
+  Cog,
+  Play,
+  Square,
+  ListChecks,
+  Power,
+  Database,
+  DatabaseZap
 } from 'lucide-react'
 // Modern CSS-only components - no external dependencies needed
 import './index.css'
+import {
+  WebHidTransport,
+  VirtualHidDevice,
+  TRANSPORT_EVENTS,
+  ProtocolHelper,
+  DidRegistry,
+  MemoryView,
+  RoutineRegistry,
+  SAFETY_LEVELS,
+  ReadoutProfileRegistry,
+  StaticValueCache,
+  attachBridge
+} from 'bosch-hmi-protocol'
+
+// Demo-Quellen für das virtuelle Display (Simulator-Profile und Aufzeichnungen)
+const DEMO_SOURCES = VirtualHidDevice.sources()
+
+// Zeitzone des Browsers - die Display-Uhr wird in Browser-Zeit verglichen und gestellt
+const TIME_ZONE = Intl.DateTimeFormat().resolvedOptions().timeZone
+
+// Schreibbare Einträge des DID-Dictionaries, nach Feldname der Display-Informationen
+const WRITABLE_ENTRIES = Object.fromEntries(
+  DidRegistry.default.list().filter(entry => entry.writable).map(entry => [entry.field, entry])
+)
+
+// Statische Werte (Seriennummer, Artikelnummer, ...) je Gerät im localStorage - das Backend
+// bekommt den Cache bei jedem Lesen mit und liefert ihn ergänzt zurück
+const staticCache = new StaticValueCache(StaticValueCache.webStorage(window.localStorage))
+// Virtuelle Displays melden die Seriennummern der Referenzgeräte - eigener Cache, getrennt von echten Geräten
+const demoCache = new StaticValueCache(StaticValueCache.webStorage(window.localStorage, 'bosch-hmi-static-values-demo'))
+
+// Mitgelieferte Auslese-Profile, bis das Backend die Liste samt eigener Profile schickt
+const READOUT_PROFILES = ReadoutProfileRegistry.default.list()
+
+// Felder mit eigener Kachel in den Display-Informationen, weitere Profil-Felder stehen unter "Weitere Werte"
+const FIXED_FIELDS = [
+  'serialNumber', 'hardwareVersion', 'softwareVersion', 'articleNumber', 'currentTime', 'currentDate', 'clock',
+  'driveUnit.serialNumber', 'driveUnit.hardwareVersion', 'driveUnit.softwareVersion',
+  'batteryManagement.serialNumber', 'batteryManagement.hardwareVersion', 'batteryManagement.softwareVersion',
+  'batteryManagement.lifeTimeInfo'
+]
+
+// Hex-Ansicht: Bytes pro Seite und Standard-Suchbereich ab der eingegebenen Adresse
+const MEMORY_PAGE_SIZE = 0x100
+const MEMORY_SEARCH_LENGTH = '0x10000'
+
+// Routinen des Katalogs und Reset-Arten (ECUReset 0x11)
+const ROUTINES = RoutineRegistry.default.list()
+const RESET_TYPES = [
+  { id: 'hard', label: 'Hard Reset' },
+  { id: 'soft', label: 'Soft Reset' },
+  { id: 'key-off-on', label: 'Zündung aus/ein' }
+]
 
 const App = () => {
   const [socket, setSocket] = useState(null)
@@ -23,12 +92,57 @@ const App = () => {
   const [displayInfo, setDisplayInfo] = useState(null)
   const [error, setError] = useState(null)
   const [success, setSuccess] = useState(null)
-  const [mode, setMode] = useState('display')
+  const [readoutProfile, setReadoutProfile] = useState(READOUT_PROFILES[0].key)
+  const [readoutProfiles, setReadoutProfiles] = useState(READOUT_PROFILES)
   const [usbDevice, setUsbDevice] = useState(null)
   const [isDarkMode, setIsDarkMode] = useState(true)
+  const [demoSource, setDemoSource] = useState(DEMO_SOURCES[0].id)
+  
+  // Bearbeiten-Dialog für schreibbare Data Identifier
+  const [editEntry, setEditEntry] = useState(null)
+  const [editValue, setEditValue] = useState('')
+  const [writePreview, setWritePreview] = useState(null)
+  const [writing, setWriting] = useState(false)
+  const [writeError, setWriteError] = useState(null)
+  const [syncingClock, setSyncingClock] = useState(false)
+  
+  // Pre-Flight-Prüfung eines Firmware-Containers
+  const [firmwareReport, setFirmwareReport] = useState(null)
+  const [checkingFirmware, setCheckingFirmware] = useState(false)
+  const firmwareInput = useRef(null)
+  
+  // Fehlerspeicher (0x19) und Bestätigungsdialog zum Löschen (0x14)
+  const [faultMemory, setFaultMemory] = useState(null)
+  const [readingFaults, setReadingFaults] = useState(false)
+  const [confirmClear, setConfirmClear] = useState(false)
   
-  // Ref für WebUSB-Gerät, um es in Event Handlers verfügbar zu machen
+  // Hex-Ansicht (ReadMemoryByAddress): Adresse, geladene Seite und Suche
+  const [memoryAddress, setMemoryAddress] = useState('0x00004000')
+  const [memoryPage, setMemoryPage] = useState(null)
+  const [readingMemory, setReadingMemory] = useState(false)
+  const [memoryError, setMemoryError] = useState(null)
+  const [searchPattern, setSearchPattern] = useState('')
+  const [searchLength, setSearchLength] = useState(MEMORY_SEARCH_LENGTH)
+  const [searchResult, setSearchResult] = useState(null)
+
+  // Routinen (RoutineControl) und Neustart (ECUReset)
+  const [routineParams, setRoutineParams] = useState({})
+  const [routineResults, setRoutineResults] = useState({})
+  const [runningRoutine, setRunningRoutine] = useState(null)
+  const [confirmRoutine, setConfirmRoutine] = useState(null)
+  const [resetType, setResetType] = useState(RESET_TYPES[0].id)
+  const [confirmReset, setConfirmReset] = useState(false)
+  const [resetting, setResetting] = useState(false)
+  
+  // Ref für WebHID-Gerät, um es in Event Handlers verfügbar zu machen
   const usbDeviceRef = useRef(null)
+  
+  // Ref für den lokalen Transport und die Bridge zum Backend (Protokoll läuft im Backend)
+  const transportRef = useRef(null)
+  const detachBridgeRef = useRef(null)
+  
+  // Cache der aktuellen Verbindung (echtes Gerät oder virtuelles Display)
+  const cacheRef = useRef(staticCache)
 
   // Dark mode toggle
   const toggleDarkMode = () => {
@@ -68,12 +182,19 @@ const App = () => {
       if (data.success) {
         setSuccess('Display getrennt')
         setDisplayInfo(null)
+        setFaultMemory(null)
+        setMemoryPage(null)
+        setSearchResult(null)
+        setRoutineResults({})
       }
     })
 
     newSocket.on('display-info', (data) => {
       setLoading(false)
       if (data.success) {
+        if (data.cache) {
+          cacheRef.current.import(data.cache)
+        }
         setDisplayInfo(data.data)
         setSuccess('Display-Informationen erfolgreich gelesen!')
         setError(null)
@@ -87,22 +208,126 @@ const App = () => {
       setError(data.error || 'Unbekannter Fehler')
     })
 
-    // Neue Event-Handler für echte WebUSB-Kommunikation
-    newSocket.on('request-display-data', async (data) => {
-      try {
-        console.log('Backend fordert Display-Daten an:', data.mode)
-        console.log('WebUSB-Gerät Status:', usbDeviceRef.current ? 'Verfügbar' : 'Nicht verfügbar')
-        
-        if (!usbDeviceRef.current) {
-          throw new Error('Kein WebUSB-Gerät verbunden. Bitte verbinden Sie das Display erneut.')
-        }
-        
-        const displayData = await readRealDisplayData(data.mode)
-        newSocket.emit('display-data-response', displayData)
-      } catch (error) {
-        console.error('Fehler beim Lesen der Display-Daten:', error)
-        newSocket.emit('display-error', { error: error.message })
+    newSocket.on('readout-profiles-result', (data) => {
+      if (data.success) {
+        setReadoutProfiles(data.data)
+      } else {
+        setError('Auslese-Profile: ' + data.error)
+      }
+    })
+    newSocket.emit('readout-profiles')
+
+    newSocket.on('clock-result', (data) => {
+      setSyncingClock(false)
+      if (!data.success) {
+        setError(data.error || 'Unbekannter Fehler')
+        return
+      }
+
+      // Nach dem Stellen liefert das Backend die neu gelesene Uhr mit
+      const clock = data.sync ? data.data.clock : data.data
+      const [date, time] = clock.displayTime.split(' ')
+      setDisplayInfo(info => info ? { ...info, clock, currentDate: date, currentTime: time } : info)
+      if (data.sync) {
+        setSuccess(`Display-Uhr gestellt: ${clock.displayTime} (${clock.timeZone})`)
+        setError(null)
+      }
+    })
+
+    newSocket.on('fault-memory-result', (data) => {
+      setReadingFaults(false)
+      setConfirmClear(false)
+      if (!data.success) {
+        setError(data.error || 'Unbekannter Fehler')
+        return
       }
+
+      setFaultMemory(data.data)
+      if (data.cleared) {
+        setSuccess('Fehlerspeicher gelöscht')
+        setError(null)
+      }
+    })
+
+    newSocket.on('routine-result', (data) => {
+      setRunningRoutine(null)
+      setConfirmRoutine(null)
+      if (!data.success) {
+        setError(data.error || 'Unbekannter Fehler')
+        return
+      }
+
+      const result = data.data
+      setRoutineResults(results => ({ ...results, [result.key]: result }))
+      setSuccess(`${result.name}: ${result.control === 'start' ? 'gestartet' : result.control === 'stop' ? 'gestoppt' : 'Ergebnis gelesen'}`)
+      setError(null)
+    })
+
+    newSocket.on('ecu-reset-result', (data) => {
+      setResetting(false)
+      setConfirmReset(false)
+      if (!data.success) {
+        setError(data.error || 'Unbekannter Fehler')
+        return
+      }
+
+      // Nach dem Neustart laufen keine Routinen mehr
+      setRoutineResults({})
+      setSuccess(`Display neu gestartet und wieder verbunden (${data.data.duration} ms)`)
+      setError(null)
+    })
+
+    newSocket.on('memory-result', (data) => {
+      setReadingMemory(false)
+      if (!data.success) {
+        setMemoryError(data.error || 'Unbekannter Fehler')
+        return
+      }
+
+      setMemoryError(null)
+      setMemoryPage({ address: data.address, bytes: new Uint8Array(data.data) })
+      setMemoryAddress(MemoryView.formatAddress(data.address))
+    })
+
+    newSocket.on('memory-search-result', (data) => {
+      setReadingMemory(false)
+      if (!data.success) {
+        setMemoryError(data.error || 'Unbekannter Fehler')
+        return
+      }
+
+      setMemoryError(null)
+      setSearchResult({ ...data.data, pattern: data.pattern })
+    })
+
+    newSocket.on('firmware-report', (data) => {
+      setCheckingFirmware(false)
+      setFirmwareReport(data)
+    })
+
+    newSocket.on('write-result', (data) => {
+      setWriting(false)
+      if (!data.success) {
+        setWriteError(data.error || 'Unbekannter Fehler')
+        return
+      }
+
+      const result = data.data
+      if (result.dryRun) {
+        setWritePreview(result)
+        return
+      }
+
+      // Zurückgelesenen Wert übernehmen und Dialog schließen
+      const entry = DidRegistry.default.get(result.key)
+      setDisplayInfo(info => info ? {
+        ...info,
+        [entry.field]: result.readBack || result.value,
+        sources: { ...info.sources, [entry.field]: 'device' }
+      } : info)
+      setEditEntry(null)
+      setSuccess(`${entry.name} geschrieben: ${result.readBack || result.value}`)
+      setError(null)
     })
 
     return () => {
@@ -110,14 +335,15 @@ const App = () => {
     }
   }, [])
 
-  const connectDisplay = async () => {
+  // demo = true: virtuelles Display statt WebHID-Geräteauswahl
+  const connectDisplay = async (demo = false) => {
     setLoading(true)
     setError(null)
     setSuccess(null)
     
     try {
       // Prüfe WebHID Unterstützung (besser für HID-Geräte)
-      if (!navigator.hid) {
+      if (!demo && !WebHidTransport.isSupported()) {
         throw new Error('WebHID wird von diesem Browser nicht unterstützt. Bitte verwenden Sie Chrome oder Edge.')
       }
 
@@ -125,47 +351,41 @@ const App = () => {
         throw new Error('Keine Verbindung zum Backend')
       }
 
-      console.log('Verwende WebHID für bessere HID-Geräte-Kompatibilität...')
-
-      // Bosch Display Filter - alle unterstützten Modelle
-      const vendorId = 0x108C; // Bosch
-      const filters = [
-        { vendorId, productId: 0x182 }, // BUI21X
-        { vendorId, productId: 0x155 }, // BUI25X
-        { vendorId, productId: 0x157 }, // BUI270
-        { vendorId, productId: 0x188 }, // BUI275
-        { vendorId, productId: 0x193 }, // BUI330
-        { vendorId, productId: 0x192 }, // BUI330_BL
-        { vendorId, productId: 0x1A3 }, // BUI350
-      ];
-
-      console.log('Fordere WebHID-Geräteauswahl an...');
-      const devices = await navigator.hid.requestDevice({ filters });
-      
-      if (devices.length === 0) {
-        throw new Error('Kein Bosch Display ausgewählt');
-      }
+      let transport
+      let device
+      if (demo) {
+        console.log(`Demo-Modus: virtuelles Display (${demoSource})`)
+        device = VirtualHidDevice.fromSource(demoSource)
+        transport = new WebHidTransport(device)
+      } else {
+        console.log('Verwende WebHID für bessere HID-Geräte-Kompatibilität...')
 
-      const device = devices[0];
+        // Bosch Display Filter - alle unterstützten Modelle (SUPPORTED_DISPLAYS)
+        console.log('Fordere WebHID-Geräteauswahl an...');
+        transport = new WebHidTransport()
+        device = await transport.requestDevice()
+      }
       console.log(`Bosch Display ausgewählt: ${device.productName || 'Unbekannt'} (PID: 0x${device.productId.toString(16).toUpperCase()})`);
 
-      // Öffne das HID-Gerät
+      // Öffne das HID-Gerät und leite die Reports an das Backend weiter
       console.log('Öffne WebHID-Gerät...');
-      await device.open();
+      await releaseTransport()
+      await transport.open()
+      transportRef.current = transport
+      detachBridgeRef.current = attachBridge(socket, transport)
+      cacheRef.current = demo ? demoCache : staticCache
       console.log('WebHID-Gerät erfolgreich geöffnet');
 
-      // Setze Event Listener für Input Reports
-      device.addEventListener("inputreport", (event) => {
-        console.log('HID Input Report empfangen:', event.reportId, Array.from(new Uint8Array(event.data.buffer)));
-        // Hier können wir die eingehenden Daten verarbeiten
-      });
-
       // Listen for device disconnect events
-      navigator.hid.addEventListener("disconnect", (event) => {
-        if (device && event.device === device) {
+      transport.on(TRANSPORT_EVENTS.DISCONNECT, ({ reason }) => {
+        if (reason !== 'closed') {
           console.log("HID-Gerät getrennt");
           setConnected(false);
           setDisplayInfo(null);
+          setFaultMemory(null);
+          setMemoryPage(null);
+          setSearchResult(null);
+          setRoutineResults({});
           setError('Display wurde getrennt');
         }
       });
@@ -175,14 +395,15 @@ const App = () => {
         device,
         productId: device.productId,
         vendorId: device.vendorId,
-        productName: getProductName(device.productId)
+        productName: ProtocolHelper.getProductName(device.productId)
       }
       
       setUsbDevice(hidDevice)
       usbDeviceRef.current = hidDevice
 
-      // Sende Gerät-Informationen an das Backend
+      // Sende Gerät-Informationen an das Backend (Handshake läuft über die Bridge)
       socket.emit('connect-display', {
+        demo,
         device: {
           vendorId: device.vendorId,
           productId: device.productId,
@@ -217,25 +438,22 @@ const App = () => {
     }
     
     // Schließe das WebHID-Gerät
-    const deviceData = usbDeviceRef.current
-    if (deviceData && deviceData.device) {
-      try {
-        await deviceData.device.close()
-        console.log('WebHID-Gerät geschlossen')
-      } catch (error) {
-        console.warn('Fehler beim Schließen des WebHID-Geräts:', error.message)
-      }
-    }
+    await releaseTransport()
     
     setConnected(false)
     setDisplayInfo(null)
+    setFaultMemory(null)
+    setMemoryPage(null)
+    setSearchResult(null)
+    setRoutineResults({})
     setUsbDevice(null)
     usbDeviceRef.current = null
     setSuccess('Verbindung getrennt')
     setError(null)
   }
 
-  const readDisplayInfo = async () => {
+  // refresh = true: Cache umgehen und alle Werte vom Display lesen
+  const readDisplayInfo = async (refresh = false) => {
     setLoading(true)
     setError(null)
     setSuccess(null)
@@ -246,7 +464,7 @@ const App = () => {
       }
       
       // Sende Socket.IO Event an das Backend
-      socket.emit('read-display-info', { mode: mode })
+      socket.emit('read-display-info', { profile: readoutProfile, timeZone: TIME_ZONE, refresh, cache: cacheRef.current.export() })
       
       // Die Antwort wird über den Socket.IO Event Handler empfangen
       // (display-info Event wird in useEffect behandelt)
@@ -257,543 +475,167 @@ const App = () => {
     }
   }
 
-  // Echte WebHID-Kommunikation mit dem Bosch Display
-  const readRealDisplayData = async (mode) => {
-    const deviceData = usbDeviceRef.current
-    if (!deviceData || !deviceData.device) {
-      throw new Error('Kein WebHID-Gerät verfügbar')
+  // Beendet Bridge und lokalen Transport
+  const releaseTransport = async () => {
+    if (detachBridgeRef.current) {
+      detachBridgeRef.current()
+      detachBridgeRef.current = null
     }
+    
+    if (transportRef.current) {
+      await transportRef.current.close()
+      transportRef.current = null
+      console.log('WebHID-Gerät geschlossen')
+    }
+  }
 
-    const { device } = deviceData
+  // Öffnet den Bearbeiten-Dialog für ein schreibbares Feld
+  const openEditor = (field) => {
+    setEditEntry(WRITABLE_ENTRIES[field])
+    setEditValue(displayInfo?.[field] || '')
+    setWritePreview(null)
+    setWriteError(null)
+  }
 
-    try {
-      console.log('WebHID-Gerät verfügbar, starte UDS-Kommunikation...')
+  // dryRun = true: nur die Frames anzeigen, nichts an das Display senden
+  const submitWrite = (dryRun) => {
+    if (!socket || !editEntry) return
 
-      // Führe Handshake durch
-      console.log('Führe Handshake durch...')
-      await performHandshakeHID(device)
-      
-      // Kurze Pause nach Handshake
-      await new Promise(resolve => setTimeout(resolve, 100))
-      
-      // Lese Display-Informationen
-      console.log('Lese Display-Informationen...')
-      const displayData = await readDisplayInformationHID(device, mode)
-      
-      console.log('Display-Daten erfolgreich gelesen:', displayData)
-      
-      return displayData
-      
-    } catch (error) {
-      console.error('WebHID-Fehler:', error)
-      throw new Error(`WebHID-Kommunikationsfehler: ${error.message}`)
+    setWriting(true)
+    setWriteError(null)
+    if (!dryRun) {
+      setWritePreview(null)
     }
+    socket.emit('write-identifier', { key: editEntry.key, value: editValue, dryRun })
   }
 
-  // WebHID Handshake mit dem Display
-  const performHandshakeHID = async (device) => {
-    try {
-      console.log('Führe WebHID Handshake durch...')
-      
-      // HID Frame Headers aus protocols.js
-      const HID_FRAME_HEADERS = {
-        HANDSHAKE_REQUEST: [0x00, 0x00, 0x01, 0x01],
-        HANDSHAKE_RESPONSE: [0x00, 0x01, 0x01, 0x00]
-      }
-      
-      // Erstelle Handshake Frame (64 Bytes)
-      const handshakeFrame = [
-        ...HID_FRAME_HEADERS.HANDSHAKE_REQUEST,
-        ...new Array(60).fill(0x00) // Fülle auf 64 Bytes auf
-      ]
-      
-      const handshakeRequest = new Uint8Array(handshakeFrame)
-      
-      // Sende Handshake über WebHID
-      await device.sendReport(0, handshakeRequest)
-      console.log('Handshake Request gesendet')
-      
-      // Warte auf Response (wird über Event Listener empfangen)
-      return new Promise((resolve, reject) => {
-        const timeout = setTimeout(() => {
-          reject(new Error('Handshake Timeout'))
-        }, 3000)
-        
-        const handleInputReport = (event) => {
-          if (event.reportId === 0) {
-            const response = new Uint8Array(event.data.buffer)
-            console.log('Handshake Response:', Array.from(response.slice(0, 8)).map(b => b.toString(16).padStart(2, '0')).join(' '))
-            
-            // Prüfe auf Handshake Response Header
-            if (response[0] === HID_FRAME_HEADERS.HANDSHAKE_RESPONSE[0] && 
-                response[1] === HID_FRAME_HEADERS.HANDSHAKE_RESPONSE[1] && 
-                response[2] === HID_FRAME_HEADERS.HANDSHAKE_RESPONSE[2] && 
-                response[3] === HID_FRAME_HEADERS.HANDSHAKE_RESPONSE[3]) {
-              console.log('Handshake erfolgreich')
-              clearTimeout(timeout)
-              device.removeEventListener('inputreport', handleInputReport)
-              resolve(true)
-            }
-          }
-        }
-        
-        device.addEventListener('inputreport', handleInputReport)
-      })
-      
-    } catch (error) {
-      throw new Error(`WebHID Handshake-Fehler: ${error.message}`)
-    }
+  // Stellt die Display-Uhr auf die Zeit des Browsers
+  const syncClock = () => {
+    if (!socket) return
+
+    setSyncingClock(true)
+    setError(null)
+    setSuccess(null)
+    socket.emit('clock', { sync: true, timeZone: TIME_ZONE })
   }
 
-  // UDS Handshake mit dem Display - korrigiert basierend auf protocols.js (WebUSB Version)
-  const performHandshake = async (device, endpointIn, endpointOut) => {
-    try {
-      console.log('Führe UDS Handshake durch...')
-      
-      // HID Frame Headers aus protocols.js
-      const HID_FRAME_HEADERS = {
-        HANDSHAKE_REQUEST: [0x00, 0x00, 0x01, 0x01],
-        HANDSHAKE_RESPONSE: [0x00, 0x01, 0x01, 0x00]
-      }
-      
-      // Erstelle Handshake Frame (64 Bytes)
-      const handshakeFrame = [
-        ...HID_FRAME_HEADERS.HANDSHAKE_REQUEST,
-        ...new Array(60).fill(0x00) // Fülle auf 64 Bytes auf
-      ]
-      
-      const handshakeRequest = new Uint8Array(handshakeFrame)
-      
-      // Sende Handshake
-      await device.transferOut(endpointOut.endpointNumber, handshakeRequest)
-      
-      // Warte auf Response
-      const result = await device.transferIn(endpointIn.endpointNumber, 65)
-      
-      if (result.status === 'ok' && result.data && result.data.byteLength > 0) {
-        const response = new Uint8Array(result.data)
-        console.log('Handshake Response:', Array.from(response.slice(0, 8)).map(b => b.toString(16).padStart(2, '0')).join(' '))
-        
-        // Prüfe auf Handshake Response Header: 0x00, 0x01, 0x01, 0x00
-        if (response[0] === HID_FRAME_HEADERS.HANDSHAKE_RESPONSE[0] && 
-            response[1] === HID_FRAME_HEADERS.HANDSHAKE_RESPONSE[1] && 
-            response[2] === HID_FRAME_HEADERS.HANDSHAKE_RESPONSE[2] && 
-            response[3] === HID_FRAME_HEADERS.HANDSHAKE_RESPONSE[3]) {
-          console.log('Handshake erfolgreich')
-          return true
-        } else {
-          throw new Error('Handshake fehlgeschlagen - ungültige Response')
-        }
-      } else {
-        throw new Error('Handshake fehlgeschlagen - keine Response')
-      }
-      
-    } catch (error) {
-      throw new Error(`Handshake-Fehler: ${error.message}`)
-    }
+  // Schickt einen Firmware-Container zur Pre-Flight-Prüfung an das Backend
+  const checkFirmware = async (event) => {
+    const file = event.target.files[0]
+    event.target.value = ''
+    if (!socket || !file) return
+
+    setCheckingFirmware(true)
+    setFirmwareReport(null)
+    socket.emit('firmware-preflight', { name: file.name, data: await file.arrayBuffer() })
   }
 
-  // WebHID Version: Liest echte Display-Informationen über UDS
-  const readDisplayInformationHID = async (device, mode) => {
-    try {
-      console.log('Lese Display-Informationen über WebHID...')
-      
-      // Data Identifiers aus protocols.js
-      const DATA_IDENTIFIERS = {
-        SERIAL_NUMBER: [0x02, 0x42],
-        HARDWARE_VERSION: [0x02, 0x72],
-        SOFTWARE_VERSION: [0x02, 0x20],
-        COMPONENT_TYPE: [0x02, 0x60],
-        HMI_PART_NUMBER: [0x02, 0x32],
-        BOSCH_PRODUCT_CODE: [0x5B, 0x7C]
-      }
-      
-      const UDS_SERVICES = {
-        READ_DATA_BY_IDENTIFIER: 0x22
-      }
-      
-      const displayData = {
-        serialNumber: await readUdsDataHID(device, UDS_SERVICES.READ_DATA_BY_IDENTIFIER, DATA_IDENTIFIERS.SERIAL_NUMBER),
-        hardwareVersion: await readUdsDataHID(device, UDS_SERVICES.READ_DATA_BY_IDENTIFIER, DATA_IDENTIFIERS.HARDWARE_VERSION),
-        softwareVersion: await readUdsDataHID(device, UDS_SERVICES.READ_DATA_BY_IDENTIFIER, DATA_IDENTIFIERS.SOFTWARE_VERSION),
-        articleNumber: await readUdsDataHID(device, UDS_SERVICES.READ_DATA_BY_IDENTIFIER, DATA_IDENTIFIERS.HMI_PART_NUMBER),
-        currentTime: new Date().toLocaleTimeString('de-DE', { hour: '2-digit', minute: '2-digit' }),
-        currentDate: new Date().toLocaleDateString('de-DE'),
-        lastUpdate: { date: new Date().toISOString() }
-      }
+  // Liest den Fehlerspeicher; clear = true löscht ihn vorher (nur nach Bestätigung im Dialog)
+  const readFaultMemory = (clear = false) => {
+    if (!socket) return
 
-      if (mode === 'full') {
-        // Erweiterte Daten für alle Komponenten
-        displayData.driveUnit = {
-          serialNumber: await readUdsDataHID(device, UDS_SERVICES.READ_DATA_BY_IDENTIFIER, [0xF1, 0xAC]),
-          hardwareVersion: await readUdsDataHID(device, UDS_SERVICES.READ_DATA_BY_IDENTIFIER, [0xF1, 0x50]),
-          softwareVersion: await readUdsDataHID(device, UDS_SERVICES.READ_DATA_BY_IDENTIFIER, [0xF1, 0x51]),
-          productCode: await readUdsDataHID(device, UDS_SERVICES.READ_DATA_BY_IDENTIFIER, [0xF1, 0x30])
-        }
-        
-        displayData.batteryManagement = {
-          serialNumber: await readUdsDataHID(device, UDS_SERVICES.READ_DATA_BY_IDENTIFIER, [0xF1, 0xAC]),
-          hardwareVersion: await readUdsDataHID(device, UDS_SERVICES.READ_DATA_BY_IDENTIFIER, [0xF1, 0x50]),
-          softwareVersion: await readUdsDataHID(device, UDS_SERVICES.READ_DATA_BY_IDENTIFIER, [0xF1, 0x51]),
-          productCode: await readUdsDataHID(device, UDS_SERVICES.READ_DATA_BY_IDENTIFIER, [0xF1, 0x30]),
-          chargeLevel: await readUdsDataHID(device, UDS_SERVICES.READ_DATA_BY_IDENTIFIER, [0xF1, 0x33])
-        }
-      }
+    setReadingFaults(true)
+    setError(null)
+    setSuccess(null)
+    socket.emit('fault-memory', clear ? { clear: true, confirm: true } : {})
+  }
 
-      return displayData
-      
-    } catch (error) {
-      throw new Error(`WebHID Display-Info-Lesefehler: ${error.message}`)
+  // Routine starten/stoppen/abfragen; Start oberhalb von "harmless" erst nach Bestätigung im Dialog
+  const runRoutine = (entry, control, confirm = false) => {
+    if (!socket) return
+
+    if (control === 'start' && RoutineRegistry.default.requiresConfirmation(entry) && !confirm) {
+      setConfirmRoutine(entry)
+      return
     }
+
+    setRunningRoutine(entry.key)
+    setError(null)
+    setSuccess(null)
+    socket.emit('routine', { key: entry.key, control, parameters: routineParams[entry.key] || {}, confirm })
   }
 
-  // Liest echte Display-Informationen über UDS - korrigiert basierend auf protocols.js (WebUSB Version)
-  const readDisplayInformation = async (device, endpointIn, endpointOut, mode) => {
-    try {
-      console.log('Lese Display-Informationen...')
-      
-      // Data Identifiers aus protocols.js
-      const DATA_IDENTIFIERS = {
-        SERIAL_NUMBER: [0x02, 0x42],
-        HARDWARE_VERSION: [0x02, 0x72],
-        SOFTWARE_VERSION: [0x02, 0x20],
-        COMPONENT_TYPE: [0x02, 0x60],
-        HMI_PART_NUMBER: [0x02, 0x32],
-        BOSCH_PRODUCT_CODE: [0x5B, 0x7C]
-      }
-      
-      const UDS_SERVICES = {
-        READ_DATA_BY_IDENTIFIER: 0x22
-      }
-      
-      const displayData = {
-        serialNumber: await readUdsData(device, endpointIn, endpointOut, UDS_SERVICES.READ_DATA_BY_IDENTIFIER, DATA_IDENTIFIERS.SERIAL_NUMBER),
-        hardwareVersion: await readUdsData(device, endpointIn, endpointOut, UDS_SERVICES.READ_DATA_BY_IDENTIFIER, DATA_IDENTIFIERS.HARDWARE_VERSION),
-        softwareVersion: await readUdsData(device, endpointIn, endpointOut, UDS_SERVICES.READ_DATA_BY_IDENTIFIER, DATA_IDENTIFIERS.SOFTWARE_VERSION),
-        articleNumber: await readUdsData(device, endpointIn, endpointOut, UDS_SERVICES.READ_DATA_BY_IDENTIFIER, DATA_IDENTIFIERS.HMI_PART_NUMBER),
-        currentTime: new Date().toLocaleTimeString('de-DE', { hour: '2-digit', minute: '2-digit' }),
-        currentDate: new Date().toLocaleDateString('de-DE'),
-        lastUpdate: { date: new Date().toISOString() }
-      }
+  const setRoutineParam = (entry, field, value) => {
+    setRoutineParams(params => ({ ...params, [entry.key]: { ...params[entry.key], [field.key]: value } }))
+  }
 
-      if (mode === 'full') {
-        // Erweiterte Daten für alle Komponenten - mit korrekten Data Identifiers
-        displayData.driveUnit = {
-          serialNumber: await readUdsData(device, endpointIn, endpointOut, UDS_SERVICES.READ_DATA_BY_IDENTIFIER, [0xF1, 0xAC]),
-          hardwareVersion: await readUdsData(device, endpointIn, endpointOut, UDS_SERVICES.READ_DATA_BY_IDENTIFIER, [0xF1, 0x50]),
-          softwareVersion: await readUdsData(device, endpointIn, endpointOut, UDS_SERVICES.READ_DATA_BY_IDENTIFIER, [0xF1, 0x51]),
-          productCode: await readUdsData(device, endpointIn, endpointOut, UDS_SERVICES.READ_DATA_BY_IDENTIFIER, [0xF1, 0x30])
-        }
-        
-        displayData.batteryManagement = {
-          serialNumber: await readUdsData(device, endpointIn, endpointOut, UDS_SERVICES.READ_DATA_BY_IDENTIFIER, [0xF1, 0xAC]),
-          hardwareVersion: await readUdsData(device, endpointIn, endpointOut, UDS_SERVICES.READ_DATA_BY_IDENTIFIER, [0xF1, 0x50]),
-          softwareVersion: await readUdsData(device, endpointIn, endpointOut, UDS_SERVICES.READ_DATA_BY_IDENTIFIER, [0xF1, 0x51]),
-          productCode: await readUdsData(device, endpointIn, endpointOut, UDS_SERVICES.READ_DATA_BY_IDENTIFIER, [0xF1, 0x30]),
-          chargeLevel: await readUdsData(device, endpointIn, endpointOut, UDS_SERVICES.READ_DATA_BY_IDENTIFIER, [0xF1, 0x33])
-        }
-      }
+  // Startet das Display neu (nur nach Bestätigung im Dialog); das Backend verbindet danach wieder
+  const resetDisplay = () => {
+    if (!socket) return
 
-      return displayData
-      
-    } catch (error) {
-      throw new Error(`Display-Info-Lesefehler: ${error.message}`)
-    }
+    setResetting(true)
+    setError(null)
+    setSuccess(null)
+    socket.emit('ecu-reset', { type: resetType, confirm: true })
   }
 
-  // WebHID Version: UDS Datenabfrage
-  const readUdsDataHID = async (device, serviceId, dataIdentifier, timeout = 3000) => {
-    try {
-      // HID Frame Headers aus protocols.js
-      const HID_FRAME_HEADERS = {
-        REQUEST: [0x01, 0x00, 0x3A, 0x08],
-        RESPONSE: [0x01, 0x00, 0x3D]
-      }
-      
-      // Erstelle UDS Frame (64 Bytes)
-      const frame = [
-        ...HID_FRAME_HEADERS.REQUEST,
-        0x03, // Data Length
-        serviceId,
-        ...dataIdentifier,
-        ...new Array(56).fill(0x00) // Fülle auf 64 Bytes auf
-      ]
-      
-      const request = new Uint8Array(frame)
-      
-      console.log(`UDS Request: ${Array.from(request.slice(0, 8)).map(b => b.toString(16).padStart(2, '0')).join(' ')}`)
-      console.log(`Data Identifier: [0x${dataIdentifier[0].toString(16).padStart(2, '0')}, 0x${dataIdentifier[1].toString(16).padStart(2, '0')}]`)
-      
-      // Sende Request über WebHID
-      await device.sendReport(0, request)
-      
-      // Warte auf Response
-      return new Promise((resolve, reject) => {
-        const timeoutId = setTimeout(() => {
-          reject(new Error('UDS Timeout'))
-        }, timeout)
-        
-        const handleInputReport = (event) => {
-          if (event.reportId === 0) {
-            const response = new Uint8Array(event.data.buffer)
-            console.log(`UDS Response: ${Array.from(response.slice(0, 8)).map(b => b.toString(16).padStart(2, '0')).join(' ')}`)
-            
-            // Parse Response
-            if (response.length < 6) {
-              clearTimeout(timeoutId)
-              device.removeEventListener('inputreport', handleInputReport)
-              reject(new Error('Ungültige Response-Länge'))
-              return
-            }
-            
-            // Prüfe Response-Header
-            if (response[0] !== 0x01 || response[1] !== 0x00) {
-              clearTimeout(timeoutId)
-              device.removeEventListener('inputreport', handleInputReport)
-              reject(new Error(`Ungültiger Response-Header: ${response[0]} ${response[1]} ${response[2]}`))
-              return
-            }
-            
-            const dataLength = response[3]
-            const responseServiceId = response[4]
-            const responseCode = response[5]
-            const dataIdentifierResponse = response.slice(6, 8) // Data Identifier in Response
-            const data = response.slice(8) // Eigentliche Daten
-            
-            console.log(`Response Details: Length=${dataLength}, Service=${responseServiceId.toString(16)}, Code=${responseCode.toString(16)}`)
-            console.log(`Data Identifier Response: [0x${dataIdentifierResponse[0].toString(16)}, 0x${dataIdentifierResponse[1].toString(16)}]`)
-            
-            // Prüfe auf positive Response (0x62 = Read Data By Identifier positive response)
-            if (responseCode === 0x62) {
-              console.log(`UDS Data (${dataLength} bytes):`, Array.from(data).map(b => b.toString(16).padStart(2, '0')).join(' '))
-              
-              // Konvertiere zu lesbarem Format
-              const result = parseUdsData(data, dataIdentifier)
-              clearTimeout(timeoutId)
-              device.removeEventListener('inputreport', handleInputReport)
-              resolve(result)
-            } else {
-              clearTimeout(timeoutId)
-              device.removeEventListener('inputreport', handleInputReport)
-              reject(new Error(`UDS-Fehler: Service ${responseServiceId.toString(16)}, Code ${responseCode.toString(16)}`))
-            }
-          }
-        }
-        
-        device.addEventListener('inputreport', handleInputReport)
-      })
-      
-    } catch (error) {
-      if (error.message.includes('timeout') || error.message.includes('Timeout')) {
-        console.warn(`UDS-Timeout für [0x${dataIdentifier[0].toString(16)}, 0x${dataIdentifier[1].toString(16)}]`)
-        return 'TIMEOUT'
-      }
-      console.warn(`UDS-Datenabfrage fehlgeschlagen für [0x${dataIdentifier[0].toString(16)}, 0x${dataIdentifier[1].toString(16)}]:`, error.message)
-      return 'N/A'
-    }
-  }
+  // Liest eine Seite der Hex-Ansicht (Adresse als Zahl oder Eingabe "0x...")
+  const readMemoryPage = (address) => {
+    if (!socket) return
 
-  // UDS Datenabfrage - korrigiert basierend auf protocols.js mit verbesserter Fehlerbehandlung (WebUSB Version)
-  const readUdsData = async (device, endpointIn, endpointOut, serviceId, dataIdentifier, timeout = 3000) => {
     try {
-      // HID Frame Headers aus protocols.js
-      const HID_FRAME_HEADERS = {
-        REQUEST: [0x01, 0x00, 0x3A, 0x08],
-        RESPONSE: [0x01, 0x00, 0x3D]
-      }
-      
-      // Erstelle UDS Frame (64 Bytes) - basierend auf ProtocolHelper.createUdsFrame
-      const frame = [
-        ...HID_FRAME_HEADERS.REQUEST,
-        0x03, // Data Length
-        serviceId,
-        ...dataIdentifier,
-        ...new Array(56).fill(0x00) // Fülle auf 64 Bytes auf
-      ]
-      
-      const request = new Uint8Array(frame)
-      
-      console.log(`UDS Request: ${Array.from(request.slice(0, 8)).map(b => b.toString(16).padStart(2, '0')).join(' ')}`)
-      console.log(`Data Identifier: [0x${dataIdentifier[0].toString(16).padStart(2, '0')}, 0x${dataIdentifier[1].toString(16).padStart(2, '0')}]`)
-      
-      // Sende Request
-      await device.transferOut(endpointOut.endpointNumber, request)
-      
-      // Warte auf Response mit Timeout
-      const result = await device.transferIn(endpointIn.endpointNumber, 65)
-      
-      if (result.status === 'ok' && result.data && result.data.byteLength > 0) {
-        const response = new Uint8Array(result.data)
-        console.log(`UDS Response: ${Array.from(response.slice(0, 8)).map(b => b.toString(16).padStart(2, '0')).join(' ')}`)
-        
-        // Parse Response mit ProtocolHelper.parseUdsResponse Logik
-        if (response.length < 6) {
-          throw new Error('Ungültige Response-Länge')
-        }
-        
-        // Prüfe Response-Header
-        if (response[0] !== 0x01 || response[1] !== 0x00) {
-          throw new Error(`Ungültiger Response-Header: ${response[0]} ${response[1]} ${response[2]}`)
-        }
-        
-        // Das vierte Byte ist die Gesamtlänge der Daten
-        const dataLength = response[3]
-        // Das fünfte Byte ist die Service ID
-        const responseServiceId = response[4]
-        // Das sechste Byte ist die positive Response (0x62 für Read Data By Identifier)
-        const responseCode = response[5]
-        
-        // Die Daten beginnen ab Index 6
-        const data = response.slice(6)
-        
-        // Prüfe auf positive Response
-        if (responseCode === 0x62 && responseServiceId === serviceId) {
-          console.log(`UDS Data (${dataLength} bytes):`, Array.from(data).map(b => b.toString(16).padStart(2, '0')).join(' '))
-          
-          // Konvertiere zu lesbarem Format basierend auf Data Identifier
-          return parseUdsData(data, dataIdentifier)
-        } else {
-          throw new Error(`UDS-Fehler: Service ${responseServiceId.toString(16)}, Code ${responseCode.toString(16)}`)
-        }
-      } else {
-        throw new Error('Keine UDS-Response empfangen')
-      }
-      
-    } catch (error) {
-      if (error.message.includes('timeout') || error.message.includes('Timeout')) {
-        console.warn(`UDS-Timeout für [0x${dataIdentifier[0].toString(16)}, 0x${dataIdentifier[1].toString(16)}]`)
-        return 'TIMEOUT'
-      }
-      console.warn(`UDS-Datenabfrage fehlgeschlagen für [0x${dataIdentifier[0].toString(16)}, 0x${dataIdentifier[1].toString(16)}]:`, error.message)
-      return 'N/A'
+      const start = typeof address === 'number' ? address : MemoryView.parseNumber(address)
+      setReadingMemory(true)
+      setMemoryError(null)
+      socket.emit('read-memory', { address: start, length: MEMORY_PAGE_SIZE })
+    } catch (err) {
+      setMemoryError(err.message)
     }
   }
 
-  // Parse UDS Data - korrigiert basierend auf tatsächlichen Display-Daten
-  const parseUdsData = (data, dataIdentifier) => {
+  // Sucht ASCII-Text oder Hex-Bytes ("0x42 55 49") ab der eingegebenen Adresse
+  const searchMemory = () => {
+    if (!socket) return
+
     try {
-      console.log(`Parsing Data Identifier [0x${dataIdentifier[0].toString(16)}, 0x${dataIdentifier[1].toString(16)}]:`, Array.from(data).map(b => b.toString(16).padStart(2, '0')).join(' '))
-      
-      // Seriennummer (0x02, 0x42)
-      if (dataIdentifier[0] === 0x02 && dataIdentifier[1] === 0x42) {
-        // Suche nach dem erwarteten Pattern: 37FFD705564E313046442000
-        const hexString = data.map(b => b.toString(16).padStart(2, '0')).join('')
-        console.log('Seriennummer Hex:', hexString)
-        
-        // Suche nach dem bekannten Pattern
-        const expectedPattern = '37ffd705564e313046442000'
-        if (hexString.toLowerCase().includes(expectedPattern)) {
-          return `0x${expectedPattern.toUpperCase()}`
-        }
-        
-        // Fallback: Zeige die ersten 20 Bytes als Hex
-        const serialData = data.slice(0, Math.min(data.length, 20))
-        const serialHex = serialData.map(b => b.toString(16).padStart(2, '0')).join('')
-        return `0x${serialHex.toUpperCase()}`
-      }
-      
-      // Hardware-Version (0x02, 0x72)
-      if (dataIdentifier[0] === 0x02 && dataIdentifier[1] === 0x72) {
-        // Erwartet: 0.0.2.2
-        // Suche nach dem Pattern in den Daten
-        const hexString = data.map(b => b.toString(16).padStart(2, '0')).join('')
-        console.log('Hardware-Version Hex:', hexString)
-        
-        // Spezielle Behandlung für bekannte Hardware-Version
-        if (hexString.includes('0202') || hexString.includes('0200')) {
-          return '0.0.2.2'
-        }
-        
-        // Fallback: Zeige die ersten 4 Bytes
-        if (data.length >= 4) {
-          return `${data[0]}.${data[1]}.${data[2]}.${data[3]}`
-        }
-        return 'N/A'
-      }
-      
-      // Software-Version (0x02, 0x20)
-      if (dataIdentifier[0] === 0x02 && dataIdentifier[1] === 0x20) {
-        // Erwartet: 5.9.2.0
-        const hexString = data.map(b => b.toString(16).padStart(2, '0')).join('')
-        console.log('Software-Version Hex:', hexString)
-        
-        // Spezielle Behandlung für bekannte Software-Version
-        if (hexString.includes('0509') || hexString.includes('0200')) {
-          return '5.9.2.0'
-        }
-        
-        // Fallback: Zeige die ersten 4 Bytes
-        if (data.length >= 4) {
-          return `${data[0]}.${data[1]}.${data[2]}.${data[3]}`
-        }
-        return 'N/A'
-      }
-      
-      // Komponententyp (0x02, 0x60)
-      if (dataIdentifier[0] === 0x02 && dataIdentifier[1] === 0x60) {
-        // Erwartet: "Intuvia"
-        const hexString = data.map(b => b.toString(16).padStart(2, '0')).join('')
-        console.log('Komponententyp Hex:', hexString)
-        
-        // Suche nach ASCII-Text in den Daten
-        const cleanData = data.filter(b => b !== 0x00 && b >= 0x20 && b <= 0x7E)
-        let asciiString = Array.from(cleanData).map(b => String.fromCharCode(b)).join('')
-        
-        // Entferne Steuerzeichen am Anfang
-        asciiString = asciiString.replace(/^[^A-Za-z0-9]+/, '')
-        
-        // Spezielle Behandlung für bekannte Komponenten
-        if (asciiString.toLowerCase().includes('intuvia')) {
-          return 'Intuvia'
-        }
-        
-        return asciiString || 'Unbekannt'
-      }
-      
-      // Artikelnummer (0x02, 0x32)
-      if (dataIdentifier[0] === 0x02 && dataIdentifier[1] === 0x32) {
-        // Erwartet: "1270020909"
-        const hexString = data.map(b => b.toString(16).padStart(2, '0')).join('')
-        console.log('Artikelnummer Hex:', hexString)
-        
-        // Suche nach numerischen Zeichen
-        const cleanData = data.filter(b => b !== 0x00)
-        let articleNumber = Array.from(cleanData).map(b => String.fromCharCode(b)).join('')
-        
-        // Entferne "2" am Anfang falls vorhanden
-        if (articleNumber.startsWith('2')) {
-          articleNumber = articleNumber.substring(1)
-        }
-        
-        // Behalte nur Zahlen
-        articleNumber = articleNumber.replace(/[^0-9]/g, '')
-        
-        // Spezielle Behandlung für bekannte Artikelnummer
-        if (articleNumber.includes('1270020909')) {
-          return '1270020909'
-        }
-        
-        return articleNumber || 'N/A'
-      }
-      
-      // Produktcode (0x5B, 0x7C) - wird nicht benötigt laut User
-      if (dataIdentifier[0] === 0x5B && dataIdentifier[1] === 0x7C) {
-        return 'N/A (nicht benötigt)'
-      }
-      
-      // Fallback: Hex-Daten
-      return '0x' + Array.from(data).map(b => b.toString(16).padStart(2, '0')).join('')
-      
-    } catch (error) {
-      console.warn('Parse-Fehler:', error.message)
-      return 'N/A'
+      MemoryView.parsePattern(searchPattern)
+      setReadingMemory(true)
+      setMemoryError(null)
+      setSearchResult(null)
+      socket.emit('search-memory', {
+        address: MemoryView.parseNumber(memoryAddress),
+        length: MemoryView.parseNumber(searchLength),
+        pattern: searchPattern
+      })
+    } catch (err) {
+      setMemoryError(err.message)
     }
   }
 
+  // Bearbeiten-Button für schreibbare Felder
+  const editButton = (field) => WRITABLE_ENTRIES[field] && connected && (
+    <button
+      onClick={() => openEditor(field)}
+      className="info-edit"
+      title="Wert schreiben"
+      aria-label={`${WRITABLE_ENTRIES[field].name} schreiben`}
+    >
+      <Pencil size={14} />
+    </button>
+  )
+
+  // Herkunft eines Werts: aus dem Cache oder frisch vom Display gelesen
+  const sourceHint = (key) => displayInfo?.sources?.[key] && (
+    <span className="info-hint info-source" title={displayInfo.sources[key] === 'cache' ? 'Statischer Wert aus dem Cache' : 'Vom Display gelesen'}>
+      {displayInfo.sources[key] === 'cache' ? <Database size={12} /> : <RefreshCw size={12} />}
+      {displayInfo.sources[key] === 'cache' ? 'Cache' : 'Frisch'}
+    </span>
+  )
+
+  // Werte von Steuergeräten, deren Adresse nicht bestätigt ist (DU/BMS/CHARGER)
+  const addressHint = (confirmed) => confirmed === false && (
+    <span className="info-hint" title="Adresse des Steuergeräts ist nicht bestätigt">Adresse unbestätigt</span>
+  )
+
+  // Felder des gelesenen Auslese-Profils ("driveUnit.serialNumber" -> Gruppe und Feld)
+  const inProfile = (key) => !displayInfo?.profile || displayInfo.profile.fields.some(field => field.key === key)
+  const fieldValue = (key) => key.split('.').reduce((value, part) => value?.[part], displayInfo)
+  const extraFields = () => (displayInfo?.profile?.fields || []).filter(field => !FIXED_FIELDS.includes(field.key))
+
   const downloadData = () => {
     if (!displayInfo) return
 
-    const dataStr = JSON.stringify(displayInfo, null, 2)
+    const dataStr = JSON.stringify(faultMemory ? { ...displayInfo, faultMemory } : displayInfo, null, 2)
     const dataBlob = new Blob([dataStr], { type: 'application/json' })
     const url = URL.createObjectURL(dataBlob)
     const link = document.createElement('a')
@@ -805,28 +647,20 @@ const App = () => {
     URL.revokeObjectURL(url)
   }
 
+  // Bytes der angezeigten Seite, die zum letzten Suchmuster gehören
+  const highlighted = new Set()
+  if (memoryPage && searchResult) {
+    const pattern = MemoryView.parsePattern(searchResult.pattern)
+    MemoryView.find(memoryPage.bytes, pattern).forEach(offset => {
+      pattern.forEach((_, index) => highlighted.add(offset + index))
+    })
+  }
+
   const clearMessages = () => {
     setError(null)
     setSuccess(null)
   }
 
-  // PID-basierte Produktnamens-Erkennung
-  const getProductName = (productId) => {
-    const productMap = {
-      0x182: { enumName: "BUI21X", productName: "Purion" },
-      0x155: { enumName: "BUI25X", productName: "Intuvia" },
-      0x157: { enumName: "BUI270", productName: "Nyon" },
-      0x188: { enumName: "BUI275", productName: "Nyon" },
-      0x193: { enumName: "BUI330", productName: "Kiox" },
-      0x192: { enumName: "BUI330_BL", productName: "Kiox" },
-      0x1A3: { enumName: "BUI350", productName: "Nyon" }
-    }
-    
-    const product = productMap[productId]
-    return product ? `${product.productName} (${product.enumName})` : `Unbekannt (PID: 0x${productId.toString(16).toUpperCase()})`
-  }
-
-
   return (
     <div className="app-container">
       {/* Header */}
@@ -879,14 +713,35 @@ const App = () => {
             {/* Verbindungs-Buttons */}
             <div className="btn-group">
               {!connected ? (
-                <button
-                  onClick={connectDisplay}
-                  disabled={loading}
-                  className="btn btn-primary"
-                >
-                  {loading ? <Loader2 className="loading-spinner" /> : <Wifi size={16} />}
-                  {loading ? 'Verbinde...' : 'Display verbinden'}
-                </button>
+                <>
+                  <button
+                    onClick={() => connectDisplay(false)}
+                    disabled={loading}
+                    className="btn btn-primary"
+                  >
+                    {loading ? <Loader2 className="loading-spinner" /> : <Wifi size={16} />}
+                    {loading ? 'Verbinde...' : 'Display verbinden'}
+                  </button>
+                  <select
+                    value={demoSource}
+                    onChange={(e) => setDemoSource(e.target.value)}
+                    disabled={loading}
+                    className="select"
+                    aria-label="Demo-Quelle"
+                  >
+                    {DEMO_SOURCES.map(source => (
+                      <option key={source.id} value={source.id}>{source.label}</option>
+                    ))}
+                  </select>
+                  <button
+                    onClick={() => connectDisplay(true)}
+                    disabled={loading}
+                    className="btn btn-outline"
+                  >
+                    <Bike size={16} />
+                    Demo / virtuelles Display
+                  </button>
+                </>
               ) : (
                 <button
                   onClick={disconnectDisplay}
@@ -900,7 +755,7 @@ const App = () => {
 
               {connected && (
                 <button
-                  onClick={readDisplayInfo}
+                  onClick={() => readDisplayInfo()}
                   disabled={loading}
                   className="btn btn-secondary"
                 >
@@ -909,6 +764,18 @@ const App = () => {
                 </button>
               )}
 
+              {connected && displayInfo && (
+                <button
+                  onClick={() => readDisplayInfo(true)}
+                  disabled={loading}
+                  className="btn btn-outline"
+                  title="Auch statische Werte (Seriennummer, Artikelnummer, Hardware-Version) neu vom Display lesen"
+                >
+                  <DatabaseZap size={16} />
+                  Neu lesen (ohne Cache)
+                </button>
+              )}
+
               {displayInfo && (
                 <button
                   onClick={downloadData}
@@ -920,39 +787,27 @@ const App = () => {
               )}
             </div>
 
-            {/* Modus-Auswahl */}
+            {/* Auslese-Profil */}
             {connected && (
               <div className="mt-6">
-                <label className="text-sm font-medium text-gray-300 mb-4 block">Lesemodus:</label>
+                <label className="text-sm font-medium text-gray-300 mb-4 block">Auslese-Profil:</label>
                 <div className="radio-group">
-                  <div className="radio-item">
-                    <input
-                      type="radio"
-                      id="display"
-                      name="mode"
-                      value="display"
-                      checked={mode === 'display'}
-                      onChange={(e) => setMode(e.target.value)}
-                      className="radio-input"
-                    />
-                    <label htmlFor="display" className="radio-label">
-                      Display-Informationen
-                    </label>
-                  </div>
-                  <div className="radio-item">
-                    <input
-                      type="radio"
-                      id="full"
-                      name="mode"
-                      value="full"
-                      checked={mode === 'full'}
-                      onChange={(e) => setMode(e.target.value)}
-                      className="radio-input"
-                    />
-                    <label htmlFor="full" className="radio-label">
-                      Alle Komponenten (Drive Unit, Battery Management)
-                    </label>
-                  </div>
+                  {readoutProfiles.map(profile => (
+                    <div className="radio-item" key={profile.key}>
+                      <input
+                        type="radio"
+                        id={`readout-${profile.key}`}
+                        name="readoutProfile"
+                        value={profile.key}
+                        checked={readoutProfile === profile.key}
+                        onChange={(e) => setReadoutProfile(e.target.value)}
+                        className="radio-input"
+                      />
+                      <label htmlFor={`readout-${profile.key}`} className="radio-label" title={profile.description}>
+                        {profile.name}
+                      </label>
+                    </div>
+                  ))}
                 </div>
               </div>
             )}
@@ -1005,38 +860,76 @@ const App = () => {
                   <span className="info-value">{usbDevice?.productName || 'N/A'}</span>
                 </div>
                 
-                <div className="info-item">
-                  <span className="info-label">Seriennummer</span>
-                  <span className="info-value">{displayInfo.serialNumber || 'N/A'}</span>
-                </div>
+                {inProfile('serialNumber') && (
+                  <div className="info-item">
+                    <span className="info-label">Seriennummer</span>
+                    <span className="info-value">{displayInfo.serialNumber || 'N/A'}</span>
+                    {sourceHint('serialNumber')}
+                  </div>
+                )}
                 
-                <div className="info-item">
-                  <span className="info-label">Hardware-Version</span>
-                  <span className="info-value">{displayInfo.hardwareVersion || 'N/A'}</span>
-                </div>
+                {inProfile('hardwareVersion') && (
+                  <div className="info-item">
+                    <span className="info-label">Hardware-Version</span>
+                    <span className="info-value">{displayInfo.hardwareVersion || 'N/A'}</span>
+                    {sourceHint('hardwareVersion')}
+                  </div>
+                )}
                 
-                <div className="info-item">
-                  <span className="info-label">Software-Version</span>
-                  <span className="info-value">{displayInfo.softwareVersion || 'N/A'}</span>
-                </div>
+                {inProfile('softwareVersion') && (
+                  <div className="info-item">
+                    <span className="info-label">Software-Version</span>
+                    <span className="info-value">{displayInfo.softwareVersion || 'N/A'}</span>
+                    {sourceHint('softwareVersion')}
+                  </div>
+                )}
                 
-                <div className="info-item">
-                  <span className="info-label">Artikelnummer</span>
-                  <span className="info-value">{displayInfo.articleNumber || 'N/A'}</span>
-                </div>
+                {inProfile('articleNumber') && (
+                  <div className="info-item">
+                    <span className="info-label">Artikelnummer</span>
+                    <span className="info-value">{displayInfo.articleNumber || 'N/A'}</span>
+                    {sourceHint('articleNumber')}
+                  </div>
+                )}
                 
-                <div className="info-item">
-                  <span className="info-label">Aktuelle Uhrzeit</span>
-                  <span className="info-value">{displayInfo.currentTime || 'N/A'}</span>
-                </div>
+                {inProfile('currentTime') && (
+                  <div className="info-item">
+                    <span className="info-label">Aktuelle Uhrzeit</span>
+                    <span className="info-value">{displayInfo.currentTime || 'N/A'}</span>
+                    {sourceHint('currentTime')}
+                    {editButton('currentTime')}
+                  </div>
+                )}
                 
-                <div className="info-item">
-                  <span className="info-label">Aktuelles Datum</span>
-                  <span className="info-value">{displayInfo.currentDate || 'N/A'}</span>
-                </div>
+                {inProfile('currentDate') && (
+                  <div className="info-item">
+                    <span className="info-label">Aktuelles Datum</span>
+                    <span className="info-value">{displayInfo.currentDate || 'N/A'}</span>
+                    {sourceHint('currentDate')}
+                    {editButton('currentDate')}
+                  </div>
+                )}
+                
+                {typeof displayInfo.clock === 'object' && (
+                  <div className="info-item flex flex-col">
+                    <span className="info-label">Abweichung zur Browser-Zeit</span>
+                    <span className="info-value">{displayInfo.clock.drift}</span>
+                    <span className="info-hint">
+                      Display {displayInfo.clock.displayTime} · {displayInfo.clock.hostTime} ({displayInfo.clock.timeZone})
+                    </span>
+                    <button
+                      onClick={syncClock}
+                      disabled={syncingClock || !connected}
+                      className="btn btn-outline btn-sm mt-4"
+                    >
+                      {syncingClock ? <Loader2 className="loading-spinner" /> : <Clock size={14} />}
+                      Uhr synchronisieren
+                    </button>
+                  </div>
+                )}
               </div>
 
-              {/* Drive Unit Informationen (nur im Full-Modus) */}
+              {/* Drive Unit Informationen (wenn im Profil enthalten) */}
               {displayInfo.driveUnit && (
                 <>
                   <div className="separator"></div>
@@ -1044,26 +937,36 @@ const App = () => {
                     <h3 className="text-lg font-semibold flex items-center gap-2 mb-4">
                       <Settings size={18} />
                       Drive Unit
+                      {addressHint(displayInfo.driveUnit.addressConfirmed)}
                     </h3>
                     <div className="info-grid">
-                      <div className="info-item">
-                        <span className="info-label">Seriennummer</span>
-                        <span className="info-value">{displayInfo.driveUnit.serialNumber || 'N/A'}</span>
-                      </div>
-                      <div className="info-item">
-                        <span className="info-label">Hardware-Version</span>
-                        <span className="info-value">{displayInfo.driveUnit.hardwareVersion || 'N/A'}</span>
-                      </div>
-                      <div className="info-item">
-                        <span className="info-label">Software-Version</span>
-                        <span className="info-value">{displayInfo.driveUnit.softwareVersion || 'N/A'}</span>
-                      </div>
+                      {inProfile('driveUnit.serialNumber') && (
+                        <div className="info-item">
+                          <span className="info-label">Seriennummer</span>
+                          <span className="info-value">{displayInfo.driveUnit.serialNumber || 'N/A'}</span>
+                          {sourceHint('driveUnit.serialNumber')}
+                        </div>
+                      )}
+                      {inProfile('driveUnit.hardwareVersion') && (
+                        <div className="info-item">
+                          <span className="info-label">Hardware-Version</span>
+                          <span className="info-value">{displayInfo.driveUnit.hardwareVersion || 'N/A'}</span>
+                          {sourceHint('driveUnit.hardwareVersion')}
+                        </div>
+                      )}
+                      {inProfile('driveUnit.softwareVersion') && (
+                        <div className="info-item">
+                          <span className="info-label">Software-Version</span>
+                          <span className="info-value">{displayInfo.driveUnit.softwareVersion || 'N/A'}</span>
+                          {sourceHint('driveUnit.softwareVersion')}
+                        </div>
+                      )}
                     </div>
                   </div>
                 </>
               )}
 
-              {/* Battery Management Informationen (nur im Full-Modus) */}
+              {/* Battery Management Informationen (wenn im Profil enthalten) */}
               {displayInfo.batteryManagement && (
                 <>
                   <div className="separator"></div>
@@ -1071,24 +974,104 @@ const App = () => {
                     <h3 className="text-lg font-semibold flex items-center gap-2 mb-4">
                       <Bike size={18} />
                       Battery Management
+                      {addressHint(displayInfo.batteryManagement.addressConfirmed)}
                     </h3>
                     <div className="info-grid">
-                      <div className="info-item">
-                        <span className="info-label">Seriennummer</span>
-                        <span className="info-value">{displayInfo.batteryManagement.serialNumber || 'N/A'}</span>
-                      </div>
-                      <div className="info-item">
-                        <span className="info-label">Hardware-Version</span>
-                        <span className="info-value">{displayInfo.batteryManagement.hardwareVersion || 'N/A'}</span>
-                      </div>
-                      <div className="info-item">
-                        <span className="info-label">Software-Version</span>
-                        <span className="info-value">{displayInfo.batteryManagement.softwareVersion || 'N/A'}</span>
-                      </div>
-                      <div className="info-item">
-                        <span className="info-label">Ladestand</span>
-                        <span className="info-value">{displayInfo.batteryManagement.chargeLevel || 'N/A'}</span>
-                      </div>
+                      {inProfile('batteryManagement.serialNumber') && (
+                        <div className="info-item">
+                          <span className="info-label">Seriennummer</span>
+                          <span className="info-value">{displayInfo.batteryManagement.serialNumber || 'N/A'}</span>
+                          {sourceHint('batteryManagement.serialNumber')}
+                        </div>
+                      )}
+                      {inProfile('batteryManagement.hardwareVersion') && (
+                        <div className="info-item">
+                          <span className="info-label">Hardware-Version</span>
+                          <span className="info-value">{displayInfo.batteryManagement.hardwareVersion || 'N/A'}</span>
+                          {sourceHint('batteryManagement.hardwareVersion')}
+                        </div>
+                      )}
+                      {inProfile('batteryManagement.softwareVersion') && (
+                        <div className="info-item">
+                          <span className="info-label">Software-Version</span>
+                          <span className="info-value">{displayInfo.batteryManagement.softwareVersion || 'N/A'}</span>
+                          {sourceHint('batteryManagement.softwareVersion')}
+                        </div>
+                      )}
+                      {inProfile('batteryManagement.lifeTimeInfo') && (
+                        <div className="info-item">
+                          <span className="info-label">Lebensdauer-Info</span>
+                          <span className="info-value">{displayInfo.batteryManagement.lifeTimeInfo || 'N/A'}</span>
+                          {sourceHint('batteryManagement.lifeTimeInfo')}
+                        </div>
+                      )}
+                    </div>
+                  </div>
+                </>
+              )}
+
+              {/* Weitere Felder des Profils ohne eigene Kachel */}
+              {extraFields().length > 0 && (
+                <>
+                  <div className="separator"></div>
+                  <div className="mt-6">
+                    <h3 className="text-lg font-semibold flex items-center gap-2 mb-4">
+                      <Settings size={18} />
+                      Weitere Werte ({displayInfo.profile.name})
+                    </h3>
+                    <div className="info-grid">
+                      {extraFields().map(field => (
+                        <div className="info-item" key={field.key}>
+                          <span className="info-label">{field.name}</span>
+                          <span className="info-value">{fieldValue(field.key) || 'N/A'}</span>
+                          {sourceHint(field.key)}
+                          {addressHint(field.addressConfirmed)}
+                        </div>
+                      ))}
+                    </div>
+                  </div>
+                </>
+              )}
+
+              {/* Fehler, die das Profil hinnimmt (z.B. fehlende Steuergeräte) */}
+              {displayInfo.tolerated && (
+                <>
+                  <div className="separator"></div>
+                  <div className="mt-6">
+                    <h3 className="text-lg font-semibold flex items-center gap-2 mb-4">
+                      <AlertCircle size={18} />
+                      Nicht gelesen (laut Profil hingenommen)
+                    </h3>
+                    <div className="info-grid">
+                      {displayInfo.tolerated.map(entry => (
+                        <div className="info-item" key={entry.key}>
+                          <span className="info-label">{entry.name}</span>
+                          <span className="info-hint">{entry.message}</span>
+                        </div>
+                      ))}
+                    </div>
+                  </div>
+                </>
+              )}
+
+              {/* Negative Antworten (NRC) pro Data Identifier */}
+              {displayInfo.negativeResponses && (
+                <>
+                  <div className="separator"></div>
+                  <div className="mt-6">
+                    <h3 className="text-lg font-semibold flex items-center gap-2 mb-4">
+                      <AlertCircle size={18} />
+                      Negative Antworten
+                    </h3>
+                    <div className="info-grid">
+                      {displayInfo.negativeResponses.map((entry, index) => (
+                        <div className="info-item" key={`${entry.dataIdentifier}-${index}`}>
+                          <span className="info-label">DID {entry.dataIdentifier}</span>
+                          <span className="info-value">
+                            NRC 0x{entry.nrc.toString(16).padStart(2, '0').toUpperCase()} ({entry.nrcName})
+                          </span>
+                        </div>
+                      ))}
                     </div>
                   </div>
                 </>
@@ -1106,7 +1089,484 @@ const App = () => {
             </div>
           </div>
         )}
+
+        {/* Fehlerspeicher */}
+        {connected && (
+          <div className="card">
+            <div className="card-header">
+              <h2 className="card-title">
+                <Stethoscope size={20} />
+                Fehlerspeicher
+              </h2>
+              <p className="card-description">
+                Gespeicherte Fehlercodes (DTCs) mit Status, Umgebungsdaten und Zählern
+              </p>
+            </div>
+
+            <div className="card-content">
+              <div className="btn-group">
+                <button onClick={() => readFaultMemory()} disabled={readingFaults} className="btn btn-outline">
+                  {readingFaults ? <Loader2 className="loading-spinner" /> : <RefreshCw size={16} />}
+                  Fehlerspeicher lesen
+                </button>
+                <button
+                  onClick={() => setConfirmClear(true)}
+                  disabled={readingFaults || !faultMemory || faultMemory.dtcs.length === 0}
+                  className="btn btn-ghost"
+                >
+                  <Trash2 size={16} />
+                  Fehlerspeicher löschen
+                </button>
+              </div>
+
+              {faultMemory && faultMemory.dtcs.length === 0 && (
+                <div className="alert alert-success mt-4">
+                  <CheckCircle size={16} />
+                  <div className="alert-content">
+                    <span className="alert-message">Keine Fehlercodes gespeichert</span>
+                  </div>
+                </div>
+              )}
+
+              {faultMemory && faultMemory.dtcs.length > 0 && (
+                <div className="info-grid mt-4">
+                  {faultMemory.dtcs.map(dtc => (
+                    <div className={`info-item flex flex-col ${dtc.status.active ? 'info-item-error' : ''}`} key={dtc.dtc}>
+                      <span className="info-label">
+                        {dtc.displayCode ? `Fehler ${dtc.displayCode}` : 'Fehler'} · {dtc.dtc}{dtc.ecu && ` · ${dtc.ecu}`}
+                      </span>
+                      <span className="info-value">{dtc.description}</span>
+                      <span className="info-hint">Status {dtc.status.value}: {dtc.status.labels.join(', ')}</span>
+                      {dtc.snapshots && dtc.snapshots.map(snapshot => snapshot.identifiers.map(identifier => (
+                        <span className="info-hint" key={`${snapshot.record}-${identifier.dataIdentifier}`}>
+                          Snapshot {snapshot.record} · {identifier.name}: {identifier.value}
+                        </span>
+                      )))}
+                      {dtc.extendedData && dtc.extendedData.map(record => (
+                        <span className="info-hint" key={record.record}>
+                          {record.name}: {record.value}
+                        </span>
+                      ))}
+                    </div>
+                  ))}
+                </div>
+              )}
+
+              {faultMemory && (
+                <div className="text-center text-sm text-gray-400 mt-6">
+                  Gelesen: {new Date(faultMemory.readAt).toLocaleString('de-DE')}
+                </div>
+              )}
+            </div>
+          </div>
+        )}
+
+        {/* Routinen und Neustart */}
+        {connected && (
+          <div className="card">
+            <div className="card-header">
+              <h2 className="card-title">
+                <Cog size={20} />
+                Routinen
+              </h2>
+              <p className="card-description">
+                Tests und Funktionen des Displays (RoutineControl). Routinen, die Daten verändern, müssen bestätigt werden.
+              </p>
+            </div>
+
+            <div className="card-content">
+              <div className="info-grid">
+                {ROUTINES.map(entry => (
+                  <div className={`info-item flex flex-col ${entry.safety === 'dangerous' ? 'info-item-error' : ''}`} key={entry.key}>
+                    <span className="info-label">
+                      {entry.name} · {ProtocolHelper.formatIdentifier(entry.rid)} · {SAFETY_LEVELS[entry.safety].label}
+                    </span>
+                    <span className="info-hint">{entry.description}</span>
+
+                    {entry.parameters.map(field => (
+                      <label className="routine-param" key={field.key}>
+                        <span className="info-hint">{field.name}{field.unit && ` (${field.unit})`}</span>
+                        <input
+                          className="input"
+                          value={routineParams[entry.key]?.[field.key] ?? field.default ?? ''}
+                          onChange={(e) => setRoutineParam(entry, field, e.target.value)}
+                          disabled={runningRoutine !== null}
+                        />
+                      </label>
+                    ))}
+
+                    <div className="btn-group mt-2">
+                      <button onClick={() => runRoutine(entry, 'start')} disabled={runningRoutine !== null} className="btn btn-outline">
+                        {runningRoutine === entry.key ? <Loader2 className="loading-spinner" /> : <Play size={16} />}
+                        Start
+                      </button>
+                      {entry.controls.includes('stop') && (
+                        <button onClick={() => runRoutine(entry, 'stop')} disabled={runningRoutine !== null} className="btn btn-ghost">
+                          <Square size={16} />
+                          Stopp
+                        </button>
+                      )}
+                      {entry.controls.includes('results') && (
+                        <button onClick={() => runRoutine(entry, 'results')} disabled={runningRoutine !== null} className="btn btn-ghost">
+                          <ListChecks size={16} />
+                          Ergebnis
+                        </button>
+                      )}
+                    </div>
+
+                    {routineResults[entry.key] && routineResults[entry.key].results.map(result => (
+                      <span className="info-value" key={result.key}>{result.name}: {result.value}</span>
+                    ))}
+                  </div>
+                ))}
+              </div>
+
+              <div className="reset-toolbar mt-6">
+                <select className="select" value={resetType} onChange={(e) => setResetType(e.target.value)} disabled={resetting}>
+                  {RESET_TYPES.map(type => (
+                    <option key={type.id} value={type.id}>{type.label}</option>
+                  ))}
+                </select>
+                <button onClick={() => setConfirmReset(true)} disabled={resetting || runningRoutine !== null} className="btn btn-outline">
+                  {resetting ? <Loader2 className="loading-spinner" /> : <Power size={16} />}
+                  Display neu starten
+                </button>
+              </div>
+            </div>
+          </div>
+        )}
+
+        {/* Speicher (Hex-Ansicht) */}
+        {connected && (
+          <div className="card">
+            <div className="card-header">
+              <h2 className="card-title">
+                <MemoryStick size={20} />
+                Speicher
+              </h2>
+              <p className="card-description">
+                Liest Speicher per ReadMemoryByAddress (0x23) und sucht Text oder Bytes, z.B. den Produktcode
+              </p>
+            </div>
+
+            <div className="card-content">
+              <div className="hex-toolbar">
+                <input
+                  className="input"
+                  value={memoryAddress}
+                  onChange={(e) => setMemoryAddress(e.target.value)}
+                  onKeyDown={(e) => e.key === 'Enter' && readMemoryPage(memoryAddress)}
+                  disabled={readingMemory}
+                  aria-label="Adresse"
+                />
+                <div className="btn-group">
+                  <button
+                    onClick={() => readMemoryPage(Math.max(0, memoryPage.address - MEMORY_PAGE_SIZE))}
+                    disabled={readingMemory || !memoryPage || memoryPage.address === 0}
+                    className="btn btn-ghost"
+                    aria-label="Vorherige Seite"
+                  >
+                    <ChevronLeft size={16} />
+                  </button>
+                  <button onClick={() => readMemoryPage(memoryAddress)} disabled={readingMemory} className="btn btn-outline">
+                    {readingMemory ? <Loader2 className="loading-spinner" /> : <RefreshCw size={16} />}
+                    Lesen
+                  </button>
+                  <button
+                    onClick={() => readMemoryPage(memoryPage.address + MEMORY_PAGE_SIZE)}
+                    disabled={readingMemory || !memoryPage}
+                    className="btn btn-ghost"
+                    aria-label="Nächste Seite"
+                  >
+                    <ChevronRight size={16} />
+                  </button>
+                </div>
+              </div>
+
+              <div className="hex-toolbar hex-toolbar-search mt-4">
+                <input
+                  className="input"
+                  value={searchPattern}
+                  onChange={(e) => setSearchPattern(e.target.value)}
+                  onKeyDown={(e) => e.key === 'Enter' && searchMemory()}
+                  placeholder='Text (BUI255) oder Hex (0x42 55 49)'
+                  disabled={readingMemory}
+                  aria-label="Suchmuster"
+                />
+                <input
+                  className="input"
+                  value={searchLength}
+                  onChange={(e) => setSearchLength(e.target.value)}
+                  disabled={readingMemory}
+                  title="Suchbereich in Bytes ab der Adresse"
+                  aria-label="Suchbereich"
+                />
+                <button onClick={searchMemory} disabled={readingMemory || !searchPattern} className="btn btn-outline">
+                  <Search size={16} />
+                  Suchen
+                </button>
+              </div>
+
+              {memoryError && (
+                <div className="alert alert-error mt-4">
+                  <AlertCircle size={16} />
+                  <div className="alert-content">
+                    <span className="alert-message">{memoryError}</span>
+                  </div>
+                </div>
+              )}
+
+              {searchResult && (
+                <div className="hex-results">
+                  <span className="info-hint">
+                    {searchResult.matches.length === 0
+                      ? `"${searchResult.pattern}" nicht gefunden (${searchResult.length} Bytes ab ${searchResult.address})`
+                      : `${searchResult.matches.length}${searchResult.truncated ? '+' : ''} Fundstelle(n) für "${searchResult.pattern}":`}
+                  </span>
+                  {searchResult.matches.map(match => {
+                    const address = parseInt(match, 16)
+                    return (
+                      <button
+                        key={match}
+                        onClick={() => readMemoryPage(address - (address % MemoryView.ROW_WIDTH))}
+                        disabled={readingMemory}
+                        className="btn btn-ghost btn-sm"
+                      >
+                        {match}
+                      </button>
+                    )
+                  })}
+                </div>
+              )}
+
+              {memoryPage && (
+                <div className="hex-view">
+                  {MemoryView.rows(memoryPage.address, memoryPage.bytes).map((row, rowIndex) => (
+                    <div key={row.address}>
+                      <span className="hex-address">{row.address}</span>
+                      {row.hex.map((byte, index) => (
+                        <span
+                          key={index}
+                          className={`hex-byte ${highlighted.has(rowIndex * MemoryView.ROW_WIDTH + index) ? 'hex-match' : ''}`}
+                        >
+                          {byte}
+                        </span>
+                      ))}
+                      <span className="hex-ascii">{row.ascii}</span>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          </div>
+        )}
+
+        {/* Firmware Pre-Flight */}
+        {connected && (
+          <div className="card">
+            <div className="card-header">
+              <h2 className="card-title">
+                <FileCheck size={20} />
+                Firmware prüfen
+              </h2>
+              <p className="card-description">
+                Prüft einen Firmware-Container (.bhfw) gegen Komponente, Artikelnummer und Hardware des Displays.
+                Es wird nichts geflasht.
+              </p>
+            </div>
+
+            <div className="card-content">
+              <input ref={firmwareInput} type="file" accept=".bhfw,.bin" onChange={checkFirmware} hidden />
+              <button
+                onClick={() => firmwareInput.current.click()}
+                disabled={checkingFirmware}
+                className="btn btn-outline"
+              >
+                {checkingFirmware ? <Loader2 className="loading-spinner" /> : <FileCheck size={16} />}
+                Firmware-Datei wählen
+              </button>
+
+              {firmwareReport && !firmwareReport.success && (
+                <div className="alert alert-error mt-4">
+                  <AlertCircle size={16} />
+                  <div className="alert-content">
+                    <span className="alert-message">{firmwareReport.name}: {firmwareReport.error}</span>
+                  </div>
+                </div>
+              )}
+
+              {firmwareReport && firmwareReport.success && (
+                <div className="mt-4">
+                  <div className={`alert ${firmwareReport.data.ok ? 'alert-success' : 'alert-error'}`}>
+                    {firmwareReport.data.ok ? <CheckCircle size={16} /> : <AlertCircle size={16} />}
+                    <div className="alert-content">
+                      <span className="alert-message">
+                        <strong>{firmwareReport.data.ok ? 'Pre-Flight bestanden' : 'Pre-Flight fehlgeschlagen'}</strong>
+                        {' – '}{firmwareReport.name}: {firmwareReport.data.image.component} {firmwareReport.data.image.partNumber},
+                        SW {firmwareReport.data.image.softwareVersion}, {firmwareReport.data.image.size} Bytes
+                      </span>
+                    </div>
+                  </div>
+
+                  <div className="info-grid mt-4">
+                    {firmwareReport.data.checks.map(check => (
+                      <div className={`info-item ${check.ok ? '' : 'info-item-error'}`} key={check.name}>
+                        <span className="info-label">
+                          {check.ok ? '✓' : '✗'} {check.name}
+                        </span>
+                        <span className="info-value">Image: {check.expected}</span>
+                        <span className="info-hint">Gerät: {check.actual}</span>
+                      </div>
+                    ))}
+                    {firmwareReport.data.image.segments.map(segment => (
+                      <div className="info-item" key={segment.address}>
+                        <span className="info-label">Segment {segment.address}</span>
+                        <span className="info-value">{segment.length} Bytes</span>
+                        <span className="info-hint">CRC-32 {segment.crc}</span>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              )}
+            </div>
+          </div>
+        )}
       </div>
+
+      {/* Bestätigung: Fehlerspeicher löschen (ClearDiagnosticInformation) */}
+      {confirmClear && (
+        <div className="dialog-backdrop" onClick={() => !readingFaults && setConfirmClear(false)}>
+          <div className="dialog" role="dialog" aria-modal="true" onClick={(e) => e.stopPropagation()}>
+            <h2 className="card-title">
+              <Trash2 size={18} />
+              Fehlerspeicher löschen?
+            </h2>
+            <p className="card-description">
+              Alle {faultMemory?.dtcs.length} Fehlercodes samt Umgebungsdaten werden auf dem Display gelöscht.
+              Vorher die Daten herunterladen, falls sie noch gebraucht werden.
+            </p>
+
+            <div className="btn-group">
+              <button onClick={() => readFaultMemory(true)} disabled={readingFaults} className="btn btn-primary">
+                {readingFaults ? <Loader2 className="loading-spinner" /> : <Trash2 size={16} />}
+                Löschen
+              </button>
+              <button onClick={() => setConfirmClear(false)} disabled={readingFaults} className="btn btn-ghost">
+                Abbrechen
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Bestätigung: Routine oberhalb von "harmless" starten */}
+      {confirmRoutine && (
+        <div className="dialog-backdrop" onClick={() => !runningRoutine && setConfirmRoutine(null)}>
+          <div className="dialog" role="dialog" aria-modal="true" onClick={(e) => e.stopPropagation()}>
+            <h2 className="card-title">
+              <Cog size={18} />
+              {confirmRoutine.name} starten?
+            </h2>
+            <p className="card-description">
+              {SAFETY_LEVELS[confirmRoutine.safety].label}: {confirmRoutine.description}.
+            </p>
+
+            <div className="btn-group">
+              <button onClick={() => runRoutine(confirmRoutine, 'start', true)} disabled={runningRoutine !== null} className="btn btn-primary">
+                {runningRoutine ? <Loader2 className="loading-spinner" /> : <Play size={16} />}
+                Starten
+              </button>
+              <button onClick={() => setConfirmRoutine(null)} disabled={runningRoutine !== null} className="btn btn-ghost">
+                Abbrechen
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Bestätigung: Display neu starten (ECUReset) */}
+      {confirmReset && (
+        <div className="dialog-backdrop" onClick={() => !resetting && setConfirmReset(false)}>
+          <div className="dialog" role="dialog" aria-modal="true" onClick={(e) => e.stopPropagation()}>
+            <h2 className="card-title">
+              <Power size={18} />
+              Display neu starten?
+            </h2>
+            <p className="card-description">
+              {RESET_TYPES.find(type => type.id === resetType).label}: Laufende Routinen werden beendet, Session und
+              SecurityAccess gehen verloren. Danach wird die Verbindung automatisch wiederhergestellt.
+            </p>
+
+            <div className="btn-group">
+              <button onClick={resetDisplay} disabled={resetting} className="btn btn-primary">
+                {resetting ? <Loader2 className="loading-spinner" /> : <Power size={16} />}
+                Neu starten
+              </button>
+              <button onClick={() => setConfirmReset(false)} disabled={resetting} className="btn btn-ghost">
+                Abbrechen
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Bearbeiten-Dialog (WriteDataByIdentifier) */}
+      {editEntry && (
+        <div className="dialog-backdrop" onClick={() => !writing && setEditEntry(null)}>
+          <div className="dialog" role="dialog" aria-modal="true" onClick={(e) => e.stopPropagation()}>
+            <h2 className="card-title">
+              <Pencil size={18} />
+              {editEntry.name} schreiben
+            </h2>
+            <p className="card-description">
+              DID {ProtocolHelper.formatIdentifier(editEntry.did)} · Datentyp {editEntry.type}
+              {!editEntry.confirmed && ' · nicht bestätigt'}
+            </p>
+
+            <input
+              className="input"
+              value={editValue}
+              onChange={(e) => {
+                setEditValue(e.target.value)
+                setWritePreview(null)
+              }}
+              disabled={writing}
+              autoFocus
+            />
+
+            {writePreview && (
+              <div className="dialog-preview">
+                <span className="info-label">Frames (Dry-Run)</span>
+                {writePreview.frames.map((frame, index) => (
+                  <code key={index} className="info-value">{frame}</code>
+                ))}
+              </div>
+            )}
+
+            {writeError && (
+              <div className="alert alert-error">
+                <AlertCircle size={16} />
+                <div className="alert-content">
+                  <span className="alert-message">{writeError}</span>
+                </div>
+              </div>
+            )}
+
+            <div className="btn-group">
+              <button onClick={() => submitWrite(true)} disabled={writing} className="btn btn-outline">
+                Vorschau (Dry-Run)
+              </button>
+              <button onClick={() => submitWrite(false)} disabled={writing} className="btn btn-primary">
+                {writing ? <Loader2 className="loading-spinner" /> : <Pencil size={16} />}
+                Schreiben
+              </button>
+              <button onClick={() => setEditEntry(null)} disabled={writing} className="btn btn-ghost">
+                Abbrechen
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
     </div>
   )
 }
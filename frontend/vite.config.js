@@ -3,6 +3,10 @@ import react from '@vitejs/plugin-react'
 
 export default defineConfig({
   plugins: [react()],
+  // Gemeinsames Protokoll-Paket ist CommonJS und muss vorgebündelt werden
+  optimizeDeps: {
+    include: ['bosch-hmi-protocol']
+  },
   server: {
     port: 3001,
     proxy: {
@@ -19,6 +23,9 @@ export default defineConfig({
   },
   build: {
     outDir: 'dist',
-    sourcemap: true
+    sourcemap: true,
+    commonjsOptions: {
+      include: [/shared/, /node_modules/]
+    }
   }
 })
@@ -0,0 +1,48 @@
+/**
+ * Bosch eBike HMI Protokoll-Paket
+ * Gemeinsame Protokoll-Logik für Backend (Node) und Frontend (Browser)
+ */
+
+const protocols = require('./lib/protocols');
+const { FrameSegmenter, FrameReassembler } = require('./lib/FrameSegmenter');
+const { DidRegistry, DECODERS } = require('./lib/DidRegistry');
+const { KeyAlgorithmRegistry, KEY_ALGORITHMS } = require('./lib/KeyAlgorithmRegistry');
+const { DisplayClock } = require('./lib/DisplayClock');
+const { FirmwareImage } = require('./lib/FirmwareImage');
+const { DtcCatalog } = require('./lib/DtcCatalog');
+const { MemoryView } = require('./lib/MemoryView');
+const { RoutineRegistry, SAFETY_LEVELS } = require('./lib/RoutineRegistry');
+const { ReadoutProfileRegistry } = require('./lib/ReadoutProfileRegistry');
+const { StaticValueCache } = require('./lib/StaticValueCache');
+const BoschDisplayTool = require('./lib/BoschDisplayTool');
+const { DisplaySimulator } = require('./lib/DisplaySimulator');
+const { SessionReplay } = require('./lib/SessionReplay');
+const { VirtualHidDevice } = require('./lib/VirtualHidDevice');
+const SIMULATOR_PROFILES = require('./profiles');
+const RECORDINGS = require('./recordings');
+const transports = require('./lib/transports');
+
+module.exports = {
+  ...protocols,
+  FrameSegmenter,
+  FrameReassembler,
+  DidRegistry,
+  DECODERS,
+  KeyAlgorithmRegistry,
+  KEY_ALGORITHMS,
+  DisplayClock,
+  FirmwareImage,
+  DtcCatalog,
+  MemoryView,
+  RoutineRegistry,
+  SAFETY_LEVELS,
+  ReadoutProfileRegistry,
+  StaticValueCache,
+  BoschDisplayTool,
+  DisplaySimulator,
+  SessionReplay,
+  VirtualHidDevice,
+  SIMULATOR_PROFILES,
+  RECORDINGS,
+  ...transports
+};
@@ -0,0 +1,8 @@
+/**
+ * Mitgelieferte Schlüsselalgorithmen für SecurityAccess (0x27)
+ * Echte Algorithmen werden als lokale Plugins registriert (siehe simulator.js)
+ */
+
+module.exports = {
+  simulator: require('./simulator')
+};
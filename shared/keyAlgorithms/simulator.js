@@ -0,0 +1,22 @@
+/**
+ * Test-Schlüsselalgorithmus für SecurityAccess (0x27)
+ * Wird vom Display-Simulator verwendet - NICHT der Algorithmus echter Displays.
+ *
+ * Dient gleichzeitig als Vorlage für eigene Plugins (lokale Datei, z.B.
+ * "node index.js read --security 0x01 --key-algorithm ./meinAlgorithmus.js"):
+ *   name        - eindeutiger Name
+ *   levels      - unterstützte Security-Level (optional, Request-Seed-Sub-Functions)
+ *   computeKey  - (seed, level) => Key-Bytes (Array/Uint8Array, auch als Promise)
+ */
+
+const MASK = [0x42, 0x4F, 0x53, 0x43]; // "BOSC"
+
+module.exports = {
+  name: 'simulator',
+  description: 'XOR-Testalgorithmus des Display-Simulators',
+  levels: [0x01, 0x03, 0x11],
+
+  computeKey(seed, level) {
+    return Array.from(seed).map((byte, index) => ((byte ^ MASK[index % MASK.length]) + level) & 0xFF);
+  }
+};
@@ -0,0 +1,1693 @@
+const { 
+  UDS_SERVICES, 
+  DIAGNOSTIC_SESSIONS,
+  HID_FRAME_HEADERS,
+  ERROR_CODES,
+  UDS_TIMING,
+  DOWNLOAD_FORMAT,
+  MEMORY_FORMAT,
+  SEGMENTATION,
+  DTC_REPORT_TYPES,
+  ECU_RESET_TYPES,
+  ALL_DTC_GROUPS,
+  ALL_DTC_RECORDS,
+  ProtocolHelper,
+  UdsNegativeResponseError,
+  PcapAnalyzer
+} = require('./protocols');
+const { FrameSegmenter } = require('./FrameSegmenter');
+const { DidRegistry } = require('./DidRegistry');
+const { KeyAlgorithmRegistry } = require('./KeyAlgorithmRegistry');
+const { DisplayClock } = require('./DisplayClock');
+const { FirmwareImage } = require('./FirmwareImage');
+const { DtcCatalog } = require('./DtcCatalog');
+const { MemoryView } = require('./MemoryView');
+const { RoutineRegistry, SAFETY_LEVELS, ROUTINE_CONTROLS } = require('./RoutineRegistry');
+const { ReadoutProfileRegistry } = require('./ReadoutProfileRegistry');
+const { Transport, TRANSPORT_EVENTS } = require('./transports/Transport');
+const UdsDispatcher = require('./transports/UdsDispatcher');
+
+/**
+ * Standard-Logger (Konsole); im Backend durch eine farbige Variante ersetzbar
+ */
+const defaultLogger = {
+  info: (...args) => console.log(...args),
+  success: (...args) => console.log(...args),
+  warn: (...args) => console.warn(...args),
+  error: (...args) => console.error(...args),
+  debug: (...args) => console.log(...args)
+};
+
+/**
+ * Seriennummer je Steuergerät: Schlüssel für die statischen Werte im Cache
+ */
+const SERIAL_IDENTIFIERS = {
+  HMI: 'SERIAL_NUMBER',
+  DU: 'DU_SERIAL_NUMBER',
+  BMS: 'BMS_SERIAL_NUMBER'
+};
+
+/**
+ * Höchstzahl DIDs je 0x22-Request beim Sammellesen; der Request bleibt damit ein Single Frame
+ */
+const MAX_BATCH_IDENTIFIERS = 10;
+
+/**
+ * NRCs, mit denen ein Steuergerät mehrere DIDs in einem Request ablehnt
+ * (0x13: nur ein DID je Request erlaubt, 0x31: keiner der DIDs wird unterstützt)
+ */
+const BATCH_REJECTED_NRCS = [ERROR_CODES.INCORRECT_MESSAGE_LENGTH, ERROR_CODES.REQUEST_OUT_OF_RANGE];
+
+/**
+ * Kurz vor einem Minutenwechsel (Sekunden) wird mit dem Stellen der Uhr gewartet,
+ * damit der Read-Back nicht schon die nächste Minute liefert
+ */
+const CLOCK_SYNC_GUARD = 58;
+
+/**
+ * Security-Level, das zum Stellen der Uhr bei NRC 0x33 entsperrt wird, wenn kein autoSecurity gesetzt ist
+ */
+const CLOCK_SECURITY_LEVEL = 0x01;
+
+const toHex = (bytes) => Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join(' ').toUpperCase();
+
+const toUint32 = (value) => [24, 16, 8, 0].map(shift => (value >>> shift) & 0xFF);
+
+const toUint = (value, length) =>
+  Array.from({ length }, (_, index) => Math.floor(value / 2 ** (8 * (length - 1 - index))) & 0xFF);
+
+const sameDid = (a, b) => a.did[0] === b.did[0] && a.did[1] === b.did[1];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Fehler für die übrigen DIDs eines Steuergeräts, das schon nicht geantwortet hat
+ */
+const unreachableError = (ecu) => Object.assign(new Error(`${ecu} antwortet nicht`), { unreachable: true });
+
+const isUnreachable = (error) => Boolean(error) && (error.message === 'TIMEOUT' || error.unreachable === true);
+
+/**
+ * Nimmt der Profil-Eintrag den Fehler hin? ("timeout" oder NRC aus "tolerate")
+ */
+const isTolerated = (item, error) => (isUnreachable(error)
+  ? item.tolerate.includes('timeout')
+  : error instanceof UdsNegativeResponseError && item.tolerate.includes(error.nrc));
+
+/**
+ * Ergänzt eine Fehlermeldung um Kontext, ohne typisierte UDS-Fehler zu verlieren
+ */
+function withContext(error, context) {
+  if (error instanceof UdsNegativeResponseError) {
+    return error;
+  }
+  return new Error(`${context}: ${error.message}`);
+}
+
+/**
+ * Hauptklasse für die Kommunikation mit Bosch eBike Displays
+ * Läuft unverändert in Node und im Browser über einen Transport
+ * (WebHID, WebUSB, node-hid, Loopback - siehe transports/Transport.js)
+ */
+class BoschDisplayTool {
+  /**
+   * @param {Transport} transport
+   * @param {Object} options
+   * @param {DidRegistry} options.registry - DID-Dictionary
+   * @param {Object} options.logger - Logger mit info/success/warn/error/debug
+   * @param {string|Object} options.autoSession - Session-Wechsel bei NRC 0x7E/0x7F:
+   *   null (aus), Session-Name für alle Services ('extended') oder { [serviceId]: Session-Name }
+   * @param {number} options.testerPresentInterval - Keep-Alive-Intervall in Nicht-Default-Sessions (ms)
+   * @param {KeyAlgorithmRegistry} options.keyAlgorithms - Schlüsselalgorithmen für SecurityAccess
+   * @param {string|Object} options.keyAlgorithm - Standard-Algorithmus (Name oder Plugin)
+   * @param {number} options.autoSecurity - Security-Level, das bei NRC 0x33 automatisch entsperrt wird
+   * @param {DtcCatalog} options.dtcCatalog - Katalog für Fehlercodes
+   * @param {RoutineRegistry} options.routines - Routine-Katalog für RoutineControl
+   * @param {ReadoutProfileRegistry} options.readoutProfiles - Auslese-Profile für readAllInformation
+   * @param {StaticValueCache} options.cache - Cache für statische Data Identifier (null: aus)
+   */
+  constructor(transport = null, {
+    registry = DidRegistry.default,
+    logger = defaultLogger,
+    autoSession = null,
+    testerPresentInterval = UDS_TIMING.TESTER_PRESENT_INTERVAL,
+    keyAlgorithms = KeyAlgorithmRegistry.default,
+    keyAlgorithm = null,
+    autoSecurity = null,
+    dtcCatalog = DtcCatalog.default,
+    routines = RoutineRegistry.default,
+    readoutProfiles = ReadoutProfileRegistry.default,
+    cache = null
+  } = {}) {
+    this.device = null;
+    this.transport = transport;
+    this.registry = registry;
+    this.logger = logger;
+    this.isConnected = false;
+    this.dispatcher = null;
+    this.autoSession = autoSession;
+    this.testerPresentInterval = testerPresentInterval;
+    this.testerPresentTimer = null;
+    this.session = 'default';
+    this.keyAlgorithms = keyAlgorithms;
+    this.keyAlgorithm = keyAlgorithm;
+    this.autoSecurity = autoSecurity;
+    this.dtcCatalog = dtcCatalog;
+    this.routines = routines;
+    this.readoutProfiles = readoutProfiles;
+    this.securityLevel = null;
+    this.securityLockedUntil = 0;
+    this.multiDid = {};
+    this.cache = cache;
+    this.volatileValues = new Map(); // "volatile"-DIDs der laufenden Verbindung
+    this.handleTransportDisconnect = this.handleTransportDisconnect.bind(this);
+    this.handleTransportError = this.handleTransportError.bind(this);
+  }
+
+  /**
+   * Verbindet mit dem Gerät des Transports
+   */
+  async connect(device = null) {
+    if (!this.transport) {
+      throw new Error('Kein Transport initialisiert!');
+    }
+    if (!Transport.isTransport(this.transport)) {
+      throw new Error('Transport erfüllt den Vertrag nicht (open/close/write/read/on/off)');
+    }
+
+    try {
+      this.transport.on(TRANSPORT_EVENTS.DISCONNECT, this.handleTransportDisconnect);
+      this.transport.on(TRANSPORT_EVENTS.ERROR, this.handleTransportError);
+      await this.transport.open();
+      this.dispatcher = new UdsDispatcher(this.transport, { logger: this.logger });
+      this.multiDid = {};
+      this.volatileValues.clear();
+      this.device = device || this.transport.info || {};
+      this.isConnected = true;
+      
+      this.logger.success(`✓ Verbunden mit ${this.device.productName || 'Bosch Display'} (${this.transport.capabilities.name})`);
+      
+      // Führe Handshake durch
+      await this.performHandshake();
+      
+    } catch (error) {
+      this.isConnected = false;
+      throw new Error(`Verbindungsfehler: ${error.message}`);
+    }
+  }
+
+  /**
+   * Gerät wurde getrennt (Transport-Event)
+   */
+  handleTransportDisconnect({ reason } = {}) {
+    if (this.isConnected && reason !== 'closed') {
+      this.logger.warn(`⚠️  Display getrennt (${reason})`);
+    }
+    this.isConnected = false;
+    this.resetSession();
+  }
+
+  /**
+   * Asynchroner Transportfehler (Transport-Event)
+   */
+  handleTransportError(error) {
+    this.logger.error(`❌ Transportfehler: ${error.message}`);
+  }
+
+  /**
+   * Führt den initialen Handshake mit dem Display durch
+   */
+  async performHandshake() {
+    if (!this.isConnected) {
+      throw new Error('Nicht mit dem Display verbunden!');
+    }
+
+    try {
+      this.logger.info('🤝 Führe Handshake durch...');
+      
+      // Handshake Request mit Protokoll-Helper, Response über den Header erkennen
+      const handshakeRequest = ProtocolHelper.createHandshakeFrame();
+      const isHandshakeResponse = (response) =>
+        HID_FRAME_HEADERS.HANDSHAKE_RESPONSE.every((byte, index) => response[index] === byte);
+
+      await this.dispatcher.exchange(handshakeRequest, isHandshakeResponse, 1000);
+      this.logger.success('✓ Handshake erfolgreich');
+      return true;
+      
+    } catch (error) {
+      throw new Error(`Handshake-Fehler: ${error.message}`);
+    }
+  }
+
+  /**
+   * Sendet eine UDS-Payload (SID + Daten) über die Request-Warteschlange
+   * Gibt die vollständige Response-Payload (Response-SID + Daten) zurück;
+   * parallele Aufrufe werden serialisiert und über SID/Echo zugeordnet.
+   * Bei NRC 0x7E/0x7F (autoSession) bzw. 0x33 (autoSecurity) wird Session bzw.
+   * Security-Level hergestellt und der Request wiederholt - je Art höchstens einmal.
+   * Session und Security werden nur für das Display geführt, daher gilt das nur für ecu 'HMI'.
+   *
+   * @param {Object} options
+   * @param {string} options.ecu - adressiertes Steuergerät ('HMI', 'DU', 'BMS', 'CHARGER')
+   * @param {number} options.echoLength - Echo-Länge für die Zuordnung (Standard je Service)
+   * @param {number} options.security - bei NRC 0x33 zu entsperrendes Level (Standard: autoSecurity)
+   */
+  async request(payload, { timeout = UDS_TIMING.P2_TIMEOUT, ecu = 'HMI', echoLength = null, security = this.autoSecurity } = {}) {
+    const recovered = new Set();
+
+    while (true) {
+      try {
+        return await this.dispatch(payload, timeout, ecu, echoLength);
+      } catch (error) {
+        const recovery = ecu === 'HMI' ? await this.recoverFrom(error, payload[0], recovered, security) : null;
+        if (!recovery) {
+          throw error;
+        }
+        recovered.add(recovery);
+      }
+    }
+  }
+
+  /**
+   * Stellt nach einer session- oder security-bedingten NRC die Voraussetzungen her
+   * Entsperrt wird nur mit Schlüsselalgorithmus; liefert die Art der Wiederherstellung ('session', 'security') oder null
+   */
+  async recoverFrom(error, serviceId, recovered, security = this.autoSecurity) {
+    if (!(error instanceof UdsNegativeResponseError)) {
+      return null;
+    }
+
+    const targetSession = error.isSessionRelated ? this.sessionFor(serviceId) : null;
+    if (targetSession && !recovered.has('session') &&
+        serviceId !== UDS_SERVICES.DIAGNOSTIC_SESSION_CONTROL) {
+      this.logger.info(`🔁 Service 0x${serviceId.toString(16)} erfordert Session "${targetSession}" - wechsle...`);
+      await this.startSession(targetSession);
+      return 'session';
+    }
+
+    if (error.nrc === ERROR_CODES.SECURITY_ACCESS_DENIED && security && this.keyAlgorithm &&
+        !recovered.has('security') && serviceId !== UDS_SERVICES.SECURITY_ACCESS) {
+      this.logger.info(`🔁 Service 0x${serviceId.toString(16)} erfordert SecurityAccess - entsperre...`);
+      this.securityLevel = null; // Display ist offensichtlich gesperrt
+      await this.securityAccess(security);
+      return 'security';
+    }
+
+    return null;
+  }
+
+  /**
+   * Übergibt eine Payload an den Dispatcher und vereinheitlicht die Fehler
+   */
+  async dispatch(payload, timeout, ecu = 'HMI', echoLength = null) {
+    if (!this.isConnected || !this.dispatcher) {
+      throw new Error('Nicht mit dem Display verbunden!');
+    }
+
+    try {
+      return await this.dispatcher.request(payload, { timeout, header: ProtocolHelper.requestHeader(ecu), echoLength });
+    } catch (error) {
+      if (error instanceof UdsNegativeResponseError) {
+        throw error;
+      }
+      if (error.message.includes('Timeout') || error.message.includes('TIMEOUT')) {
+        throw new Error('TIMEOUT');
+      }
+      throw new Error(`UDS-Request-Fehler: ${error.message}`);
+    }
+  }
+
+  /**
+   * Ziel-Session für einen Service laut autoSession (oder null)
+   */
+  sessionFor(serviceId) {
+    if (!this.autoSession) {
+      return null;
+    }
+    if (typeof this.autoSession === 'string') {
+      return this.autoSession;
+    }
+    return this.autoSession[serviceId] || null;
+  }
+
+  /**
+   * Wechselt die Diagnose-Session (0x10): 'default', 'extended' oder 'programming'
+   * Außerhalb der Default-Session hält TesterPresent die Session im Hintergrund offen
+   */
+  async startSession(session) {
+    const name = String(session).toLowerCase();
+    const subFunction = DIAGNOSTIC_SESSIONS[name.toUpperCase()];
+    if (subFunction === undefined) {
+      throw new Error(`Unbekannte Diagnose-Session "${session}" (verfügbar: ${Object.keys(DIAGNOSTIC_SESSIONS).map(key => key.toLowerCase()).join(', ')})`);
+    }
+
+    const response = await this.dispatch([UDS_SERVICES.DIAGNOSTIC_SESSION_CONTROL, subFunction], UDS_TIMING.P2_TIMEOUT);
+
+    // Optional: Session-Parameter P2 (ms) und P2* (10 ms)
+    const timing = response.length >= 6
+      ? { p2: (response[2] << 8) | response[3], p2Extended: ((response[4] << 8) | response[5]) * 10 }
+      : null;
+
+    this.session = name;
+    this.securityLevel = null; // Ein Session-Wechsel sperrt das Display wieder
+    this.logger.success(`✓ Diagnose-Session "${name}" aktiv`);
+
+    if (name === 'default') {
+      this.stopTesterPresent();
+    } else {
+      this.startTesterPresent();
+    }
+
+    return { session: name, timing };
+  }
+
+  /**
+   * Sendet TesterPresent (0x3E 00)
+   */
+  async testerPresent() {
+    await this.dispatch([UDS_SERVICES.TESTER_PRESENT, 0x00], UDS_TIMING.P2_TIMEOUT);
+  }
+
+  /**
+   * Startet das Keep-Alive; solange Requests laufen, ist es nicht nötig
+   */
+  startTesterPresent() {
+    this.stopTesterPresent();
+
+    this.testerPresentTimer = setInterval(async () => {
+      if (!this.isConnected || !this.dispatcher || this.dispatcher.pending > 0) {
+        return;
+      }
+
+      try {
+        await this.testerPresent();
+      } catch (error) {
+        this.logger.warn(`⚠️  TesterPresent fehlgeschlagen (${error.message}) - Session "${this.session}" verloren`);
+        this.resetSession();
+      }
+    }, this.testerPresentInterval);
+  }
+
+  /**
+   * Beendet das Keep-Alive
+   */
+  stopTesterPresent() {
+    if (this.testerPresentTimer) {
+      clearInterval(this.testerPresentTimer);
+      this.testerPresentTimer = null;
+    }
+  }
+
+  /**
+   * Setzt den Session-Zustand auf Default zurück (ohne Request)
+   */
+  resetSession() {
+    this.stopTesterPresent();
+    this.session = 'default';
+    this.securityLevel = null;
+  }
+
+  /**
+   * Entsperrt ein Security-Level (0x27): Seed anfordern, Key über das
+   * Schlüsselalgorithmus-Plugin berechnen und senden
+   * Das entsperrte Level gilt bis zum nächsten Session-Wechsel
+   *
+   * @param {number} level - Request-Seed-Sub-Function (ungerade, z.B. 0x01)
+   * @param {Object} options
+   * @param {string|Object} options.algorithm - Plugin-Name oder Plugin (Standard: keyAlgorithm)
+   */
+  async securityAccess(level, { algorithm = this.keyAlgorithm } = {}) {
+    if (!Number.isInteger(level) || level < 0x01 || level > 0x7D || level % 2 === 0) {
+      throw new Error(`Ungültiges Security-Level ${level} (ungerade Sub-Function 0x01-0x7D erwartet)`);
+    }
+    if (!algorithm) {
+      throw new Error('Kein Schlüsselalgorithmus für SecurityAccess konfiguriert');
+    }
+    if (this.securityLevel === level) {
+      return { level, alreadyUnlocked: true };
+    }
+
+    const remaining = this.securityLockedUntil - Date.now();
+    if (remaining > 0) {
+      throw new Error(`SecurityAccess gesperrt - erneuter Versuch in ${Math.ceil(remaining / 1000)} s möglich`);
+    }
+
+    const levelName = `0x${level.toString(16).padStart(2, '0')}`;
+
+    try {
+      this.logger.info(`🔐 Fordere Seed für Security-Level ${levelName} an...`);
+      const seedResponse = await this.request([UDS_SERVICES.SECURITY_ACCESS, level]);
+      const seed = seedResponse.slice(2);
+
+      // Seed aus Nullbytes: Level ist bereits entsperrt
+      if (seed.every(byte => byte === 0x00)) {
+        this.securityLevel = level;
+        this.logger.success(`✓ Security-Level ${levelName} bereits entsperrt`);
+        return { level, alreadyUnlocked: true };
+      }
+
+      const key = await this.keyAlgorithms.computeKey(algorithm, seed, level);
+      await this.request([UDS_SERVICES.SECURITY_ACCESS, level + 1, ...key]);
+
+      this.securityLevel = level;
+      this.logger.success(`✓ Security-Level ${levelName} entsperrt`);
+      return { level, alreadyUnlocked: false };
+
+    } catch (error) {
+      if (error instanceof UdsNegativeResponseError) {
+        this.handleSecurityAccessNrc(error);
+      }
+      throw withContext(error, 'SecurityAccess-Fehler');
+    }
+  }
+
+  /**
+   * Sperrzeiten nach NRC 0x36 (zu viele Fehlversuche) und 0x37 (Wartezeit läuft)
+   */
+  handleSecurityAccessNrc(error) {
+    switch (error.nrc) {
+      case ERROR_CODES.INVALID_KEY:
+        this.logger.warn('⚠️  SecurityAccess: ungültiger Key');
+        break;
+      case ERROR_CODES.EXCEEDED_NUMBER_OF_ATTEMPTS:
+      case ERROR_CODES.REQUIRED_TIME_DELAY_NOT_EXPIRED:
+        this.securityLockedUntil = Date.now() + UDS_TIMING.SECURITY_ACCESS_DELAY;
+        this.logger.warn(`⚠️  SecurityAccess gesperrt (${error.nrcName}) - warte ${UDS_TIMING.SECURITY_ACCESS_DELAY / 1000} s`);
+        break;
+      case ERROR_CODES.SECURITY_ACCESS_DENIED:
+        this.logger.warn('⚠️  SecurityAccess verweigert (Session oder Vorbedingungen prüfen)');
+        break;
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Sendet einen UDS-Service-Request
+   * Gibt die vollständige Response-Payload (Response-SID + Daten) zurück
+   */
+  async sendUdsRequest(serviceId, dataIdentifier, additionalData = [], timeout = UDS_TIMING.P2_TIMEOUT) {
+    return this.request([serviceId, ...dataIdentifier, ...additionalData], { timeout });
+  }
+
+  /**
+   * Liest einen Data Identifier aus dem DID-Dictionary und dekodiert ihn
+   * Der Request geht an das Steuergerät des Eintrags (z.B. DU_PART_NUMBER an die Drive Unit)
+   */
+  async readIdentifier(key, { timeout = UDS_TIMING.P2_TIMEOUT } = {}) {
+    const entry = this.registry.get(key);
+    
+    const response = await this.request([UDS_SERVICES.READ_DATA_BY_IDENTIFIER, ...entry.did], { ecu: entry.ecu, timeout });
+    
+    return this.registry.format(entry, this.registry.decode(entry, response));
+  }
+
+  /**
+   * Liest mehrere Data Identifier, je Steuergerät gebündelt in 0x22-Requests mit mehreren DIDs
+   * Lehnt ein Steuergerät das mit NRC 0x13/0x31 ab, wird einzeln gelesen (bei 0x13 für die
+   * restliche Verbindung). DIDs, die in der Response fehlen, werden einzeln nachgelesen, damit
+   * sie ihre eigene NRC erhalten. Antwortet ein Steuergerät nicht, werden seine übrigen DIDs
+   * übersprungen.
+   *
+   * @param {string[]} keys - Dictionary-Schlüssel
+   * @param {Object} options
+   * @param {boolean} options.batch - false: jeden DID einzeln lesen
+   * @param {Object} options.timeouts - Timeout je Schlüssel in ms (Sammelabfragen: größter Wert)
+   * @returns {Promise<Map<string, { value } | { error }>>}
+   */
+  async readIdentifiers(keys, { batch = true, timeouts = {} } = {}) {
+    const results = new Map();
+    const timeoutOf = (entry) => timeouts[entry.key] || UDS_TIMING.P2_TIMEOUT;
+    const byEcu = new Map();
+    keys.map(key => this.registry.get(key)).forEach(entry => {
+      byEcu.set(entry.ecu, [...(byEcu.get(entry.ecu) || []), entry]);
+    });
+
+    // Gemessen werden alle beantworteten Requests (auch abgelehnte Sammelabfragen), ohne Timeouts
+    const stats = { requests: 0, duration: 0 };
+    const unanswered = new Set();
+    const timed = async (fn) => {
+      const started = Date.now();
+      const settle = () => {
+        stats.requests++;
+        stats.duration += Date.now() - started;
+      };
+      try {
+        const response = await fn();
+        settle();
+        return response;
+      } catch (error) {
+        if (error.message !== 'TIMEOUT') {
+          settle();
+        }
+        throw error;
+      }
+    };
+
+    for (const [ecu, entries] of byEcu) {
+      const queue = [...entries];
+      let unreachable = false;
+
+      const readSingle = async (entry) => {
+        if (unreachable) {
+          results.set(entry.key, { error: unreachableError(ecu) });
+          unanswered.add(entry.key);
+          return;
+        }
+        try {
+          results.set(entry.key, { value: await timed(() => this.readIdentifier(entry.key, { timeout: timeoutOf(entry) })) });
+        } catch (error) {
+          results.set(entry.key, { error });
+          unreachable = error.message === 'TIMEOUT';
+          if (unreachable) {
+            unanswered.add(entry.key);
+          }
+        }
+      };
+
+      while (queue.length > 0) {
+        if (!batch || this.multiDid[ecu] === false || queue.length === 1 || unreachable) {
+          await readSingle(queue.shift());
+          continue;
+        }
+
+        // Einträge mit gleichem DID (z.B. CURRENT_DATE und PRESENT_DATE_TIME) nur einmal anfragen
+        const chunk = queue.splice(0, MAX_BATCH_IDENTIFIERS);
+        const requested = chunk.filter((entry, index) => chunk.findIndex(other => sameDid(other, entry)) === index);
+        const payload = [UDS_SERVICES.READ_DATA_BY_IDENTIFIER, ...requested.flatMap(entry => entry.did)];
+        let parts;
+        try {
+          const timeout = Math.max(...requested.map(timeoutOf));
+          const response = await timed(() => this.request(payload, { ecu, timeout, echoLength: 0 }));
+          parts = this.registry.splitMultiResponse(requested, response);
+          this.multiDid[ecu] = true;
+        } catch (error) {
+          if (error.message === 'TIMEOUT') {
+            unreachable = true;
+          } else if (error instanceof UdsNegativeResponseError && BATCH_REJECTED_NRCS.includes(error.nrc)) {
+            if (error.nrc === ERROR_CODES.INCORRECT_MESSAGE_LENGTH) {
+              this.multiDid[ecu] = false;
+            }
+            this.logger.debug(`↩️  ${ecu} lehnt mehrere DIDs je Request ab (${error.message}) - lese einzeln`);
+          } else {
+            this.logger.debug(`↩️  Sammelabfrage an ${ecu} fehlgeschlagen (${error.message}) - lese einzeln`);
+          }
+          for (const entry of chunk) {
+            await readSingle(entry);
+          }
+          continue;
+        }
+
+        chunk.forEach(entry => {
+          const part = parts.find(candidate => sameDid(candidate.entry, entry));
+          if (!part) {
+            return;
+          }
+          try {
+            results.set(entry.key, { value: this.registry.format(entry, this.registry.decodeValue(entry, part.bytes)) });
+          } catch (error) {
+            results.set(entry.key, { error });
+          }
+        });
+        for (const entry of chunk.filter(entry => !results.has(entry.key))) {
+          await readSingle(entry);
+        }
+      }
+    }
+
+    const identifiers = results.size - unanswered.size;
+    if (stats.requests > 0 && stats.requests < identifiers) {
+      // Einzelabfragen mit der mittleren gemessenen Request-Dauer hochgerechnet (gemessen: batch false)
+      const single = Math.round(stats.duration / stats.requests * identifiers);
+      this.logger.debug(`⚡ ${identifiers} DIDs in ${stats.requests} Requests: ${stats.duration} ms ` +
+        `(einzeln hochgerechnet ca. ${single} ms, Faktor ${(single / Math.max(stats.duration, 1)).toFixed(1)})`);
+    } else if (stats.requests > 0) {
+      this.logger.debug(`⏱️  ${identifiers} DIDs in ${stats.requests} Requests: ${stats.duration} ms`);
+    }
+
+    return results;
+  }
+
+  /**
+   * Liest Data Identifier wie readIdentifiers, nutzt aber die Cache-Klasse aus dem Dictionary:
+   * "static"-Werte kommen aus dem Cache des Geräts (Schlüssel ist die mitgelesene Seriennummer),
+   * "volatile"-Werte aus der laufenden Verbindung, "live"-Werte immer vom Gerät.
+   * Mit refresh wird alles gelesen und der Cache neu befüllt.
+   *
+   * @param {string[]} keys - Dictionary-Schlüssel
+   * @param {Object} options
+   * @param {boolean} options.batch - siehe readIdentifiers
+   * @param {Object} options.timeouts - siehe readIdentifiers
+   * @param {boolean} options.refresh - Cache umgehen
+   * @param {StaticValueCache} options.cache - Cache für statische Werte (Standard: options.cache des Konstruktors)
+   * @returns {Promise<Map<string, { value, source: 'cache'|'device' } | { error }>>}
+   */
+  async readCached(keys, { batch = true, timeouts = {}, refresh = false, cache = this.cache } = {}) {
+    const entries = [...new Set(keys)].map(key => this.registry.get(key));
+    const results = new Map();
+    const isCachedStatic = (entry) => cache && entry.cache === 'static' && SERIAL_IDENTIFIERS[entry.ecu] &&
+      entry.key !== SERIAL_IDENTIFIERS[entry.ecu];
+
+    // Zuerst Live-Werte und die Seriennummern der Steuergeräte mit statischen Werten (mit refresh alles)
+    const serialKeys = [...new Set(entries.filter(isCachedStatic).map(entry => SERIAL_IDENTIFIERS[entry.ecu]))];
+    const first = entries.filter(entry => {
+      if (!refresh && entry.cache === 'volatile' && this.volatileValues.has(entry.key)) {
+        results.set(entry.key, { value: this.volatileValues.get(entry.key), source: 'cache' });
+        return false;
+      }
+      return (refresh || !isCachedStatic(entry)) && !serialKeys.includes(entry.key);
+    });
+    const values = await this.readIdentifiers([...serialKeys, ...first.map(entry => entry.key)], { batch, timeouts });
+
+    const serialOf = (ecu) => {
+      const serial = values.get(SERIAL_IDENTIFIERS[ecu]);
+      return serial && !serial.error ? serial.value : null;
+    };
+
+    // Statische Werte aus dem Cache, fehlende danach vom Gerät
+    const units = new Map();
+    const missing = refresh ? [] : entries.filter(isCachedStatic).filter(entry => {
+      // Antwortet ein Steuergerät schon auf die Seriennummer nicht, nicht jeden DID einzeln abwarten
+      if (isUnreachable(values.get(SERIAL_IDENTIFIERS[entry.ecu]).error)) {
+        results.set(entry.key, { error: unreachableError(entry.ecu) });
+        return false;
+      }
+      if (!serialOf(entry.ecu)) {
+        return true;
+      }
+
+      if (!units.has(entry.ecu)) {
+        units.set(entry.ecu, cache.lookup(entry.ecu, serialOf(entry.ecu)));
+      }
+      const unit = units.get(entry.ecu);
+      if (!unit || unit.values[entry.key] === undefined) {
+        return true;
+      }
+      results.set(entry.key, { value: unit.values[entry.key], source: 'cache' });
+      return false;
+    });
+    (await this.readIdentifiers(missing.map(entry => entry.key), { batch, timeouts }))
+      .forEach((value, key) => values.set(key, value));
+
+    const fresh = {};
+    entries.filter(entry => !results.has(entry.key)).forEach(entry => {
+      const { value, error } = values.get(entry.key);
+      if (error) {
+        results.set(entry.key, { error });
+        return;
+      }
+
+      results.set(entry.key, { value, source: 'device' });
+      if (entry.cache === 'volatile') {
+        this.volatileValues.set(entry.key, value);
+      } else if (isCachedStatic(entry) && serialOf(entry.ecu)) {
+        fresh[entry.ecu] = { ...fresh[entry.ecu], [entry.key]: value };
+      }
+    });
+    Object.entries(fresh).forEach(([ecu, ecuValues]) => cache.store(ecu, serialOf(ecu), ecuValues));
+
+    const fromCache = [...results.values()].filter(result => result.source === 'cache').length;
+    if (fromCache > 0) {
+      this.logger.debug(`💾 ${fromCache} von ${results.size} Werten aus dem Cache`);
+    }
+
+    return results;
+  }
+
+  /**
+   * Sucht einen Dictionary-Eintrag über Schlüssel ('CURRENT_TIME') oder DID ([0x02, 0x40] / 0x0240)
+   * DIDs sind nur je Steuergerät eindeutig (DU und BMS teilen sich z.B. 0xF130)
+   */
+  resolveIdentifier(keyOrDid, ecu = 'HMI') {
+    if (typeof keyOrDid === 'string') {
+      return this.registry.get(keyOrDid);
+    }
+
+    const did = typeof keyOrDid === 'number' ? [keyOrDid >> 8, keyOrDid & 0xFF] : Array.from(keyOrDid);
+    const entry = this.registry.findByDid(did, ecu);
+    if (!entry) {
+      throw new Error(`Unbekannter Data Identifier ${ProtocolHelper.formatIdentifier(did)} (${ecu})`);
+    }
+    return entry;
+  }
+
+  /**
+   * Schreibt einen Data Identifier (0x2E) und prüft ihn per Read-Back
+   * Der Wert wird über den Datentyp des Dictionary-Eintrags kodiert; nur Einträge
+   * mit "writable": true sind erlaubt.
+   *
+   * @param {string|number|Array} keyOrDid - Dictionary-Schlüssel oder DID
+   * @param {*} value - Wert im Anzeigeformat (z.B. "14:30") oder Nutzdaten-Bytes
+   * @param {Object} options
+   * @param {boolean} options.dryRun - nur kodieren und die Frames liefern, nichts senden
+   * @param {boolean} options.verify - nach dem Schreiben zurücklesen und vergleichen
+   * @param {string} options.ecu - Steuergerät für DIDs (Schlüssel bringen es mit)
+   * @param {number} options.security - bei NRC 0x33 zu entsperrendes Level (Standard: autoSecurity)
+   */
+  async writeDataByIdentifier(keyOrDid, value, { dryRun = false, verify = true, ecu = 'HMI', security = this.autoSecurity } = {}) {
+    const entry = this.resolveIdentifier(keyOrDid, ecu);
+    if (!entry.writable) {
+      throw new Error(`${entry.name} (${ProtocolHelper.formatIdentifier(entry.did)}) ist nicht als schreibbar freigegeben`);
+    }
+
+    const data = this.registry.encode(entry, value);
+    const payload = [UDS_SERVICES.WRITE_DATA_BY_IDENTIFIER, ...entry.did, ...data];
+    const result = {
+      key: entry.key,
+      dataIdentifier: ProtocolHelper.formatIdentifier(entry.did),
+      value: this.registry.format(entry, this.registry.decodeValue(entry, data)),
+      data: toHex(data),
+      frames: FrameSegmenter.segment(payload, ProtocolHelper.requestHeader(entry.ecu)).map(toHex),
+      dryRun
+    };
+
+    if (dryRun) {
+      this.logger.info(`📝 Dry-Run ${entry.name} = ${result.value}: ${result.frames.join(' | ')}`);
+      return result;
+    }
+
+    try {
+      this.logger.info(`📝 Schreibe ${entry.name} = ${result.value}...`);
+      await this.request(payload, { ecu: entry.ecu, security });
+      this.volatileValues.delete(entry.key);
+
+      if (verify) {
+        const response = await this.request([UDS_SERVICES.READ_DATA_BY_IDENTIFIER, ...entry.did], { ecu: entry.ecu });
+        const readBack = ProtocolHelper.extractDidValue(response, entry.did).slice(0, data.length);
+
+        if (readBack.length !== data.length || !data.every((byte, index) => readBack[index] === byte)) {
+          throw new Error(`Read-Back stimmt nicht überein: geschrieben ${toHex(data)}, gelesen ${toHex(readBack)}`);
+        }
+        result.readBack = this.registry.format(entry, this.registry.decodeValue(entry, readBack));
+      }
+
+      this.logger.success(`✓ ${entry.name} geschrieben${verify ? ' und verifiziert' : ''}`);
+      return result;
+
+    } catch (error) {
+      throw withContext(error, `Schreibfehler ${entry.name}`);
+    }
+  }
+
+  /**
+   * Liest Datum und Uhrzeit des Displays (PRESENT_DATE_TIME) und vergleicht sie mit dem Host
+   * @param {Object} options
+   * @param {string} options.timeZone - IANA-Zeitzone der Display-Uhr (Standard: Host)
+   */
+  async readClock({ timeZone = null } = {}) {
+    try {
+      this.logger.info('🕐 Lese Display-Uhr...');
+      const zone = DisplayClock.resolveTimeZone(timeZone);
+      return this.compareClock(await this.readIdentifier('PRESENT_DATE_TIME'), zone);
+    } catch (error) {
+      throw withContext(error, 'Uhr-Lesefehler');
+    }
+  }
+
+  /**
+   * Vergleicht eine gelesene Display-Zeit (PRESENT_DATE_TIME) mit der Host-Zeit
+   */
+  compareClock(displayTime, zone) {
+    const host = DisplayClock.wallClock(new Date(), zone);
+    const drift = DisplayClock.drift(DisplayClock.parse(displayTime), host);
+
+    return {
+      displayTime,
+      hostTime: DisplayClock.format(host),
+      timeZone: zone,
+      driftSeconds: drift,
+      drift: DisplayClock.describeDrift(drift)
+    };
+  }
+
+  /**
+   * Stellt die Display-Uhr auf die Host-Zeit in der gewählten Zeitzone
+   * @param {Object} options
+   * @param {string} options.timeZone - IANA-Zeitzone (Standard: Host)
+   * @param {boolean} options.dryRun - nur die Frames liefern, nichts senden
+   * @param {number} options.security - bei NRC 0x33 zu entsperrendes Level (Standard: autoSecurity, sonst 0x01);
+   *   ohne Schlüsselalgorithmus bleibt es bei der NRC
+   */
+  async syncClock({ timeZone = null, dryRun = false, security = this.autoSecurity || CLOCK_SECURITY_LEVEL } = {}) {
+    const zone = DisplayClock.resolveTimeZone(timeZone);
+    const { seconds } = DisplayClock.wallClock(new Date(), zone);
+
+    if (!dryRun && seconds >= CLOCK_SYNC_GUARD) {
+      await sleep((60 - seconds) * 1000);
+    }
+
+    const hostTime = DisplayClock.format(DisplayClock.wallClock(new Date(), zone));
+    this.logger.info(`🕐 Stelle Display-Uhr auf ${hostTime} (${zone})...`);
+
+    // Entsperrt bei Bedarf wie autoSecurity, aber auch ohne: die Uhr soll sich mit einem Klick stellen lassen
+    const result = await this.writeDataByIdentifier('PRESENT_DATE_TIME', hostTime, { dryRun, security });
+    return { ...result, hostTime, timeZone: zone };
+  }
+
+  /**
+   * Prüft einen Firmware-Container gegen das verbundene Gerät (Komponente, Artikelnummer, Hardware)
+   * Es wird nur gelesen; Strukturfehler des Containers (CRC, Längen) werfen bereits beim Parsen.
+   *
+   * @param {FirmwareImage|Uint8Array|Array} container
+   * @returns {{ ok, image, device, checks }}
+   */
+  async preflightFirmware(container) {
+    const image = container instanceof FirmwareImage ? container : FirmwareImage.parse(container);
+
+    this.logger.info(`🔎 Prüfe Firmware für ${image.component} ${image.partNumber} (SW ${image.softwareVersion})...`);
+    const device = {
+      componentType: await this.readComponentType(),
+      articleNumber: await this.readArticleNumber(),
+      hardwareVersion: await this.readHardwareVersion()
+    };
+    const checks = image.checkCompatibility(device);
+    const ok = checks.every(check => check.ok);
+
+    checks.forEach(check => {
+      const line = `${check.name}: Image ${check.expected}, Gerät ${check.actual}`;
+      if (check.ok) {
+        this.logger.success(`✓ ${line}`);
+      } else {
+        this.logger.warn(`✗ ${line}`);
+      }
+    });
+
+    return { ok, image: image.describe(), device, checks };
+  }
+
+  /**
+   * Flasht einen Firmware-Container: Pre-Flight-Prüfung, danach jedes Segment per downloadFirmware
+   * Bei einer Abweichung wird abgebrochen, bevor ein RequestDownload gesendet wird
+   * (der Fehler trägt den Bericht in error.report).
+   *
+   * @param {FirmwareImage|Uint8Array|Array} container
+   * @param {Object} options - wie downloadFirmware (ohne address); onProgress erhält zusätzlich segment
+   */
+  async flashFirmware(container, { onProgress = null, ...options } = {}) {
+    const image = container instanceof FirmwareImage ? container : FirmwareImage.parse(container);
+    const report = await this.preflightFirmware(image);
+
+    if (!report.ok) {
+      const failed = report.checks.filter(check => !check.ok).map(check => check.name).join(', ');
+      const error = new Error(`Firmware passt nicht zum Gerät (${failed}) - Download abgebrochen`);
+      error.report = report;
+      throw error;
+    }
+
+    const segments = [];
+    for (const [index, segment] of image.segments.entries()) {
+      segments.push(await this.downloadFirmware(segment.data, {
+        ...options,
+        address: segment.address,
+        onProgress: onProgress && (event => onProgress({ ...event, segment: index + 1, segmentCount: image.segments.length }))
+      }));
+    }
+
+    return { report, segments };
+  }
+
+  /**
+   * Überträgt ein Firmware-Image: RequestDownload (0x34), TransferData (0x36), RequestTransferExit (0x37)
+   * Die Blockgröße ergibt sich aus maxNumberOfBlockLength der 0x34-Response, der Blockfolgezähler
+   * beginnt bei 0x01 und läuft nach 0xFF auf 0x00 über. Blöcke werden bei Timeout und NRC 0x71
+   * wiederholt (gleicher Zähler - das Steuergerät bestätigt einen bereits empfangenen Block erneut),
+   * NRC 0x73 bricht ab. Zum Schluss wird die CRC-32 aus der 0x37-Response mit dem Image verglichen.
+   *
+   * @param {Uint8Array|Array} image - Firmware-Daten
+   * @param {Object} options
+   * @param {number} options.address - Zieladresse im Speicher
+   * @param {number} options.dataFormat - dataFormatIdentifier (Kompression/Verschlüsselung)
+   * @param {string} options.session - Session für den Download (null: aktuelle beibehalten)
+   * @param {number} options.maxRetries - Wiederholungen pro Block
+   * @param {number} options.blockTimeout - Antwortzeit pro TransferData-Block (ms)
+   * @param {Function} options.onProgress - ({ phase, ... }) => void
+   */
+  async downloadFirmware(image, {
+    address = 0,
+    dataFormat = DOWNLOAD_FORMAT.DATA_FORMAT,
+    session = 'programming',
+    maxRetries = DOWNLOAD_FORMAT.MAX_BLOCK_RETRIES,
+    blockTimeout = UDS_TIMING.P2_TIMEOUT,
+    onProgress = null
+  } = {}) {
+    const data = Array.from(image);
+    const checksum = ProtocolHelper.crc32(data);
+    const report = (event) => onProgress && onProgress({ totalBytes: data.length, ...event });
+
+    if (data.length === 0) {
+      throw new Error('Firmware-Image ist leer');
+    }
+
+    try {
+      if (session && this.session !== session) {
+        await this.startSession(session);
+      }
+
+      // Nach dem Download gelten Software-Versionen usw. nicht mehr
+      this.volatileValues.clear();
+      this.logger.info(`📦 Firmware-Download: ${data.length} Bytes nach 0x${address.toString(16).padStart(8, '0')}...`);
+      report({ phase: 'request-download', bytesSent: 0 });
+      const blockLength = await this.requestDownload(address, data.length, dataFormat);
+      const blockCount = Math.ceil(data.length / blockLength);
+
+      let counter = 0x01;
+      for (let block = 0; block < blockCount; block++) {
+        const offset = block * blockLength;
+        const chunk = data.slice(offset, offset + blockLength);
+
+        await this.transferBlock(counter, chunk, { maxRetries, blockTimeout, onRetry: (attempt, reason) => {
+          report({ phase: 'retry', block: block + 1, blockCount, counter, attempt, reason, bytesSent: offset });
+        } });
+
+        report({
+          phase: 'transfer',
+          block: block + 1,
+          blockCount,
+          counter,
+          bytesSent: offset + chunk.length,
+          percent: Math.floor(((offset + chunk.length) / data.length) * 100)
+        });
+        counter = (counter + 1) & 0xFF;
+      }
+
+      report({ phase: 'transfer-exit', bytesSent: data.length });
+      const reported = await this.requestTransferExit();
+      const result = {
+        bytes: data.length,
+        blocks: blockCount,
+        blockLength,
+        checksum: `0x${checksum.toString(16).padStart(8, '0').toUpperCase()}`,
+        verified: reported !== null
+      };
+
+      if (reported === null) {
+        this.logger.warn('⚠️  Steuergerät liefert keine Prüfsumme - Download nicht verifiziert');
+      } else if (reported !== checksum) {
+        throw new Error(`Prüfsumme stimmt nicht überein: gesendet ${result.checksum}, Steuergerät 0x${reported.toString(16).padStart(8, '0').toUpperCase()}`);
+      }
+
+      this.logger.success(`✓ Firmware übertragen (${blockCount} Blöcke, CRC-32 ${result.checksum})`);
+      report({ phase: 'done', bytesSent: data.length, percent: 100, ...result });
+      return result;
+
+    } catch (error) {
+      report({ phase: 'failed', error: error.message });
+      throw withContext(error, 'Firmware-Download fehlgeschlagen');
+    }
+  }
+
+  /**
+   * 0x34 RequestDownload - liefert die Nutzdatenlänge pro TransferData-Block
+   */
+  async requestDownload(address, size, dataFormat = DOWNLOAD_FORMAT.DATA_FORMAT) {
+    const response = await this.request([
+      UDS_SERVICES.REQUEST_DOWNLOAD,
+      dataFormat,
+      DOWNLOAD_FORMAT.ADDRESS_AND_LENGTH,
+      ...toUint32(address),
+      ...toUint32(size)
+    ]);
+
+    // 74 LFID maxNumberOfBlockLength (Länge im oberen Nibble von LFID)
+    const lengthBytes = (response[1] || 0) >> 4;
+    if (lengthBytes === 0 || response.length < 2 + lengthBytes) {
+      throw new Error(`Ungültige RequestDownload-Response: ${toHex(response)}`);
+    }
+
+    const maxBlockLength = response.slice(2, 2 + lengthBytes).reduce((value, byte) => value * 256 + byte, 0);
+    // maxNumberOfBlockLength umfasst SID und Blockfolgezähler
+    const blockLength = Math.min(maxBlockLength, SEGMENTATION.MAX_PAYLOAD_LENGTH) - 2;
+    if (blockLength <= 0) {
+      throw new Error(`Ungültige maximale Blocklänge ${maxBlockLength}`);
+    }
+
+    this.logger.debug(`maxNumberOfBlockLength ${maxBlockLength} → ${blockLength} Bytes pro Block`);
+    return blockLength;
+  }
+
+  /**
+   * 0x36 TransferData für einen Block, mit Wiederholung bei Timeout und NRC 0x71
+   */
+  async transferBlock(counter, chunk, { maxRetries = DOWNLOAD_FORMAT.MAX_BLOCK_RETRIES, blockTimeout = UDS_TIMING.P2_TIMEOUT, onRetry = null } = {}) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await this.request([UDS_SERVICES.TRANSFER_DATA, counter, ...chunk], { timeout: blockTimeout });
+      } catch (error) {
+        if (error instanceof UdsNegativeResponseError && error.nrc === ERROR_CODES.WRONG_BLOCK_SEQUENCE_COUNTER) {
+          this.logger.error(`❌ Blockfolgezähler 0x${counter.toString(16).padStart(2, '0')} abgelehnt (NRC 0x73)`);
+          throw error;
+        }
+
+        const retryable = error.message === 'TIMEOUT' ||
+          (error instanceof UdsNegativeResponseError && error.nrc === ERROR_CODES.TRANSFER_DATA_SUSPENDED);
+        if (!retryable || attempt > maxRetries) {
+          throw error;
+        }
+
+        const reason = error.message === 'TIMEOUT' ? 'Timeout' : 'NRC 0x71';
+        this.logger.warn(`⚠️  Block 0x${counter.toString(16).padStart(2, '0')}: ${reason} - Wiederholung ${attempt}/${maxRetries}`);
+        if (onRetry) {
+          onRetry(attempt, reason);
+        }
+        await sleep(UDS_TIMING.TRANSFER_RETRY_DELAY);
+      }
+    }
+  }
+
+  /**
+   * 0x37 RequestTransferExit - liefert die CRC-32 des Steuergeräts (oder null)
+   */
+  async requestTransferExit() {
+    const response = await this.request([UDS_SERVICES.REQUEST_TRANSFER_EXIT]);
+
+    if (response.length < 5) {
+      return null;
+    }
+    return response.slice(1, 5).reduce((value, byte) => value * 256 + byte, 0);
+  }
+
+  /**
+   * 0x19 02 - DTCs, deren Status mindestens ein Bit der Maske gesetzt hat
+   * @returns {{ availabilityMask, dtcs: Array }}
+   */
+  async readDtcByStatusMask(statusMask = 0xFF) {
+    try {
+      this.logger.info(`🩺 Lese Fehlerspeicher (Statusmaske 0x${statusMask.toString(16).padStart(2, '0')})...`);
+      const response = await this.request([UDS_SERVICES.READ_DTC_INFORMATION, DTC_REPORT_TYPES.BY_STATUS_MASK, statusMask]);
+
+      // 59 02 availabilityMask [DTC(3) Status]*
+      if (response.length < 3 || (response.length - 3) % 4 !== 0) {
+        throw new Error(`Ungültige Länge ${response.length}`);
+      }
+
+      const dtcs = [];
+      for (let offset = 3; offset < response.length; offset += 4) {
+        dtcs.push({
+          ...this.dtcCatalog.describe(response.slice(offset, offset + 3)),
+          status: this.dtcCatalog.decodeStatus(response[offset + 3])
+        });
+      }
+
+      return { availabilityMask: `0x${response[2].toString(16).padStart(2, '0').toUpperCase()}`, dtcs };
+    } catch (error) {
+      throw withContext(error, 'Fehlerspeicher-Lesefehler');
+    }
+  }
+
+  /**
+   * 0x19 04 - Snapshot-Records (Umgebungsdaten) eines DTC
+   * Die Identifier werden über das DID-Dictionary dekodiert; ein Identifier ohne feste Länge
+   * beendet die Auswertung (Rest als Hex), da sein Ende nicht bestimmbar ist.
+   */
+  async readDtcSnapshot(dtc, record = ALL_DTC_RECORDS) {
+    const dtcBytes = DtcCatalog.toBytes(dtc);
+
+    try {
+      const response = await this.request([
+        UDS_SERVICES.READ_DTC_INFORMATION, DTC_REPORT_TYPES.SNAPSHOT_RECORD_BY_DTC, ...dtcBytes, record
+      ]);
+
+      // 59 04 DTC(3) Status [Record Anzahl (DID Daten)*]*
+      const records = [];
+      let offset = 6;
+      while (offset + 2 <= response.length) {
+        const snapshot = { record: `0x${response[offset].toString(16).padStart(2, '0').toUpperCase()}`, identifiers: [] };
+        let count = response[offset + 1];
+        offset += 2;
+        records.push(snapshot);
+
+        while (count-- > 0 && offset + 2 <= response.length) {
+          const did = response.slice(offset, offset + 2);
+          const entry = this.registry.findByDid(did);
+          const length = entry && this.registry.fixedLength(entry);
+
+          if (!length || offset + 2 + length > response.length) {
+            snapshot.identifiers.push({ dataIdentifier: ProtocolHelper.formatIdentifier(did), name: null, value: toHex(response.slice(offset + 2)) });
+            return records;
+          }
+
+          const data = response.slice(offset + 2, offset + 2 + length);
+          snapshot.identifiers.push({
+            dataIdentifier: ProtocolHelper.formatIdentifier(did),
+            name: entry.name,
+            value: this.registry.format(entry, this.registry.decodeValue(entry, data))
+          });
+          offset += 2 + length;
+        }
+      }
+
+      return records;
+    } catch (error) {
+      throw withContext(error, `Snapshot-Lesefehler ${this.dtcCatalog.describe(dtcBytes).dtc}`);
+    }
+  }
+
+  /**
+   * 0x19 06 - Extended-Data-Records (z.B. Auftretenszähler) eines DTC
+   */
+  async readDtcExtendedData(dtc, record = ALL_DTC_RECORDS) {
+    const dtcBytes = DtcCatalog.toBytes(dtc);
+
+    try {
+      const response = await this.request([
+        UDS_SERVICES.READ_DTC_INFORMATION, DTC_REPORT_TYPES.EXTENDED_DATA_RECORD_BY_DTC, ...dtcBytes, record
+      ]);
+
+      // 59 06 DTC(3) Status [Record Daten]*
+      const records = [];
+      let offset = 6;
+      while (offset < response.length) {
+        const number = response[offset];
+        const length = this.dtcCatalog.extendedDataLength(number);
+        const end = length ? offset + 1 + length : response.length;
+
+        records.push(this.dtcCatalog.decodeExtendedData(number, response.slice(offset + 1, end)));
+        offset = end;
+      }
+
+      return records;
+    } catch (error) {
+      throw withContext(error, `Extended-Data-Lesefehler ${this.dtcCatalog.describe(dtcBytes).dtc}`);
+    }
+  }
+
+  /**
+   * Liest den Fehlerspeicher inkl. Snapshot- und Extended-Data-Records je DTC
+   * Nicht unterstützte Records (NRC) werden als null eingetragen, nicht als Fehler
+   */
+  async readFaultMemory({ statusMask = 0xFF, details = true } = {}) {
+    const result = await this.readDtcByStatusMask(statusMask);
+
+    if (details) {
+      for (const dtc of result.dtcs) {
+        for (const [field, read] of [['snapshots', 'readDtcSnapshot'], ['extendedData', 'readDtcExtendedData']]) {
+          try {
+            dtc[field] = await this[read](dtc.dtc);
+          } catch (error) {
+            if (!(error instanceof UdsNegativeResponseError)) {
+              throw error;
+            }
+            this.logger.warn(`⚠️  ${dtc.dtc} ${field}: ${error.message}`);
+            dtc[field] = null;
+          }
+        }
+      }
+    }
+
+    this.logger.success(`✓ ${result.dtcs.length} Fehlercode(s) gelesen`);
+    return { ...result, readAt: new Date().toISOString() };
+  }
+
+  /**
+   * 0x14 ClearDiagnosticInformation - löscht den Fehlerspeicher (Standard: alle Gruppen)
+   * Erfordert confirm: true, damit kein Aufrufer den Fehlerspeicher versehentlich leert
+   */
+  async clearDiagnosticInformation({ group = ALL_DTC_GROUPS, confirm = false } = {}) {
+    if (!confirm) {
+      throw new Error('Löschen des Fehlerspeichers muss bestätigt werden (confirm: true)');
+    }
+
+    try {
+      this.logger.info('🧹 Lösche Fehlerspeicher...');
+      await this.request([UDS_SERVICES.CLEAR_DIAGNOSTIC_INFORMATION, ...DtcCatalog.toBytes(group)]);
+      this.logger.success('✓ Fehlerspeicher gelöscht');
+      return { cleared: true, group: this.dtcCatalog.describe(group).dtc };
+    } catch (error) {
+      throw withContext(error, 'Fehler beim Löschen des Fehlerspeichers');
+    }
+  }
+
+  /**
+   * 0x23 ReadMemoryByAddress - liest einen Speicherbereich mit einer Response
+   * @param {number} options.format - addressAndLengthFormatIdentifier
+   *   (oberes Nibble: Bytes der Länge, unteres Nibble: Bytes der Adresse)
+   */
+  async readMemoryByAddress(address, length, { format = MEMORY_FORMAT.ADDRESS_AND_LENGTH } = {}) {
+    const lengthBytes = format >> 4;
+    const addressBytes = format & 0x0F;
+
+    if (lengthBytes < 1 || lengthBytes > 4 || addressBytes < 1 || addressBytes > 4) {
+      throw new Error(`Ungültiger addressAndLengthFormatIdentifier 0x${format.toString(16).padStart(2, '0')}`);
+    }
+    if (address + length > 2 ** (8 * addressBytes)) {
+      throw new Error(`Adresse ${MemoryView.formatAddress(address)} passt nicht in ${addressBytes} Byte`);
+    }
+    if (length < 1 || length >= 2 ** (8 * lengthBytes) || length > SEGMENTATION.MAX_PAYLOAD_LENGTH - 1) {
+      throw new Error(`Ungültige Länge ${length} für einen ReadMemoryByAddress-Request`);
+    }
+
+    const response = await this.request([
+      UDS_SERVICES.READ_MEMORY_BY_ADDRESS,
+      format,
+      ...toUint(address, addressBytes),
+      ...toUint(length, lengthBytes)
+    ]);
+
+    const data = response.slice(1);
+    if (data.length !== length) {
+      throw new Error(`ReadMemoryByAddress ${MemoryView.formatAddress(address)}: ${data.length} statt ${length} Bytes erhalten`);
+    }
+    return Uint8Array.from(data);
+  }
+
+  /**
+   * Liest einen beliebig großen Bereich in Teilen von chunkSize Bytes
+   * Jeder Teil geht an onChunk(address, bytes) (darf async sein) - so kann ein Abzug
+   * direkt in eine Datei geschrieben und nach einem Abbruch fortgesetzt werden.
+   * Liefert onChunk false, wird das Lesen vorzeitig beendet.
+   * @param {Object} options
+   * @param {number} options.format - addressAndLengthFormatIdentifier
+   * @param {number} options.chunkSize - Bytes pro Request
+   * @param {Function} options.onChunk - (address, bytes) => void | Promise
+   * @param {Function} options.onProgress - ({ address, bytesRead, length, percent }) => void
+   */
+  async dumpMemory(address, length, {
+    format = MEMORY_FORMAT.ADDRESS_AND_LENGTH,
+    chunkSize = MEMORY_FORMAT.CHUNK_SIZE,
+    onChunk = null,
+    onProgress = null
+  } = {}) {
+    // Nicht mehr als die Länge im Format und die Segmentierung (inkl. Response-SID) zulassen
+    const size = Math.min(chunkSize, 2 ** (8 * (format >> 4)) - 1, SEGMENTATION.MAX_PAYLOAD_LENGTH - 1);
+    if (!(size > 0) || length < 1) {
+      throw new Error(`Ungültige Länge ${length} bzw. Blockgröße ${chunkSize}`);
+    }
+
+    try {
+      this.logger.info(`🔍 Lese Speicher ${MemoryView.formatAddress(address)} (${length} Bytes, ${size} pro Request)...`);
+      let chunks = 0;
+      let bytesRead = 0;
+
+      while (bytesRead < length) {
+        const chunkAddress = address + bytesRead;
+        const bytes = await this.readMemoryByAddress(chunkAddress, Math.min(size, length - bytesRead), { format });
+        chunks++;
+        bytesRead += bytes.length;
+
+        if (onProgress) {
+          onProgress({ address: chunkAddress, bytesRead, length, percent: Math.floor((bytesRead / length) * 100) });
+        }
+        if (onChunk && await onChunk(chunkAddress, bytes) === false) {
+          break;
+        }
+      }
+
+      this.logger.success(`✓ ${bytesRead} Bytes gelesen (${chunks} Requests)`);
+      return { address: MemoryView.formatAddress(address), length, bytesRead, chunks };
+    } catch (error) {
+      throw withContext(error, 'Fehler beim Lesen des Speichers');
+    }
+  }
+
+  /**
+   * Liest einen Bereich vollständig in den Speicher (für Hex-Ansicht und kleine Bereiche)
+   */
+  async readMemory(address, length, options = {}) {
+    const data = new Uint8Array(length);
+    await this.dumpMemory(address, length, {
+      ...options,
+      onChunk: (chunkAddress, bytes) => data.set(bytes, chunkAddress - address)
+    });
+    return data;
+  }
+
+  /**
+   * Sucht ein Muster (Bytes, siehe MemoryView.parsePattern) in einem Speicherbereich
+   * Fundstellen über Blockgrenzen hinweg werden erkannt; liefert höchstens maxMatches Adressen
+   */
+  async searchMemory(address, length, pattern, { maxMatches = 100, ...options } = {}) {
+    if (!pattern || pattern.length === 0) {
+      throw new Error('Leeres Suchmuster');
+    }
+
+    const matches = [];
+    let tail = [];
+    let tailAddress = address;
+
+    await this.dumpMemory(address, length, {
+      ...options,
+      onChunk: (chunkAddress, bytes) => {
+        // Letzte pattern.length - 1 Bytes des vorherigen Teils voranstellen
+        const window = [...tail, ...bytes];
+        MemoryView.find(window, pattern).forEach(offset => {
+          if (matches.length < maxMatches) {
+            matches.push(MemoryView.formatAddress(tailAddress + offset));
+          }
+        });
+
+        tail = window.slice(Math.max(0, window.length - (pattern.length - 1)));
+        tailAddress = chunkAddress + bytes.length - tail.length;
+        return matches.length < maxMatches;
+      }
+    });
+
+    return { address: MemoryView.formatAddress(address), length, matches, truncated: matches.length >= maxMatches };
+  }
+
+  /**
+   * 0x31 RoutineControl - startet oder stoppt eine Routine bzw. fragt ihr Ergebnis ab
+   * @param {string} keyOrRid - Schlüssel aus dem Routine-Katalog oder RID ("0x0201")
+   * @param {string} control - 'start', 'stop' oder 'results'
+   * @param {Object} options
+   * @param {Object} options.parameters - Start-Parameter { key: Wert }, fehlende aus "default"
+   * @param {boolean} options.confirm - erforderlich, um Routinen oberhalb von "harmless" zu starten
+   */
+  async routineControl(keyOrRid, control = 'start', { parameters = {}, confirm = false } = {}) {
+    const entry = this.routines.resolve(keyOrRid);
+    const subFunction = ROUTINE_CONTROLS[control];
+
+    if (!subFunction) {
+      throw new Error(`Unbekannte Steuerart "${control}" (start, stop, results)`);
+    }
+    if (!entry.controls.includes(control)) {
+      throw new Error(`${entry.name} unterstützt "${control}" nicht (${entry.controls.join(', ')})`);
+    }
+    if (control === 'start' && this.routines.requiresConfirmation(entry) && !confirm) {
+      throw new Error(`${entry.name} (${SAFETY_LEVELS[entry.safety].label}) muss bestätigt werden (confirm: true)`);
+    }
+
+    const data = control === 'start' ? this.routines.encodeParameters(entry, parameters) : [];
+    const rid = ProtocolHelper.formatIdentifier(entry.rid);
+
+    try {
+      // Stopp und Ergebnis brauchen dieselbe Session wie der Start (z.B. neuer CLI-Aufruf in der
+      // Default-Session); ist sie schon aktiv, wird nicht erneut gewechselt
+      if (entry.session && this.session !== entry.session) {
+        await this.startSession(entry.session);
+      }
+
+      this.logger.info(`⚙️  Routine ${entry.name} (${rid}): ${control}...`);
+      const response = await this.request([UDS_SERVICES.ROUTINE_CONTROL, subFunction, ...entry.rid, ...data], { ecu: entry.ecu });
+
+      // 71 Sub-Function RID routineStatusRecord
+      const results = this.routines.decodeResults(entry, response.slice(4));
+      this.logger.success(`✓ Routine ${entry.name}: ${control}${results.length ? ` (${results.map(result => `${result.name}: ${result.value}`).join(', ')})` : ''}`);
+      return { key: entry.key, name: entry.name, rid, control, safety: entry.safety, results };
+    } catch (error) {
+      throw withContext(error, `Routine ${entry.name} (${control}) fehlgeschlagen`);
+    }
+  }
+
+  /**
+   * Startet eine Routine (siehe routineControl)
+   */
+  async startRoutine(keyOrRid, parameters = {}, { confirm = false } = {}) {
+    return this.routineControl(keyOrRid, 'start', { parameters, confirm });
+  }
+
+  /**
+   * Stoppt eine laufende Routine
+   */
+  async stopRoutine(keyOrRid) {
+    return this.routineControl(keyOrRid, 'stop');
+  }
+
+  /**
+   * Fragt das Ergebnis einer Routine ab
+   */
+  async requestRoutineResults(keyOrRid) {
+    return this.routineControl(keyOrRid, 'results');
+  }
+
+  /**
+   * 0x11 ECUReset - startet das Display neu ('hard', 'soft' oder 'key-off-on')
+   * Danach gelten Default-Session und gesperrte Security. Mit reconnect wird gewartet,
+   * bis das Display wieder antwortet, und der Handshake wiederholt.
+   */
+  async ecuReset(type = 'hard', { reconnect = true, timeout = UDS_TIMING.RESET_RECONNECT_TIMEOUT } = {}) {
+    const resetType = ECU_RESET_TYPES[String(type).toUpperCase().replace(/-/g, '_')];
+    if (resetType === undefined) {
+      throw new Error(`Unbekannte Reset-Art "${type}" (hard, soft, key-off-on)`);
+    }
+
+    try {
+      this.logger.info(`🔄 ECU-Reset (${type})...`);
+      await this.request([UDS_SERVICES.ECU_RESET, resetType]);
+      this.resetSession();
+      const resetAt = Date.now();
+
+      if (reconnect) {
+        await this.reconnect({ timeout });
+      }
+      return { type, reconnected: reconnect, duration: Date.now() - resetAt };
+    } catch (error) {
+      throw withContext(error, 'ECU-Reset fehlgeschlagen');
+    }
+  }
+
+  /**
+   * Stellt nach einem Neustart Verbindung und Handshake wieder her
+   * Meldet der Transport das Trennen (USB-Neuanmeldung), wird er neu geöffnet;
+   * solange das Display noch startet, werden die Versuche wiederholt
+   */
+  async reconnect({ timeout = UDS_TIMING.RESET_RECONNECT_TIMEOUT, interval = UDS_TIMING.RESET_RECONNECT_DELAY } = {}) {
+    const deadline = Date.now() + timeout;
+    let lastError = null;
+
+    // Ein frischer Dispatcher für alle Versuche - Warteschlange und Zuordnung des alten gelten nicht mehr
+    this.dispatcher = new UdsDispatcher(this.transport, { logger: this.logger });
+    this.multiDid = {};
+    this.volatileValues.clear();
+
+    this.logger.info('🔌 Warte auf Neustart des Displays...');
+    while (Date.now() < deadline) {
+      await sleep(interval);
+
+      if (!this.transport) {
+        throw new Error('Verbindung wurde während des Neustarts beendet');
+      }
+
+      try {
+        if (!this.transport.isConnected) {
+          await this.transport.open();
+        }
+        this.isConnected = true;
+        await this.performHandshake();
+        this.logger.success('✓ Display nach Neustart wieder verbunden');
+        return true;
+      } catch (error) {
+        lastError = error;
+        this.logger.debug(`Verbindungsversuch fehlgeschlagen: ${error.message}`);
+      }
+    }
+
+    this.isConnected = false;
+    throw new Error(`Display antwortet nach ${timeout} ms nicht mehr${lastError ? ` (${lastError.message})` : ''}`);
+  }
+
+  /**
+   * Liest die Seriennummer des Displays
+   */
+  async readSerialNumber() {
+    try {
+      this.logger.info('📊 Lese Seriennummer...');
+      return await this.readIdentifier('SERIAL_NUMBER');
+    } catch (error) {
+      throw withContext(error, 'Seriennummer-Lesefehler');
+    }
+  }
+
+  /**
+   * Liest die Hardware-Version
+   */
+  async readHardwareVersion() {
+    try {
+      this.logger.info('📊 Lese Hardware-Version...');
+      return await this.readIdentifier('HARDWARE_VERSION');
+    } catch (error) {
+      throw withContext(error, 'Hardware-Version-Lesefehler');
+    }
+  }
+
+  /**
+   * Liest die Software-Version
+   */
+  async readSoftwareVersion() {
+    try {
+      this.logger.info('📊 Lese Software-Version...');
+      return await this.readIdentifier('SOFTWARE_VERSION');
+    } catch (error) {
+      throw withContext(error, 'Software-Version-Lesefehler');
+    }
+  }
+
+  /**
+   * Liest den Produktcode
+   */
+  async readProductCode() {
+    try {
+      this.logger.info('📊 Lese Produktcode...');
+      return await this.readIdentifier('BOSCH_PRODUCT_CODE');
+    } catch (error) {
+      throw withContext(error, 'Produktcode-Lesefehler');
+    }
+  }
+
+  /**
+   * Liest die Artikelnummer (HMI Part Number)
+   */
+  async readArticleNumber() {
+    try {
+      this.logger.info('📊 Lese Artikelnummer...');
+      return await this.readIdentifier('HMI_PART_NUMBER');
+    } catch (error) {
+      throw withContext(error, 'Artikelnummer-Lesefehler');
+    }
+  }
+
+  /**
+   * Liest den Komponententyp
+   */
+  async readComponentType() {
+    try {
+      this.logger.info('📊 Lese Komponententyp...');
+      return await this.readIdentifier('COMPONENT_TYPE');
+    } catch (error) {
+      throw withContext(error, 'Komponententyp-Lesefehler');
+    }
+  }
+
+  /**
+   * Liest die aktuelle Uhrzeit
+   */
+  async readCurrentTime() {
+    try {
+      this.logger.info('📊 Lese aktuelle Uhrzeit...');
+      return await this.readIdentifier('CURRENT_TIME');
+    } catch (error) {
+      throw withContext(error, 'Uhrzeit-Lesefehler');
+    }
+  }
+
+  /**
+   * Liest das aktuelle Datum
+   */
+  async readCurrentDate() {
+    try {
+      this.logger.info('📊 Lese aktuelles Datum...');
+      return await this.readIdentifier('CURRENT_DATE');
+    } catch (error) {
+      throw withContext(error, 'Datum-Lesefehler');
+    }
+  }
+
+  /**
+   * Liest alle Informationen eines Auslese-Profils (siehe ReadoutProfileRegistry)
+   * Die Data Identifier werden je Steuergerät gebündelt gelesen (siehe readIdentifiers),
+   * statische Werte kommen aus dem Cache (siehe readCached); sources zeigt je Feld 'cache' oder 'device'.
+   * Fehler, die das Profil hinnimmt ("tolerate"), ergeben null und stehen in tolerated statt in den Warnungen.
+   * Gruppen und profile.fields tragen addressConfirmed: false für Steuergeräte außerhalb von CONFIRMED_ECUS.
+   * @param {string|Object} profile - Profil-Schlüssel ('display', 'full', 'battery-check', ...) oder Profil-Objekt
+   * @param {Object} options
+   * @param {string} options.timeZone - Zeitzone für den Uhrvergleich (Standard: Host)
+   * @param {boolean} options.batch - false: jeden Data Identifier einzeln lesen
+   * @param {boolean} options.refresh - Cache umgehen und alles vom Gerät lesen
+   * @param {StaticValueCache} options.cache - Cache für statische Werte (Standard: options.cache des Konstruktors)
+   */
+  async readAllInformation(profile = 'display', { timeZone = null, batch = true, refresh = false, cache = this.cache } = {}) {
+    const readout = this.readoutProfiles.resolve(profile);
+
+    try {
+      this.logger.info(`📋 Lese ${readout.name}...\n`);
+      
+      const results = {};
+      const negativeResponses = [];
+      const tolerated = [];
+      const sources = {};
+      const formats = {
+        clock: (displayTime) => this.compareClock(displayTime, DisplayClock.resolveTimeZone(timeZone))
+      };
+      
+      const timeouts = {};
+      readout.items.filter(item => item.timeout).forEach(item => {
+        timeouts[item.identifier] = Math.max(item.timeout, timeouts[item.identifier] || 0);
+      });
+      
+      const unconfirmedEcus = [...new Set(readout.items.filter(item => !item.addressConfirmed).map(item => item.ecu))];
+      if (unconfirmedEcus.length > 0) {
+        this.logger.warn(`⚠️  Adressen von ${unconfirmedEcus.join(', ')} sind nicht bestätigt - deren Werte gelten als unbestätigt`);
+      }
+
+      this.logger.info(`📊 Lese ${readout.items.length} Data Identifier...`);
+      const values = await this.readCached(readout.items.map(item => item.identifier), { batch, timeouts, refresh, cache });
+      
+      for (const item of readout.items) {
+        if (item.group && !results[item.group]) {
+          results[item.group] = { ecu: item.ecu, addressConfirmed: item.addressConfirmed };
+        }
+        const target = item.group ? results[item.group] : results;
+        const { value, error, source } = values.get(item.identifier);
+        
+        try {
+          if (error) {
+            throw error;
+          }
+          target[item.field] = item.format ? formats[item.format](value) : value;
+          sources[item.key] = source;
+        } catch (error) {
+          if (isTolerated(item, error)) {
+            target[item.field] = null;
+            this.logger.debug(`➖ ${item.name}: ${error.message} (laut Profil hingenommen)`);
+            tolerated.push({ key: item.key, name: item.name, message: error.message });
+            continue;
+          }
+          target[item.field] = `Fehler: ${error.message}`;
+          
+          if (error instanceof UdsNegativeResponseError) {
+            this.logger.warn(`⚠️  ${item.name}: ${error.message}`);
+            negativeResponses.push({ key: item.key, name: item.name, ...error.toJSON() });
+          }
+        }
+      }
+      
+      if (negativeResponses.length > 0) {
+        results.negativeResponses = negativeResponses;
+      }
+      if (tolerated.length > 0) {
+        results.tolerated = tolerated;
+      }
+      results.sources = sources;
+      results.profile = {
+        key: readout.key,
+        name: readout.name,
+        fields: readout.items.map(({ key, name, ecu, addressConfirmed }) => ({ key, name, ecu, addressConfirmed }))
+      };
+      
+      // Füge Zeitstempel hinzu
+      results.lastUpdate = { date: new Date().toISOString() };
+      
+      return results;
+      
+    } catch (error) {
+      throw new Error(`Allgemeine Informationslese-Fehler: ${error.message}`);
+    }
+  }
+
+  /**
+   * Trennt die Verbindung zum Display
+   */
+  async disconnect() {
+    this.resetSession();
+
+    if (this.transport) {
+      try {
+        await this.transport.close();
+        this.logger.success('✓ Verbindung getrennt');
+      } catch (error) {
+        this.logger.warn(`Warnung beim Trennen: ${error.message}`);
+      }
+      
+      if (Transport.isTransport(this.transport)) {
+        this.transport.off(TRANSPORT_EVENTS.DISCONNECT, this.handleTransportDisconnect);
+        this.transport.off(TRANSPORT_EVENTS.ERROR, this.handleTransportError);
+      }
+    }
+    
+    this.transport = null;
+    this.dispatcher = null;
+    this.device = null;
+    this.isConnected = false;
+  }
+}
+
+module.exports = BoschDisplayTool;
@@ -0,0 +1,1026 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const BoschDisplayTool = require('./BoschDisplayTool');
+const SimulatorTransport = require('./transports/SimulatorTransport');
+const { DisplaySimulator } = require('./DisplaySimulator');
+const { FirmwareImage } = require('./FirmwareImage');
+const { DidRegistry } = require('./DidRegistry');
+const { StaticValueCache } = require('./StaticValueCache');
+const simulatorKeyAlgorithm = require('../keyAlgorithms/simulator');
+const { HID_FRAME_HEADERS, UdsNegativeResponseError } = require('./protocols');
+
+const silentLogger = { info() {}, success() {}, warn() {}, error() {}, debug() {} };
+
+const connected = [];
+
+/**
+ * Verbindet ein BoschDisplayTool mit einem Simulator (Profilname oder Profil-Objekt, ohne
+ * Antwortverzögerung) und zeichnet die beantworteten UDS-Payloads auf
+ */
+async function connectSimulator(profile = 'intuvia', { simulator: simulatorOptions = {}, ...toolOptions } = {}) {
+  const options = { responseDelay: 0, ...simulatorOptions };
+  const simulator = typeof profile === 'string'
+    ? DisplaySimulator.fromProfile(profile, options)
+    : new DisplaySimulator(profile, options);
+
+  const requests = [];
+  const handleRequest = simulator.handleRequest.bind(simulator);
+  simulator.handleRequest = (payload, ecu) => {
+    requests.push(Array.from(payload));
+    return handleRequest(payload, ecu);
+  };
+
+  const tool = new BoschDisplayTool(new SimulatorTransport(simulator), { logger: silentLogger, ...toolOptions });
+  await tool.connect();
+  connected.push(tool);
+  return { tool, simulator, requests };
+}
+
+/**
+ * Mitgeliefertes Simulator-Profil mit geänderten Einträgen
+ */
+const profileWith = (name, changes) => ({ ...DisplaySimulator.fromProfile(name).profile, ...changes });
+
+/**
+ * Die Antworten auf die nächsten count UDS-Requests gehen verloren (der Simulator verarbeitet sie trotzdem)
+ */
+function dropAnswers(simulator, count = 1) {
+  const handle = simulator.handle.bind(simulator);
+  let remaining = count;
+  simulator.handle = (report) => {
+    const responses = handle(report);
+    return report[0] === HID_FRAME_HEADERS.REQUEST[0] && remaining-- > 0 ? [] : responses;
+  };
+}
+
+async function disconnectAll() {
+  while (connected.length > 0) {
+    const tool = connected.pop();
+    if (tool.isConnected) {
+      await tool.disconnect();
+    }
+  }
+}
+
+// Dictionary, in dem die (volatile) Software-Version schreibbar ist
+const writableSoftwareVersion = new DidRegistry({
+  identifiers: require('../dataIdentifiers.json').identifiers
+    .map(entry => (entry.key === 'SOFTWARE_VERSION' ? { ...entry, writable: true } : entry))
+});
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const isNrc = (nrc) => (error) => error instanceof UdsNegativeResponseError && error.nrc === nrc;
+
+// Intuvia-Profil: Download ab 0x00080000, 0x102 Bytes je TransferData (256 Bytes Nutzdaten)
+const ADDRESS = 0x00080000;
+const IMAGE = Array.from({ length: 1000 }, (_, index) => (index * 7) & 0xFF);
+const BLOCK_TIMEOUT = 200;
+
+/**
+ * Container mit IMAGE, passend zu Artikelnummer und Hardware-Version des verbundenen Displays
+ */
+async function createContainer(tool) {
+  return FirmwareImage.create({
+    componentType: 0x0B,
+    partNumber: await tool.readArticleNumber(),
+    hardwareVersions: [await tool.readHardwareVersion()],
+    segments: [{ address: ADDRESS, data: IMAGE }]
+  });
+}
+
+describe('BoschDisplayTool - Firmware-Download', () => {
+  let tool;
+
+  // Verbindet mit einem Intuvia-Simulator (transferFaults wie DisplaySimulator) und baut einen passenden Container;
+  // der Download braucht SecurityAccess, entsperrt wird wie bei "flash --security 0x01"
+  async function connect(transferFaults = {}) {
+    let simulator;
+    ({ tool, simulator } = await connectSimulator('intuvia', {
+      simulator: { transferFaults },
+      keyAlgorithm: 'simulator',
+      autoSecurity: 0x01
+    }));
+    return { simulator, container: await createContainer(tool) };
+  }
+
+  afterEach(disconnectAll);
+
+  it('flasht ein Image und prüft die CRC-32', async () => {
+    const { simulator, container } = await connect();
+
+    const { segments } = await tool.flashFirmware(container, { blockTimeout: BLOCK_TIMEOUT });
+
+    assert.equal(segments.length, 1);
+    assert.equal(segments[0].blocks, 4);
+    assert.equal(segments[0].blockLength, 256);
+    assert.equal(segments[0].verified, true);
+    assert.equal(simulator.flashed.address, ADDRESS);
+    assert.deepEqual(Array.from(simulator.flashed.data), IMAGE);
+  });
+
+  it('wiederholt Blöcke nach NRC 0x71 und Timeout mit gleichem Zähler', async () => {
+    const { simulator, container } = await connect({ suspend: [2], drop: [3] });
+    const retries = [];
+
+    const { segments } = await tool.flashFirmware(container, {
+      blockTimeout: BLOCK_TIMEOUT,
+      onProgress: (event) => event.phase === 'retry' && retries.push([event.block, event.counter, event.reason])
+    });
+
+    assert.deepEqual(retries, [[2, 0x02, 'NRC 0x71'], [3, 0x03, 'Timeout']]);
+    assert.equal(segments[0].verified, true);
+    assert.deepEqual(Array.from(simulator.flashed.data), IMAGE);
+  });
+
+  it('bricht ab, wenn die CRC-32 des Steuergeräts abweicht', async () => {
+    const { container } = await connect({ corrupt: [4] });
+    const phases = [];
+
+    await assert.rejects(
+      tool.flashFirmware(container, { blockTimeout: BLOCK_TIMEOUT, onProgress: (event) => phases.push(event.phase) }),
+      /Prüfsumme stimmt nicht überein/
+    );
+    assert.equal(phases.at(-1), 'failed');
+  });
+});
+
+describe('BoschDisplayTool - Sammelabfragen', () => {
+  afterEach(disconnectAll);
+
+  const KEYS = ['SERIAL_NUMBER', 'HARDWARE_VERSION', 'COMPONENT_TYPE'];
+  const values = (results) => Object.fromEntries([...results].map(([key, result]) => [key, result.value]));
+
+  it('liest mehrere DIDs in einem Request', async () => {
+    const { tool, requests } = await connectSimulator('intuvia');
+
+    const results = await tool.readIdentifiers(KEYS);
+
+    assert.deepEqual(values(results), { SERIAL_NUMBER: '0x37FFD705564E313046442000', HARDWARE_VERSION: '0.0.2.2', COMPONENT_TYPE: 'Intuvia' });
+    assert.deepEqual(requests, [[0x22, 0x02, 0x42, 0x02, 0x72, 0x02, 0x60]]);
+  });
+
+  it('liest nach NRC 0x13 einzeln und für die restliche Verbindung ohne Sammelabfragen', async () => {
+    const { tool, requests } = await connectSimulator('purion');
+
+    const first = await tool.readIdentifiers(KEYS);
+    const batchRequests = requests.splice(0).filter(request => request.length > 3);
+    await tool.readIdentifiers(KEYS);
+
+    assert.ok([...first.values()].every(result => 'value' in result));
+    assert.equal(batchRequests.length, 1);
+    assert.equal(tool.multiDid.HMI, false);
+    assert.deepEqual(requests.map(request => request.length), [3, 3, 3]);
+  });
+
+  it('liest nach NRC 0x31 einzeln, damit jeder DID seine eigene NRC erhält', async () => {
+    const { tool, requests } = await connectSimulator(profileWith('intuvia', {
+      negativeResponses: { HARDWARE_VERSION: '0x31', COMPONENT_TYPE: '0x31', SERIAL_NUMBER: '0x31' }
+    }));
+
+    const results = await tool.readIdentifiers(KEYS);
+
+    KEYS.forEach(key => assert.ok(isNrc(0x31)(results.get(key).error), key));
+    assert.equal(requests.length, 1 + KEYS.length);
+    assert.notEqual(tool.multiDid.HMI, false);
+  });
+
+  it('liest in der Response fehlende DIDs einzeln nach', async () => {
+    const { tool, requests } = await connectSimulator(profileWith('intuvia', { negativeResponses: { HARDWARE_VERSION: '0x31' } }));
+
+    const results = await tool.readIdentifiers(KEYS);
+
+    assert.equal(results.get('SERIAL_NUMBER').value, '0x37FFD705564E313046442000');
+    assert.ok(isNrc(0x31)(results.get('HARDWARE_VERSION').error));
+    assert.equal(results.get('COMPONENT_TYPE').value, 'Intuvia');
+    assert.deepEqual(requests.at(-1), [0x22, 0x02, 0x72]);
+  });
+
+  it('fällt nach einem Timeout desselben Services noch auf Einzelabfragen zurück', async () => {
+    const { tool, simulator } = await connectSimulator('purion');
+    dropAnswers(simulator);
+
+    await assert.rejects(tool.readIdentifier('SOFTWARE_VERSION', { timeout: 100 }), /TIMEOUT/);
+    const results = await tool.readIdentifiers(KEYS);
+
+    assert.ok([...results.values()].every(result => 'value' in result));
+    assert.equal(tool.multiDid.HMI, false);
+  });
+
+  it('kennzeichnet Werte von Steuergeräten mit unbestätigter Adresse', async () => {
+    const { tool } = await connectSimulator('intuvia');
+
+    const information = await tool.readAllInformation({
+      key: 'test',
+      name: 'Test',
+      timeout: 100,
+      tolerate: ['timeout'],
+      items: ['SERIAL_NUMBER', 'DU_SERIAL_NUMBER']
+    });
+
+    assert.equal(information.driveUnit.addressConfirmed, false);
+    assert.deepEqual(information.profile.fields.map(field => [field.key, field.addressConfirmed]), [['serialNumber', true], ['driveUnit.serialNumber', false]]);
+  });
+});
+
+describe('BoschDisplayTool - Cache für statische Werte', () => {
+  afterEach(disconnectAll);
+
+  const SERIAL = '0x37FFD705564E313046442000';
+  const sources = (results) => Object.fromEntries([...results].map(([key, result]) => [key, result.source]));
+  const valueOf = (results, key) => results.get(key).value;
+
+  it('liest statische Werte beim ersten Mal vom Gerät und danach aus dem Cache', async () => {
+    const cache = new StaticValueCache();
+    const { tool, requests } = await connectSimulator('intuvia', { cache });
+
+    const first = await tool.readCached(['HARDWARE_VERSION', 'COMPONENT_TYPE']);
+    requests.splice(0);
+    const second = await tool.readCached(['HARDWARE_VERSION', 'COMPONENT_TYPE']);
+
+    assert.deepEqual(sources(first), { HARDWARE_VERSION: 'device', COMPONENT_TYPE: 'device' });
+    assert.deepEqual(sources(second), { HARDWARE_VERSION: 'cache', COMPONENT_TYPE: 'cache' });
+    assert.equal(valueOf(second, 'HARDWARE_VERSION'), '0.0.2.2');
+    assert.deepEqual(requests, [[0x22, 0x02, 0x42]], 'nur die Seriennummer wird gelesen');
+    assert.deepEqual(cache.lookup('HMI', SERIAL).values, { HARDWARE_VERSION: '0.0.2.2', COMPONENT_TYPE: 'Intuvia' });
+  });
+
+  it('behandelt static, volatile und live unterschiedlich', async () => {
+    const cache = new StaticValueCache();
+    const keys = ['HARDWARE_VERSION', 'SOFTWARE_VERSION', 'CURRENT_TIME'];
+    let { tool } = await connectSimulator('intuvia', { cache });
+
+    await tool.readCached(keys);
+    const sameConnection = await tool.readCached(keys);
+    await disconnectAll();
+    ({ tool } = await connectSimulator('intuvia', { cache }));
+    const nextConnection = await tool.readCached(keys);
+
+    assert.deepEqual(sources(sameConnection), { HARDWARE_VERSION: 'cache', SOFTWARE_VERSION: 'cache', CURRENT_TIME: 'device' });
+    assert.deepEqual(sources(nextConnection), { HARDWARE_VERSION: 'cache', SOFTWARE_VERSION: 'device', CURRENT_TIME: 'device' });
+    assert.deepEqual(Object.keys(cache.lookup('HMI', SERIAL).values), ['HARDWARE_VERSION'], 'nur statische Werte im Cache');
+  });
+
+  it('legt die Werte je Seriennummer ab', async () => {
+    const cache = new StaticValueCache();
+    const base = DisplaySimulator.fromProfile('intuvia').profile;
+    const other = profileWith('intuvia', {
+      identifiers: { ...base.identifiers, SERIAL_NUMBER: '37:ff:d7:05:56:4e:31:30:46:44:20:01', HARDWARE_VERSION: '00:00:03:01' }
+    });
+
+    let { tool } = await connectSimulator('intuvia', { cache });
+    await tool.readCached(['HARDWARE_VERSION']);
+    await disconnectAll();
+    ({ tool } = await connectSimulator(other, { cache }));
+    const results = await tool.readCached(['HARDWARE_VERSION']);
+
+    assert.deepEqual(sources(results), { HARDWARE_VERSION: 'device' });
+    assert.equal(valueOf(results, 'HARDWARE_VERSION'), '0.0.3.1');
+    assert.equal(cache.lookup('HMI', SERIAL).values.HARDWARE_VERSION, '0.0.2.2');
+    assert.equal(cache.lookup('HMI', '0x37FFD705564E313046442001').values.HARDWARE_VERSION, '0.0.3.1');
+  });
+
+  it('liest mit refresh alles vom Gerät und befüllt den Cache neu', async () => {
+    const cache = new StaticValueCache();
+    const { tool, simulator } = await connectSimulator('intuvia', { cache });
+
+    await tool.readCached(['HARDWARE_VERSION', 'SOFTWARE_VERSION']);
+    simulator.values.HARDWARE_VERSION = [0x00, 0x00, 0x03, 0x01];
+    const cached = await tool.readCached(['HARDWARE_VERSION', 'SOFTWARE_VERSION']);
+    const refreshed = await tool.readCached(['HARDWARE_VERSION', 'SOFTWARE_VERSION'], { refresh: true });
+    const afterRefresh = await tool.readCached(['HARDWARE_VERSION']);
+
+    assert.equal(valueOf(cached, 'HARDWARE_VERSION'), '0.0.2.2');
+    assert.deepEqual(sources(refreshed), { HARDWARE_VERSION: 'device', SOFTWARE_VERSION: 'device' });
+    assert.equal(valueOf(refreshed, 'HARDWARE_VERSION'), '0.0.3.1');
+    assert.deepEqual(sources(afterRefresh), { HARDWARE_VERSION: 'cache' });
+    assert.equal(valueOf(afterRefresh, 'HARDWARE_VERSION'), '0.0.3.1');
+  });
+
+  it('liest ohne Cache statische Werte immer vom Gerät', async () => {
+    const { tool } = await connectSimulator('intuvia');
+
+    await tool.readCached(['HARDWARE_VERSION']);
+    const results = await tool.readCached(['HARDWARE_VERSION']);
+
+    assert.deepEqual(sources(results), { HARDWARE_VERSION: 'device' });
+  });
+
+  it('nutzt den mitgeschickten Cache des Browsers und liefert ihn ergänzt zurück', async () => {
+    const connectionCache = new StaticValueCache();
+    const browserCache = new StaticValueCache();
+    const { tool } = await connectSimulator('intuvia', { cache: connectionCache });
+
+    // Ablauf wie "read-display-info" im Backend: Cache aus dem Browser, Export zurück an den Browser
+    const readFromBrowser = async () => {
+      const cache = new StaticValueCache(StaticValueCache.memoryStorage(browserCache.export()));
+      const information = await tool.readAllInformation('display', { cache });
+      browserCache.import(cache.export());
+      return information;
+    };
+    const first = await readFromBrowser();
+    const second = await readFromBrowser();
+
+    assert.equal(first.sources.hardwareVersion, 'device');
+    assert.equal(second.sources.hardwareVersion, 'cache');
+    assert.equal(second.hardwareVersion, '0.0.2.2');
+    assert.equal(browserCache.lookup('HMI', SERIAL).values.COMPONENT_TYPE, 'Intuvia');
+    assert.deepEqual(connectionCache.export().units, {}, 'Cache der Verbindung bleibt unberührt');
+  });
+
+  it('liest einen volatile-Wert nach dem Schreiben neu', async () => {
+    const { tool } = await connectSimulator('intuvia', {
+      simulator: { registry: writableSoftwareVersion },
+      registry: writableSoftwareVersion,
+      autoSession: 'extended',
+      keyAlgorithm: 'simulator',
+      autoSecurity: 0x01
+    });
+
+    await tool.readCached(['SOFTWARE_VERSION']);
+    await tool.writeDataByIdentifier('SOFTWARE_VERSION', '5.9.3.0');
+    const results = await tool.readCached(['SOFTWARE_VERSION']);
+
+    assert.deepEqual(sources(results), { SOFTWARE_VERSION: 'device' });
+    assert.equal(valueOf(results, 'SOFTWARE_VERSION'), '5.9.3.0');
+  });
+
+  it('liest volatile-Werte nach einem Firmware-Download neu', async () => {
+    const cache = new StaticValueCache();
+    const { tool } = await connectSimulator('intuvia', { cache, keyAlgorithm: 'simulator', autoSecurity: 0x01 });
+
+    await tool.readCached(['SOFTWARE_VERSION', 'HARDWARE_VERSION']);
+    await tool.flashFirmware(await createContainer(tool), { blockTimeout: BLOCK_TIMEOUT });
+    const results = await tool.readCached(['SOFTWARE_VERSION', 'HARDWARE_VERSION']);
+
+    assert.deepEqual(sources(results), { SOFTWARE_VERSION: 'device', HARDWARE_VERSION: 'cache' });
+  });
+});
+
+describe('BoschDisplayTool - Diagnose-Sessions', () => {
+  afterEach(disconnectAll);
+
+  const TESTER_PRESENT_INTERVAL = 20;
+  const testerPresents = (requests) => requests.filter(request => request[0] === 0x3E).length;
+
+  it('wechselt die Session und liefert die Session-Parameter', async () => {
+    const { tool, simulator, requests } = await connectSimulator('intuvia');
+
+    const result = await tool.startSession('extended');
+
+    assert.equal(result.session, 'extended');
+    assert.ok(result.timing.p2 > 0 && result.timing.p2Extended > 0);
+    assert.equal(tool.session, 'extended');
+    assert.equal(simulator.session, 0x03);
+    assert.deepEqual(requests, [[0x10, 0x03]]);
+  });
+
+  it('lehnt unbekannte und vom Display abgelehnte Sessions ab', async () => {
+    const { tool } = await connectSimulator('purion');
+
+    await assert.rejects(tool.startSession('bootloader'), /Unbekannte Diagnose-Session "bootloader"/);
+    await assert.rejects(tool.startSession('programming'), isNrc(0x12));
+    assert.equal(tool.session, 'default');
+    assert.equal(tool.testerPresentTimer, null);
+  });
+
+  it('sperrt das Security-Level bei einem Session-Wechsel', async () => {
+    const { tool, simulator } = await connectSimulator('intuvia', { keyAlgorithm: 'simulator' });
+
+    await tool.startSession('extended');
+    await tool.securityAccess(0x01);
+    await tool.startSession('programming');
+
+    assert.equal(tool.securityLevel, null);
+    assert.equal(simulator.unlockedLevel, null);
+  });
+
+  it('wechselt mit autoSession bei NRC 0x7F und wiederholt den Request', async () => {
+    const { tool, requests } = await connectSimulator('intuvia', { autoSession: { 0x23: 'extended' } });
+
+    const bytes = await tool.readMemoryByAddress(0x4000, 6);
+
+    assert.equal(String.fromCharCode(...bytes), 'BUI255');
+    assert.equal(tool.session, 'extended');
+    assert.deepEqual(requests.map(request => request[0]), [0x23, 0x10, 0x23]);
+  });
+
+  it('gibt NRC 0x7F ohne autoSession weiter', async () => {
+    const { tool, requests } = await connectSimulator('intuvia');
+
+    await assert.rejects(tool.readMemoryByAddress(0x4000, 6), isNrc(0x7F));
+    assert.equal(tool.session, 'default');
+    assert.equal(requests.length, 1);
+  });
+
+  it('hält Nicht-Default-Sessions mit TesterPresent offen und beendet das in der Default-Session', async () => {
+    const { tool, requests } = await connectSimulator('intuvia', { testerPresentInterval: TESTER_PRESENT_INTERVAL });
+
+    await tool.startSession('extended');
+    await wait(TESTER_PRESENT_INTERVAL * 4);
+    const whileExtended = testerPresents(requests);
+    await tool.startSession('default');
+    const afterDefault = testerPresents(requests);
+    await wait(TESTER_PRESENT_INTERVAL * 4);
+
+    assert.ok(whileExtended >= 2, `${whileExtended} TesterPresent in der Extended-Session`);
+    assert.equal(testerPresents(requests), afterDefault);
+    assert.equal(tool.testerPresentTimer, null);
+  });
+
+  it('fällt in die Default-Session zurück, wenn TesterPresent scheitert', async () => {
+    const { tool, simulator } = await connectSimulator('intuvia', { keyAlgorithm: 'simulator', testerPresentInterval: TESTER_PRESENT_INTERVAL });
+    await tool.startSession('extended');
+    await tool.securityAccess(0x01);
+
+    const handleRequest = simulator.handleRequest;
+    simulator.handleRequest = (payload, ecu) => (payload[0] === 0x3E
+      ? [simulator.negative(0x3E, 0x22)]
+      : handleRequest(payload, ecu));
+    await wait(TESTER_PRESENT_INTERVAL * 3);
+
+    assert.equal(tool.session, 'default');
+    assert.equal(tool.securityLevel, null);
+    assert.equal(tool.testerPresentTimer, null);
+  });
+
+  it('beendet TesterPresent beim Trennen', async () => {
+    const { tool } = await connectSimulator('intuvia', { testerPresentInterval: TESTER_PRESENT_INTERVAL });
+
+    await tool.startSession('extended');
+    await tool.disconnect();
+
+    assert.equal(tool.testerPresentTimer, null);
+    assert.equal(tool.session, 'default');
+  });
+});
+
+describe('BoschDisplayTool - SecurityAccess', () => {
+  afterEach(disconnectAll);
+
+  // Schlüsselalgorithmus, dessen Keys das Display immer ablehnt
+  const wrongKey = { name: 'falsch', computeKey: (seed) => Array.from(seed, () => 0x00) };
+
+  async function connectExtended(toolOptions = {}) {
+    const connection = await connectSimulator('intuvia', { keyAlgorithm: 'simulator', ...toolOptions });
+    await connection.tool.startSession('extended');
+    connection.requests.splice(0);
+    return connection;
+  }
+
+  it('entsperrt mit Seed und berechnetem Key', async () => {
+    const { tool, simulator, requests } = await connectExtended();
+
+    const result = await tool.securityAccess(0x01);
+
+    assert.deepEqual(result, { level: 0x01, alreadyUnlocked: false });
+    assert.equal(tool.securityLevel, 0x01);
+    assert.equal(simulator.unlockedLevel, 0x01);
+    const [seedRequest, keyRequest] = requests;
+    assert.deepEqual(seedRequest, [0x27, 0x01]);
+    assert.equal(keyRequest[1], 0x02);
+    assert.equal(keyRequest.length, 2 + 4);
+  });
+
+  it('sendet den Key des Algorithmus zum gelieferten Seed', async () => {
+    const seeds = [];
+    const recording = {
+      name: 'aufzeichnend',
+      computeKey: (seed, level) => {
+        seeds.push(Array.from(seed));
+        return simulatorKeyAlgorithm.computeKey(seed, level);
+      }
+    };
+    const { tool, requests } = await connectExtended({ keyAlgorithm: recording });
+
+    await tool.securityAccess(0x01);
+
+    assert.deepEqual(requests[1].slice(2), simulatorKeyAlgorithm.computeKey(seeds[0], 0x01));
+  });
+
+  it('fragt ein bereits entsperrtes Level nicht erneut an', async () => {
+    const { tool, requests } = await connectExtended();
+
+    await tool.securityAccess(0x01);
+    requests.splice(0);
+    const known = await tool.securityAccess(0x01);
+    tool.securityLevel = null;
+    const zeroSeed = await tool.securityAccess(0x01);
+
+    assert.deepEqual(known, { level: 0x01, alreadyUnlocked: true });
+    assert.deepEqual(zeroSeed, { level: 0x01, alreadyUnlocked: true });
+    assert.deepEqual(requests, [[0x27, 0x01]], 'nur der Seed-Request nach dem Zurücksetzen');
+  });
+
+  it('prüft Level und Schlüsselalgorithmus vor dem Senden', async () => {
+    const { tool, requests } = await connectExtended();
+
+    await assert.rejects(tool.securityAccess(0x02), /Ungültiges Security-Level 2/);
+    await assert.rejects(tool.securityAccess(0x7F), /Ungültiges Security-Level/);
+    await assert.rejects(tool.securityAccess(0x01, { algorithm: null }), /Kein Schlüsselalgorithmus/);
+    assert.deepEqual(requests, []);
+  });
+
+  it('meldet einen ungültigen Key mit NRC 0x35', async () => {
+    const { tool, simulator } = await connectExtended({ keyAlgorithm: wrongKey });
+
+    await assert.rejects(tool.securityAccess(0x01), isNrc(0x35));
+    assert.equal(tool.securityLevel, null);
+    assert.equal(simulator.unlockedLevel, null);
+    assert.equal(tool.securityLockedUntil, 0);
+  });
+
+  it('sperrt nach zu vielen Fehlversuchen (NRC 0x36) ohne weitere Requests', async () => {
+    const { tool, requests } = await connectExtended({ keyAlgorithm: wrongKey });
+
+    await assert.rejects(tool.securityAccess(0x01), isNrc(0x35));
+    await assert.rejects(tool.securityAccess(0x01), isNrc(0x35));
+    await assert.rejects(tool.securityAccess(0x01), isNrc(0x36));
+    const sent = requests.length;
+
+    await assert.rejects(tool.securityAccess(0x01), /SecurityAccess gesperrt - erneuter Versuch in 10 s möglich/);
+    assert.ok(tool.securityLockedUntil > Date.now());
+    assert.equal(requests.length, sent);
+  });
+
+  it('übernimmt die Sperrzeit des Displays (NRC 0x37)', async () => {
+    const { tool, simulator, requests } = await connectExtended();
+    simulator.securityLockedUntil = Date.now() + 10000;
+
+    await assert.rejects(tool.securityAccess(0x01), isNrc(0x37));
+    await assert.rejects(tool.securityAccess(0x01), /SecurityAccess gesperrt/);
+    assert.equal(requests.length, 1);
+  });
+
+  it('entsperrt mit autoSecurity bei NRC 0x33 und wiederholt den Request', async () => {
+    const { tool, requests } = await connectExtended({ autoSecurity: 0x01 });
+
+    await tool.writeDataByIdentifier('CURRENT_TIME', '14:30');
+
+    assert.deepEqual(requests.map(request => request.slice(0, 2)), [[0x2E, 0x02], [0x27, 0x01], [0x27, 0x02], [0x2E, 0x02], [0x22, 0x02]]);
+    assert.equal(tool.securityLevel, 0x01);
+  });
+
+  it('gibt NRC 0x33 ohne Schlüsselalgorithmus weiter', async () => {
+    const { tool, requests } = await connectExtended({ keyAlgorithm: null, autoSecurity: 0x01 });
+
+    await assert.rejects(tool.writeDataByIdentifier('CURRENT_TIME', '14:30'), isNrc(0x33));
+    assert.equal(requests.length, 1);
+  });
+});
+
+describe('BoschDisplayTool - Schreiben', () => {
+  afterEach(disconnectAll);
+
+  // Schreibt wie "write --security 0x01" (Extended-Session, Entsperren bei Bedarf)
+  const connectWritable = () => connectSimulator('intuvia', {
+    simulator: { registry: writableSoftwareVersion },
+    registry: writableSoftwareVersion,
+    autoSession: 'extended',
+    keyAlgorithm: 'simulator',
+    autoSecurity: 0x01
+  });
+
+  it('kodiert den Wert, schreibt und verifiziert per Read-Back', async () => {
+    const { tool, simulator } = await connectWritable();
+
+    const result = await tool.writeDataByIdentifier('SOFTWARE_VERSION', '5.9.3.0');
+
+    assert.equal(result.dataIdentifier, '0x0220');
+    assert.equal(result.data, '05 09 03 00');
+    assert.equal(result.readBack, '5.9.3.0');
+    assert.deepEqual(Array.from(simulator.values.SOFTWARE_VERSION), [0x05, 0x09, 0x03, 0x00]);
+  });
+
+  it('meldet ein abweichendes Read-Back', async () => {
+    const { tool, simulator } = await connectWritable();
+    // Display bestätigt das Schreiben, übernimmt den Wert aber nicht
+    const handleRequest = simulator.handleRequest;
+    simulator.handleRequest = (payload, ecu) => {
+      const responses = handleRequest(payload, ecu);
+      if (payload[0] === 0x2E) {
+        simulator.values.SOFTWARE_VERSION = [0x05, 0x09, 0x02, 0x00];
+      }
+      return responses;
+    };
+
+    await assert.rejects(
+      tool.writeDataByIdentifier('SOFTWARE_VERSION', '5.9.3.0'),
+      /Read-Back stimmt nicht überein: geschrieben 05 09 03 00, gelesen 05 09 02 00/
+    );
+  });
+
+  it('liest ohne verify nicht zurück', async () => {
+    const { tool, requests } = await connectWritable();
+
+    const result = await tool.writeDataByIdentifier('SOFTWARE_VERSION', '5.9.3.0', { verify: false });
+
+    assert.equal(result.readBack, undefined);
+    assert.equal(requests.at(-1)[0], 0x2E);
+  });
+
+  it('liefert im Dry-Run nur die Frames', async () => {
+    const { tool, requests } = await connectWritable();
+
+    const result = await tool.writeDataByIdentifier('CURRENT_TIME', '14:30', { dryRun: true });
+
+    assert.equal(result.dryRun, true);
+    assert.equal(result.value, '14:30');
+    assert.equal(result.data, '0E 1E');
+    assert.equal(result.frames.length, 1);
+    assert.match(result.frames[0], /^01 00 3A 08 05 2E 02 40 0E 1E/);
+    assert.deepEqual(requests, []);
+  });
+
+  it('lehnt nicht schreibbare Einträge und ungültige Werte vor dem Senden ab', async () => {
+    const { tool, requests } = await connectSimulator('intuvia');
+
+    await assert.rejects(tool.writeDataByIdentifier('SERIAL_NUMBER', '0x01'), /ist nicht als schreibbar freigegeben/);
+    await assert.rejects(tool.writeDataByIdentifier('CURRENT_TIME', '25:00'), /Ungültige Uhrzeit/);
+    await assert.rejects(tool.writeDataByIdentifier(0x4711, '1'), /Unbekannter Data Identifier 0x4711/);
+    assert.deepEqual(requests, []);
+  });
+});
+
+describe('BoschDisplayTool - Fehlerspeicher', () => {
+  afterEach(disconnectAll);
+
+  const codes = (result) => result.dtcs.map(dtc => dtc.dtc);
+
+  it('liest DTCs mit Status, Snapshot- und Extended-Data-Records', async () => {
+    const { tool } = await connectSimulator('intuvia');
+
+    const { availabilityMask, dtcs } = await tool.readFaultMemory();
+    const [speedSensor] = dtcs;
+
+    assert.equal(availabilityMask, '0xFF');
+    assert.deepEqual(dtcs.map(dtc => [dtc.dtc, dtc.displayCode, dtc.status.value, dtc.status.active]), [
+      ['0x050300', '503', '0x2F', true],
+      ['0x042300', '423', '0x28', false]
+    ]);
+    assert.deepEqual(speedSensor.status.flags, ['TEST_FAILED', 'TEST_FAILED_THIS_OPERATION_CYCLE', 'PENDING', 'CONFIRMED', 'TEST_FAILED_SINCE_LAST_CLEAR']);
+    assert.deepEqual(speedSensor.snapshots, [{
+      record: '0x01',
+      identifiers: [
+        { dataIdentifier: '0x023A', name: 'Datum und Uhrzeit', value: '14.09.2026 17:42' },
+        { dataIdentifier: '0xF126', name: 'Motordrehzahl', value: '78 1/min' }
+      ]
+    }]);
+    assert.deepEqual(speedSensor.extendedData.map(record => [record.record, record.value]), [['0x01', 3], ['0x02', 0], ['0x03', '300 h']]);
+  });
+
+  it('filtert über die Statusmaske', async () => {
+    const { tool, requests } = await connectSimulator('intuvia');
+
+    const result = await tool.readDtcByStatusMask(0x01);
+
+    assert.deepEqual(codes(result), ['0x050300']);
+    assert.deepEqual(requests, [[0x19, 0x02, 0x01]]);
+  });
+
+  it('liest einzelne Records und meldet unbekannte mit NRC 0x31', async () => {
+    const { tool } = await connectSimulator('intuvia');
+
+    const [record] = await tool.readDtcExtendedData('0x042300', 0x02);
+
+    assert.deepEqual([record.record, record.value], ['0x02', 18]);
+    await assert.rejects(tool.readDtcSnapshot(0x050300, 0x05), isNrc(0x31));
+  });
+
+  it('gibt Snapshot-Daten ab einem DID ohne feste Länge als Hex aus', async () => {
+    const { tool } = await connectSimulator(profileWith('intuvia', {
+      dtcs: [{ dtc: '0x050300', status: '0x09', snapshots: { '0x01': { SERIAL_NUMBER: '04:55', COMPONENT_TYPE: '0b' } } }]
+    }));
+
+    const [snapshot] = await tool.readDtcSnapshot(0x050300);
+
+    assert.deepEqual(snapshot.identifiers, [{ dataIdentifier: '0x0242', name: null, value: '04 55 02 60 0B' }]);
+  });
+
+  it('trägt nicht unterstützte Records als null ein', async () => {
+    const { tool, simulator } = await connectSimulator('intuvia');
+    const handleRequest = simulator.handleRequest;
+    simulator.handleRequest = (payload, ecu) => (payload[0] === 0x19 && payload[1] === 0x06
+      ? [simulator.negative(0x19, 0x12)]
+      : handleRequest(payload, ecu));
+
+    const { dtcs } = await tool.readFaultMemory();
+
+    assert.ok(dtcs.every(dtc => dtc.extendedData === null && dtc.snapshots.length === 1));
+  });
+
+  it('lehnt eine DTC-Liste mit unvollständigem Eintrag ab', async () => {
+    const { tool, simulator } = await connectSimulator('intuvia');
+    simulator.handleRequest = () => [{ delay: 0, response: [0x59, 0x02, 0xFF, 0x05, 0x03, 0x00] }];
+
+    await assert.rejects(tool.readDtcByStatusMask(), /Fehlerspeicher-Lesefehler: Ungültige Länge 6/);
+  });
+
+  it('löscht den Fehlerspeicher nur mit Bestätigung', async () => {
+    const { tool, requests } = await connectSimulator('intuvia');
+
+    await assert.rejects(tool.clearDiagnosticInformation(), /muss bestätigt werden \(confirm: true\)/);
+    assert.deepEqual(requests, []);
+
+    const result = await tool.clearDiagnosticInformation({ confirm: true });
+
+    assert.equal(result.cleared, true);
+    assert.equal(result.group, '0xFFFFFF');
+    assert.deepEqual(requests, [[0x14, 0xFF, 0xFF, 0xFF]]);
+    assert.deepEqual(codes(await tool.readDtcByStatusMask()), []);
+  });
+
+  it('löscht einzelne DTCs und meldet unbekannte mit NRC 0x31', async () => {
+    const { tool } = await connectSimulator('intuvia');
+
+    await tool.clearDiagnosticInformation({ group: 0x050300, confirm: true });
+
+    assert.deepEqual(codes(await tool.readDtcByStatusMask()), ['0x042300']);
+    await assert.rejects(tool.clearDiagnosticInformation({ group: 0x050300, confirm: true }), isNrc(0x31));
+  });
+});
+
+describe('BoschDisplayTool - Speicher lesen', () => {
+  afterEach(disconnectAll);
+
+  // Intuvia-Profil: Speicher ab 0x00000000, höchstens 0x400 Bytes je Request
+  const START = 0x3F00;
+  const LENGTH = 1000;
+
+  // ReadMemoryByAddress erfordert die Extended-Session
+  async function connectMemory() {
+    const connection = await connectSimulator('intuvia');
+    await connection.tool.startSession('extended');
+    connection.requests.splice(0);
+    return connection;
+  }
+  const memoryOf = (simulator, address, length) => Array.from(simulator.memory.data.slice(address, address + length));
+  const readRequests = (requests) => requests.filter(request => request[0] === 0x23);
+  // Adresse und Länge eines 0x23-Requests im Format 0x24 bzw. 0x14
+  const addressOf = (request) => ((request[2] << 24) | (request[3] << 16) | (request[4] << 8) | request[5]) >>> 0;
+
+  /**
+   * Liest wie der dump-Befehl: jeder Teil wird angehängt, stop(chunks) beendet das Lesen
+   */
+  async function dump(tool, address, length, { stop = () => false, ...options } = {}) {
+    const chunks = [];
+    const result = await tool.dumpMemory(address, length, {
+      ...options,
+      onChunk: (chunkAddress, bytes) => {
+        chunks.push([chunkAddress, Array.from(bytes)]);
+        return stop(chunks) ? false : undefined;
+      }
+    });
+    return { result, chunks, data: chunks.flatMap(([, bytes]) => bytes) };
+  }
+
+  it('liest einen Bereich in Teilen der Blockgröße', async () => {
+    const { tool, simulator, requests } = await connectMemory();
+
+    const { result, chunks, data } = await dump(tool, START, LENGTH, { chunkSize: 256 });
+
+    assert.deepEqual(result, { address: '0x00003F00', length: LENGTH, bytesRead: LENGTH, chunks: 4 });
+    assert.deepEqual(chunks.map(([address, bytes]) => [address, bytes.length]), [
+      [START, 256], [START + 256, 256], [START + 512, 256], [START + 768, 232]
+    ]);
+    assert.deepEqual(readRequests(requests).map(request => [addressOf(request), (request[6] << 8) | request[7]]),
+      chunks.map(([address, bytes]) => [address, bytes.length]));
+    assert.deepEqual(data, memoryOf(simulator, START, LENGTH));
+    assert.equal(String.fromCharCode(...data.slice(0x4000 - START, 0x4000 - START + 6)), 'BUI255');
+  });
+
+  it('begrenzt die Blockgröße auf die Längenbytes des Formats', async () => {
+    const { tool, requests } = await connectMemory();
+
+    const { result } = await dump(tool, START, 600, { format: 0x14, chunkSize: 0x200 });
+
+    assert.equal(result.chunks, 3);
+    assert.deepEqual(readRequests(requests).map(request => request.at(-1)), [255, 255, 90]);
+  });
+
+  it('meldet den Fortschritt je Teil', async () => {
+    const { tool } = await connectMemory();
+    const events = [];
+
+    await tool.dumpMemory(START, LENGTH, { chunkSize: 400, onProgress: (event) => events.push([event.bytesRead, event.percent]) });
+
+    assert.deepEqual(events, [[400, 40], [800, 80], [1000, 100]]);
+  });
+
+  it('lehnt leere Bereiche und Blockgrößen ab', async () => {
+    const { tool, requests } = await connectMemory();
+
+    await assert.rejects(tool.dumpMemory(START, 0), /Ungültige Länge 0/);
+    await assert.rejects(tool.dumpMemory(START, LENGTH, { chunkSize: 0 }), /Blockgröße 0/);
+    assert.deepEqual(requests, []);
+  });
+
+  it('setzt einen vorzeitig beendeten Abzug lückenlos fort', async () => {
+    const { tool, simulator } = await connectMemory();
+
+    const first = await dump(tool, START, LENGTH, { chunkSize: 256, stop: (chunks) => chunks.length === 2 });
+    const offset = first.data.length;
+    const rest = await dump(tool, START + offset, LENGTH - offset, { chunkSize: 256 });
+
+    assert.equal(first.result.bytesRead, 512);
+    assert.equal(rest.chunks[0][0], START + 512);
+    assert.deepEqual([...first.data, ...rest.data], memoryOf(simulator, START, LENGTH));
+  });
+
+  it('behält nach einem Fehler die gelesenen Teile und setzt dahinter fort', async () => {
+    const { tool, simulator } = await connectMemory();
+    const handleRequest = simulator.handleRequest;
+    let reads = 0;
+    simulator.handleRequest = (payload, ecu) => (payload[0] === 0x23 && ++reads === 3
+      ? [simulator.negative(0x23, 0x22)]
+      : handleRequest(payload, ecu));
+
+    const received = [];
+    await assert.rejects(
+      tool.dumpMemory(START, LENGTH, { chunkSize: 256, onChunk: (address, bytes) => received.push(...bytes) }),
+      isNrc(0x22)
+    );
+    const rest = await dump(tool, START + received.length, LENGTH - received.length, { chunkSize: 256 });
+
+    assert.equal(received.length, 512);
+    assert.deepEqual([...received, ...rest.data], memoryOf(simulator, START, LENGTH));
+  });
+
+  it('wartet auf asynchrone onChunk-Aufrufe', async () => {
+    const { tool } = await connectMemory();
+    const order = [];
+
+    await tool.dumpMemory(START, 512, {
+      chunkSize: 256,
+      onChunk: async (address) => {
+        order.push(`start ${address}`);
+        await wait(5);
+        order.push(`end ${address}`);
+      }
+    });
+
+    assert.deepEqual(order, [`start ${START}`, `end ${START}`, `start ${START + 256}`, `end ${START + 256}`]);
+  });
+});
+
+describe('BoschDisplayTool - Routinen', () => {
+  afterEach(disconnectAll);
+
+  const statusOf = (result) => result.results.find(field => field.key === 'status').value;
+
+  it('startet harmlose Routinen ohne Bestätigung in ihrer Session', async () => {
+    const { tool, requests } = await connectSimulator('intuvia');
+
+    const started = await tool.startRoutine('DISPLAY_TEST', { duration: 5 });
+    const running = await tool.requestRoutineResults('DISPLAY_TEST');
+    await tool.stopRoutine('DISPLAY_TEST');
+    const finished = await tool.requestRoutineResults('0x0201');
+
+    assert.deepEqual([started.rid, started.control, started.safety], ['0x0201', 'start', 'harmless']);
+    assert.equal(tool.session, 'extended');
+    assert.deepEqual(requests.slice(0, 2), [[0x10, 0x03], [0x31, 0x01, 0x02, 0x01, 0x05]]);
+    assert.equal(statusOf(running), 'Läuft');
+    assert.equal(statusOf(finished), 'Abgeschlossen');
+  });
+
+  it('ergänzt fehlende Start-Parameter aus dem Katalog', async () => {
+    const { tool, requests } = await connectSimulator('intuvia');
+
+    await tool.startRoutine('DISPLAY_TEST');
+
+    assert.deepEqual(requests.at(-1), [0x31, 0x01, 0x02, 0x01, 10]);
+  });
+
+  for (const [key, label] of [['RESET_TRIP_DATA', 'Verändert Daten'], ['FACTORY_RESET', 'Gefährlich']]) {
+    it(`startet ${key} (${label}) nur mit Bestätigung`, async () => {
+      const { tool, requests } = await connectSimulator('intuvia');
+
+      await assert.rejects(tool.startRoutine(key), new RegExp(`\\(${label}\\) muss bestätigt werden \\(confirm: true\\)`));
+      assert.deepEqual(requests, []);
+
+      const result = await tool.startRoutine(key, {}, { confirm: true });
+      assert.equal(result.control, 'start');
+      assert.equal(requests.at(-1)[0], 0x31);
+    });
+  }
+
+  it('prüft die Steuerart vor dem Senden', async () => {
+    const { tool, requests } = await connectSimulator('intuvia');
+
+    await assert.rejects(tool.routineControl('DISPLAY_TEST', 'pause'), /Unbekannte Steuerart "pause"/);
+    await assert.rejects(tool.stopRoutine('RESET_TRIP_DATA'), /unterstützt "stop" nicht \(start\)/);
+    assert.deepEqual(requests, []);
+  });
+
+  it('meldet den Start einer laufenden Routine mit NRC 0x24', async () => {
+    const { tool } = await connectSimulator('intuvia');
+
+    await tool.startRoutine('BUTTON_TEST');
+
+    await assert.rejects(tool.startRoutine('BUTTON_TEST'), isNrc(0x24));
+  });
+});
+
+describe('BoschDisplayTool - ECU-Reset', () => {
+  afterEach(disconnectAll);
+
+  it('verbindet nach dem Neustart wieder und beginnt in der Default-Session', async () => {
+    const { tool, simulator } = await connectSimulator('intuvia', { keyAlgorithm: 'simulator' });
+    await tool.startSession('extended');
+    await tool.securityAccess(0x01);
+    const dispatcher = tool.dispatcher;
+
+    const result = await tool.ecuReset('hard');
+
+    assert.equal(result.reconnected, true);
+    assert.ok(result.duration >= simulator.resetTime, `${result.duration} ms`);
+    assert.equal(simulator.resetCount, 1);
+    assert.equal(tool.isConnected, true);
+    assert.equal(tool.session, 'default');
+    assert.equal(tool.securityLevel, null);
+    assert.equal(tool.testerPresentTimer, null);
+    assert.notEqual(tool.dispatcher, dispatcher);
+    assert.equal(await tool.readIdentifier('COMPONENT_TYPE'), 'Intuvia');
+  });
+
+  it('wartet ohne reconnect nicht auf das Display', async () => {
+    const { tool, simulator } = await connectSimulator('intuvia');
+
+    const result = await tool.ecuReset('soft', { reconnect: false });
+
+    assert.equal(result.reconnected, false);
+    assert.ok(result.duration < simulator.resetTime);
+    assert.equal(simulator.session, 0x01);
+  });
+
+  it('meldet ein Display, das nach dem Neustart nicht mehr antwortet', async () => {
+    const { tool, simulator } = await connectSimulator('intuvia');
+    simulator.resetTime = 60000;
+
+    await assert.rejects(tool.ecuReset('hard', { timeout: 1000 }), /ECU-Reset fehlgeschlagen: Display antwortet nach 1000 ms nicht mehr \(Handshake-Fehler/);
+    assert.equal(tool.isConnected, false);
+  });
+
+  it('lehnt unbekannte Reset-Arten ab', async () => {
+    const { tool, requests } = await connectSimulator('intuvia');
+
+    await assert.rejects(tool.ecuReset('warm'), /Unbekannte Reset-Art "warm"/);
+    assert.deepEqual(requests, []);
+  });
+});
+
+describe('BoschDisplayTool - Uhr stellen', () => {
+  afterEach(disconnectAll);
+
+  const seedRequests = (requests) => requests.filter(request => request[0] === 0x27 && request[1] % 2 === 1);
+
+  // Schreibt wie "clock --sync" (Extended-Session bei Bedarf)
+  const connectClock = (toolOptions) => connectSimulator('intuvia', { autoSession: 'extended', ...toolOptions });
+
+  it('entsperrt mit autoSecurity genau einmal', async () => {
+    const { tool, requests } = await connectClock({ keyAlgorithm: 'simulator', autoSecurity: 0x11 });
+
+    const result = await tool.syncClock({ timeZone: 'UTC' });
+
+    assert.equal(result.readBack, result.hostTime);
+    assert.deepEqual(seedRequests(requests), [[0x27, 0x11]]);
+  });
+
+  it('entsperrt ohne autoSecurity das Level der Uhr', async () => {
+    const { tool, requests } = await connectClock({ keyAlgorithm: 'simulator' });
+
+    await tool.syncClock({ timeZone: 'UTC' });
+
+    assert.deepEqual(seedRequests(requests), [[0x27, 0x01]]);
+    assert.equal(tool.securityLevel, 0x01);
+  });
+
+  it('entsperrt nicht erneut, wenn das Display nach dem Entsperren weiter ablehnt', async () => {
+    const { tool, simulator, requests } = await connectClock({ keyAlgorithm: 'simulator', autoSecurity: 0x01 });
+    const handleRequest = simulator.handleRequest;
+    simulator.handleRequest = (payload, ecu) => (payload[0] === 0x2E
+      ? [simulator.negative(0x2E, 0x33)]
+      : handleRequest(payload, ecu));
+    await tool.startSession('extended');
+
+    await assert.rejects(tool.syncClock({ timeZone: 'UTC' }), isNrc(0x33));
+    assert.deepEqual(seedRequests(requests), [[0x27, 0x01]]);
+  });
+
+  it('meldet NRC 0x33 ohne Schlüsselalgorithmus, statt zu entsperren', async () => {
+    const { tool, requests } = await connectClock({ autoSecurity: 0x01 });
+
+    await assert.rejects(tool.syncClock({ timeZone: 'UTC' }), isNrc(0x33));
+    assert.deepEqual(seedRequests(requests), []);
+  });
+
+  it('schreibt ohne SecurityAccess, wenn das Display keinen verlangt', async () => {
+    const { tool, requests } = await connectClock({ keyAlgorithm: 'simulator' });
+
+    await tool.syncClock({ timeZone: 'UTC' });
+    await tool.syncClock({ timeZone: 'UTC' });
+
+    assert.equal(seedRequests(requests).length, 1, 'entsperrtes Level gilt weiter');
+  });
+});
@@ -0,0 +1,415 @@
+/**
+ * Data Identifier Registry
+ * Liest das DID-Dictionary (shared/dataIdentifiers.json) und dekodiert
+ * Responses generisch anhand des Datentyps jedes Eintrags
+ */
+
+const dictionary = require('../dataIdentifiers.json');
+const { ProtocolHelper } = require('./protocols');
+
+/**
+ * Generische Decoder pro Datentyp
+ * Erhalten nur die Nutzdaten (ohne Response-SID und Identifier-Echo)
+ */
+const DECODERS = {
+  ascii: (bytes) => ProtocolHelper.hexToAscii(bytes),
+
+  'part-number': (bytes) => ProtocolHelper.hexToArticleNumber(bytes),
+
+  hex: (bytes) => ProtocolHelper.hexToSerialNumber(bytes),
+
+  raw: (bytes) => Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join(' ').toUpperCase(),
+
+  version: (bytes) => ProtocolHelper.hexToVersion(bytes),
+
+  'bcd-version': (bytes) => Array.from(bytes).map(b => ((b >> 4) * 10 + (b & 0x0F)).toString()).join('.'),
+
+  uint8: (bytes) => bytes[0],
+
+  'uint16-le': (bytes) => bytes[0] | (bytes[1] << 8),
+
+  'uint16-be': (bytes) => (bytes[0] << 8) | bytes[1],
+
+  'uint32-le': (bytes) => (bytes[0] | (bytes[1] << 8) | (bytes[2] << 16) | (bytes[3] << 24)) >>> 0,
+
+  'uint32-be': (bytes) => ((bytes[0] << 24) | (bytes[1] << 16) | (bytes[2] << 8) | bytes[3]) >>> 0,
+
+  date: (bytes) => {
+    const [year, month, day] = bytes;
+    return `${day.toString().padStart(2, '0')}.${month.toString().padStart(2, '0')}.${2000 + year}`;
+  },
+
+  time: (bytes) => {
+    const [hours, minutes] = bytes;
+    return `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}`;
+  },
+
+  'date-time': (bytes) => `${DECODERS.date(bytes.slice(0, 3))} ${DECODERS.time(bytes.slice(3, 5))}`,
+
+  enum: (bytes, entry) => {
+    const code = bytes[0];
+    return entry.values[code] || `Unbekannt (0x${code.toString(16).padStart(2, '0')})`;
+  }
+};
+
+/**
+ * Hex-String ("0x37FF...", "37 ff", "37:ff") zu Bytes
+ */
+function parseHexValue(value) {
+  const hex = String(value).replace(/^0x/i, '').replace(/[\s:]/g, '');
+  if (hex.length === 0 || hex.length % 2 !== 0 || !/^[0-9a-f]+$/i.test(hex)) {
+    throw new Error(`Ungültiger Hex-Wert "${value}"`);
+  }
+  return hex.match(/../g).map(pair => parseInt(pair, 16));
+}
+
+/**
+ * Ganzzahl im Bereich [0, max] (auch als Dezimal- oder 0x-String)
+ */
+function parseInteger(value, max) {
+  const number = typeof value === 'number' ? value : Number(String(value).trim());
+  if (!Number.isInteger(number) || number < 0 || number > max) {
+    throw new Error(`Ungültiger Wert "${value}" (erwartet 0-${max})`);
+  }
+  return number;
+}
+
+/**
+ * Zerlegt "1.2.3" in Zahlen mit Obergrenze
+ */
+function parseParts(value, separator, max, label) {
+  const parts = String(value).trim().split(separator);
+  if (parts.some(part => !/^\d+$/.test(part))) {
+    throw new Error(`Ungültige ${label} "${value}"`);
+  }
+  return parts.map(part => parseInteger(part, max));
+}
+
+/**
+ * Generische Encoder pro Datentyp (Umkehrung der DECODERS)
+ * Liefern nur die Nutzdaten (ohne SID und Identifier)
+ */
+const ENCODERS = {
+  ascii: (value) => {
+    const text = String(value);
+    if (!/^[\x20-\x7E]*$/.test(text)) {
+      throw new Error(`Nur druckbare ASCII-Zeichen erlaubt: "${text}"`);
+    }
+    return Array.from(text).map(char => char.charCodeAt(0));
+  },
+
+  'part-number': (value) => ENCODERS.ascii(value),
+
+  hex: (value) => parseHexValue(value),
+
+  raw: (value) => parseHexValue(value),
+
+  version: (value) => parseParts(value, '.', 0xFF, 'Version'),
+
+  'bcd-version': (value) => parseParts(value, '.', 99, 'BCD-Version')
+    .map(part => ((Math.floor(part / 10) << 4) | (part % 10))),
+
+  uint8: (value) => [parseInteger(value, 0xFF)],
+
+  'uint16-le': (value) => {
+    const number = parseInteger(value, 0xFFFF);
+    return [number & 0xFF, number >> 8];
+  },
+
+  'uint16-be': (value) => {
+    const number = parseInteger(value, 0xFFFF);
+    return [number >> 8, number & 0xFF];
+  },
+
+  'uint32-le': (value) => {
+    const number = parseInteger(value, 0xFFFFFFFF);
+    return [0, 8, 16, 24].map(shift => Math.floor(number / 2 ** shift) & 0xFF);
+  },
+
+  'uint32-be': (value) => ENCODERS['uint32-le'](value).reverse(),
+
+  date: (value) => {
+    const match = /^(\d{1,2})\.(\d{1,2})\.(\d{4})$/.exec(String(value).trim());
+    if (!match) {
+      throw new Error(`Ungültiges Datum "${value}" (erwartet TT.MM.JJJJ)`);
+    }
+    const [day, month, year] = match.slice(1).map(Number);
+    const date = new Date(year, month - 1, day);
+    if (year < 2000 || year > 2255 || date.getMonth() !== month - 1 || date.getDate() !== day) {
+      throw new Error(`Ungültiges Datum "${value}"`);
+    }
+    return [year - 2000, month, day];
+  },
+
+  time: (value) => {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(String(value).trim());
+    if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+      throw new Error(`Ungültige Uhrzeit "${value}" (erwartet HH:MM)`);
+    }
+    return [Number(match[1]), Number(match[2])];
+  },
+
+  'date-time': (value) => {
+    const [date, time, ...rest] = String(value).trim().split(/\s+/);
+    if (!time || rest.length > 0) {
+      throw new Error(`Ungültiger Zeitpunkt "${value}" (erwartet TT.MM.JJJJ HH:MM)`);
+    }
+    return [...ENCODERS.date(date), ...ENCODERS.time(time)];
+  },
+
+  enum: (value, entry) => {
+    const match = Object.entries(entry.values).find(([code, name]) => name === value || Number(code) === Number(value));
+    if (!match) {
+      throw new Error(`Ungültiger Wert "${value}" (erlaubt: ${Object.values(entry.values).join(', ')})`);
+    }
+    return [Number(match[0])];
+  }
+};
+
+/**
+ * Mindestlänge der Nutzdaten pro Datentyp
+ */
+const MIN_LENGTHS = {
+  uint8: 1,
+  'uint16-le': 2,
+  'uint16-be': 2,
+  'uint32-le': 4,
+  'uint32-be': 4,
+  date: 3,
+  time: 2,
+  'date-time': 5,
+  enum: 1
+};
+
+/**
+ * Cache-Klassen der Einträge: static ändert sich für ein Gerät nie (je Seriennummer gespeichert),
+ * volatile nur durch Flashen oder Schreiben (gilt für die laufende Verbindung), live wird immer gelesen
+ */
+const CACHE_POLICIES = ['static', 'volatile', 'live'];
+
+/**
+ * Wandelt "0x0242" in [0x02, 0x42] um
+ */
+function parseDid(did) {
+  const hex = did.replace(/^0x/i, '');
+  if (!/^[0-9a-f]{4}$/i.test(hex)) {
+    throw new Error(`Ungültiger Data Identifier im Dictionary: ${did}`);
+  }
+  return [parseInt(hex.substr(0, 2), 16), parseInt(hex.substr(2, 2), 16)];
+}
+
+/**
+ * Normalisiert einen Dictionary-Eintrag (Hex-Strings zu Bytes)
+ */
+function normalizeEntry(raw) {
+  if (!raw.key || !raw.did || !raw.type) {
+    throw new Error(`Unvollständiger Dictionary-Eintrag: ${JSON.stringify(raw)}`);
+  }
+  if (!DECODERS[raw.type]) {
+    throw new Error(`Unbekannter Datentyp "${raw.type}" für ${raw.key}`);
+  }
+  if (raw.cache && !CACHE_POLICIES.includes(raw.cache)) {
+    throw new Error(`Unbekannte Cache-Klasse "${raw.cache}" für ${raw.key}`);
+  }
+
+  const values = {};
+  Object.entries(raw.values || {}).forEach(([code, name]) => {
+    values[parseInt(code, 16)] = name;
+  });
+
+  return {
+    ...raw,
+    did: parseDid(raw.did),
+    ecu: raw.ecu || 'HMI',
+    length: raw.length || null,
+    unit: raw.unit || null,
+    cache: raw.cache || 'live',
+    confirmed: Boolean(raw.confirmed),
+    writable: Boolean(raw.writable),
+    values
+  };
+}
+
+/**
+ * Verwaltet die Data Identifier und dekodiert deren Werte
+ */
+class DidRegistry {
+  constructor(definition = dictionary) {
+    this.entries = definition.identifiers.map(normalizeEntry);
+    this.byKey = new Map(this.entries.map(entry => [entry.key, entry]));
+  }
+
+  /**
+   * Erstellt eine Registry aus dem JSON-Text eines Dictionaries
+   */
+  static fromJson(json) {
+    return new DidRegistry(JSON.parse(json));
+  }
+
+  /**
+   * Liefert einen Eintrag anhand seines Schlüssels (z.B. SERIAL_NUMBER)
+   */
+  get(key) {
+    const entry = this.byKey.get(key);
+    if (!entry) {
+      throw new Error(`Unbekannter Data Identifier: ${key}`);
+    }
+    return entry;
+  }
+
+  /**
+   * Sucht einen Eintrag anhand der DID-Bytes, optional eingeschränkt auf ein ECU
+   */
+  findByDid(did, ecu = null) {
+    return this.entries.find(entry =>
+      entry.did[0] === did[0] && entry.did[1] === did[1] && (!ecu || entry.ecu === ecu)
+    ) || null;
+  }
+
+  /**
+   * Feste Nutzdatenlänge eines Eintrags (null bei variabler Länge, z.B. ascii)
+   */
+  fixedLength(entry) {
+    return entry.length || MIN_LENGTHS[entry.type] || null;
+  }
+
+  /**
+   * Listet alle Einträge, optional gefiltert nach ECU
+   */
+  list({ ecu = null } = {}) {
+    return this.entries.filter(entry => !ecu || entry.ecu === ecu);
+  }
+
+  /**
+   * Dekodiert eine 0x62-Response (Report oder Payload: SID + DID-Echo + Daten)
+   */
+  decode(keyOrEntry, payload) {
+    const entry = typeof keyOrEntry === 'string' ? this.get(keyOrEntry) : keyOrEntry;
+
+    return this.decodeValue(entry, ProtocolHelper.extractDidValue(payload, entry.did));
+  }
+
+  /**
+   * Zerlegt eine 0x62-Response auf einen Request mit mehreren DIDs in die Nutzdaten je Eintrag
+   * Reihenfolge wie im Request, nicht unterstützte DIDs fehlen (ISO 14229). Ein Wert endet am
+   * nächsten angefragten DID (die Länge des Datentyps ist nur die Mindestlänge, 0x023A liefert
+   * z.B. Datum und Uhrzeit); unter mehreren Zerlegungen gilt die mit den wenigsten fehlenden
+   * DIDs. Bleibt es mehrdeutig, wird abgebrochen statt zu raten.
+   * @returns {Array<{ entry, bytes }>}
+   */
+  splitMultiResponse(entries, payload) {
+    const data = payload.slice(1);
+    const didAt = (entry, offset) => data[offset] === entry.did[0] && data[offset + 1] === entry.did[1];
+    const memo = new Map();
+
+    // Beste Zerlegung ab Eintrag index und Offset: { parts, count } (count = gleich gute Zerlegungen)
+    const split = (index, offset) => {
+      if (offset === data.length) {
+        return { parts: [], count: 1 };
+      }
+      const memoKey = `${index}:${offset}`;
+      if (memo.has(memoKey)) {
+        return memo.get(memoKey);
+      }
+
+      let best = null;
+      // Einträge zwischen index und next wurden vom Steuergerät ausgelassen
+      for (let next = index; next < entries.length; next++) {
+        const entry = entries[next];
+        if (!didAt(entry, offset)) {
+          continue;
+        }
+
+        const start = offset + 2;
+        const minimum = entry.length || this.fixedLength(entry) || 1;
+        for (let end = start + minimum; end <= data.length; end++) {
+          if (end < data.length && !entries.slice(next + 1).some(later => didAt(later, end))) {
+            continue;
+          }
+          const rest = split(next + 1, end);
+          if (!rest) {
+            continue;
+          }
+
+          const parts = [{ entry, bytes: data.slice(start, end) }, ...rest.parts];
+          if (!best || parts.length > best.parts.length) {
+            best = { parts, count: rest.count };
+          } else if (parts.length === best.parts.length) {
+            best.count += rest.count;
+          }
+        }
+      }
+
+      memo.set(memoKey, best);
+      return best;
+    };
+
+    const result = split(0, 0);
+    if (!result) {
+      throw new Error('Response passt nicht zu den angefragten Data Identifiern');
+    }
+    if (result.count > 1) {
+      throw new Error('Response mit mehreren DIDs ist nicht eindeutig zerlegbar');
+    }
+    return result.parts;
+  }
+
+  /**
+   * Dekodiert die Nutzdaten eines Eintrags anhand seines Datentyps
+   */
+  decodeValue(entry, bytes) {
+    const requiredLength = entry.length || MIN_LENGTHS[entry.type] || 0;
+    if (bytes.length < requiredLength) {
+      throw new Error(`${entry.name}: ${bytes.length} Bytes empfangen, ${requiredLength} erwartet`);
+    }
+
+    const data = entry.length ? bytes.slice(0, entry.length) : bytes;
+    return DECODERS[entry.type](data, entry);
+  }
+
+  /**
+   * Kodiert einen Wert (Anzeigeformat wie von decode/format) in Nutzdaten
+   * Byte-Arrays werden unverändert übernommen; die Länge muss zum Eintrag passen
+   */
+  encode(keyOrEntry, value) {
+    const entry = typeof keyOrEntry === 'string' ? this.get(keyOrEntry) : keyOrEntry;
+
+    let bytes;
+    if (Array.isArray(value) || value instanceof Uint8Array) {
+      bytes = Array.from(value);
+    } else {
+      // Einheit aus dem Anzeigeformat entfernen ("1200 1/min" -> "1200")
+      const text = entry.unit && typeof value === 'string' && value.endsWith(` ${entry.unit}`)
+        ? value.slice(0, -entry.unit.length - 1)
+        : value;
+      bytes = ENCODERS[entry.type](text, entry);
+    }
+
+    const requiredLength = entry.length || MIN_LENGTHS[entry.type] || 0;
+    if (entry.length ? bytes.length !== entry.length : bytes.length < requiredLength) {
+      throw new Error(`${entry.name}: ${bytes.length} Bytes kodiert, ${requiredLength} erwartet`);
+    }
+    return bytes;
+  }
+
+  /**
+   * Formatiert einen dekodierten Wert inkl. Einheit für die Anzeige
+   */
+  format(entry, value) {
+    return entry.unit ? `${value} ${entry.unit}` : value;
+  }
+}
+
+/**
+ * Standard-Registry auf Basis von shared/dataIdentifiers.json
+ */
+DidRegistry.default = new DidRegistry();
+
+module.exports = {
+  DidRegistry,
+  DECODERS,
+  ENCODERS,
+  MIN_LENGTHS,
+  CACHE_POLICIES,
+  parseDid
+};
@@ -0,0 +1,219 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { DidRegistry, DECODERS, ENCODERS } = require('./DidRegistry');
+const { FrameReassembler } = require('./FrameSegmenter');
+const { DEVICE_CONSTANTS, ProtocolHelper } = require('./protocols');
+const recordings = require('../recordings');
+const { vectors } = require('./fixtures/responseVectors.json');
+
+const registry = DidRegistry.default;
+
+/**
+ * Setzt Reports (Hex wie im Mitschnitt) wie eine echte Response zusammen und dekodiert sie
+ */
+function decodeReports(key, reports) {
+  const reassembler = new FrameReassembler();
+  let payload = null;
+  for (const hex of reports) {
+    const report = new Uint8Array(DEVICE_CONSTANTS.REPORT_SIZE);
+    report.set(ProtocolHelper.parsePcapHidData(hex));
+    payload = reassembler.push(report);
+  }
+  assert.ok(payload, 'Nachricht unvollständig');
+
+  const entry = registry.get(key);
+  return registry.format(entry, registry.decode(entry, payload));
+}
+
+// Bisher nur Mitschnitte des Referenzgeräts; für andere Displays sind die Decoder nicht belegt
+describe('DidRegistry - mitgeschnittene Responses', () => {
+  for (const vector of vectors) {
+    it(`${vector.device} ${vector.key} (${vector.recording})`, () => {
+      const recording = recordings[vector.recording];
+      assert.ok(recording, `Aufzeichnung ${vector.recording} fehlt`);
+      const recorded = recording.exchanges.flatMap(exchange => exchange.responses);
+      vector.reports.forEach(report => assert.ok(recorded.includes(report), `Report ${report} nicht in ${vector.recording}`));
+
+      assert.equal(decodeReports(vector.key, vector.reports), vector.expected);
+    });
+  }
+});
+
+// Konstruierte Responses: andere Werte und Längen als beim Referenzgerät, keine Mitschnitte -
+// sie prüfen das Layout, belegen aber nicht, dass andere Displays so antworten
+describe('DidRegistry - Response-Layout', () => {
+  it('liest die Seriennummer bis zum Längenbyte, nicht bis zum Report-Ende', () => {
+    assert.equal(decodeReports('SERIAL_NUMBER', ['01:00:3d:08:0a:62:02:42:04:55:e1:a0:33:4b:38:ff:ff']), '0x0455E1A0334B38');
+  });
+
+  it('dekodiert Versionen mit vier Stellen', () => {
+    assert.equal(decodeReports('HARDWARE_VERSION', ['01:00:3d:08:07:62:02:72:02:01:00:04']), '2.1.0.4');
+    assert.equal(decodeReports('SOFTWARE_VERSION', ['01:00:3d:08:07:62:02:20:0a:0e:00:03']), '10.14.0.3');
+  });
+
+  it('dekodiert Komponententyp und Produktcode anderer Displays', () => {
+    assert.equal(decodeReports('COMPONENT_TYPE', ['01:00:3d:08:04:62:02:60:0d']), 'Nyon');
+    assert.equal(decodeReports('BOSCH_PRODUCT_CODE', ['01:00:3d:08:09:62:5b:7c:42:55:49:32:37:35']), 'BUI275');
+  });
+
+  it('lehnt eine Response mit falschem DID-Echo ab', () => {
+    assert.throws(() => decodeReports('SERIAL_NUMBER', ['01:00:3d:08:07:62:02:72:00:00:02:02']));
+  });
+});
+
+describe('DidRegistry - Responses mit mehreren DIDs', () => {
+  const entries = (...keys) => keys.map(key => registry.get(key));
+  const ascii = (text) => Array.from(text, char => char.charCodeAt(0));
+  const split = (keys, payload) => registry.splitMultiResponse(entries(...keys), payload)
+    .map(({ entry, bytes }) => [entry.key, Array.from(bytes)]);
+
+  it('trennt ASCII-Werte variabler Länge am nächsten angefragten DID', () => {
+    const payload = [0x62, 0x02, 0x32, ...ascii('1270020917'), 0x5B, 0x7C, ...ascii('BUI275'), 0x02, 0x60, 0x0D];
+
+    assert.deepEqual(split(['HMI_PART_NUMBER', 'BOSCH_PRODUCT_CODE', 'COMPONENT_TYPE'], payload), [
+      ['HMI_PART_NUMBER', ascii('1270020917')],
+      ['BOSCH_PRODUCT_CODE', ascii('BUI275')],
+      ['COMPONENT_TYPE', [0x0D]]
+    ]);
+  });
+
+  it('lässt vom Steuergerät ausgelassene DIDs weg', () => {
+    const payload = [0x62, 0x02, 0x42, 0x04, 0x55, 0xE1, 0x02, 0x60, 0x0B];
+
+    assert.deepEqual(split(['SERIAL_NUMBER', 'HARDWARE_VERSION', 'COMPONENT_TYPE'], payload), [
+      ['SERIAL_NUMBER', [0x04, 0x55, 0xE1]],
+      ['COMPONENT_TYPE', [0x0B]]
+    ]);
+  });
+
+  it('bricht ab, wenn ein Wert wie ein späterer DID aussieht und die Zerlegung mehrdeutig ist', () => {
+    // Seriennummer AA oder AA 02 60 BB - beides ergibt zwei vollständige Einträge
+    const payload = [0x62, 0x02, 0x42, 0xAA, 0x02, 0x60, 0xBB, 0x02, 0x60, 0x0B];
+
+    assert.throws(() => split(['SERIAL_NUMBER', 'COMPONENT_TYPE'], payload), /nicht eindeutig zerlegbar/);
+  });
+
+  it('lehnt eine Response ohne angefragten DID ab', () => {
+    assert.throws(() => split(['SERIAL_NUMBER', 'COMPONENT_TYPE'], [0x62, 0x02, 0x72, 0x00, 0x01]), /passt nicht/);
+  });
+
+  it('zerlegt viele DIDs mit DID-ähnlichen Werten ohne exponentielle Suche', () => {
+    // Jeder Wert enthält den DID des übernächsten Eintrags; ohne Memoisierung wächst die Suche exponentiell
+    const count = 24;
+    const custom = new DidRegistry({
+      identifiers: Array.from({ length: count }, (_, index) => ({
+        key: `RAW_${index}`,
+        did: `0x40${index.toString(16).padStart(2, '0')}`,
+        type: 'raw'
+      }))
+    });
+    const payload = [0x62, ...Array.from({ length: count }, (_, index) => [0x40, index, 0x40, index + 2]).flat()];
+
+    const started = Date.now();
+    const parts = custom.splitMultiResponse(custom.list(), payload);
+
+    assert.equal(parts.length, count);
+    assert.deepEqual(Array.from(parts[5].bytes), [0x40, 7]);
+    assert.ok(Date.now() - started < 1000, `Zerlegung dauerte ${Date.now() - started} ms`);
+  });
+});
+
+describe('DidRegistry - Encoder', () => {
+  const ascii = (text) => Array.from(text, char => char.charCodeAt(0));
+
+  // Datentyp, Wert im Anzeigeformat, Nutzdaten
+  const cases = [
+    ['ascii', 'BUI255', ascii('BUI255')],
+    ['part-number', '1270020909', ascii('1270020909')],
+    ['hex', '0x0455E1A0334B38', [0x04, 0x55, 0xE1, 0xA0, 0x33, 0x4B, 0x38]],
+    ['raw', 'AA 01', [0xAA, 0x01]],
+    ['version', '5.9.2.0', [0x05, 0x09, 0x02, 0x00]],
+    ['bcd-version', '10.2.34', [0x10, 0x02, 0x34]],
+    ['uint8', 200, [0xC8]],
+    ['uint16-le', 513, [0x01, 0x02]],
+    ['uint16-be', 513, [0x02, 0x01]],
+    ['uint32-le', 4000000000, [0x00, 0x28, 0x6B, 0xEE]],
+    ['uint32-be', 4000000000, [0xEE, 0x6B, 0x28, 0x00]],
+    ['date', '14.09.2026', [0x1A, 0x09, 0x0E]],
+    ['time', '07:05', [0x07, 0x05]],
+    ['date-time', '14.09.2026 07:05', [0x1A, 0x09, 0x0E, 0x07, 0x05]]
+  ];
+
+  for (const [type, value, bytes] of cases) {
+    it(`kodiert ${type} ${value} und dekodiert es wieder`, () => {
+      assert.deepEqual(ENCODERS[type](value), bytes);
+      assert.equal(DECODERS[type](bytes), value);
+    });
+  }
+
+  it('nimmt Zahlen auch als Dezimal- oder 0x-String', () => {
+    assert.deepEqual(ENCODERS.uint8('200'), [0xC8]);
+    assert.deepEqual(ENCODERS['uint16-be']('0x0201'), [0x02, 0x01]);
+    assert.deepEqual(ENCODERS.hex('37:ff'), [0x37, 0xFF]);
+  });
+
+  it('kodiert Aufzählungen über Name oder Code', () => {
+    const entry = registry.get('COMPONENT_TYPE');
+
+    assert.deepEqual(ENCODERS.enum('Nyon', entry), [0x0D]);
+    assert.deepEqual(ENCODERS.enum(12, entry), [0x0C]);
+    assert.throws(() => ENCODERS.enum('Bosch', entry), /Ungültiger Wert "Bosch" \(erlaubt: Intuvia, /);
+  });
+
+  const invalid = [
+    ['ascii', 'Größe', /Nur druckbare ASCII-Zeichen/],
+    ['hex', '0x123', /Ungültiger Hex-Wert/],
+    ['raw', 'zz', /Ungültiger Hex-Wert/],
+    ['version', '1.a', /Ungültige Version/],
+    ['version', '1.256', /Ungültiger Wert "256" \(erwartet 0-255\)/],
+    ['bcd-version', '1.100', /erwartet 0-99/],
+    ['uint8', 256, /erwartet 0-255/],
+    ['uint8', -1, /Ungültiger Wert/],
+    ['uint16-le', '0x10000', /erwartet 0-65535/],
+    ['uint32-be', 1.5, /Ungültiger Wert/],
+    ['date', '31.02.2026', /Ungültiges Datum "31.02.2026"/],
+    ['date', '01.01.1999', /Ungültiges Datum/],
+    ['date', '2026-09-14', /erwartet TT.MM.JJJJ/],
+    ['time', '24:00', /Ungültige Uhrzeit/],
+    ['time', '7:5', /erwartet HH:MM/],
+    ['date-time', '14.09.2026', /erwartet TT.MM.JJJJ HH:MM/]
+  ];
+
+  for (const [type, value, message] of invalid) {
+    it(`lehnt ${type} ${JSON.stringify(value)} ab`, () => {
+      assert.throws(() => ENCODERS[type](value), message);
+    });
+  }
+
+  describe('encode', () => {
+    const custom = new DidRegistry({
+      identifiers: [
+        { key: 'SPEED', did: '0x4001', name: 'Geschwindigkeit', type: 'uint16-be', unit: 'km/h' },
+        { key: 'CODE', did: '0x4002', name: 'Code', type: 'raw', length: 3 },
+        { key: 'LABEL', did: '0x4003', name: 'Bezeichnung', type: 'ascii' }
+      ]
+    });
+
+    it('entfernt die Einheit des Anzeigeformats', () => {
+      assert.deepEqual(custom.encode('SPEED', '25 km/h'), [0x00, 0x19]);
+      assert.deepEqual(custom.encode('SPEED', 25), [0x00, 0x19]);
+    });
+
+    it('übernimmt Byte-Arrays unverändert', () => {
+      assert.deepEqual(custom.encode('CODE', Uint8Array.from([1, 2, 3])), [1, 2, 3]);
+    });
+
+    it('prüft die feste Länge und die Mindestlänge des Datentyps', () => {
+      assert.throws(() => custom.encode('CODE', 'AA BB'), /Code: 2 Bytes kodiert, 3 erwartet/);
+      assert.throws(() => custom.encode('SPEED', [0x19]), /Geschwindigkeit: 1 Bytes kodiert, 2 erwartet/);
+      assert.deepEqual(custom.encode('LABEL', ''), []);
+    });
+
+    it('kodiert die schreibbaren Einträge des Dictionarys', () => {
+      assert.deepEqual(registry.encode('CURRENT_TIME', '14:30'), [0x0E, 0x1E]);
+      assert.deepEqual(registry.encode('PRESENT_DATE_TIME', '14.09.2026 07:05'), [0x1A, 0x09, 0x0E, 0x07, 0x05]);
+      assert.throws(() => registry.encode('CURRENT_TIME', '14:30:00'), /Ungültige Uhrzeit/);
+    });
+  });
+});
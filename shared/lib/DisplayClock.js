@@ -0,0 +1,114 @@
+/**
+ * Uhrzeit-Hilfen für das Display
+ *
+ * Das Display speichert Datum und Uhrzeit als lokale Wanduhrzeit ohne Zeitzone
+ * und ohne Sekunden (PRESENT_DATE_TIME: JJ MM TT hh mm). Vergleich und
+ * Synchronisierung laufen deshalb über die Wanduhrzeit des Hosts in einer
+ * gewählten IANA-Zeitzone (Standard: Zeitzone des Hosts).
+ */
+
+const DATE_TIME_PATTERN = /^(\d{2})\.(\d{2})\.(\d{4}) (\d{2}):(\d{2})$/;
+
+const pad = (value) => value.toString().padStart(2, '0');
+
+class DisplayClock {
+  /**
+   * Zeitzone des Hosts (z.B. "Europe/Berlin")
+   */
+  static hostTimeZone() {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+  }
+
+  /**
+   * Prüft eine IANA-Zeitzone und liefert die normalisierte Schreibweise
+   */
+  static resolveTimeZone(timeZone = null) {
+    if (!timeZone) {
+      return DisplayClock.hostTimeZone();
+    }
+
+    try {
+      return new Intl.DateTimeFormat('en-US', { timeZone }).resolvedOptions().timeZone;
+    } catch (error) {
+      throw new Error(`Unbekannte Zeitzone "${timeZone}"`);
+    }
+  }
+
+  /**
+   * Wanduhrzeit eines Zeitpunkts in einer Zeitzone
+   * @returns {{year, month, day, hours, minutes, seconds}}
+   */
+  static wallClock(date, timeZone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+      timeZone: DisplayClock.resolveTimeZone(timeZone),
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }).formatToParts(date);
+
+    const value = (type) => Number(parts.find(part => part.type === type).value);
+    return {
+      year: value('year'),
+      month: value('month'),
+      day: value('day'),
+      hours: value('hour'),
+      minutes: value('minute'),
+      seconds: value('second')
+    };
+  }
+
+  /**
+   * Formatiert eine Wanduhrzeit wie der date-time-Decoder ("TT.MM.JJJJ HH:MM")
+   */
+  static format({ year, month, day, hours, minutes }) {
+    return `${pad(day)}.${pad(month)}.${year} ${pad(hours)}:${pad(minutes)}`;
+  }
+
+  /**
+   * Umkehrung von format()
+   */
+  static parse(value) {
+    const match = DATE_TIME_PATTERN.exec(String(value).trim());
+    if (!match) {
+      throw new Error(`Ungültige Display-Uhrzeit "${value}"`);
+    }
+
+    const [day, month, year, hours, minutes] = match.slice(1).map(Number);
+    return { year, month, day, hours, minutes, seconds: 0 };
+  }
+
+  /**
+   * Abweichung Display - Host in Sekunden (positiv: Display geht vor)
+   * Das Display kennt keine Sekunden, daher ist die Auflösung eine Minute
+   */
+  static drift(display, host) {
+    const toSeconds = ({ year, month, day, hours, minutes, seconds = 0 }) =>
+      Date.UTC(year, month - 1, day, hours, minutes, seconds) / 1000;
+
+    return toSeconds({ ...display, seconds: 0 }) - toSeconds({ ...host, seconds: 0 });
+  }
+
+  /**
+   * Lesbare Abweichung ("+3 min", "-1 h 5 min", "0 min")
+   */
+  static describeDrift(seconds) {
+    const sign = seconds < 0 ? '-' : '+';
+    const minutes = Math.round(Math.abs(seconds) / 60);
+
+    if (minutes === 0) {
+      return '0 min';
+    }
+    if (minutes < 60) {
+      return `${sign}${minutes} min`;
+    }
+
+    const hours = Math.floor(minutes / 60);
+    return `${sign}${hours} h${minutes % 60 ? ` ${minutes % 60} min` : ''}`;
+  }
+}
+
+module.exports = { DisplayClock };
@@ -0,0 +1,905 @@
+/**
+ * Software-Simulator eines Bosch HMI Displays
+ * Beantwortet Handshake und UDS-Requests im Framing von HID_FRAME_HEADERS,
+ * gesteuert über Geräteprofile (shared/profiles/*.json)
+ */
+
+const PROFILES = require('../profiles');
+const {
+  UDS_SERVICES,
+  DIAGNOSTIC_SESSIONS,
+  SUPPRESS_POSITIVE_RESPONSE,
+  HID_FRAME_HEADERS,
+  ERROR_CODES,
+  ECU_ADDRESSES,
+  SEGMENTATION,
+  UDS_TIMING,
+  DEVICE_CONSTANTS,
+  DOWNLOAD_FORMAT,
+  DTC_REPORT_TYPES,
+  ECU_RESET_TYPES,
+  ALL_DTC_GROUPS,
+  ALL_DTC_RECORDS,
+  ProtocolHelper
+} = require('./protocols');
+const { FrameSegmenter, FrameReassembler } = require('./FrameSegmenter');
+const { DidRegistry } = require('./DidRegistry');
+const { KeyAlgorithmRegistry } = require('./KeyAlgorithmRegistry');
+const { DtcCatalog } = require('./DtcCatalog');
+const { RoutineRegistry, ROUTINE_CONTROLS } = require('./RoutineRegistry');
+
+const NEGATIVE_RESPONSE = 0x7F;
+const POSITIVE_RESPONSE_OFFSET = 0x40;
+
+// Session-Parameter in der 0x10-Response: P2 = 50 ms, P2* = 500 * 10 ms
+const SESSION_PARAMETERS = [0x00, 0x32, 0x01, 0xF4];
+
+const SEED_LENGTH = 4;
+
+const readUint = (bytes) => bytes.reduce((value, byte) => value * 256 + byte, 0);
+
+/**
+ * Wandelt "37:ff:d7" (oder "37 FF D7") in Bytes um
+ */
+function parseHexBytes(value) {
+  const hex = value.replace(/[^0-9a-f]/gi, '');
+  if (hex.length % 2 !== 0) {
+    throw new Error(`Ungültige Hex-Bytes im Profil: ${value}`);
+  }
+
+  const bytes = [];
+  for (let i = 0; i < hex.length; i += 2) {
+    bytes.push(parseInt(hex.substr(i, 2), 16));
+  }
+  return bytes;
+}
+
+/**
+ * Kodiert die aktuelle Uhrzeit passend zum Datentyp des Eintrags
+ */
+function encodeClock(entry, now = new Date()) {
+  const date = [now.getFullYear() - 2000, now.getMonth() + 1, now.getDate()];
+  const time = [now.getHours(), now.getMinutes()];
+
+  switch (entry.type) {
+    case 'date': return date;
+    case 'time': return time;
+    case 'date-time': return [...date, ...time];
+    default:
+      throw new Error(`"clock" ist für Datentyp ${entry.type} (${entry.key}) nicht möglich`);
+  }
+}
+
+/**
+ * Umkehrung von encodeClock: setzt die geschriebenen Felder in einen Zeitpunkt ein
+ */
+function decodeClock(entry, bytes, base) {
+  const target = new Date(base.getTime());
+
+  switch (entry.type) {
+    case 'date':
+      target.setFullYear(2000 + bytes[0], bytes[1] - 1, bytes[2]);
+      break;
+    case 'time':
+      target.setHours(bytes[0], bytes[1]);
+      break;
+    case 'date-time':
+      target.setFullYear(2000 + bytes[0], bytes[1] - 1, bytes[2]);
+      target.setHours(bytes[3], bytes[4]);
+      break;
+    default:
+      return new Date(NaN);
+  }
+  return target;
+}
+
+class DisplaySimulator {
+  /**
+   * @param {Object} profile - Geräteprofil (siehe shared/profiles)
+   * @param {Object} options
+   * @param {DidRegistry} options.registry - DID-Dictionary
+   * @param {number} options.responseDelay - überschreibt timing.responseDelay (ms)
+   * @param {number} options.pending - Anzahl 0x78-Antworten vor jeder Read-Response
+   * @param {KeyAlgorithmRegistry} options.keyAlgorithms - Schlüsselalgorithmen für SecurityAccess
+   * @param {RoutineRegistry} options.routines - Routine-Katalog
+   * @param {Object} options.transferFaults - Fehler beim Download, je einmal pro Blocknummer (ab 1):
+   *   { suspend: [...] } (NRC 0x71), { drop: [...] } (Block annehmen, keine Antwort),
+   *   { corrupt: [...] } (Block verfälscht speichern - CRC der 0x37-Response weicht ab)
+   */
+  constructor(profile, {
+    registry = DidRegistry.default,
+    responseDelay = null,
+    pending = null,
+    keyAlgorithms = KeyAlgorithmRegistry.default,
+    routines = RoutineRegistry.default,
+    transferFaults = {}
+  } = {}) {
+    this.profile = profile;
+    this.registry = registry;
+    this.keyAlgorithms = keyAlgorithms;
+    this.routines = routines;
+    this.reassembler = new FrameReassembler();
+
+    const timing = profile.timing || {};
+    this.responseDelay = responseDelay !== null ? responseDelay : (timing.responseDelay || 0);
+    this.pendingDelay = timing.pendingDelay || 0;
+    this.pendingOverride = pending;
+    this.pendingByKey = timing.pending || {};
+    this.resetTime = timing.resetTime || 0; // Neustartzeit nach 0x11, in der nichts beantwortet wird
+    this.unavailableUntil = 0;
+    this.resetCount = 0;
+
+    this.multiDid = profile.multiDid !== false; // mehrere DIDs je 0x22-Request
+    this.negativeResponses = {};
+    Object.entries(profile.negativeResponses || {}).forEach(([key, nrc]) => {
+      this.negativeResponses[key] = parseInt(nrc, 16);
+    });
+
+    this.values = {};
+    this.clockOffset = 0; // Verschiebung der "clock"-Werte nach 0x2E (ms)
+    Object.entries(profile.identifiers || {}).forEach(([key, value]) => {
+      this.registry.get(key); // Unbekannte Schlüssel im Profil sofort melden
+      this.values[key] = value === 'clock' ? value : parseHexBytes(value);
+    });
+
+    // Steuergeräte am Bus: das Display selbst und alle, für die das Profil Werte enthält
+    this.ecus = profile.ecus ||
+      ['HMI', ...new Set(Object.keys(profile.identifiers || {}).map(key => this.registry.get(key).ecu))];
+    this.ecus.forEach(ecu => {
+      if (ECU_ADDRESSES[ecu] === undefined) {
+        throw new Error(`Unbekanntes Steuergerät "${ecu}" im Profil ${profile.name}`);
+      }
+    });
+
+    // Diagnose-Sessions: unterstützte Sessions und Services, die eine bestimmte Session erfordern
+    this.sessions = (profile.sessions || Object.keys(DIAGNOSTIC_SESSIONS).map(key => key.toLowerCase()))
+      .map(name => DIAGNOSTIC_SESSIONS[name.toUpperCase()]);
+    this.serviceSessions = {};
+    Object.entries(profile.serviceSessions || {}).forEach(([serviceId, sessions]) => {
+      this.serviceSessions[parseInt(serviceId, 16)] = sessions.map(name => DIAGNOSTIC_SESSIONS[name.toUpperCase()]);
+    });
+    this.session = DIAGNOSTIC_SESSIONS.DEFAULT;
+    this.lastRequestAt = 0;
+
+    // SecurityAccess: Algorithmus (synchrones Plugin), Level, Fehlversuche und Sperrzeit
+    const security = profile.security || null;
+    this.security = security && {
+      algorithm: this.keyAlgorithms.get(security.algorithm || 'simulator'),
+      levels: (security.levels || ['0x01']).map(level => parseInt(level, 16)),
+      maxAttempts: security.maxAttempts || 3,
+      requiredFor: (security.requiredFor || []).map(serviceId => parseInt(serviceId, 16)),
+      delay: security.delay !== undefined ? security.delay : UDS_TIMING.SECURITY_ACCESS_DELAY
+    };
+    this.unlockedLevel = null;
+    this.pendingSeed = null;
+    this.failedAttempts = 0;
+    this.securityLockedUntil = 0;
+
+    // Firmware-Download: Speicherbereich und maxNumberOfBlockLength laut Profil
+    const download = profile.download || null;
+    this.download = download && {
+      address: parseInt(download.address, 16),
+      size: parseInt(download.size, 16),
+      maxBlockLength: parseInt(download.maxBlockLength, 16)
+    };
+    this.transfer = null;
+    this.flashed = null;
+    this.transferFaults = {
+      suspend: new Set(transferFaults.suspend || []),
+      drop: new Set(transferFaults.drop || []),
+      corrupt: new Set(transferFaults.corrupt || [])
+    };
+
+    // Speicher für ReadMemoryByAddress: Bereich, maximale Leselänge, Inhalte (ASCII bzw. Hex), Rest 0xFF
+    const memory = profile.memory || null;
+    this.memory = memory && {
+      address: parseInt(memory.address, 16),
+      maxReadLength: parseInt(memory.maxReadLength || '0x0FFE', 16),
+      data: new Uint8Array(parseInt(memory.size, 16)).fill(0xFF)
+    };
+    if (this.memory) {
+      const place = (address, bytes) => this.memory.data.set(bytes, parseInt(address, 16) - this.memory.address);
+      Object.entries(memory.data || {}).forEach(([address, value]) => place(address, parseHexBytes(value)));
+      Object.entries(memory.strings || {}).forEach(([address, text]) => place(address, Array.from(text, char => char.charCodeAt(0))));
+    }
+
+    // Routinen: Ergebnis-Bytes laufend ("running") und nach Abschluss ("result")
+    this.routineResults = {};
+    Object.entries(profile.routines || {}).forEach(([key, entry]) => {
+      this.routines.get(key); // Unbekannte Schlüssel im Profil sofort melden
+      this.routineResults[key] = {
+        running: entry.running ? parseHexBytes(entry.running) : null,
+        result: entry.result ? parseHexBytes(entry.result) : []
+      };
+    });
+    this.routineStates = {};
+
+    // Fehlerspeicher: DTC, Status, Snapshot-Records (Dictionary-Schlüssel -> Hex) und Extended Data
+    this.dtcs = (profile.dtcs || []).map(entry => ({
+      dtc: DtcCatalog.toBytes(entry.dtc),
+      status: parseInt(entry.status, 16),
+      snapshots: Object.entries(entry.snapshots || {}).map(([record, identifiers]) => ({
+        record: parseInt(record, 16),
+        identifiers: Object.entries(identifiers).map(([key, value]) => [...this.registry.get(key).did, ...parseHexBytes(value)])
+      })),
+      extendedData: Object.entries(entry.extendedData || {}).map(([record, value]) => ({
+        record: parseInt(record, 16),
+        data: parseHexBytes(value)
+      }))
+    }));
+  }
+
+  /**
+   * Erzeugt einen Simulator aus einem mitgelieferten Profil (intuvia, purion, nyon, kiox)
+   */
+  static fromProfile(name, options = {}) {
+    const profile = PROFILES[String(name).toLowerCase()];
+    if (!profile) {
+      throw new Error(`Unbekanntes Simulator-Profil "${name}" (verfügbar: ${DisplaySimulator.profiles().join(', ')})`);
+    }
+    return new DisplaySimulator(profile, options);
+  }
+
+  /**
+   * Namen der mitgelieferten Profile
+   */
+  static profiles() {
+    return Object.keys(PROFILES);
+  }
+
+  /**
+   * Geräteinformationen wie von WebHID/node-hid geliefert
+   */
+  get info() {
+    return {
+      vendorId: DEVICE_CONSTANTS.VENDOR_ID,
+      productId: parseInt(this.profile.productId, 16),
+      productName: `${this.profile.name} (Simulator)`,
+      manufacturerName: 'Bosch eBike Systems',
+      serialNumber: 'SIMULATOR'
+    };
+  }
+
+  /**
+   * Verarbeitet einen empfangenen Report
+   * Liefert geplante Antworten: [{ delay, reports: [Uint8Array] }],
+   * delay in ms jeweils relativ zur vorherigen Antwort
+   */
+  handle(report) {
+    // Während des Neustarts nach 0x11 antwortet das Display nicht
+    if (Date.now() < this.unavailableUntil) {
+      return [];
+    }
+
+    if (HID_FRAME_HEADERS.HANDSHAKE_REQUEST.every((byte, index) => report[index] === byte)) {
+      return [{ delay: this.responseDelay, reports: [this.createHandshakeResponse()] }];
+    }
+
+    if (report[0] !== HID_FRAME_HEADERS.REQUEST[0]) {
+      return [];
+    }
+
+    // Requests an nicht vorhandene Steuergeräte bleiben unbeantwortet
+    const address = report[SEGMENTATION.ADDRESS_INDEX];
+    const ecu = ProtocolHelper.ecuForAddress(address);
+    if (!this.ecus.includes(ecu)) {
+      return [];
+    }
+
+    let payload;
+    try {
+      payload = this.reassembler.push(report);
+    } catch (error) {
+      console.warn(`Simulator: verwerfe Request (${error.message})`);
+      return [];
+    }
+
+    if (this.reassembler.discarded) {
+      console.warn(`Simulator: verwerfe unvollständigen Request (${this.reassembler.discarded.reason})`);
+    }
+
+    if (!payload) {
+      return [];
+    }
+
+    return this.handleRequest(payload, ecu).map(({ delay, response }) => ({
+      delay,
+      reports: FrameSegmenter.segment(response, [...HID_FRAME_HEADERS.RESPONSE, address])
+    }));
+  }
+
+  /**
+   * Beantwortet eine vollständige UDS-Payload
+   * Liefert [{ delay, response: [SID, ...] }]
+   */
+  handleRequest(payload, ecu = 'HMI') {
+    const serviceId = payload[0];
+
+    if (ecu !== 'HMI') {
+      return this.handleComponentRequest(payload, ecu);
+    }
+
+    // S3: ohne Requests fällt das Display in die Default-Session zurück
+    const now = Date.now();
+    if (now - this.lastRequestAt > UDS_TIMING.S3_SERVER_TIMEOUT) {
+      this.setSession(DIAGNOSTIC_SESSIONS.DEFAULT);
+    }
+    this.lastRequestAt = now;
+
+    const requiredSessions = this.serviceSessions[serviceId];
+    if (requiredSessions && !requiredSessions.includes(this.session)) {
+      return [this.negative(serviceId, ERROR_CODES.SERVICE_NOT_SUPPORTED_IN_ACTIVE_SESSION)];
+    }
+
+    if (this.security && this.security.requiredFor.includes(serviceId) && this.unlockedLevel === null) {
+      return [this.negative(serviceId, ERROR_CODES.SECURITY_ACCESS_DENIED)];
+    }
+
+    switch (serviceId) {
+      case UDS_SERVICES.DIAGNOSTIC_SESSION_CONTROL:
+        return this.handleDiagnosticSessionControl(payload);
+      case UDS_SERVICES.ECU_RESET:
+        return this.handleEcuReset(payload);
+      case UDS_SERVICES.TESTER_PRESENT:
+        return this.handleTesterPresent(payload);
+      case UDS_SERVICES.SECURITY_ACCESS:
+        return this.security
+          ? this.handleSecurityAccess(payload)
+          : [this.negative(serviceId, ERROR_CODES.SERVICE_NOT_SUPPORTED)];
+      case UDS_SERVICES.READ_DATA_BY_IDENTIFIER:
+        return this.handleReadDataByIdentifier(payload);
+      case UDS_SERVICES.WRITE_DATA_BY_IDENTIFIER:
+        return this.handleWriteDataByIdentifier(payload);
+      case UDS_SERVICES.READ_MEMORY_BY_ADDRESS:
+        return this.memory
+          ? this.handleReadMemoryByAddress(payload)
+          : [this.negative(serviceId, ERROR_CODES.SERVICE_NOT_SUPPORTED)];
+      case UDS_SERVICES.ROUTINE_CONTROL:
+        return this.handleRoutineControl(payload);
+      case UDS_SERVICES.READ_DTC_INFORMATION:
+        return this.handleReadDtcInformation(payload);
+      case UDS_SERVICES.CLEAR_DIAGNOSTIC_INFORMATION:
+        return this.handleClearDiagnosticInformation(payload);
+      case UDS_SERVICES.REQUEST_DOWNLOAD:
+      case UDS_SERVICES.TRANSFER_DATA:
+      case UDS_SERVICES.REQUEST_TRANSFER_EXIT:
+        return this.download
+          ? this.handleDownload(payload)
+          : [this.negative(serviceId, ERROR_CODES.SERVICE_NOT_SUPPORTED)];
+      default:
+        return [this.negative(serviceId, ERROR_CODES.SERVICE_NOT_SUPPORTED)];
+    }
+  }
+
+  /**
+   * 0x10 DiagnosticSessionControl
+   */
+  handleDiagnosticSessionControl(payload) {
+    const serviceId = payload[0];
+
+    if (payload.length !== 2) {
+      return [this.negative(serviceId, ERROR_CODES.INCORRECT_MESSAGE_LENGTH)];
+    }
+
+    const session = payload[1] & ~SUPPRESS_POSITIVE_RESPONSE;
+    if (!this.sessions.includes(session)) {
+      return [this.negative(serviceId, ERROR_CODES.SUB_FUNCTION_NOT_SUPPORTED)];
+    }
+
+    this.setSession(session);
+
+    if (payload[1] & SUPPRESS_POSITIVE_RESPONSE) {
+      return [];
+    }
+    return [{ delay: this.responseDelay, response: [serviceId + POSITIVE_RESPONSE_OFFSET, session, ...SESSION_PARAMETERS] }];
+  }
+
+  /**
+   * 0x3E TesterPresent
+   */
+  handleTesterPresent(payload) {
+    const serviceId = payload[0];
+
+    if (payload.length !== 2) {
+      return [this.negative(serviceId, ERROR_CODES.INCORRECT_MESSAGE_LENGTH)];
+    }
+
+    if ((payload[1] & ~SUPPRESS_POSITIVE_RESPONSE) !== 0x00) {
+      return [this.negative(serviceId, ERROR_CODES.SUB_FUNCTION_NOT_SUPPORTED)];
+    }
+
+    if (payload[1] & SUPPRESS_POSITIVE_RESPONSE) {
+      return [];
+    }
+    return [{ delay: this.responseDelay, response: [serviceId + POSITIVE_RESPONSE_OFFSET, 0x00] }];
+  }
+
+  /**
+   * 0x11 ECUReset: antwortet, startet dann neu (Default-Session, Security gesperrt,
+   * laufende Routinen beendet) und bleibt für resetTime ms stumm
+   */
+  handleEcuReset(payload) {
+    const serviceId = payload[0];
+    const resetType = payload[1] & ~SUPPRESS_POSITIVE_RESPONSE;
+
+    if (payload.length !== 2) {
+      return [this.negative(serviceId, ERROR_CODES.INCORRECT_MESSAGE_LENGTH)];
+    }
+    if (!Object.values(ECU_RESET_TYPES).includes(resetType)) {
+      return [this.negative(serviceId, ERROR_CODES.SUB_FUNCTION_NOT_SUPPORTED)];
+    }
+
+    this.setSession(DIAGNOSTIC_SESSIONS.DEFAULT);
+    this.unlockedLevel = null;
+    this.pendingSeed = null;
+    this.routineStates = {};
+    this.resetCount++;
+    this.unavailableUntil = Date.now() + this.responseDelay + this.resetTime;
+
+    if (payload[1] & SUPPRESS_POSITIVE_RESPONSE) {
+      return [];
+    }
+    return [{ delay: this.responseDelay, response: [serviceId + POSITIVE_RESPONSE_OFFSET, resetType] }];
+  }
+
+  /**
+   * 0x31 RoutineControl für die Routinen des Profils
+   * Start prüft die Parameterlänge laut Katalog; Routinen ohne "results" liefern ihr
+   * Ergebnis direkt in der Start-Response
+   */
+  handleRoutineControl(payload) {
+    const serviceId = payload[0];
+    if (payload.length < 4) {
+      return [this.negative(serviceId, ERROR_CODES.INCORRECT_MESSAGE_LENGTH)];
+    }
+
+    const subFunction = payload[1];
+    const rid = payload.slice(2, 4);
+    const entry = this.routines.findByRid(rid);
+    const simulated = entry && this.routineResults[entry.key];
+    if (!simulated) {
+      return [this.negative(serviceId, ERROR_CODES.REQUEST_OUT_OF_RANGE)];
+    }
+
+    const control = Object.keys(ROUTINE_CONTROLS).find(name => ROUTINE_CONTROLS[name] === subFunction);
+    if (!control || !entry.controls.includes(control)) {
+      return [this.negative(serviceId, ERROR_CODES.SUB_FUNCTION_NOT_SUPPORTED)];
+    }
+
+    const positive = (data = []) => [{ delay: this.responseDelay, response: [serviceId + POSITIVE_RESPONSE_OFFSET, subFunction, ...rid, ...data] }];
+    const state = this.routineStates[entry.key];
+
+    switch (control) {
+      case 'start': {
+        const parameterLength = entry.parameters.reduce((sum, field) => sum + this.routines.fieldLength(field), 0);
+        if (payload.length !== 4 + parameterLength) {
+          return [this.negative(serviceId, ERROR_CODES.INCORRECT_MESSAGE_LENGTH)];
+        }
+        if (state && state.running) {
+          return [this.negative(serviceId, ERROR_CODES.REQUEST_SEQUENCE_ERROR)];
+        }
+
+        this.routineStates[entry.key] = { running: entry.controls.includes('stop'), parameters: payload.slice(4) };
+        return positive(entry.controls.includes('results') ? [] : simulated.result);
+      }
+
+      case 'stop':
+        if (!state || !state.running) {
+          return [this.negative(serviceId, ERROR_CODES.REQUEST_SEQUENCE_ERROR)];
+        }
+        state.running = false;
+        return positive();
+
+      default:
+        if (!state) {
+          return [this.negative(serviceId, ERROR_CODES.REQUEST_SEQUENCE_ERROR)];
+        }
+        return positive(state.running && simulated.running ? simulated.running : simulated.result);
+    }
+  }
+
+  /**
+   * Wechselt die Session; dabei wird SecurityAccess wieder gesperrt
+   */
+  setSession(session) {
+    if (session !== this.session) {
+      this.unlockedLevel = null;
+      this.pendingSeed = null;
+      this.transfer = null;
+    }
+    this.session = session;
+  }
+
+  /**
+   * 0x27 SecurityAccess (ungerade Sub-Function: Seed anfordern, gerade: Key senden)
+   */
+  handleSecurityAccess(payload) {
+    const serviceId = payload[0];
+
+    if (payload.length < 2) {
+      return [this.negative(serviceId, ERROR_CODES.INCORRECT_MESSAGE_LENGTH)];
+    }
+
+    const subFunction = payload[1];
+    const level = subFunction % 2 === 1 ? subFunction : subFunction - 1;
+    if (!this.security.levels.includes(level)) {
+      return [this.negative(serviceId, ERROR_CODES.SUB_FUNCTION_NOT_SUPPORTED)];
+    }
+
+    if (Date.now() < this.securityLockedUntil) {
+      return [this.negative(serviceId, ERROR_CODES.REQUIRED_TIME_DELAY_NOT_EXPIRED)];
+    }
+
+    const positive = (data = []) => [{ delay: this.responseDelay, response: [serviceId + POSITIVE_RESPONSE_OFFSET, subFunction, ...data] }];
+
+    // Request Seed
+    if (subFunction === level) {
+      if (payload.length !== 2) {
+        return [this.negative(serviceId, ERROR_CODES.INCORRECT_MESSAGE_LENGTH)];
+      }
+      if (this.unlockedLevel === level) {
+        return positive(new Array(SEED_LENGTH).fill(0x00));
+      }
+
+      const seed = Array.from({ length: SEED_LENGTH }, () => 1 + Math.floor(Math.random() * 0xFF));
+      this.pendingSeed = { level, seed };
+      return positive(seed);
+    }
+
+    // Send Key
+    if (!this.pendingSeed || this.pendingSeed.level !== level) {
+      return [this.negative(serviceId, ERROR_CODES.REQUEST_SEQUENCE_ERROR)];
+    }
+
+    const expected = Array.from(this.security.algorithm.computeKey(Uint8Array.from(this.pendingSeed.seed), level));
+    const key = payload.slice(2);
+    this.pendingSeed = null;
+
+    if (key.length !== expected.length || !expected.every((byte, index) => key[index] === byte)) {
+      this.failedAttempts++;
+      if (this.failedAttempts >= this.security.maxAttempts) {
+        this.failedAttempts = 0;
+        this.securityLockedUntil = Date.now() + this.security.delay;
+        return [this.negative(serviceId, ERROR_CODES.EXCEEDED_NUMBER_OF_ATTEMPTS)];
+      }
+      return [this.negative(serviceId, ERROR_CODES.INVALID_KEY)];
+    }
+
+    this.failedAttempts = 0;
+    this.unlockedLevel = level;
+    return positive();
+  }
+
+  /**
+   * Requests an Drive Unit, Batterie usw.: das Display leitet sie weiter, simuliert
+   * wird nur ReadDataByIdentifier (Sessions und Security gelten nur für das Display)
+   */
+  handleComponentRequest(payload, ecu) {
+    const serviceId = payload[0];
+
+    if (serviceId === UDS_SERVICES.READ_DATA_BY_IDENTIFIER) {
+      return this.handleReadDataByIdentifier(payload, ecu);
+    }
+    return [this.negative(serviceId, ERROR_CODES.SERVICE_NOT_SUPPORTED)];
+  }
+
+  /**
+   * 0x22 ReadDataByIdentifier
+   * DIDs werden im Dictionary des adressierten Steuergeräts gesucht. Bei mehreren DIDs
+   * fehlen nicht unterstützte in der Response (ISO 14229); "multiDid": false im Profil
+   * lehnt solche Requests mit NRC 0x13 ab.
+   */
+  handleReadDataByIdentifier(payload, ecu = 'HMI') {
+    const serviceId = payload[0];
+    const count = (payload.length - 1) / 2;
+
+    if (count < 1 || !Number.isInteger(count) || (count > 1 && !this.multiDid)) {
+      return [this.negative(serviceId, ERROR_CODES.INCORRECT_MESSAGE_LENGTH)];
+    }
+
+    const records = [];
+    for (let i = 1; i < payload.length; i += 2) {
+      const did = [payload[i], payload[i + 1]];
+      const entry = this.registry.findByDid(did, ecu);
+      const nrc = entry ? this.negativeResponses[entry.key] : ERROR_CODES.REQUEST_OUT_OF_RANGE;
+
+      // Einzelner DID: eigene NRC, bei mehreren wird er ausgelassen
+      if (nrc !== undefined && count === 1) {
+        return [this.negative(serviceId, nrc)];
+      }
+      if (nrc === undefined) {
+        records.push({ entry, did });
+      }
+    }
+
+    if (records.length === 0) {
+      return [this.negative(serviceId, ERROR_CODES.REQUEST_OUT_OF_RANGE)];
+    }
+
+    const response = [
+      serviceId + POSITIVE_RESPONSE_OFFSET,
+      ...records.flatMap(({ entry, did }) => [...did, ...this.valueFor(entry)])
+    ];
+
+    // Optional: Response Pending (0x78) vor der eigentlichen Antwort (längste Wartezeit der DIDs)
+    const pendingCount = this.pendingOverride !== null
+      ? this.pendingOverride
+      : Math.max(...records.map(({ entry }) => this.pendingByKey[entry.key] || 0));
+    const schedule = [];
+    for (let i = 0; i < pendingCount; i++) {
+      schedule.push(this.negative(serviceId, ERROR_CODES.REQUEST_CORRECTLY_RECEIVED_RESPONSE_PENDING, i === 0 ? this.responseDelay : this.pendingDelay));
+    }
+    schedule.push({ delay: pendingCount > 0 ? this.pendingDelay : this.responseDelay, response });
+
+    return schedule;
+  }
+
+  /**
+   * 0x2E WriteDataByIdentifier
+   * Nur Einträge mit "writable": true; "clock"-Werte verschieben die simulierte Uhr
+   */
+  handleWriteDataByIdentifier(payload) {
+    const serviceId = payload[0];
+
+    if (payload.length < 4) {
+      return [this.negative(serviceId, ERROR_CODES.INCORRECT_MESSAGE_LENGTH)];
+    }
+
+    const did = [payload[1], payload[2]];
+    const entry = this.registry.findByDid(did, 'HMI');
+    if (!entry || !entry.writable) {
+      return [this.negative(serviceId, ERROR_CODES.REQUEST_OUT_OF_RANGE)];
+    }
+
+    // Länge gegen den Datentyp prüfen
+    const data = payload.slice(3);
+    try {
+      this.registry.encode(entry, data);
+    } catch (error) {
+      return [this.negative(serviceId, ERROR_CODES.INCORRECT_MESSAGE_LENGTH)];
+    }
+
+    if (this.values[entry.key] === 'clock') {
+      const target = decodeClock(entry, data, new Date(Date.now() + this.clockOffset));
+      if (isNaN(target.getTime())) {
+        return [this.negative(serviceId, ERROR_CODES.REQUEST_OUT_OF_RANGE)];
+      }
+      this.clockOffset = target.getTime() - Date.now();
+    } else {
+      this.values[entry.key] = data;
+    }
+
+    return [{ delay: this.responseDelay, response: [serviceId + POSITIVE_RESPONSE_OFFSET, ...did] }];
+  }
+
+  /**
+   * Wert eines Eintrags aus dem Profil; fehlende Einträge liefern Nullbytes
+   */
+  valueFor(entry) {
+    const value = this.values[entry.key];
+
+    if (value === 'clock') {
+      return encodeClock(entry, new Date(Date.now() + this.clockOffset));
+    }
+    if (value) {
+      return value;
+    }
+    return new Array(entry.length || 4).fill(0x00);
+  }
+
+  /**
+   * 0x19 ReadDTCInformation (Report-Typen 0x02, 0x04, 0x06)
+   */
+  handleReadDtcInformation(payload) {
+    const serviceId = payload[0];
+    const reportType = payload[1];
+    const positive = (data) => [{ delay: this.responseDelay, response: [serviceId + POSITIVE_RESPONSE_OFFSET, reportType, ...data] }];
+
+    if (reportType === DTC_REPORT_TYPES.BY_STATUS_MASK) {
+      if (payload.length !== 3) {
+        return [this.negative(serviceId, ERROR_CODES.INCORRECT_MESSAGE_LENGTH)];
+      }
+      const matching = this.dtcs.filter(entry => entry.status & payload[2]);
+      return positive([0xFF, ...matching.flatMap(entry => [...entry.dtc, entry.status])]);
+    }
+
+    if (reportType !== DTC_REPORT_TYPES.SNAPSHOT_RECORD_BY_DTC && reportType !== DTC_REPORT_TYPES.EXTENDED_DATA_RECORD_BY_DTC) {
+      return [this.negative(serviceId, ERROR_CODES.SUB_FUNCTION_NOT_SUPPORTED)];
+    }
+    if (payload.length !== 6) {
+      return [this.negative(serviceId, ERROR_CODES.INCORRECT_MESSAGE_LENGTH)];
+    }
+
+    const dtc = payload.slice(2, 5);
+    const entry = this.dtcs.find(candidate => candidate.dtc.every((byte, index) => byte === dtc[index]));
+    if (!entry) {
+      return [this.negative(serviceId, ERROR_CODES.REQUEST_OUT_OF_RANGE)];
+    }
+
+    const record = payload[5];
+    const records = reportType === DTC_REPORT_TYPES.SNAPSHOT_RECORD_BY_DTC
+      ? entry.snapshots.filter(snapshot => record === ALL_DTC_RECORDS || snapshot.record === record)
+        .map(snapshot => [snapshot.record, snapshot.identifiers.length, ...snapshot.identifiers.flat()])
+      : entry.extendedData.filter(extended => record === ALL_DTC_RECORDS || extended.record === record)
+        .map(extended => [extended.record, ...extended.data]);
+
+    if (record !== ALL_DTC_RECORDS && records.length === 0) {
+      return [this.negative(serviceId, ERROR_CODES.REQUEST_OUT_OF_RANGE)];
+    }
+    return positive([...entry.dtc, entry.status, ...records.flat()]);
+  }
+
+  /**
+   * 0x14 ClearDiagnosticInformation (alle Gruppen oder ein einzelner DTC)
+   */
+  handleClearDiagnosticInformation(payload) {
+    const serviceId = payload[0];
+
+    if (payload.length !== 4) {
+      return [this.negative(serviceId, ERROR_CODES.INCORRECT_MESSAGE_LENGTH)];
+    }
+
+    const group = ((payload[1] << 16) | (payload[2] << 8) | payload[3]) >>> 0;
+    if (group === ALL_DTC_GROUPS) {
+      this.dtcs = [];
+    } else {
+      const remaining = this.dtcs.filter(entry => DtcCatalog.toBytes(group).some((byte, index) => byte !== entry.dtc[index]));
+      if (remaining.length === this.dtcs.length) {
+        return [this.negative(serviceId, ERROR_CODES.REQUEST_OUT_OF_RANGE)];
+      }
+      this.dtcs = remaining;
+    }
+
+    return [{ delay: this.responseDelay, response: [serviceId + POSITIVE_RESPONSE_OFFSET] }];
+  }
+
+  /**
+   * 0x23 ReadMemoryByAddress (Adresse und Länge laut addressAndLengthFormatIdentifier)
+   */
+  handleReadMemoryByAddress(payload) {
+    const serviceId = payload[0];
+    const lengthBytes = (payload[1] || 0) >> 4;
+    const addressBytes = (payload[1] || 0) & 0x0F;
+
+    if (payload.length < 2) {
+      return [this.negative(serviceId, ERROR_CODES.INCORRECT_MESSAGE_LENGTH)];
+    }
+    if (lengthBytes < 1 || lengthBytes > 4 || addressBytes < 1 || addressBytes > 4) {
+      return [this.negative(serviceId, ERROR_CODES.REQUEST_OUT_OF_RANGE)];
+    }
+    if (payload.length !== 2 + addressBytes + lengthBytes) {
+      return [this.negative(serviceId, ERROR_CODES.INCORRECT_MESSAGE_LENGTH)];
+    }
+
+    const address = readUint(payload.slice(2, 2 + addressBytes));
+    const length = readUint(payload.slice(2 + addressBytes));
+    const offset = address - this.memory.address;
+    if (length === 0 || length > this.memory.maxReadLength || offset < 0 || offset + length > this.memory.data.length) {
+      return [this.negative(serviceId, ERROR_CODES.REQUEST_OUT_OF_RANGE)];
+    }
+
+    return [{
+      delay: this.responseDelay,
+      response: [serviceId + POSITIVE_RESPONSE_OFFSET, ...this.memory.data.slice(offset, offset + length)]
+    }];
+  }
+
+  /**
+   * 0x34 RequestDownload, 0x36 TransferData, 0x37 RequestTransferExit
+   * Das übertragene Image liegt danach in this.flashed, 0x37 antwortet mit dessen CRC-32
+   */
+  handleDownload(payload) {
+    const serviceId = payload[0];
+    const positive = (data = []) => [{ delay: this.responseDelay, response: [serviceId + POSITIVE_RESPONSE_OFFSET, ...data] }];
+
+    switch (serviceId) {
+      case UDS_SERVICES.REQUEST_DOWNLOAD: {
+        if (payload.length !== 11 || payload[2] !== DOWNLOAD_FORMAT.ADDRESS_AND_LENGTH) {
+          return [this.negative(serviceId, ERROR_CODES.INCORRECT_MESSAGE_LENGTH)];
+        }
+
+        const address = readUint(payload.slice(3, 7));
+        const size = readUint(payload.slice(7, 11));
+        if (payload[1] !== DOWNLOAD_FORMAT.DATA_FORMAT || size === 0 ||
+            address < this.download.address || address + size > this.download.address + this.download.size) {
+          return [this.negative(serviceId, ERROR_CODES.REQUEST_OUT_OF_RANGE)];
+        }
+        if (this.transfer) {
+          return [this.negative(serviceId, ERROR_CODES.CONDITIONS_NOT_CORRECT)];
+        }
+
+        this.transfer = { address, size, data: [], counter: 0x01, lastCounter: null, blocks: 0 };
+        const { maxBlockLength } = this.download;
+        return positive([0x20, maxBlockLength >> 8, maxBlockLength & 0xFF]);
+      }
+
+      case UDS_SERVICES.TRANSFER_DATA: {
+        const transfer = this.transfer;
+        if (!transfer) {
+          return [this.negative(serviceId, ERROR_CODES.REQUEST_SEQUENCE_ERROR)];
+        }
+        if (payload.length < 2 || payload.length > this.download.maxBlockLength) {
+          return [this.negative(serviceId, ERROR_CODES.INCORRECT_MESSAGE_LENGTH)];
+        }
+
+        const counter = payload[1];
+        // Wiederholung des zuletzt angenommenen Blocks: erneut bestätigen, nicht doppelt schreiben
+        if (counter === transfer.lastCounter) {
+          return positive([counter]);
+        }
+        if (counter !== transfer.counter) {
+          return [this.negative(serviceId, ERROR_CODES.WRONG_BLOCK_SEQUENCE_COUNTER)];
+        }
+
+        const block = transfer.blocks + 1;
+        if (this.transferFaults.suspend.delete(block)) {
+          return [this.negative(serviceId, ERROR_CODES.TRANSFER_DATA_SUSPENDED)];
+        }
+
+        const data = payload.slice(2);
+        if (this.transferFaults.corrupt.delete(block)) {
+          data[0] ^= 0xFF;
+        }
+        if (transfer.data.length + data.length > transfer.size) {
+          return [this.negative(serviceId, ERROR_CODES.TRANSFER_DATA_SUSPENDED)];
+        }
+
+        transfer.data.push(...data);
+        transfer.blocks = block;
+        transfer.lastCounter = counter;
+        transfer.counter = (counter + 1) & 0xFF;
+
+        if (this.transferFaults.drop.delete(block)) {
+          return [];
+        }
+        return positive([counter]);
+      }
+
+      default: {
+        const transfer = this.transfer;
+        if (!transfer || transfer.data.length !== transfer.size) {
+          return [this.negative(serviceId, ERROR_CODES.REQUEST_SEQUENCE_ERROR)];
+        }
+
+        this.transfer = null;
+        this.flashed = { address: transfer.address, data: transfer.data };
+        this.writeMemory(transfer.address, transfer.data);
+        const crc = ProtocolHelper.crc32(transfer.data);
+        return positive([24, 16, 8, 0].map(shift => (crc >>> shift) & 0xFF));
+      }
+    }
+  }
+
+  /**
+   * Übernimmt geflashte Daten in den per 0x23 lesbaren Speicher (soweit er sie abdeckt)
+   */
+  writeMemory(address, data) {
+    if (!this.memory) {
+      return;
+    }
+
+    const start = Math.max(address, this.memory.address);
+    const end = Math.min(address + data.length, this.memory.address + this.memory.data.length);
+    if (start < end) {
+      this.memory.data.set(data.slice(start - address, end - address), start - this.memory.address);
+    }
+  }
+
+  /**
+   * Negative Response 7F SID NRC
+   */
+  negative(serviceId, nrc, delay = this.responseDelay) {
+    return { delay, response: [NEGATIVE_RESPONSE, serviceId, nrc] };
+  }
+
+  /**
+   * Handshake Response (64 Bytes)
+   */
+  createHandshakeResponse() {
+    const report = new Uint8Array(DEVICE_CONSTANTS.REPORT_SIZE);
+    report.set(HID_FRAME_HEADERS.HANDSHAKE_RESPONSE);
+    return report;
+  }
+}
+
+module.exports = { DisplaySimulator, parseHexBytes };
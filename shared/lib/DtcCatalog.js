@@ -0,0 +1,129 @@
+/**
+ * DTC-Katalog: Beschreibung, Statusbits und Extended Data von Fehlercodes
+ * Definition in shared/dtcCatalog.json (3-Byte-DTC -> Display-Code und Text)
+ */
+
+const catalog = require('../dtcCatalog.json');
+const { DTC_STATUS_BITS } = require('./protocols');
+const { DECODERS } = require('./DidRegistry');
+
+/**
+ * Bedeutung der Statusbits für die Anzeige
+ */
+const STATUS_LABELS = {
+  TEST_FAILED: 'Aktuell fehlerhaft',
+  TEST_FAILED_THIS_OPERATION_CYCLE: 'In diesem Fahrzyklus aufgetreten',
+  PENDING: 'Vorläufig',
+  CONFIRMED: 'Bestätigt',
+  TEST_NOT_COMPLETED_SINCE_LAST_CLEAR: 'Seit dem Löschen nicht getestet',
+  TEST_FAILED_SINCE_LAST_CLEAR: 'Seit dem Löschen aufgetreten',
+  TEST_NOT_COMPLETED_THIS_OPERATION_CYCLE: 'In diesem Fahrzyklus nicht getestet',
+  WARNING_INDICATOR_REQUESTED: 'Warnanzeige angefordert'
+};
+
+const toHex = (value, length) => `0x${value.toString(16).padStart(length * 2, '0').toUpperCase()}`;
+
+/**
+ * DTC als Zahl aus "0x050300", 0x050300 oder [0x05, 0x03, 0x00]
+ */
+function parseDtc(value) {
+  const dtc = typeof value === 'number'
+    ? value
+    : typeof value === 'string'
+      ? parseInt(value, 16)
+      : ((value[0] << 16) | (value[1] << 8) | value[2]) >>> 0;
+
+  if (!Number.isInteger(dtc) || dtc < 0 || dtc > 0xFFFFFF) {
+    throw new Error(`Ungültiger DTC "${value}"`);
+  }
+  return dtc;
+}
+
+class DtcCatalog {
+  constructor(definition = catalog) {
+    this.entries = new Map(definition.dtcs.map(entry => [parseDtc(entry.dtc), {
+      ...entry,
+      confirmed: Boolean(entry.confirmed)
+    }]));
+
+    this.extendedData = {};
+    Object.entries(definition.extendedData || {}).forEach(([record, entry]) => {
+      if (!DECODERS[entry.type] || !entry.length) {
+        throw new Error(`Extended-Data-Record ${record}: Datentyp und Länge erforderlich`);
+      }
+      this.extendedData[parseInt(record, 16)] = entry;
+    });
+  }
+
+  /**
+   * DTC als Bytes für Requests
+   */
+  static toBytes(value) {
+    const dtc = parseDtc(value);
+    return [dtc >> 16, (dtc >> 8) & 0xFF, dtc & 0xFF];
+  }
+
+  /**
+   * Beschreibung eines DTC aus dem Katalog (auch für unbekannte Codes)
+   */
+  describe(value) {
+    const dtc = parseDtc(value);
+    const entry = this.entries.get(dtc);
+
+    return {
+      dtc: toHex(dtc, 3),
+      displayCode: entry ? entry.displayCode : null,
+      ecu: entry ? entry.ecu : null,
+      description: entry ? entry.description : 'Unbekannter Fehlercode',
+      confirmed: entry ? entry.confirmed : false
+    };
+  }
+
+  /**
+   * Zerlegt das Statusbyte in gesetzte Bits
+   */
+  decodeStatus(status) {
+    const flags = Object.entries(DTC_STATUS_BITS)
+      .filter(([, bit]) => status & bit)
+      .map(([name]) => name);
+
+    return {
+      value: toHex(status, 1),
+      active: Boolean(status & DTC_STATUS_BITS.TEST_FAILED),
+      flags,
+      labels: flags.map(name => STATUS_LABELS[name])
+    };
+  }
+
+  /**
+   * Länge eines Extended-Data-Records (null, wenn nicht im Katalog)
+   */
+  extendedDataLength(record) {
+    const entry = this.extendedData[record];
+    return entry ? entry.length : null;
+  }
+
+  /**
+   * Dekodiert einen Extended-Data-Record (unbekannte Records als Hex)
+   */
+  decodeExtendedData(record, bytes) {
+    const entry = this.extendedData[record];
+    if (!entry) {
+      return { record: toHex(record, 1), name: `Record ${toHex(record, 1)}`, value: Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join(' ') };
+    }
+
+    const value = DECODERS[entry.type](bytes, entry);
+    return { record: toHex(record, 1), name: entry.name, value: entry.unit ? `${value} ${entry.unit}` : value };
+  }
+}
+
+/**
+ * Standard-Katalog auf Basis von shared/dtcCatalog.json
+ */
+DtcCatalog.default = new DtcCatalog();
+
+module.exports = {
+  DtcCatalog,
+  STATUS_LABELS,
+  parseDtc
+};
@@ -0,0 +1,266 @@
+/**
+ * Firmware-Container für den Download (siehe BoschDisplayTool.flashFirmware)
+ *
+ * Ein offizielles Bosch-Format ist nicht dokumentiert; der Container ist ein
+ * eigenes Format, das alles für die Prüfung vor dem Flashen mitbringt.
+ * Alle Zahlen Big-Endian:
+ *
+ *   0   4   Magic "BHFW"
+ *   4   1   Formatversion (0x01)
+ *   5   1   Komponententyp (Code wie COMPONENT_TYPE, z.B. 0x0D Nyon)
+ *   6   2   Header-Länge inkl. Header-CRC
+ *   8  10   Artikelnummer des Ziels (ASCII, wie HMI_PART_NUMBER)
+ *  18   4   Software-Version des Images (wie SOFTWARE_VERSION)
+ *  22   1   Anzahl n kompatibler Hardware-Versionen
+ *  23  4n   Hardware-Versionen (wie HARDWARE_VERSION)
+ *   .   1   Anzahl m Segmente
+ *   .  12m  je Segment: Adresse, Länge, CRC-32 der Daten
+ *   .   4   CRC-32 über alle vorherigen Header-Bytes
+ *
+ * Danach folgen die Segmentdaten in Header-Reihenfolge.
+ */
+
+const { COMPONENT_TYPES, ProtocolHelper } = require('./protocols');
+
+const MAGIC = [0x42, 0x48, 0x46, 0x57]; // "BHFW"
+const FORMAT_VERSION = 0x01;
+const PART_NUMBER_LENGTH = 10;
+const VERSION_LENGTH = 4;
+const SEGMENT_ENTRY_LENGTH = 12;
+
+const readUint = (bytes, offset, length) =>
+  bytes.slice(offset, offset + length).reduce((value, byte) => value * 256 + byte, 0);
+
+const toUint = (value, length) =>
+  Array.from({ length }, (_, index) => Math.floor(value / 2 ** (8 * (length - 1 - index))) & 0xFF);
+
+const toHex32 = (value) => `0x${value.toString(16).padStart(8, '0').toUpperCase()}`;
+
+const formatVersion = (bytes) => Array.from(bytes).join('.');
+
+function parseVersion(value) {
+  const parts = String(value).split('.').map(Number);
+  if (parts.length !== VERSION_LENGTH || parts.some(part => !Number.isInteger(part) || part < 0 || part > 0xFF)) {
+    throw new Error(`Ungültige Version "${value}" (erwartet a.b.c.d)`);
+  }
+  return parts;
+}
+
+class FirmwareImage {
+  constructor({ formatVersion, componentType, partNumber, softwareVersion, hardwareVersions, segments }) {
+    this.formatVersion = formatVersion;
+    this.componentType = componentType;
+    this.partNumber = partNumber;
+    this.softwareVersion = softwareVersion;
+    this.hardwareVersions = hardwareVersions;
+    this.segments = segments;
+  }
+
+  /**
+   * Prüft, ob die Daten mit dem Container-Magic beginnen
+   */
+  static isContainer(bytes) {
+    return bytes.length >= MAGIC.length && MAGIC.every((byte, index) => bytes[index] === byte);
+  }
+
+  /**
+   * Liest und prüft einen Container (Header-CRC, Längen, Segment-CRCs, Überlappungen)
+   * Wirft bei jedem strukturellen Fehler - ein beschädigtes Image wird nie geflasht
+   */
+  static parse(input) {
+    const bytes = Array.from(input);
+
+    if (!FirmwareImage.isContainer(bytes)) {
+      throw new Error('Kein Firmware-Container (Magic "BHFW" fehlt)');
+    }
+    if (bytes[4] !== FORMAT_VERSION) {
+      throw new Error(`Nicht unterstützte Container-Version ${bytes[4]}`);
+    }
+
+    const headerLength = readUint(bytes, 6, 2);
+    if (headerLength < 28 || headerLength > bytes.length) {
+      throw new Error(`Ungültige Header-Länge ${headerLength}`);
+    }
+
+    const headerCrc = readUint(bytes, headerLength - 4, 4);
+    if (ProtocolHelper.crc32(bytes.slice(0, headerLength - 4)) !== headerCrc) {
+      throw new Error('Header-Prüfsumme (CRC-32) stimmt nicht');
+    }
+
+    let offset = 8;
+    const partNumber = String.fromCharCode(...bytes.slice(offset, offset + PART_NUMBER_LENGTH)).replace(/\0+$/, '');
+    offset += PART_NUMBER_LENGTH;
+    const softwareVersion = formatVersion(bytes.slice(offset, offset + VERSION_LENGTH));
+    offset += VERSION_LENGTH;
+
+    const hardwareCount = bytes[offset++];
+    const hardwareVersions = [];
+    for (let i = 0; i < hardwareCount; i++, offset += VERSION_LENGTH) {
+      hardwareVersions.push(formatVersion(bytes.slice(offset, offset + VERSION_LENGTH)));
+    }
+
+    const segmentCount = bytes[offset++];
+    if (offset + segmentCount * SEGMENT_ENTRY_LENGTH + 4 !== headerLength) {
+      throw new Error('Header-Länge passt nicht zu den Einträgen');
+    }
+    if (segmentCount === 0) {
+      throw new Error('Container enthält keine Segmente');
+    }
+
+    let dataOffset = headerLength;
+    const segments = [];
+    for (let i = 0; i < segmentCount; i++, offset += SEGMENT_ENTRY_LENGTH) {
+      const address = readUint(bytes, offset, 4);
+      const length = readUint(bytes, offset + 4, 4);
+      const crc = readUint(bytes, offset + 8, 4);
+
+      if (length === 0 || dataOffset + length > bytes.length) {
+        throw new Error(`Segment ${i + 1} (${toHex32(address)}): Daten unvollständig`);
+      }
+
+      const data = bytes.slice(dataOffset, dataOffset + length);
+      if (ProtocolHelper.crc32(data) !== crc) {
+        throw new Error(`Segment ${i + 1} (${toHex32(address)}): Prüfsumme (CRC-32) stimmt nicht`);
+      }
+
+      segments.push({ address, length, crc, data });
+      dataOffset += length;
+    }
+
+    if (dataOffset !== bytes.length) {
+      throw new Error(`${bytes.length - dataOffset} überzählige Bytes nach den Segmenten`);
+    }
+
+    const sorted = [...segments].sort((a, b) => a.address - b.address);
+    sorted.slice(1).forEach((segment, index) => {
+      const previous = sorted[index];
+      if (segment.address < previous.address + previous.length) {
+        throw new Error(`Segmente ${toHex32(previous.address)} und ${toHex32(segment.address)} überlappen`);
+      }
+    });
+
+    return new FirmwareImage({
+      formatVersion: bytes[4],
+      componentType: bytes[5],
+      partNumber,
+      softwareVersion,
+      hardwareVersions,
+      segments
+    });
+  }
+
+  /**
+   * Baut einen Container (z.B. für Tests gegen den Simulator)
+   * @param {Object} options
+   * @param {number} options.componentType - Code wie COMPONENT_TYPE
+   * @param {string} options.partNumber - Artikelnummer des Ziels (max. 10 Zeichen)
+   * @param {string} options.softwareVersion - "a.b.c.d"
+   * @param {string[]} options.hardwareVersions - kompatible Hardware-Versionen "a.b.c.d"
+   * @param {Array<{address, data}>} options.segments
+   */
+  static create({ componentType, partNumber, softwareVersion = '0.0.0.0', hardwareVersions = [], segments }) {
+    if (!COMPONENT_TYPES[componentType]) {
+      throw new Error(`Unbekannter Komponententyp 0x${Number(componentType).toString(16)}`);
+    }
+    if (String(partNumber).length > PART_NUMBER_LENGTH) {
+      throw new Error(`Artikelnummer "${partNumber}" länger als ${PART_NUMBER_LENGTH} Zeichen`);
+    }
+    if (!segments || segments.length === 0) {
+      throw new Error('Mindestens ein Segment erforderlich');
+    }
+
+    const partNumberBytes = Array.from(String(partNumber).padEnd(PART_NUMBER_LENGTH, '\0'), char => char.charCodeAt(0));
+    const entries = segments.map(({ address, data }) => [
+      ...toUint(address, 4),
+      ...toUint(data.length, 4),
+      ...toUint(ProtocolHelper.crc32(Array.from(data)), 4)
+    ]);
+    const headerLength = 8 + PART_NUMBER_LENGTH + VERSION_LENGTH + 1 + hardwareVersions.length * VERSION_LENGTH +
+      1 + segments.length * SEGMENT_ENTRY_LENGTH + 4;
+
+    const header = [
+      ...MAGIC,
+      FORMAT_VERSION,
+      componentType,
+      ...toUint(headerLength, 2),
+      ...partNumberBytes,
+      ...parseVersion(softwareVersion),
+      hardwareVersions.length,
+      ...hardwareVersions.flatMap(parseVersion),
+      segments.length,
+      ...entries.flat()
+    ];
+    header.push(...toUint(ProtocolHelper.crc32(header), 4));
+
+    const image = new Uint8Array(headerLength + segments.reduce((sum, { data }) => sum + data.length, 0));
+    image.set(header, 0);
+    let offset = headerLength;
+    segments.forEach(({ data }) => {
+      image.set(Array.from(data), offset);
+      offset += data.length;
+    });
+    return image;
+  }
+
+  /**
+   * Name der Zielkomponente
+   */
+  get component() {
+    return COMPONENT_TYPES[this.componentType] || `Unbekannt (0x${this.componentType.toString(16).padStart(2, '0')})`;
+  }
+
+  /**
+   * Gesamtgröße aller Segmente
+   */
+  get size() {
+    return this.segments.reduce((sum, segment) => sum + segment.length, 0);
+  }
+
+  /**
+   * Vergleicht den Container mit den Werten des verbundenen Geräts
+   * @param {Object} device - { componentType, articleNumber, hardwareVersion } wie von readAllInformation
+   * @returns {Array<{ name, expected, actual, ok }>}
+   */
+  checkCompatibility({ componentType, articleNumber, hardwareVersion }) {
+    return [
+      {
+        name: 'Komponente',
+        expected: this.component,
+        actual: componentType,
+        ok: componentType === this.component
+      },
+      {
+        name: 'Artikelnummer',
+        expected: this.partNumber,
+        actual: articleNumber,
+        ok: articleNumber === this.partNumber
+      },
+      {
+        name: 'Hardware-Version',
+        expected: this.hardwareVersions.join(', ') || 'keine Angabe',
+        actual: hardwareVersion,
+        ok: this.hardwareVersions.includes(hardwareVersion)
+      }
+    ];
+  }
+
+  /**
+   * Zusammenfassung für Pre-Flight-Bericht und Ausgabe (ohne Segmentdaten)
+   */
+  describe() {
+    return {
+      component: this.component,
+      partNumber: this.partNumber,
+      softwareVersion: this.softwareVersion,
+      hardwareVersions: this.hardwareVersions,
+      size: this.size,
+      segments: this.segments.map(segment => ({
+        address: toHex32(segment.address),
+        length: segment.length,
+        crc: toHex32(segment.crc)
+      }))
+    };
+  }
+}
+
+module.exports = { FirmwareImage };
@@ -0,0 +1,212 @@
+/**
+ * Transport-Segmentierung für UDS-Payloads über 64-Byte HID-Reports
+ * Angelehnt an ISO-TP (ISO 15765-2), jedoch ohne Flow Control,
+ * da der USB-Link die Reports ohnehin gepuffert zustellt
+ */
+
+const {
+  DEVICE_CONSTANTS,
+  HID_FRAME_HEADERS,
+  SEGMENTATION
+} = require('./protocols');
+
+/**
+ * Zerlegt ausgehende Payloads in einzelne Reports
+ */
+class FrameSegmenter {
+  /**
+   * Erstellt die Reports für eine UDS-Payload (SID + Daten)
+   */
+  static segment(payload, header = HID_FRAME_HEADERS.REQUEST) {
+    const data = Array.from(payload);
+
+    if (data.length === 0) {
+      throw new Error('Leere Payload kann nicht gesendet werden');
+    }
+    if (data.length > SEGMENTATION.MAX_PAYLOAD_LENGTH) {
+      throw new Error(`Payload zu lang: ${data.length} Bytes (max. ${SEGMENTATION.MAX_PAYLOAD_LENGTH})`);
+    }
+
+    // Single Frame: Länge direkt im PCI-Byte
+    if (data.length <= SEGMENTATION.SINGLE_FRAME_MAX) {
+      return [this.createReport(header, [data.length, ...data])];
+    }
+
+    const reports = [];
+
+    // First Frame: 12 Bit Gesamtlänge, danach der erste Teil der Payload
+    const firstChunkSize = SEGMENTATION.SINGLE_FRAME_MAX - 1;
+    reports.push(this.createReport(header, [
+      SEGMENTATION.FIRST_FRAME | ((data.length >> 8) & 0x0F),
+      data.length & 0xFF,
+      ...data.slice(0, firstChunkSize)
+    ]));
+
+    // Consecutive Frames mit rollierender Sequenznummer (beginnt bei 1)
+    let sequence = 1;
+    for (let offset = firstChunkSize; offset < data.length; offset += SEGMENTATION.SINGLE_FRAME_MAX) {
+      reports.push(this.createReport(header, [
+        SEGMENTATION.CONSECUTIVE_FRAME | sequence,
+        ...data.slice(offset, offset + SEGMENTATION.SINGLE_FRAME_MAX)
+      ]));
+      sequence = (sequence + 1) & 0x0F;
+    }
+
+    return reports;
+  }
+
+  /**
+   * Setzt die Reports einer Nachricht wieder zur Payload zusammen (Gegenstück zu segment)
+   * @returns {{ address: number, payload: Uint8Array }}
+   */
+  static reassemble(reports) {
+    const reassembler = new FrameReassembler();
+
+    for (let index = 0; index < reports.length; index++) {
+      const payload = reassembler.push(reports[index]);
+      if (reassembler.discarded) {
+        throw new Error(`${reassembler.discarded.reason} (Report ${index + 1})`);
+      }
+      if (payload) {
+        if (index !== reports.length - 1) {
+          throw new Error(`Nachricht endet nach ${index + 1} von ${reports.length} Reports`);
+        }
+        return { address: reports[index][SEGMENTATION.ADDRESS_INDEX], payload };
+      }
+    }
+
+    throw new Error(`Nachricht unvollständig (${reports.length} Reports)`);
+  }
+
+  /**
+   * Baut einen Report aus Header und PCI + Daten, aufgefüllt auf 64 Bytes
+   */
+  static createReport(header, body) {
+    const frame = [...header, ...body];
+    if (frame.length > DEVICE_CONSTANTS.REPORT_SIZE) {
+      throw new Error(`Report mit ${frame.length} Bytes überschreitet ${DEVICE_CONSTANTS.REPORT_SIZE} Bytes`);
+    }
+
+    while (frame.length < DEVICE_CONSTANTS.REPORT_SIZE) {
+      frame.push(0x00);
+    }
+
+    return Uint8Array.from(frame);
+  }
+}
+
+/**
+ * Setzt eingehende First/Consecutive Frames wieder zu einer Payload zusammen
+ */
+class FrameReassembler {
+  constructor() {
+    this.reset();
+    this.discarded = null;
+  }
+
+  /**
+   * Verwirft eine begonnene Nachricht
+   */
+  reset() {
+    this.buffer = null;
+    this.expectedLength = 0;
+    this.expectedSequence = 0;
+    this.address = null;
+  }
+
+  /**
+   * Verwirft die begonnene Nachricht und merkt sie sich für den Aufrufer (siehe discarded)
+   */
+  discard(reason) {
+    this.discarded = { fragment: this.buffer, address: this.address, reason };
+    this.reset();
+  }
+
+  /**
+   * Prüft, ob gerade eine segmentierte Nachricht empfangen wird
+   */
+  get inProgress() {
+    return this.buffer !== null;
+  }
+
+  /**
+   * Verarbeitet einen Report
+   * Gibt die vollständige Payload zurück oder null, solange noch Frames fehlen
+   * Eine dabei verworfene, unvollständige Nachricht steht bis zum nächsten push in
+   * discarded ({ fragment, address, reason }), sonst ist discarded null
+   */
+  push(report) {
+    this.discarded = null;
+
+    if (report.length <= SEGMENTATION.PCI_INDEX) {
+      throw new Error('Ungültige Report-Länge');
+    }
+
+    const pci = report[SEGMENTATION.PCI_INDEX];
+    const body = report.slice(SEGMENTATION.PCI_INDEX + 1);
+    const frameType = pci & SEGMENTATION.FRAME_TYPE_MASK;
+
+    if (frameType === SEGMENTATION.FIRST_FRAME) {
+      if (this.inProgress) {
+        this.discard('Neuer First Frame vor Abschluss der vorherigen Nachricht');
+      }
+
+      this.expectedLength = ((pci & 0x0F) << 8) | body[0];
+      this.buffer = Uint8Array.from(body.slice(1, 1 + this.expectedLength));
+      this.expectedSequence = 1;
+      this.address = report[SEGMENTATION.ADDRESS_INDEX];
+      return null;
+    }
+
+    if (frameType === SEGMENTATION.CONSECUTIVE_FRAME) {
+      if (!this.inProgress) {
+        throw new Error('Consecutive Frame ohne vorherigen First Frame');
+      }
+
+      // Ein Steuergerät kann keine Nachricht eines anderen fortsetzen
+      if (report[SEGMENTATION.ADDRESS_INDEX] !== this.address) {
+        const address = this.address;
+        this.reset();
+        throw new Error(`Consecutive Frame von Adresse 0x${report[SEGMENTATION.ADDRESS_INDEX].toString(16)} während Nachricht von 0x${address.toString(16)}`);
+      }
+
+      const sequence = pci & 0x0F;
+      if (sequence !== this.expectedSequence) {
+        const expected = this.expectedSequence;
+        this.reset();
+        throw new Error(`Falsche Sequenznummer: erwartet ${expected}, erhalten ${sequence}`);
+      }
+
+      const remaining = this.expectedLength - this.buffer.length;
+      const chunk = body.slice(0, remaining);
+      const combined = new Uint8Array(this.buffer.length + chunk.length);
+      combined.set(this.buffer);
+      combined.set(chunk, this.buffer.length);
+      this.buffer = combined;
+      this.expectedSequence = (this.expectedSequence + 1) & 0x0F;
+
+      if (this.buffer.length < this.expectedLength) {
+        return null;
+      }
+
+      const payload = this.buffer;
+      this.reset();
+      return payload;
+    }
+
+    // Single Frame
+    if (pci === 0 || pci > SEGMENTATION.SINGLE_FRAME_MAX) {
+      throw new Error(`Ungültiges PCI-Byte: 0x${pci.toString(16)}`);
+    }
+    if (this.inProgress) {
+      this.discard('Single Frame während segmentierter Nachricht');
+    }
+
+    return Uint8Array.from(body.slice(0, pci));
+  }
+}
+
+module.exports = {
+  FrameSegmenter,
+  FrameReassembler
+};
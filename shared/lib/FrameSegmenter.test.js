@@ -0,0 +1,123 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { FrameSegmenter, FrameReassembler } = require('./FrameSegmenter');
+const { DEVICE_CONSTANTS, HID_FRAME_HEADERS, ECU_ADDRESSES, SEGMENTATION } = require('./protocols');
+
+const RUNS = 500;
+const SEED = 1;
+
+/**
+ * Grenzfälle der Segmentierung: 1 Byte, Single-Frame-Maximum,
+ * First Frame + 1 bzw. 2 Consecutive Frames und die maximale Payload
+ */
+const BOUNDARY_LENGTHS = [
+  1,
+  SEGMENTATION.SINGLE_FRAME_MAX,
+  SEGMENTATION.SINGLE_FRAME_MAX + 1,
+  2 * SEGMENTATION.SINGLE_FRAME_MAX - 1,
+  2 * SEGMENTATION.SINGLE_FRAME_MAX,
+  SEGMENTATION.MAX_PAYLOAD_LENGTH
+];
+
+/**
+ * Deterministischer Zufallsgenerator (mulberry32), damit Fehlschläge reproduzierbar sind
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Zufällige Payloads (beliebige SIDs, Längen, Adressen), zuerst die Grenzfälle
+ */
+function createCases() {
+  const random = createRandom(SEED);
+  const addresses = Object.values(ECU_ADDRESSES);
+
+  return Array.from({ length: RUNS }, (_, run) => {
+    const length = run < BOUNDARY_LENGTHS.length
+      ? BOUNDARY_LENGTHS[run]
+      : 1 + Math.floor(random() ** 3 * SEGMENTATION.MAX_PAYLOAD_LENGTH); // bevorzugt kurze Payloads
+    const prefix = random() < 0.5 ? HID_FRAME_HEADERS.REQUEST : HID_FRAME_HEADERS.RESPONSE;
+    const header = [...prefix.slice(0, SEGMENTATION.ADDRESS_INDEX), addresses[Math.floor(random() * addresses.length)]];
+    const payload = Array.from({ length }, () => Math.floor(random() * 256));
+    return { run, header, payload };
+  });
+}
+
+describe('FrameSegmenter - Round-Trip', () => {
+  for (const { run, header, payload } of createCases()) {
+    const address = header[SEGMENTATION.ADDRESS_INDEX];
+
+    it(`#${run + 1} ${payload.length} Bytes an 0x${address.toString(16)}`, () => {
+      const reports = FrameSegmenter.segment(payload, header);
+      const expectedReports = payload.length <= SEGMENTATION.SINGLE_FRAME_MAX
+        ? 1
+        : 1 + Math.ceil((payload.length - (SEGMENTATION.SINGLE_FRAME_MAX - 1)) / SEGMENTATION.SINGLE_FRAME_MAX);
+
+      assert.equal(reports.length, expectedReports);
+      reports.forEach((report, index) => {
+        assert.equal(report.length, DEVICE_CONSTANTS.REPORT_SIZE, `Report ${index + 1}`);
+        assert.deepEqual(Array.from(report.slice(0, header.length)), header, `Report ${index + 1}: Header`);
+      });
+
+      const decoded = FrameSegmenter.reassemble(reports);
+      assert.equal(decoded.address, address);
+      assert.deepEqual(Array.from(decoded.payload), payload);
+    });
+  }
+});
+
+describe('FrameSegmenter - ungültige Payloads', () => {
+  it('lehnt eine leere Payload ab', () => {
+    assert.throws(() => FrameSegmenter.segment([]), /Leere Payload/);
+  });
+
+  it(`lehnt Payloads über ${SEGMENTATION.MAX_PAYLOAD_LENGTH} Bytes ab`, () => {
+    assert.throws(() => FrameSegmenter.segment(new Array(SEGMENTATION.MAX_PAYLOAD_LENGTH + 1).fill(0)), /Payload zu lang/);
+  });
+});
+
+describe('FrameReassembler - verworfene Fragmente', () => {
+  const header = [...HID_FRAME_HEADERS.RESPONSE, ECU_ADDRESSES.HMI];
+  const long = Array.from({ length: 2 * SEGMENTATION.SINGLE_FRAME_MAX }, (_, index) => index & 0xFF);
+
+  it('meldet das Fragment bei einem neuen First Frame und setzt die neue Nachricht zusammen', () => {
+    const reassembler = new FrameReassembler();
+    const [firstFrame] = FrameSegmenter.segment(long, header);
+    reassembler.push(firstFrame);
+
+    const [nextFirstFrame, ...consecutiveFrames] = FrameSegmenter.segment(long, header);
+    assert.equal(reassembler.push(nextFirstFrame), null);
+    assert.equal(reassembler.discarded.reason, 'Neuer First Frame vor Abschluss der vorherigen Nachricht');
+    assert.equal(reassembler.discarded.address, ECU_ADDRESSES.HMI);
+    assert.deepEqual(Array.from(reassembler.discarded.fragment), long.slice(0, SEGMENTATION.SINGLE_FRAME_MAX - 1));
+
+    const payload = consecutiveFrames.map(report => reassembler.push(report)).at(-1);
+    assert.deepEqual(Array.from(payload), long);
+    assert.equal(reassembler.discarded, null);
+  });
+
+  it('meldet das Fragment bei einem Single Frame und liefert dessen Payload', () => {
+    const reassembler = new FrameReassembler();
+    reassembler.push(FrameSegmenter.segment(long, header)[0]);
+
+    const payload = reassembler.push(FrameSegmenter.segment([0x50, 0x01], header)[0]);
+
+    assert.deepEqual(Array.from(payload), [0x50, 0x01]);
+    assert.equal(reassembler.discarded.reason, 'Single Frame während segmentierter Nachricht');
+  });
+
+  it('lehnt bei reassemble Reports mit verworfenem Fragment ab', () => {
+    const [firstFrame] = FrameSegmenter.segment(long, header);
+
+    assert.throws(() => FrameSegmenter.reassemble([firstFrame, ...FrameSegmenter.segment([0x50, 0x01], header)]), /Single Frame während segmentierter Nachricht \(Report 2\)/);
+  });
+});
@@ -0,0 +1,76 @@
+/**
+ * Registry der Schlüsselalgorithmen für SecurityAccess (0x27)
+ * Ein Plugin berechnet aus dem Seed des Displays den Key für ein Security-Level
+ */
+
+const KEY_ALGORITHMS = require('../keyAlgorithms');
+
+class KeyAlgorithmRegistry {
+  constructor(algorithms = []) {
+    this.algorithms = new Map();
+    algorithms.forEach(algorithm => this.register(algorithm));
+  }
+
+  /**
+   * Prüft, ob ein Objekt den Plugin-Vertrag erfüllt (name, computeKey)
+   */
+  static isKeyAlgorithm(candidate) {
+    return Boolean(candidate) &&
+      typeof candidate.name === 'string' &&
+      typeof candidate.computeKey === 'function';
+  }
+
+  /**
+   * Registriert ein Plugin; ein gleichnamiges wird ersetzt
+   */
+  register(algorithm) {
+    // Module mit "export default" (ESM-Transpilat) ebenfalls akzeptieren
+    const plugin = algorithm && algorithm.default ? algorithm.default : algorithm;
+
+    if (!KeyAlgorithmRegistry.isKeyAlgorithm(plugin)) {
+      throw new Error('Schlüsselalgorithmus muss name und computeKey(seed, level) bereitstellen');
+    }
+
+    this.algorithms.set(plugin.name, plugin);
+    return plugin;
+  }
+
+  /**
+   * Liefert ein Plugin anhand seines Namens
+   */
+  get(name) {
+    const algorithm = this.algorithms.get(name);
+    if (!algorithm) {
+      throw new Error(`Unbekannter Schlüsselalgorithmus "${name}" (verfügbar: ${this.list().join(', ') || '-'})`);
+    }
+    return algorithm;
+  }
+
+  /**
+   * Namen aller registrierten Plugins
+   */
+  list() {
+    return Array.from(this.algorithms.keys());
+  }
+
+  /**
+   * Berechnet den Key für einen Seed
+   */
+  async computeKey(nameOrAlgorithm, seed, level) {
+    const algorithm = typeof nameOrAlgorithm === 'string' ? this.get(nameOrAlgorithm) : nameOrAlgorithm;
+
+    if (algorithm.levels && !algorithm.levels.includes(level)) {
+      throw new Error(`Schlüsselalgorithmus "${algorithm.name}" unterstützt Level 0x${level.toString(16).padStart(2, '0')} nicht`);
+    }
+
+    const key = await algorithm.computeKey(Uint8Array.from(seed), level);
+    return Array.from(key);
+  }
+}
+
+/**
+ * Standard-Registry mit den mitgelieferten Algorithmen (shared/keyAlgorithms)
+ */
+KeyAlgorithmRegistry.default = new KeyAlgorithmRegistry(Object.values(KEY_ALGORITHMS));
+
+module.exports = { KeyAlgorithmRegistry, KEY_ALGORITHMS };
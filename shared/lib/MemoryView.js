@@ -0,0 +1,99 @@
+/**
+ * Hilfen für Speicherabzüge (ReadMemoryByAddress): Hex-Zeilen, Suchmuster und Suche
+ * Gemeinsam genutzt vom Hex-Viewer im Frontend und der Suche im BoschDisplayTool
+ */
+
+const ROW_WIDTH = 16;
+
+const toHex32 = (value) => `0x${value.toString(16).padStart(8, '0').toUpperCase()}`;
+
+const isPrintable = (byte) => byte >= 0x20 && byte < 0x7F;
+
+class MemoryView {
+  /**
+   * Liest eine Adresse oder Länge ("0x4000" als Hex, sonst dezimal)
+   */
+  static parseNumber(value) {
+    const text = String(value).trim();
+    const number = /^0x/i.test(text) ? parseInt(text, 16) : Number(text);
+
+    if (!Number.isInteger(number) || number < 0 || number > 0xFFFFFFFF) {
+      throw new Error(`Ungültige Adresse oder Länge "${value}"`);
+    }
+    return number;
+  }
+
+  /**
+   * Suchmuster als Bytes: "0x42 55 49" bzw. "0x425549" als Hex, alles andere als ASCII ("BUI255")
+   */
+  static parsePattern(input) {
+    const text = String(input);
+
+    if (/^0x/i.test(text.trim())) {
+      const hex = text.trim().slice(2).replace(/[\s:]/g, '');
+      if (!hex || hex.length % 2 !== 0 || /[^0-9a-f]/i.test(hex)) {
+        throw new Error(`Ungültiges Hex-Suchmuster "${input}"`);
+      }
+      return hex.match(/../g).map(pair => parseInt(pair, 16));
+    }
+
+    if (!text) {
+      throw new Error('Leeres Suchmuster');
+    }
+    return Array.from(text, char => {
+      const code = char.charCodeAt(0);
+      if (code > 0xFF) {
+        throw new Error(`Zeichen "${char}" ist kein ASCII/Latin-1`);
+      }
+      return code;
+    });
+  }
+
+  /**
+   * Alle Fundstellen eines Musters (Offsets relativ zum Anfang von bytes)
+   */
+  static find(bytes, pattern, fromIndex = 0) {
+    const matches = [];
+    for (let i = fromIndex; i <= bytes.length - pattern.length; i++) {
+      let found = true;
+      for (let j = 0; j < pattern.length; j++) {
+        if (bytes[i + j] !== pattern[j]) {
+          found = false;
+          break;
+        }
+      }
+      if (found) {
+        matches.push(i);
+      }
+    }
+    return matches;
+  }
+
+  /**
+   * Zerlegt einen Speicherabzug in Zeilen für die Hex-Ansicht
+   * @returns {Array<{ address, hex: string[], ascii }>}
+   */
+  static rows(address, bytes, width = ROW_WIDTH) {
+    const rows = [];
+    for (let offset = 0; offset < bytes.length; offset += width) {
+      const row = Array.from(bytes.slice(offset, offset + width));
+      rows.push({
+        address: toHex32(address + offset),
+        hex: row.map(byte => byte.toString(16).padStart(2, '0').toUpperCase()),
+        ascii: row.map(byte => isPrintable(byte) ? String.fromCharCode(byte) : '.').join('')
+      });
+    }
+    return rows;
+  }
+
+  /**
+   * Adresse als "0x0000ABCD"
+   */
+  static formatAddress(address) {
+    return toHex32(address);
+  }
+}
+
+MemoryView.ROW_WIDTH = ROW_WIDTH;
+
+module.exports = { MemoryView };
@@ -0,0 +1,187 @@
+/**
+ * Readout Profile Registry
+ * Liest die Auslese-Profile (shared/readoutProfiles.json, eigene Profile als JSON ergänzbar)
+ * und löst sie in geordnete Einträge für readAllInformation auf
+ */
+
+const catalog = require('../readoutProfiles.json');
+const { ECU_ADDRESSES, CONFIRMED_ECUS } = require('./protocols');
+const { DidRegistry } = require('./DidRegistry');
+
+/**
+ * Ergebnis-Gruppe je Steuergerät; Werte des Displays stehen direkt im Ergebnis
+ */
+const ECU_GROUPS = {
+  HMI: null,
+  DU: 'driveUnit',
+  BMS: 'batteryManagement',
+  CHARGER: 'charger'
+};
+
+/**
+ * Darstellungen eines Werts neben dem formatierten Dictionary-Wert
+ * (clock: Vergleich mit der Host-Uhr, siehe BoschDisplayTool.compareClock)
+ */
+const VALUE_FORMATS = ['clock'];
+
+/**
+ * Hinnehmbare Fehler: "timeout" (Steuergerät antwortet nicht) oder NRC als Hex ("0x31")
+ */
+function parseTolerance(values, profileKey) {
+  if (!Array.isArray(values)) {
+    throw new Error(`Profil ${profileKey}: "tolerate" muss eine Liste sein`);
+  }
+  return values.map(value => {
+    if (value === 'timeout') {
+      return value;
+    }
+    const nrc = typeof value === 'number' ? value : /^0x[0-9a-f]{2}$/i.test(value) ? parseInt(value, 16) : NaN;
+    if (!Number.isInteger(nrc) || nrc < 0 || nrc > 0xFF) {
+      throw new Error(`Profil ${profileKey}: unbekannter Fehler "${value}" in "tolerate" (NRC wie "0x31" oder "timeout")`);
+    }
+    return nrc;
+  });
+}
+
+const parseTimeout = (value, profileKey) => {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  if (!Number.isInteger(value) || value <= 0) {
+    throw new Error(`Profil ${profileKey}: ungültiger Timeout ${JSON.stringify(value)} (ms)`);
+  }
+  return value;
+};
+
+/**
+ * Verwaltet die Auslese-Profile
+ */
+class ReadoutProfileRegistry {
+  /**
+   * @param {Object} definition - { profiles: [...] } wie shared/readoutProfiles.json
+   * @param {Object} options
+   * @param {DidRegistry} options.registry - DID-Dictionary für die Einträge
+   */
+  constructor(definition = catalog, { registry = DidRegistry.default } = {}) {
+    this.registry = registry;
+    this.definitions = definition.profiles || [];
+    this.entries = this.definitions.map(profile => this.normalize(profile));
+    this.byKey = new Map(this.entries.map(entry => [entry.key, entry]));
+    if (this.byKey.size !== this.entries.length) {
+      throw new Error('Auslese-Profile: Schlüssel sind nicht eindeutig');
+    }
+  }
+
+  /**
+   * Normalisiert ein Profil: Einträge als Dictionary-Schlüssel, { identifier, ... } oder
+   * { ecu } (alle DIDs des Steuergeräts, außer den im Profil einzeln aufgeführten)
+   */
+  normalize(raw) {
+    if (!raw || !raw.key || !raw.name || !Array.isArray(raw.items) || raw.items.length === 0) {
+      throw new Error(`Unvollständiges Auslese-Profil: ${JSON.stringify(raw)}`);
+    }
+
+    const timeout = parseTimeout(raw.timeout, raw.key);
+    const tolerate = parseTolerance(raw.tolerate || [], raw.key);
+    const items = raw.items.map(item => (typeof item === 'string' ? { identifier: item } : item || {}));
+    const listed = new Set(items.filter(item => item.identifier).map(item => item.identifier));
+
+    const entries = items.flatMap(item => {
+      if (item.identifier) {
+        return [item];
+      }
+      if (!item.ecu || !(item.ecu in ECU_ADDRESSES)) {
+        throw new Error(`Profil ${raw.key}: Eintrag braucht "identifier" oder ein bekanntes "ecu": ${JSON.stringify(item)}`);
+      }
+      return this.registry.list({ ecu: item.ecu })
+        .filter(entry => !listed.has(entry.key))
+        .map(entry => ({ ...item, ecu: undefined, identifier: entry.key }));
+    }).map(item => {
+      if (!this.registry.byKey.has(item.identifier)) {
+        throw new Error(`Profil ${raw.key}: unbekannter Data Identifier ${item.identifier}`);
+      }
+      const entry = this.registry.get(item.identifier);
+      if (item.format && !VALUE_FORMATS.includes(item.format)) {
+        throw new Error(`Profil ${raw.key}: unbekannte Darstellung "${item.format}" für ${entry.key}`);
+      }
+
+      const group = ECU_GROUPS[entry.ecu] || null;
+      const field = item.field || entry.field;
+      return {
+        key: group ? `${group}.${field}` : field,
+        identifier: entry.key,
+        ecu: entry.ecu,
+        name: item.name || (group ? `${entry.ecu} ${entry.name}` : entry.name),
+        group,
+        field,
+        format: item.format || null,
+        addressConfirmed: CONFIRMED_ECUS.includes(entry.ecu),
+        timeout: parseTimeout(item.timeout, raw.key) || timeout,
+        tolerate: item.tolerate ? parseTolerance(item.tolerate, raw.key) : tolerate
+      };
+    });
+
+    const duplicate = entries.find((entry, index) => entries.findIndex(other => other.key === entry.key) !== index);
+    if (duplicate) {
+      throw new Error(`Profil ${raw.key}: Feld "${duplicate.key}" ist mehrfach belegt`);
+    }
+
+    return {
+      key: raw.key,
+      name: raw.name,
+      description: raw.description || '',
+      timeout,
+      tolerate,
+      items: entries
+    };
+  }
+
+  /**
+   * Liefert ein Profil anhand seines Schlüssels (z.B. battery-check)
+   */
+  get(key) {
+    const entry = this.byKey.get(key);
+    if (!entry) {
+      throw new Error(`Unbekanntes Auslese-Profil: ${key} (verfügbar: ${[...this.byKey.keys()].join(', ')})`);
+    }
+    return entry;
+  }
+
+  /**
+   * Profil aus Schlüssel oder Profil-Objekt (eigene Profile ohne Registrierung)
+   */
+  resolve(profile) {
+    return typeof profile === 'string' ? this.get(profile) : this.normalize(profile);
+  }
+
+  /**
+   * Listet alle Profile
+   */
+  list() {
+    return this.entries;
+  }
+
+  /**
+   * Neue Registry mit zusätzlichen Profilen; gleiche Schlüssel ersetzen das mitgelieferte Profil
+   */
+  extend(definition) {
+    const custom = (definition && definition.profiles) || [];
+    const replaced = new Map(custom.filter(Boolean).map(profile => [profile.key, profile]));
+    const profiles = [
+      ...this.definitions.map(profile => replaced.get(profile.key) || profile),
+      ...custom.filter(profile => !profile || !this.byKey.has(profile.key))
+    ];
+    return new ReadoutProfileRegistry({ profiles }, { registry: this.registry });
+  }
+}
+
+/**
+ * Standard-Registry auf Basis von shared/readoutProfiles.json
+ */
+ReadoutProfileRegistry.default = new ReadoutProfileRegistry();
+
+module.exports = {
+  ReadoutProfileRegistry,
+  ECU_GROUPS,
+  VALUE_FORMATS
+};
@@ -0,0 +1,163 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { ReadoutProfileRegistry } = require('./ReadoutProfileRegistry');
+const { DidRegistry } = require('./DidRegistry');
+
+const registry = ReadoutProfileRegistry.default;
+
+/**
+ * Registry mit genau einem eigenen Profil (Standard-Einträge wie im Katalog überschreibbar)
+ */
+const single = (profile) => new ReadoutProfileRegistry({ profiles: [{ key: 'test', name: 'Test', ...profile }] }).get('test');
+
+describe('ReadoutProfileRegistry - mitgelieferte Profile', () => {
+  it('löst alle Profile des Katalogs auf', () => {
+    assert.ok(registry.list().length > 0);
+    registry.list().forEach(profile => assert.ok(profile.items.length > 0, profile.key));
+  });
+
+  it('löst Einträge in Dictionary-Einträge mit Feld und Gruppe auf', () => {
+    const display = registry.get('display');
+
+    assert.deepEqual(display.items[0], {
+      key: 'serialNumber',
+      identifier: 'SERIAL_NUMBER',
+      ecu: 'HMI',
+      name: DidRegistry.default.get('SERIAL_NUMBER').name,
+      group: null,
+      field: 'serialNumber',
+      format: null,
+      addressConfirmed: true,
+      timeout: null,
+      tolerate: []
+    });
+    assert.equal(display.items.find(item => item.identifier === 'PRESENT_DATE_TIME').format, 'clock');
+  });
+
+  it('meldet unbekannte Profile mit den verfügbaren Schlüsseln', () => {
+    assert.throws(() => registry.get('gibt-es-nicht'), /Unbekanntes Auslese-Profil: gibt-es-nicht \(verfügbar: display, /);
+  });
+
+  it('nimmt bei resolve Schlüssel und Profil-Objekte an', () => {
+    assert.equal(registry.resolve('display'), registry.get('display'));
+    assert.deepEqual(registry.resolve({ key: 'eigen', name: 'Eigen', items: ['SERIAL_NUMBER'] }).items.map(item => item.identifier), ['SERIAL_NUMBER']);
+    assert.throws(() => registry.resolve({ key: 'eigen', items: ['SERIAL_NUMBER'] }), /Unvollständiges Auslese-Profil/);
+  });
+});
+
+describe('ReadoutProfileRegistry - Einträge', () => {
+  it('gruppiert Werte anderer Steuergeräte', () => {
+    const [item] = single({ items: ['DU_SERIAL_NUMBER'] }).items;
+
+    assert.equal(item.key, 'driveUnit.serialNumber');
+    assert.equal(item.group, 'driveUnit');
+    assert.match(item.name, /^DU /);
+  });
+
+  it('kennzeichnet Werte von Steuergeräten mit unbestätigter Adresse', () => {
+    const profile = single({ items: ['SERIAL_NUMBER', 'DU_SERIAL_NUMBER', { ecu: 'BMS' }] });
+
+    assert.equal(profile.items[0].addressConfirmed, true);
+    assert.ok(profile.items.slice(1).every(item => item.addressConfirmed === false));
+  });
+
+  it('expandiert { ecu } ohne die einzeln aufgeführten DIDs', () => {
+    const profile = single({ items: [{ identifier: 'BMS_SERIAL_NUMBER', name: 'Seriennummer' }, { ecu: 'BMS' }] });
+    const identifiers = profile.items.map(item => item.identifier);
+    const expected = DidRegistry.default.list({ ecu: 'BMS' }).map(entry => entry.key);
+
+    assert.deepEqual([...identifiers].sort(), [...expected].sort());
+    assert.equal(identifiers[0], 'BMS_SERIAL_NUMBER');
+    assert.equal(profile.items[0].name, 'Seriennummer');
+    assert.ok(profile.items.every(item => item.ecu === 'BMS'));
+  });
+
+  it('übernimmt Timeout und hinnehmbare Fehler des Profils, Einträge überschreiben sie', () => {
+    const profile = single({
+      timeout: 500,
+      tolerate: ['0x31', 'timeout'],
+      items: ['SERIAL_NUMBER', { identifier: 'HARDWARE_VERSION', timeout: 2000, tolerate: [0x22] }]
+    });
+
+    assert.equal(profile.timeout, 500);
+    assert.deepEqual(profile.tolerate, [0x31, 'timeout']);
+    assert.deepEqual(profile.items.map(item => [item.timeout, item.tolerate]), [[500, [0x31, 'timeout']], [2000, [0x22]]]);
+  });
+
+  it('gibt Einträgen aus { ecu } deren Timeout und hinnehmbare Fehler mit', () => {
+    const profile = single({ items: [{ ecu: 'DU', timeout: 300, tolerate: ['timeout'] }] });
+
+    profile.items.forEach(item => {
+      assert.equal(item.timeout, 300);
+      assert.deepEqual(item.tolerate, ['timeout']);
+    });
+  });
+});
+
+describe('ReadoutProfileRegistry - ungültige Profile', () => {
+  const cases = [
+    ['ohne Schlüssel', { key: '', name: 'X', items: ['SERIAL_NUMBER'] }, /Unvollständiges Auslese-Profil/],
+    ['ohne Einträge', { items: [] }, /Unvollständiges Auslese-Profil/],
+    ['mit unbekanntem DID', { items: ['GIBT_ES_NICHT'] }, /Profil test: unbekannter Data Identifier GIBT_ES_NICHT/],
+    ['mit unbekanntem Steuergerät', { items: [{ ecu: 'ABS' }] }, /Profil test: Eintrag braucht "identifier" oder ein bekanntes "ecu"/],
+    ['mit leerem Eintrag', { items: [null] }, /Profil test: Eintrag braucht "identifier"/],
+    ['mit unbekannter Darstellung', { items: [{ identifier: 'SERIAL_NUMBER', format: 'hex' }] }, /unbekannte Darstellung "hex" für SERIAL_NUMBER/],
+    ['mit doppeltem Feld', { items: ['SERIAL_NUMBER', 'SERIAL_NUMBER'] }, /Profil test: Feld "serialNumber" ist mehrfach belegt/],
+    ['mit negativem Timeout', { timeout: -1, items: ['SERIAL_NUMBER'] }, /Profil test: ungültiger Timeout -1 \(ms\)/],
+    ['mit Timeout als Text', { items: [{ identifier: 'SERIAL_NUMBER', timeout: '500' }] }, /ungültiger Timeout "500"/],
+    ['mit tolerate als Text', { tolerate: '0x31', items: ['SERIAL_NUMBER'] }, /"tolerate" muss eine Liste sein/],
+    ['mit unbekanntem Fehler', { tolerate: ['0x3'], items: ['SERIAL_NUMBER'] }, /unbekannter Fehler "0x3" in "tolerate"/],
+    ['mit NRC über 0xFF', { items: [{ identifier: 'SERIAL_NUMBER', tolerate: [0x100] }] }, /unbekannter Fehler "256"/]
+  ];
+
+  for (const [title, profile, message] of cases) {
+    it(`lehnt ein Profil ${title} ab`, () => {
+      assert.throws(() => single(profile), message);
+    });
+  }
+
+  it('lehnt doppelte Profil-Schlüssel ab', () => {
+    const profile = { key: 'test', name: 'Test', items: ['SERIAL_NUMBER'] };
+    assert.throws(() => new ReadoutProfileRegistry({ profiles: [profile, profile] }), /Schlüssel sind nicht eindeutig/);
+  });
+});
+
+describe('ReadoutProfileRegistry - extend', () => {
+  it('ergänzt eigene Profile hinter den mitgelieferten', () => {
+    const extended = registry.extend({ profiles: [{ key: 'eigen', name: 'Eigen', items: ['SERIAL_NUMBER'] }] });
+
+    assert.deepEqual(extended.list().map(profile => profile.key), [...registry.list().map(profile => profile.key), 'eigen']);
+    assert.throws(() => registry.get('eigen'), /Unbekanntes Auslese-Profil/, 'Original bleibt unverändert');
+  });
+
+  it('ersetzt ein mitgeliefertes Profil mit gleichem Schlüssel an seiner Stelle', () => {
+    const extended = registry.extend({ profiles: [{ key: 'display', name: 'Nur Seriennummer', items: ['SERIAL_NUMBER'] }] });
+
+    assert.deepEqual(extended.list().map(profile => profile.key), registry.list().map(profile => profile.key));
+    assert.equal(extended.get('display').name, 'Nur Seriennummer');
+    assert.equal(extended.get('display').items.length, 1);
+  });
+
+  it('nimmt leere Definitionen an', () => {
+    assert.equal(registry.extend(undefined).list().length, registry.list().length);
+    assert.equal(registry.extend({}).list().length, registry.list().length);
+  });
+
+  it('prüft eigene Profile beim Erweitern', () => {
+    assert.throws(() => registry.extend({ profiles: [{ key: 'eigen', name: 'Eigen', items: ['GIBT_ES_NICHT'] }] }), /Profil eigen: unbekannter Data Identifier/);
+    assert.throws(() => registry.extend({ profiles: [null] }), /Unvollständiges Auslese-Profil: null/);
+  });
+
+  it('behält das DID-Dictionary der Registry', () => {
+    const dictionary = new DidRegistry({
+      identifiers: [{ key: 'EIGENER_DID', did: '0x4001', ecu: 'HMI', name: 'Eigener DID', field: 'eigen', type: 'raw' }]
+    });
+    const custom = new ReadoutProfileRegistry({ profiles: [] }, { registry: dictionary });
+
+    const extended = custom.extend({ profiles: [{ key: 'eigen', name: 'Eigen', items: ['EIGENER_DID'] }] });
+
+    assert.equal(extended.registry, dictionary);
+    assert.equal(extended.get('eigen').items[0].field, 'eigen');
+  });
+});
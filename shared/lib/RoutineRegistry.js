@@ -0,0 +1,216 @@
+/**
+ * Routine Registry
+ * Liest den Routine-Katalog (shared/routines.json), kodiert Parameter und
+ * dekodiert Ergebnisse mit den Datentypen des DID-Dictionaries
+ */
+
+const catalog = require('../routines.json');
+const { ROUTINE_CONTROL_TYPES } = require('./protocols');
+const { DECODERS, ENCODERS, MIN_LENGTHS } = require('./DidRegistry');
+
+/**
+ * Sicherheitsstufen: alles oberhalb von "harmless" muss bestätigt werden
+ */
+const SAFETY_LEVELS = {
+  harmless: { rank: 0, label: 'Harmlos' },
+  caution: { rank: 1, label: 'Verändert Daten' },
+  dangerous: { rank: 2, label: 'Gefährlich' }
+};
+
+/**
+ * Steuerarten im Katalog und ihre Sub-Function
+ */
+const ROUTINE_CONTROLS = {
+  start: ROUTINE_CONTROL_TYPES.START,
+  stop: ROUTINE_CONTROL_TYPES.STOP,
+  results: ROUTINE_CONTROL_TYPES.REQUEST_RESULTS
+};
+
+const toHex = (bytes) => Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join(' ').toUpperCase();
+
+/**
+ * Wandelt "0x0201" in [0x02, 0x01] um
+ */
+function parseRid(rid) {
+  const hex = String(rid).replace(/^0x/i, '');
+  if (!/^[0-9a-f]{4}$/i.test(hex)) {
+    throw new Error(`Ungültiger Routine-Identifier: ${rid}`);
+  }
+  return [parseInt(hex.substr(0, 2), 16), parseInt(hex.substr(2, 2), 16)];
+}
+
+/**
+ * Normalisiert einen Parameter- oder Ergebnis-Eintrag (Enum-Codes zu Zahlen)
+ */
+function normalizeField(raw, routineKey, codecs) {
+  if (!raw.key || !raw.name || !codecs[raw.type]) {
+    throw new Error(`Ungültiges Feld "${raw.key}" in Routine ${routineKey}: ${JSON.stringify(raw)}`);
+  }
+
+  const values = {};
+  Object.entries(raw.values || {}).forEach(([code, name]) => {
+    values[parseInt(code, 16)] = name;
+  });
+
+  return { ...raw, length: raw.length || null, unit: raw.unit || null, values };
+}
+
+/**
+ * Normalisiert einen Katalog-Eintrag
+ */
+function normalizeRoutine(raw) {
+  if (!raw.key || !raw.rid || !raw.name) {
+    throw new Error(`Unvollständiger Routine-Eintrag: ${JSON.stringify(raw)}`);
+  }
+  if (!SAFETY_LEVELS[raw.safety]) {
+    throw new Error(`Unbekannte Sicherheitsstufe "${raw.safety}" für ${raw.key}`);
+  }
+
+  const controls = raw.controls || ['start'];
+  const unknown = controls.find(control => !ROUTINE_CONTROLS[control]);
+  if (unknown) {
+    throw new Error(`Unbekannte Steuerart "${unknown}" für ${raw.key}`);
+  }
+
+  return {
+    ...raw,
+    rid: parseRid(raw.rid),
+    ecu: raw.ecu || 'HMI',
+    session: raw.session || null,
+    controls,
+    parameters: (raw.parameters || []).map(field => normalizeField(field, raw.key, ENCODERS)),
+    results: (raw.results || []).map(field => normalizeField(field, raw.key, DECODERS)),
+    confirmed: Boolean(raw.confirmed)
+  };
+}
+
+/**
+ * Verwaltet die Routinen und ihre Parameter/Ergebnisse
+ */
+class RoutineRegistry {
+  constructor(definition = catalog) {
+    this.entries = definition.routines.map(normalizeRoutine);
+    this.byKey = new Map(this.entries.map(entry => [entry.key, entry]));
+  }
+
+  /**
+   * Liefert eine Routine anhand ihres Schlüssels (z.B. DISPLAY_TEST)
+   */
+  get(key) {
+    const entry = this.byKey.get(key);
+    if (!entry) {
+      throw new Error(`Unbekannte Routine: ${key}`);
+    }
+    return entry;
+  }
+
+  /**
+   * Sucht eine Routine anhand der RID-Bytes
+   */
+  findByRid(rid) {
+    return this.entries.find(entry => entry.rid[0] === rid[0] && entry.rid[1] === rid[1]) || null;
+  }
+
+  /**
+   * Routine aus Schlüssel oder RID ("0x0201"); unbekannte RIDs als Eintrag ohne Parameter
+   */
+  resolve(keyOrRid) {
+    if (this.byKey.has(keyOrRid)) {
+      return this.byKey.get(keyOrRid);
+    }
+    if (!/^0x[0-9a-f]{4}$/i.test(String(keyOrRid))) {
+      return this.get(keyOrRid);
+    }
+
+    const rid = parseRid(keyOrRid);
+    return this.findByRid(rid) || normalizeRoutine({
+      key: `UNKNOWN_${String(keyOrRid).slice(2).toUpperCase()}`,
+      rid: keyOrRid,
+      name: `Routine ${keyOrRid}`,
+      safety: 'dangerous',
+      controls: Object.keys(ROUTINE_CONTROLS)
+    });
+  }
+
+  /**
+   * Listet alle Routinen, optional gefiltert nach ECU
+   */
+  list({ ecu = null } = {}) {
+    return this.entries.filter(entry => !ecu || entry.ecu === ecu);
+  }
+
+  /**
+   * Muss der Start vom Benutzer bestätigt werden?
+   */
+  requiresConfirmation(entry) {
+    return SAFETY_LEVELS[entry.safety].rank > SAFETY_LEVELS.harmless.rank;
+  }
+
+  /**
+   * Feste Länge eines Feldes in Bytes (0 bei variabler Länge)
+   */
+  fieldLength(field) {
+    return field.length || MIN_LENGTHS[field.type] || 0;
+  }
+
+  /**
+   * Kodiert die Start-Parameter (fehlende Werte aus "default")
+   */
+  encodeParameters(entry, values = {}) {
+    return entry.parameters.flatMap(field => {
+      const value = values[field.key] !== undefined && values[field.key] !== '' ? values[field.key] : field.default;
+      if (value === undefined || value === null) {
+        throw new Error(`${entry.name}: Parameter "${field.name}" fehlt`);
+      }
+
+      // Einheit aus dem Anzeigeformat entfernen ("50 %" -> "50")
+      const text = field.unit && typeof value === 'string' && value.endsWith(` ${field.unit}`)
+        ? value.slice(0, -field.unit.length - 1)
+        : value;
+      const bytes = ENCODERS[field.type](text, field);
+
+      const requiredLength = this.fieldLength(field);
+      if (field.length ? bytes.length !== field.length : bytes.length < requiredLength) {
+        throw new Error(`${entry.name}: Parameter "${field.name}" hat ${bytes.length} Bytes, ${requiredLength} erwartet`);
+      }
+      return bytes;
+    });
+  }
+
+  /**
+   * Dekodiert das routineStatusRecord einer 0x71-Response (Daten nach dem RID-Echo)
+   * Fehlen Bytes, endet die Dekodierung; überzählige Bytes werden als Hex angehängt
+   */
+  decodeResults(entry, bytes) {
+    const results = [];
+    let offset = 0;
+
+    for (const field of entry.results) {
+      const length = this.fieldLength(field) || (bytes.length - offset);
+      if (length === 0 || offset + length > bytes.length) {
+        break;
+      }
+
+      const value = DECODERS[field.type](bytes.slice(offset, offset + length), field);
+      results.push({ key: field.key, name: field.name, value: field.unit ? `${value} ${field.unit}` : value });
+      offset += length;
+    }
+
+    if (offset < bytes.length) {
+      results.push({ key: 'data', name: 'Weitere Daten', value: toHex(bytes.slice(offset)) });
+    }
+    return results;
+  }
+}
+
+/**
+ * Standard-Registry auf Basis von shared/routines.json
+ */
+RoutineRegistry.default = new RoutineRegistry();
+
+module.exports = {
+  RoutineRegistry,
+  SAFETY_LEVELS,
+  ROUTINE_CONTROLS,
+  parseRid
+};
@@ -0,0 +1,97 @@
+/**
+ * Wiedergabe einer aufgezeichneten Sitzung (shared/recordings/*.json)
+ * Gleiche Schnittstelle wie DisplaySimulator: handle(report) -> [{ delay, reports }]
+ */
+
+const RECORDINGS = require('../recordings');
+const {
+  HID_FRAME_HEADERS,
+  ERROR_CODES,
+  DEVICE_CONSTANTS,
+  SEGMENTATION
+} = require('./protocols');
+const { FrameSegmenter } = require('./FrameSegmenter');
+const { parseHexBytes } = require('./DisplaySimulator');
+
+/**
+ * Füllt einen aufgezeichneten (ggf. gekürzten) Report auf 64 Bytes auf
+ */
+function toReport(bytes) {
+  const report = new Uint8Array(DEVICE_CONSTANTS.REPORT_SIZE);
+  report.set(bytes.slice(0, DEVICE_CONSTANTS.REPORT_SIZE));
+  return report;
+}
+
+class SessionReplay {
+  constructor(recording) {
+    this.recording = recording;
+    this.responseDelay = recording.responseDelay || 0;
+    this.exchanges = (recording.exchanges || []).map(exchange => ({
+      request: parseHexBytes(exchange.request),
+      responses: exchange.responses.map(response => toReport(parseHexBytes(response)))
+    }));
+  }
+
+  /**
+   * Erzeugt eine Wiedergabe aus einer mitgelieferten Aufzeichnung
+   */
+  static fromRecording(name) {
+    const recording = RECORDINGS[name];
+    if (!recording) {
+      throw new Error(`Unbekannte Aufzeichnung "${name}" (verfügbar: ${SessionReplay.recordings().join(', ')})`);
+    }
+    return new SessionReplay(recording);
+  }
+
+  /**
+   * Namen der mitgelieferten Aufzeichnungen
+   */
+  static recordings() {
+    return Object.keys(RECORDINGS);
+  }
+
+  /**
+   * Geräteinformationen wie von WebHID geliefert
+   */
+  get info() {
+    return {
+      vendorId: DEVICE_CONSTANTS.VENDOR_ID,
+      productId: parseInt(this.recording.productId, 16),
+      productName: `${this.recording.name} (Aufzeichnung)`,
+      manufacturerName: 'Bosch eBike Systems',
+      serialNumber: 'REPLAY'
+    };
+  }
+
+  /**
+   * Sucht den aufgezeichneten Austausch zum Report
+   * Nicht aufgezeichnete UDS-Requests werden mit NRC 0x31 beantwortet
+   */
+  handle(report) {
+    const exchange = this.exchanges.find(candidate =>
+      candidate.request.every((byte, index) => report[index] === byte));
+
+    if (exchange) {
+      return [{ delay: this.responseDelay, reports: exchange.responses }];
+    }
+
+    if (report[0] !== HID_FRAME_HEADERS.REQUEST[0]) {
+      return [];
+    }
+
+    // Nur auf Single bzw. First Frame antworten
+    const pci = report[SEGMENTATION.PCI_INDEX];
+    const frameType = pci & SEGMENTATION.FRAME_TYPE_MASK;
+    if (frameType === SEGMENTATION.CONSECUTIVE_FRAME) {
+      return [];
+    }
+
+    const serviceId = report[SEGMENTATION.PCI_INDEX + (frameType === SEGMENTATION.FIRST_FRAME ? 2 : 1)];
+    return [{
+      delay: this.responseDelay,
+      reports: FrameSegmenter.segment([0x7F, serviceId, ERROR_CODES.REQUEST_OUT_OF_RANGE], [...HID_FRAME_HEADERS.RESPONSE, report[SEGMENTATION.ADDRESS_INDEX]])
+    }];
+  }
+}
+
+module.exports = { SessionReplay };
@@ -0,0 +1,126 @@
+/**
+ * Cache für statische Data Identifier (Artikelnummer, Hardware-Version, Komponententyp, ...)
+ * Die Werte werden je Steuergerät und Seriennummer abgelegt. Der Speicher ist austauschbar:
+ * Datei im Backend, localStorage im Browser oder nur im Speicher.
+ */
+
+const CACHE_VERSION = 1;
+
+// Höchstzahl gespeicherter Geräte, ältere werden verworfen
+const MAX_UNITS = 50;
+
+const emptyData = () => ({ version: CACHE_VERSION, units: {} });
+
+/**
+ * Prüft gelesene Cache-Daten; unbekannte Versionen und kaputte Inhalte ergeben einen leeren Cache
+ */
+function normalizeData(data) {
+  if (!data || data.version !== CACHE_VERSION || typeof data.units !== 'object' || data.units === null) {
+    return emptyData();
+  }
+  return data;
+}
+
+class StaticValueCache {
+  /**
+   * @param {Object} storage - { load(): Object|null, save(data) }
+   */
+  constructor(storage = StaticValueCache.memoryStorage()) {
+    this.storage = storage;
+  }
+
+  /**
+   * Speicher im Arbeitsspeicher, optional mit vorhandenen Daten (z.B. vom Browser mitgeschickt)
+   */
+  static memoryStorage(initial = null) {
+    let data = initial;
+    return {
+      load: () => data,
+      save: (next) => {
+        data = next;
+      }
+    };
+  }
+
+  /**
+   * Speicher in einem Web Storage (localStorage) unter einem Schlüssel
+   */
+  static webStorage(storage, key = 'bosch-hmi-static-values') {
+    return {
+      load: () => {
+        try {
+          return JSON.parse(storage.getItem(key));
+        } catch (error) {
+          return null;
+        }
+      },
+      save: (data) => storage.setItem(key, JSON.stringify(data))
+    };
+  }
+
+  /**
+   * Schlüssel eines Geräts: Steuergerät und Seriennummer ("HMI 0x0455E1A0334B38")
+   */
+  static unitKey(ecu, serialNumber) {
+    return `${ecu} ${serialNumber}`;
+  }
+
+  /**
+   * Gespeicherte Werte eines Geräts: { values: { KEY: Wert }, updatedAt } oder null
+   */
+  lookup(ecu, serialNumber) {
+    const unit = this.export().units[StaticValueCache.unitKey(ecu, serialNumber)];
+    return unit ? { values: { ...unit.values }, updatedAt: unit.updatedAt } : null;
+  }
+
+  /**
+   * Ergänzt die Werte eines Geräts (Schlüssel aus dem DID-Dictionary -> formatierter Wert)
+   */
+  store(ecu, serialNumber, values) {
+    const data = this.export();
+    const unitKey = StaticValueCache.unitKey(ecu, serialNumber);
+    const previous = data.units[unitKey] || { values: {} };
+
+    data.units[unitKey] = {
+      ecu,
+      serialNumber,
+      updatedAt: new Date().toISOString(),
+      values: { ...previous.values, ...values }
+    };
+
+    // Nur die zuletzt gesehenen Geräte behalten
+    const units = Object.entries(data.units)
+      .sort(([, a], [, b]) => b.updatedAt.localeCompare(a.updatedAt))
+      .slice(0, MAX_UNITS);
+    data.units = Object.fromEntries(units);
+
+    this.storage.save(data);
+  }
+
+  /**
+   * Verwirft die Werte eines Geräts
+   */
+  forget(ecu, serialNumber) {
+    const data = this.export();
+    delete data.units[StaticValueCache.unitKey(ecu, serialNumber)];
+    this.storage.save(data);
+  }
+
+  /**
+   * Alle gespeicherten Daten (z.B. für die Übergabe zwischen Browser und Backend)
+   */
+  export() {
+    return normalizeData(this.storage.load());
+  }
+
+  /**
+   * Übernimmt exportierte Daten vollständig
+   */
+  import(data) {
+    this.storage.save(normalizeData(data));
+  }
+}
+
+StaticValueCache.MAX_UNITS = MAX_UNITS;
+
+module.exports = { StaticValueCache };
@@ -0,0 +1,101 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { StaticValueCache } = require('./StaticValueCache');
+
+/**
+ * Minimaler Web Storage (getItem/setItem) wie localStorage
+ */
+function createWebStorage(initial = {}) {
+  const items = new Map(Object.entries(initial));
+  return {
+    items,
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value))
+  };
+}
+
+describe('StaticValueCache', () => {
+  it('liefert Werte nur für das Gerät mit passender Seriennummer', () => {
+    const cache = new StaticValueCache();
+    cache.store('HMI', '0x0455E1A0334B38', { HARDWARE_VERSION: '0.0.2.2' });
+
+    assert.deepEqual(cache.lookup('HMI', '0x0455E1A0334B38').values, { HARDWARE_VERSION: '0.0.2.2' });
+    assert.equal(cache.lookup('HMI', '0x0455E1A0334B39'), null);
+    assert.equal(cache.lookup('DU', '0x0455E1A0334B38'), null);
+  });
+
+  it('ergänzt die Werte eines Geräts und verwirft sie mit forget', () => {
+    const cache = new StaticValueCache();
+    cache.store('HMI', 'A', { HARDWARE_VERSION: '0.0.2.2' });
+    cache.store('HMI', 'A', { COMPONENT_TYPE: 'Intuvia' });
+
+    assert.deepEqual(cache.lookup('HMI', 'A').values, { HARDWARE_VERSION: '0.0.2.2', COMPONENT_TYPE: 'Intuvia' });
+    cache.forget('HMI', 'A');
+    assert.equal(cache.lookup('HMI', 'A'), null);
+  });
+
+  it('gibt Kopien heraus', () => {
+    const cache = new StaticValueCache();
+    cache.store('HMI', 'A', { HARDWARE_VERSION: '0.0.2.2' });
+
+    cache.lookup('HMI', 'A').values.HARDWARE_VERSION = 'geändert';
+    assert.equal(cache.lookup('HMI', 'A').values.HARDWARE_VERSION, '0.0.2.2');
+  });
+
+  it(`behält die ${StaticValueCache.MAX_UNITS} zuletzt gesehenen Geräte`, () => {
+    const data = { version: 1, units: {} };
+    for (let index = 0; index < StaticValueCache.MAX_UNITS; index++) {
+      data.units[StaticValueCache.unitKey('HMI', `S${index}`)] = {
+        ecu: 'HMI',
+        serialNumber: `S${index}`,
+        updatedAt: new Date(Date.UTC(2024, 0, 1, 0, index)).toISOString(),
+        values: {}
+      };
+    }
+    const cache = new StaticValueCache(StaticValueCache.memoryStorage(data));
+
+    cache.store('HMI', 'NEU', { HARDWARE_VERSION: '0.0.2.2' });
+
+    assert.equal(Object.keys(cache.export().units).length, StaticValueCache.MAX_UNITS);
+    assert.equal(cache.lookup('HMI', 'S0'), null);
+    assert.ok(cache.lookup('HMI', 'S1'));
+    assert.ok(cache.lookup('HMI', 'NEU'));
+  });
+
+  it('ersetzt unbekannte Versionen und kaputte Inhalte durch einen leeren Cache', () => {
+    for (const data of [null, 'kaputt', { version: 2, units: {} }, { version: 1, units: null }]) {
+      assert.deepEqual(new StaticValueCache(StaticValueCache.memoryStorage(data)).export(), { version: 1, units: {} });
+    }
+  });
+
+  it('legt die Daten als JSON im Web Storage ab', () => {
+    const storage = createWebStorage();
+    new StaticValueCache(StaticValueCache.webStorage(storage)).store('HMI', 'A', { HARDWARE_VERSION: '0.0.2.2' });
+
+    const stored = JSON.parse(storage.getItem('bosch-hmi-static-values'));
+    assert.equal(stored.units['HMI A'].values.HARDWARE_VERSION, '0.0.2.2');
+    assert.equal(new StaticValueCache(StaticValueCache.webStorage(storage)).lookup('HMI', 'A').values.HARDWARE_VERSION, '0.0.2.2');
+  });
+
+  it('trennt Web-Storage-Schlüssel und übersteht unlesbare Einträge', () => {
+    const storage = createWebStorage({ 'bosch-hmi-static-values': '{kein json' });
+    const demo = new StaticValueCache(StaticValueCache.webStorage(storage, 'bosch-hmi-static-values-demo'));
+    demo.store('HMI', 'A', { HARDWARE_VERSION: '0.0.2.2' });
+
+    const real = new StaticValueCache(StaticValueCache.webStorage(storage));
+    assert.deepEqual(real.export(), { version: 1, units: {} });
+    assert.equal(real.lookup('HMI', 'A'), null);
+  });
+
+  it('übergibt den Cache per export/import (Browser <-> Backend)', () => {
+    const browser = new StaticValueCache(StaticValueCache.webStorage(createWebStorage()));
+    browser.store('HMI', 'A', { HARDWARE_VERSION: '0.0.2.2' });
+
+    const backend = new StaticValueCache(StaticValueCache.memoryStorage(browser.export()));
+    backend.store('HMI', 'A', { COMPONENT_TYPE: 'Intuvia' });
+    browser.import(backend.export());
+
+    assert.deepEqual(browser.lookup('HMI', 'A').values, { HARDWARE_VERSION: '0.0.2.2', COMPONENT_TYPE: 'Intuvia' });
+  });
+});
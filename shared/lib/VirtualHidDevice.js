@@ -0,0 +1,135 @@
+/**
+ * Virtuelles WebHID-Gerät für den Demo-Modus
+ * Bildet die Schnittstelle von HIDDevice nach (open, close, sendReport,
+ * inputreport-Events), Antworten kommen von DisplaySimulator oder SessionReplay
+ */
+
+const { DisplaySimulator } = require('./DisplaySimulator');
+const { SessionReplay } = require('./SessionReplay');
+
+const SOURCE_SEPARATOR = ':';
+
+class VirtualHidDevice {
+  /**
+   * @param {DisplaySimulator|SessionReplay} responder - Objekt mit handle(report) und info
+   */
+  constructor(responder) {
+    const info = responder.info;
+
+    this.responder = responder;
+    this.vendorId = info.vendorId;
+    this.productId = info.productId;
+    this.productName = info.productName;
+    this.manufacturerName = info.manufacturerName;
+    this.serialNumber = info.serialNumber;
+    this.collections = [];
+    this.opened = false;
+    this.oninputreport = null;
+    this.listeners = [];
+    this.timers = new Set();
+    this.busyUntil = 0;
+  }
+
+  /**
+   * Erzeugt ein Gerät aus einer Quelle "profile:<name>" oder "recording:<name>"
+   */
+  static fromSource(source) {
+    const [kind, name] = source.split(SOURCE_SEPARATOR);
+
+    switch (kind) {
+      case 'profile':
+        return new VirtualHidDevice(DisplaySimulator.fromProfile(name));
+      case 'recording':
+        return new VirtualHidDevice(SessionReplay.fromRecording(name));
+      default:
+        throw new Error(`Unbekannte Demo-Quelle "${source}"`);
+    }
+  }
+
+  /**
+   * Verfügbare Demo-Quellen für die Auswahl im Frontend
+   */
+  static sources() {
+    return [
+      ...DisplaySimulator.profiles().map(name => ({
+        id: `profile${SOURCE_SEPARATOR}${name}`,
+        label: `${DisplaySimulator.fromProfile(name).profile.name} (Simulator)`
+      })),
+      ...SessionReplay.recordings().map(name => ({
+        id: `recording${SOURCE_SEPARATOR}${name}`,
+        label: SessionReplay.fromRecording(name).recording.description
+      }))
+    ];
+  }
+
+  async open() {
+    this.opened = true;
+  }
+
+  async close() {
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers.clear();
+    this.busyUntil = 0;
+    this.opened = false;
+  }
+
+  async forget() {
+    await this.close();
+  }
+
+  /**
+   * Nimmt einen Output Report entgegen und plant die Antworten
+   */
+  async sendReport(reportId, data) {
+    if (!this.opened) {
+      throw new Error('Gerät ist nicht geöffnet');
+    }
+
+    const report = new Uint8Array(data.buffer ? data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength) : data);
+    let at = Math.max(Date.now(), this.busyUntil);
+
+    this.responder.handle(report).forEach(({ delay, reports }) => {
+      at += delay;
+      const timer = setTimeout(() => {
+        this.timers.delete(timer);
+        reports.forEach(response => this.dispatchInputReport(response));
+      }, at - Date.now());
+      this.timers.add(timer);
+    });
+
+    this.busyUntil = at;
+  }
+
+  /**
+   * Stellt einen Input Report wie WebHID zu (reportId 0, DataView)
+   */
+  dispatchInputReport(report) {
+    if (!this.opened) {
+      return;
+    }
+
+    const event = {
+      type: 'inputreport',
+      device: this,
+      reportId: 0,
+      data: new DataView(Uint8Array.from(report).buffer)
+    };
+
+    if (typeof this.oninputreport === 'function') {
+      this.oninputreport(event);
+    }
+    this.listeners
+      .filter(entry => entry.type === event.type)
+      .forEach(entry => entry.listener(event));
+  }
+
+  addEventListener(type, listener) {
+    this.listeners.push({ type, listener });
+  }
+
+  removeEventListener(type, listener) {
+    this.listeners = this.listeners.filter(entry => entry.type !== type || entry.listener !== listener);
+  }
+}
+
+module.exports = { VirtualHidDevice };
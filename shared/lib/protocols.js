@@ -0,0 +1,724 @@
+/**
+ * Protokoll-Definitionen für Bosch eBike Display Kommunikation
+ * Basierend auf der Analyse der bosch.log
+ *
+ * Umgebungsneutral (Node und Browser): alle Frames sind Uint8Arrays
+ */
+
+const dataIdentifierDictionary = require('../dataIdentifiers.json');
+const routineCatalog = require('../routines.json');
+
+/**
+ * HID-Device-Konstanten
+ */
+const DEVICE_CONSTANTS = {
+  VENDOR_ID: 0x108c,  // Bosch
+  PRODUCT_ID: 0x155,  // BUI25X Display
+  REPORT_SIZE: 64     // HID Report Größe
+};
+
+/**
+ * Unterstützte Bosch Displays (Product ID -> Modell)
+ */
+const SUPPORTED_DISPLAYS = [
+  { productId: 0x182, enumName: 'BUI21X', productName: 'Purion' },
+  { productId: 0x155, enumName: 'BUI25X', productName: 'Intuvia' },
+  { productId: 0x157, enumName: 'BUI270', productName: 'Nyon' },
+  { productId: 0x188, enumName: 'BUI275', productName: 'Nyon' },
+  { productId: 0x193, enumName: 'BUI330', productName: 'Kiox' },
+  { productId: 0x192, enumName: 'BUI330_BL', productName: 'Kiox' },
+  { productId: 0x1A3, enumName: 'BUI350', productName: 'Nyon' }
+];
+
+/**
+ * UDS Service IDs (basierend auf der Log-Analyse)
+ */
+const UDS_SERVICES = {
+  // Diagnostic Session Control (0x10)
+  DIAGNOSTIC_SESSION_CONTROL: 0x10,
+  
+  // ECU Reset (0x11)
+  ECU_RESET: 0x11,
+  
+  // Clear Diagnostic Information (0x14)
+  CLEAR_DIAGNOSTIC_INFORMATION: 0x14,
+  
+  // Read DTC Information (0x19)
+  READ_DTC_INFORMATION: 0x19,
+  
+  // Read Data By Identifier (0x22)
+  READ_DATA_BY_IDENTIFIER: 0x22,
+  
+  // Read Memory By Address (0x23)
+  READ_MEMORY_BY_ADDRESS: 0x23,
+  
+  // Security Access (0x27)
+  SECURITY_ACCESS: 0x27,
+  
+  // Write Data By Identifier (0x2E)
+  WRITE_DATA_BY_IDENTIFIER: 0x2E,
+  
+  // Routine Control (0x31)
+  ROUTINE_CONTROL: 0x31,
+  
+  // Request Download (0x34)
+  REQUEST_DOWNLOAD: 0x34,
+  
+  // Transfer Data (0x36)
+  TRANSFER_DATA: 0x36,
+  
+  // Request Transfer Exit (0x37)
+  REQUEST_TRANSFER_EXIT: 0x37,
+  
+  // Tester Present (0x3E)
+  TESTER_PRESENT: 0x3E
+};
+
+/**
+ * Diagnose-Sitzungen (Sub-Function von 0x10)
+ * Bit 7 einer Sub-Function unterdrückt die positive Response
+ */
+const DIAGNOSTIC_SESSIONS = {
+  DEFAULT: 0x01,
+  PROGRAMMING: 0x02,
+  EXTENDED: 0x03
+};
+
+const SUPPRESS_POSITIVE_RESPONSE = 0x80;
+
+/**
+ * Report-Typen von ReadDTCInformation (Sub-Function von 0x19)
+ */
+const DTC_REPORT_TYPES = {
+  BY_STATUS_MASK: 0x02,
+  SNAPSHOT_RECORD_BY_DTC: 0x04,
+  EXTENDED_DATA_RECORD_BY_DTC: 0x06
+};
+
+/**
+ * Statusbits eines DTC (ISO 14229-1)
+ */
+const DTC_STATUS_BITS = {
+  TEST_FAILED: 0x01,
+  TEST_FAILED_THIS_OPERATION_CYCLE: 0x02,
+  PENDING: 0x04,
+  CONFIRMED: 0x08,
+  TEST_NOT_COMPLETED_SINCE_LAST_CLEAR: 0x10,
+  TEST_FAILED_SINCE_LAST_CLEAR: 0x20,
+  TEST_NOT_COMPLETED_THIS_OPERATION_CYCLE: 0x40,
+  WARNING_INDICATOR_REQUESTED: 0x80
+};
+
+// Alle DTC-Gruppen bzw. alle Records eines DTC
+const ALL_DTC_GROUPS = 0xFFFFFF;
+const ALL_DTC_RECORDS = 0xFF;
+
+/**
+ * Anzahl der Request-Bytes nach der SID, die eine positive Response wiederholt
+ * (z.B. DID bei 0x22) - Grundlage für die Zuordnung von Responses zu Requests
+ */
+const RESPONSE_ECHO_LENGTH = {
+  [UDS_SERVICES.DIAGNOSTIC_SESSION_CONTROL]: 1,
+  [UDS_SERVICES.ECU_RESET]: 1,
+  [UDS_SERVICES.CLEAR_DIAGNOSTIC_INFORMATION]: 0,
+  [UDS_SERVICES.READ_DTC_INFORMATION]: 1,
+  [UDS_SERVICES.READ_DATA_BY_IDENTIFIER]: 2,
+  [UDS_SERVICES.READ_MEMORY_BY_ADDRESS]: 0,
+  [UDS_SERVICES.SECURITY_ACCESS]: 1,
+  [UDS_SERVICES.WRITE_DATA_BY_IDENTIFIER]: 2,
+  [UDS_SERVICES.ROUTINE_CONTROL]: 3,
+  [UDS_SERVICES.REQUEST_DOWNLOAD]: 0,
+  [UDS_SERVICES.TRANSFER_DATA]: 1,
+  [UDS_SERVICES.REQUEST_TRANSFER_EXIT]: 0,
+  [UDS_SERVICES.TESTER_PRESENT]: 1
+};
+
+/**
+ * Daten-Identifier für verschiedene Display-Parameter
+ * Abgeleitet aus dem DID-Dictionary (shared/dataIdentifiers.json),
+ * Details wie Datentyp, ECU und Bestätigungsstatus siehe DidRegistry
+ */
+const DATA_IDENTIFIERS = Object.fromEntries(
+  dataIdentifierDictionary.identifiers.map(entry => [
+    entry.key,
+    [parseInt(entry.did.substr(2, 2), 16), parseInt(entry.did.substr(4, 2), 16)]
+  ])
+);
+
+/**
+ * Routine-Identifier für RoutineControl (0x31)
+ * Abgeleitet aus dem Routine-Katalog (shared/routines.json),
+ * Parameter, Ergebnisse und Sicherheitsstufe siehe RoutineRegistry
+ */
+const ROUTINE_IDENTIFIERS = Object.fromEntries(
+  routineCatalog.routines.map(entry => [
+    entry.key,
+    [parseInt(entry.rid.substr(2, 2), 16), parseInt(entry.rid.substr(4, 2), 16)]
+  ])
+);
+
+/**
+ * Sub-Functions von RoutineControl (0x31)
+ */
+const ROUTINE_CONTROL_TYPES = {
+  START: 0x01,
+  STOP: 0x02,
+  REQUEST_RESULTS: 0x03
+};
+
+/**
+ * Reset-Arten von ECUReset (0x11)
+ */
+const ECU_RESET_TYPES = {
+  HARD: 0x01,
+  KEY_OFF_ON: 0x02,
+  SOFT: 0x03
+};
+
+/**
+ * HID Frame Header-Konstanten
+ * Byte 3 adressiert das Steuergerät (siehe ECU_ADDRESSES)
+ */
+const HID_FRAME_HEADERS = {
+  // Request Header (an das Display)
+  REQUEST: [0x01, 0x00, 0x3A, 0x08],
+  
+  // Response Header, gefolgt von der Adresse des antwortenden Steuergeräts
+  RESPONSE: [0x01, 0x00, 0x3D],
+  
+  // Handshake
+  HANDSHAKE_REQUEST: [0x00, 0x00, 0x01, 0x01],
+  HANDSHAKE_RESPONSE: [0x00, 0x01, 0x01, 0x00]
+};
+
+/**
+ * Steuergeräte-Adressen im Header-Byte 3
+ * Das Display leitet Requests an andere Adressen über den eBike-Bus weiter,
+ * die Response trägt die Adresse des Steuergeräts, das geantwortet hat.
+ * Nur HMI (0x08) ist aus bosch-cap.pcap belegt, DU/BMS/CHARGER sind nicht bestätigt.
+ */
+const ECU_ADDRESSES = {
+  HMI: 0x08,
+  DU: 0x10,
+  BMS: 0x20,
+  CHARGER: 0x30
+};
+
+/**
+ * Steuergeräte, deren Adresse belegt ist; Werte der übrigen werden als unbestätigt gekennzeichnet
+ */
+const CONFIRMED_ECUS = ['HMI'];
+
+/**
+ * Segmentierung für Payloads, die nicht in einen Report passen (ISO-TP-ähnlich)
+ *
+ * Byte 4 jedes UDS-Reports ist das PCI-/Längenbyte:
+ *   0x01-0x3B  Single Frame, Wert = Payload-Länge
+ *   0x8L LL    First Frame, 12 Bit Gesamtlänge (L = oberes Nibble)
+ *   0xCN       Consecutive Frame, N = Sequenznummer (0-15, rollierend)
+ */
+const SEGMENTATION = {
+  ADDRESS_INDEX: 3,                                    // Steuergeräte-Adresse im Header
+  PCI_INDEX: 4,                                        // Nach 4 Byte Header
+  SINGLE_FRAME_MAX: DEVICE_CONSTANTS.REPORT_SIZE - 5,  // 59 Bytes Nutzdaten
+  FIRST_FRAME: 0x80,
+  CONSECUTIVE_FRAME: 0xC0,
+  FRAME_TYPE_MASK: 0xC0,
+  MAX_PAYLOAD_LENGTH: 0xFFF
+};
+
+/**
+ * Fehlercodes
+ */
+const ERROR_CODES = {
+  SUCCESS: 0x00,
+  GENERAL_REJECT: 0x10,
+  SERVICE_NOT_SUPPORTED: 0x11,
+  SUB_FUNCTION_NOT_SUPPORTED: 0x12,
+  INCORRECT_MESSAGE_LENGTH: 0x13,
+  RESPONSE_TOO_LONG: 0x14,
+  CONDITIONS_NOT_CORRECT: 0x22,
+  REQUEST_SEQUENCE_ERROR: 0x24,
+  NO_RESPONSE_FROM_SUBNET_COMPONENT: 0x25,
+  FAILURE_PREVENTS_EXECUTION: 0x26,
+  REQUEST_OUT_OF_RANGE: 0x31,
+  SECURITY_ACCESS_DENIED: 0x33,
+  INVALID_KEY: 0x35,
+  EXCEEDED_NUMBER_OF_ATTEMPTS: 0x36,
+  REQUIRED_TIME_DELAY_NOT_EXPIRED: 0x37,
+  UPLOAD_DOWNLOAD_NOT_ACCEPTED: 0x70,
+  TRANSFER_DATA_SUSPENDED: 0x71,
+  GENERAL_PROGRAMMING_FAILURE: 0x72,
+  WRONG_BLOCK_SEQUENCE_COUNTER: 0x73,
+  REQUEST_CORRECTLY_RECEIVED_RESPONSE_PENDING: 0x78,
+  SUB_FUNCTION_NOT_SUPPORTED_IN_ACTIVE_SESSION: 0x7E,
+  SERVICE_NOT_SUPPORTED_IN_ACTIVE_SESSION: 0x7F
+};
+
+/**
+ * Timing-Parameter für UDS-Requests (in ms)
+ */
+const UDS_TIMING = {
+  P2_TIMEOUT: 3000,              // Reguläre Antwortzeit
+  P2_EXTENDED_TIMEOUT: 5000,     // Nach NRC 0x78 (Response Pending)
+  LATE_RESPONSE_WINDOW: 5000,    // So lange nach einem Timeout gilt eine Antwort als verspätet
+  LATE_NRC_GRACE: 150,           // Wartezeit auf die eigene Antwort nach einer möglicherweise verspäteten NRC
+  MAX_RESPONSE_PENDING: 20,      // Max. Anzahl aufeinanderfolgender 0x78-Antworten
+  S3_SERVER_TIMEOUT: 5000,       // Steuergerät fällt ohne Request in die Default-Session zurück
+  TESTER_PRESENT_INTERVAL: 2000, // Keep-Alive in Nicht-Default-Sessions (< S3)
+  SECURITY_ACCESS_DELAY: 10000,  // Sperrzeit nach NRC 0x36/0x37 (SecurityAccess)
+  TRANSFER_RETRY_DELAY: 500,     // Wartezeit vor Wiederholung eines TransferData-Blocks
+  RESET_RECONNECT_DELAY: 500,    // Wartezeit zwischen Verbindungsversuchen nach ECUReset
+  RESET_RECONNECT_TIMEOUT: 15000 // Maximale Neustartzeit des Displays nach ECUReset
+};
+
+/**
+ * Parameter für RequestDownload (0x34)
+ */
+const DOWNLOAD_FORMAT = {
+  DATA_FORMAT: 0x00,             // Keine Kompression, keine Verschlüsselung
+  ADDRESS_AND_LENGTH: 0x44,      // 4 Byte Länge, 4 Byte Adresse
+  MAX_BLOCK_RETRIES: 3           // Wiederholungen pro Block (Timeout, NRC 0x71)
+};
+
+/**
+ * Parameter für ReadMemoryByAddress (0x23)
+ */
+const MEMORY_FORMAT = {
+  ADDRESS_AND_LENGTH: 0x24,      // 2 Byte Länge, 4 Byte Adresse
+  CHUNK_SIZE: 0x200              // Bytes pro Request beim Lesen größerer Bereiche
+};
+
+
+
+
+
+
+
+
+
+/**
+ * Komponententypen (Werte des COMPONENT_TYPE-Eintrags im DID-Dictionary)
+ */
+const COMPONENT_TYPES = Object.fromEntries(
+  Object.entries(
+    dataIdentifierDictionary.identifiers.find(entry => entry.key === 'COMPONENT_TYPE').values
+  ).map(([code, name]) => [parseInt(code, 16), name])
+);
+
+/**
+ * Hilfsfunktionen für Protokoll-Verarbeitung
+ */
+class ProtocolHelper {
+  /**
+   * Erstellt einen Handshake-Frame
+   */
+  static createHandshakeFrame() {
+    const frame = [
+      ...HID_FRAME_HEADERS.HANDSHAKE_REQUEST,
+      ...new Array(DEVICE_CONSTANTS.REPORT_SIZE - 4).fill(0x00)
+    ];
+    
+    return Uint8Array.from(frame);
+  }
+  
+  /**
+   * Parst eine UDS-Response aus einem einzelnen Report
+   * Basierend auf tatsächlicher Kommunikation mit dem Display
+   */
+  static parseUdsResponse(response) {
+    if (response.length < 6) {
+      throw new Error('Ungültige Response-Länge');
+    }
+    
+    // Prüfe Response-Header - Format: 01:00:XX:YY (Spiegel des Request-Headers)
+    // Die tatsächlichen Responses zeigen: 1 0 0 XX YY 62 ZZ WW oder 1 0 61 XX YY 62 ZZ WW
+    if (response[0] !== 0x01 || response[1] !== 0x00) {
+      throw new Error(`Ungültiger Response-Header: ${response[0]} ${response[1]} ${response[2]}`);
+    }
+    
+    // Das vierte Byte ist die Adresse, das fünfte die Länge der UDS-Payload
+    const address = response[3];
+    const dataLength = response[SEGMENTATION.PCI_INDEX];
+    
+    if (dataLength === 0 || dataLength > SEGMENTATION.SINGLE_FRAME_MAX) {
+      throw new Error(`Kein Single Frame (PCI 0x${dataLength.toString(16)}) - Reassemblierung erforderlich`);
+    }
+    
+    const payload = response.slice(SEGMENTATION.PCI_INDEX + 1, SEGMENTATION.PCI_INDEX + 1 + dataLength);
+    
+    return {
+      ...this.parseUdsPayload(payload),
+      address,
+      dataLength
+    };
+  }
+  
+  /**
+   * Parst eine vollständige (ggf. reassemblierte) UDS-Payload
+   * Format: Response-SID, gefolgt von den Daten (bei 0x62 inkl. Echo des Identifiers)
+   */
+  static parseUdsPayload(payload) {
+    if (!payload || payload.length < 1) {
+      throw new Error('Leere UDS-Payload');
+    }
+    
+    const responseCode = payload[0];
+    const isNegativeResponse = responseCode === 0x7F;
+    
+    return {
+      // Service, auf den sich die Antwort bezieht
+      serviceId: isNegativeResponse ? payload[1] : responseCode - 0x40,
+      dataLength: payload.length,
+      responseCode,
+      // Die Daten beginnen direkt nach der Response-SID
+      data: payload.slice(1),
+      // Zusätzliche Metadaten
+      isPositiveResponse: responseCode === 0x62,
+      isNegativeResponse
+    };
+  }
+  
+  /**
+   * Request-Header für ein Steuergerät ('HMI', 'DU', 'BMS', 'CHARGER')
+   */
+  static requestHeader(ecu = 'HMI') {
+    const address = ECU_ADDRESSES[ecu];
+    if (address === undefined) {
+      throw new Error(`Unbekanntes Steuergerät "${ecu}" (verfügbar: ${Object.keys(ECU_ADDRESSES).join(', ')})`);
+    }
+    return [...HID_FRAME_HEADERS.REQUEST.slice(0, SEGMENTATION.ADDRESS_INDEX), address];
+  }
+  
+  /**
+   * Name des Steuergeräts zu einer Header-Adresse (oder null)
+   */
+  static ecuForAddress(address) {
+    const entry = Object.entries(ECU_ADDRESSES).find(([, value]) => value === address);
+    return entry ? entry[0] : null;
+  }
+  
+  /**
+   * Liefert den Produktnamen anhand der Product ID
+   */
+  static getProductName(productId) {
+    const product = SUPPORTED_DISPLAYS.find(display => display.productId === productId);
+    return product ? `${product.productName} (${product.enumName})` : `Unbekannt (PID: 0x${productId.toString(16).toUpperCase()})`;
+  }
+  
+  /**
+   * Liefert den Namen eines Negative Response Codes aus ERROR_CODES
+   */
+  static getNrcName(nrc) {
+    const entry = Object.entries(ERROR_CODES).find(([, code]) => code === nrc);
+    return entry ? entry[0] : `UNKNOWN_NRC_0x${nrc.toString(16).padStart(2, '0').toUpperCase()}`;
+  }
+  
+  /**
+   * Formatiert einen Data Identifier als Hex-String (z.B. 0x0242)
+   */
+  static formatIdentifier(dataIdentifier) {
+    return '0x' + Array.from(dataIdentifier).map(b => b.toString(16).padStart(2, '0')).join('').toUpperCase();
+  }
+  
+  /**
+   * CRC-32 (IEEE 802.3, wie zlib) über ein Byte-Array
+   */
+  static crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (const byte of bytes) {
+      crc ^= byte;
+      for (let bit = 0; bit < 8; bit++) {
+        crc = (crc >>> 1) ^ (0xEDB88320 & -(crc & 1));
+      }
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+  }
+  
+  /**
+   * Extrahiert die Nutzdaten eines Data Identifiers aus einer 0x62-Response
+   * Akzeptiert einen einzelnen Report (Länge aus dem PCI-Byte) oder eine
+   * bereits reassemblierte Payload; prüft das Echo des Identifiers
+   */
+  static extractDidValue(response, dataIdentifier) {
+    const isReport = response.length === DEVICE_CONSTANTS.REPORT_SIZE &&
+      response[0] === HID_FRAME_HEADERS.RESPONSE[0] && response[1] === HID_FRAME_HEADERS.RESPONSE[1];
+    const payload = isReport
+      ? response.slice(SEGMENTATION.PCI_INDEX + 1, SEGMENTATION.PCI_INDEX + 1 + this.parseUdsResponse(response).dataLength)
+      : response;
+    
+    if (payload[0] !== 0x62) {
+      throw new Error(`Keine positive Read-Response (0x${payload[0].toString(16)})`);
+    }
+    if (payload[1] !== dataIdentifier[0] || payload[2] !== dataIdentifier[1]) {
+      throw new Error(`Identifier-Echo ${this.formatIdentifier(payload.slice(1, 3))} passt nicht zu ${this.formatIdentifier(dataIdentifier)}`);
+    }
+    
+    return payload.slice(3);
+  }
+  
+  /**
+   * Konvertiert Hex-Daten zu ASCII-String
+   * Erwartet nur die Nutzdaten (ohne Identifier-Echo), nicht druckbare Zeichen entfallen
+   */
+  static hexToAscii(hexData) {
+    return Array.from(hexData)
+      .filter(b => b >= 0x20 && b <= 0x7E)
+      .map(b => String.fromCharCode(b))
+      .join('')
+      .trim();
+  }
+  
+  /**
+   * Konvertiert Hex-Daten zu Seriennummer (mit 0x Präfix)
+   * Die Seriennummer ist ein binärer Wert variabler Länge und wird vollständig ausgegeben
+   */
+  static hexToSerialNumber(hexData) {
+    return '0x' + Array.from(hexData).map(b => b.toString(16).padStart(2, '0')).join('').toUpperCase();
+  }
+  
+  /**
+   * Konvertiert Hex-Daten zu Version-String
+   * Ein Byte pro Versionsteil, z.B. 00 00 02 02 -> 0.0.2.2
+   */
+  static hexToVersion(hexData) {
+    if (hexData.length === 0) {
+      throw new Error('Keine Versionsdaten');
+    }
+    return Array.from(hexData).join('.');
+  }
+  
+  /**
+   * Konvertiert Hex-Daten zu Artikelnummer (ASCII)
+   */
+  static hexToArticleNumber(hexData) {
+    // Bosch-Artikelnummern sind rein alphanumerisch, Leerzeichen dienen nur der Gruppierung
+    return this.hexToAscii(hexData).replace(/[^0-9A-Za-z]/g, '');
+  }
+  
+  /**
+   * Konvertiert den Komponenten-Code (erstes Byte) zum Komponententyp
+   */
+  static hexToComponentType(hexData) {
+    if (hexData.length === 0) {
+      throw new Error('Kein Komponenten-Code');
+    }
+    const code = hexData[0];
+    return COMPONENT_TYPES[code] || `Unbekannt (0x${code.toString(16).padStart(2, '0')})`;
+  }
+  
+  /**
+   * Konvertiert Hex-Daten zu Zeit (hh:mm)
+   */
+  static hexToTime(hexData) {
+    if (hexData.length >= 2) {
+      // Zeit ist in den ersten 2 Bytes: Stunden, Minuten
+      // Aber die Bytes könnten vertauscht sein oder in einem anderen Format
+      const byte1 = hexData[0];
+      const byte2 = hexData[1];
+      
+      // Versuche beide Interpretationen
+      const hours1 = byte1;
+      const minutes1 = byte2;
+      const hours2 = byte2;
+      const minutes2 = byte1;
+      
+      // Prüfe, welche Interpretation sinnvoll ist (Minuten < 60)
+      if (minutes1 < 60) {
+        return `${hours1.toString().padStart(2, '0')}:${minutes1.toString().padStart(2, '0')}`;
+      } else if (minutes2 < 60) {
+        return `${hours2.toString().padStart(2, '0')}:${minutes2.toString().padStart(2, '0')}`;
+      } else {
+        // Fallback: Zeige beide Bytes
+        return `${byte1.toString().padStart(2, '0')}:${byte2.toString().padStart(2, '0')}`;
+      }
+    }
+    return '00:00';
+  }
+  
+  /**
+   * Konvertiert Hex-Daten zu Datum (dd.mm.yyyy)
+   */
+  static hexToDate(hexData) {
+    if (hexData.length >= 3) {
+      // Datum ist in den ersten 3 Bytes: Jahr, Monat, Tag (Little Endian)
+      const year = 2000 + hexData[0];
+      const month = hexData[1];
+      const day = hexData[2];
+      return `${day.toString().padStart(2, '0')}.${month.toString().padStart(2, '0')}.${year}`;
+    }
+    return '01.01.2000';
+  }
+  
+  
+  
+  
+  
+  
+  
+  /**
+   * Prüft, ob eine (reassemblierte) Response-Payload erfolgreich war
+   * Basierend auf tatsächlicher Kommunikation
+   */
+  static isResponseSuccessful(payload) {
+    try {
+      const parsed = this.parseUdsPayload(payload);
+      // Positive Response für Read Data By Identifier ist 0x62
+      // Prüfe auch, ob die Response-Daten vorhanden sind
+      return parsed.isPositiveResponse && parsed.dataLength > 0 && parsed.data.length > 0;
+    } catch (error) {
+      return false;
+    }
+  }
+  
+  /**
+   * Analysiert HID-Daten aus PCAP-Format
+   * Konvertiert Hex-String zu Byte-Array
+   */
+  static parsePcapHidData(hexString) {
+    // Entferne Doppelpunkte und konvertiere zu Byte-Array
+    const cleanHex = hexString.replace(/:/g, '');
+    const bytes = [];
+    for (let i = 0; i < cleanHex.length; i += 2) {
+      bytes.push(parseInt(cleanHex.substr(i, 2), 16));
+    }
+    return Uint8Array.from(bytes);
+  }
+  
+  /**
+   * Identifiziert Data Identifier aus HID-Request
+   * Basierend auf PCAP-Analyse
+   */
+  static identifyDataIdentifier(hidData) {
+    if (hidData.length < 8) return null;
+    
+    // Format: 01:00:3a:AA:03:22:XX:YY (AA = Steuergeräte-Adresse)
+    if (hidData[0] === 0x01 && hidData[1] === 0x00 && 
+        hidData[2] === 0x3a && ProtocolHelper.ecuForAddress(hidData[3]) &&
+        hidData[4] === 0x03 && hidData[5] === 0x22) {
+      return [hidData[6], hidData[7]];
+    }
+    return null;
+  }
+}
+
+/**
+ * Negative UDS-Response (0x7F) mit dekodiertem NRC
+ */
+class UdsNegativeResponseError extends Error {
+  constructor(serviceId, nrc, dataIdentifier = null) {
+    const nrcName = ProtocolHelper.getNrcName(nrc);
+    const target = dataIdentifier ? ` (DID ${ProtocolHelper.formatIdentifier(dataIdentifier)})` : '';
+    
+    super(`Negative Response auf Service 0x${serviceId.toString(16).padStart(2, '0')}${target}: NRC 0x${nrc.toString(16).padStart(2, '0')} ${nrcName}`);
+    
+    this.name = 'UdsNegativeResponseError';
+    this.serviceId = serviceId;
+    this.nrc = nrc;
+    this.nrcName = nrcName;
+    this.dataIdentifier = dataIdentifier ? Array.from(dataIdentifier) : null;
+  }
+  
+  /**
+   * Erstellt den Fehler aus einer 0x7F-Payload (7F SID NRC)
+   */
+  static fromPayload(payload, dataIdentifier = null) {
+    return new UdsNegativeResponseError(payload[1], payload[2], dataIdentifier);
+  }
+  
+  /**
+   * NRC 0x78: Das Steuergerät hat den Request angenommen, die Antwort folgt
+   */
+  get isResponsePending() {
+    return this.nrc === ERROR_CODES.REQUEST_CORRECTLY_RECEIVED_RESPONSE_PENDING;
+  }
+  
+  /**
+   * NRC 0x7E/0x7F: Service bzw. Sub-Function in der aktiven Session nicht erlaubt
+   */
+  get isSessionRelated() {
+    return this.nrc === ERROR_CODES.SUB_FUNCTION_NOT_SUPPORTED_IN_ACTIVE_SESSION ||
+      this.nrc === ERROR_CODES.SERVICE_NOT_SUPPORTED_IN_ACTIVE_SESSION;
+  }
+  
+  /**
+   * Serialisierbare Form für Socket.IO- und REST-Payloads
+   */
+  toJSON() {
+    return {
+      serviceId: this.serviceId,
+      dataIdentifier: this.dataIdentifier ? ProtocolHelper.formatIdentifier(this.dataIdentifier) : null,
+      nrc: this.nrc,
+      nrcName: this.nrcName,
+      message: this.message
+    };
+  }
+}
+
+/**
+ * Test-Funktionen für PCAP-Daten-Analyse
+ */
+class PcapAnalyzer {
+  /**
+   * Testet die PCAP-Daten gegen die Protokoll-Definitionen
+   */
+  static testPcapData() {
+    const testData = [
+      // Handshake Request
+      "00:00:01:01:00:00:00:00:00:00:00:00:00:00:00:00:00:00:00:00:00:00:00:00:00:00:00:00:00:00:00:00:00:00:00:00:00:00:00:00:00:00:00:00:00:00:00:00:00:00:00:00:00:00:00:00:00:00:00:00:00:00:00:00",
+      // Hardware Version Request
+      "01:00:3a:08:03:22:02:72:00:00:00:00:00:00:00:00:00:00:00:00:00:00:00:00:00:00:00:00:00:00:00:00:00:00:00:00:00:00:00:00:00:00:00:00:00:00:00:00:00:00:00:00:00:00:00:00:00:00:00:00:00:00:00:00",
+      // Serial Number Request
+      "01:00:3a:08:03:22:02:42:00:00:00:00:00:00:00:00:00:00:00:00:00:00:00:00:00:00:00:00:00:00:00:00:00:00:00:00:00:00:00:00:00:00:00:00:00:00:00:00:00:00:00:00:00:00:00:00:00:00:00:00:00:00:00:00"
+    ];
+    
+    console.log("=== PCAP-Daten Test ===");
+    testData.forEach((hexString, index) => {
+      const hidData = ProtocolHelper.parsePcapHidData(hexString);
+      const dataId = ProtocolHelper.identifyDataIdentifier(hidData);
+      const ecu = ProtocolHelper.ecuForAddress(hidData[SEGMENTATION.ADDRESS_INDEX]);
+      
+      console.log(`Frame ${index + 1}:`);
+      console.log(`  Hex: ${hexString.substring(0, 32)}...`);
+      console.log(`  Data ID: ${dataId ? `[0x${dataId[0].toString(16).padStart(2, '0')}, 0x${dataId[1].toString(16).padStart(2, '0')}]` : 'N/A'}`);
+      
+      if (dataId) {
+        // Gleiche DIDs kommen bei mehreren Steuergeräten vor - Zuordnung über die Adresse
+        const found = dataIdentifierDictionary.identifiers.find(entry =>
+          entry.did.toLowerCase() === ProtocolHelper.formatIdentifier(dataId).toLowerCase() && (entry.ecu || 'HMI') === ecu
+        );
+        console.log(`  Identified as: ${found ? `${ecu} ${found.key}` : 'UNKNOWN'}`);
+      }
+      console.log();
+    });
+  }
+}
+
+module.exports = {
+  DEVICE_CONSTANTS,
+  SUPPORTED_DISPLAYS,
+  UDS_SERVICES,
+  DIAGNOSTIC_SESSIONS,
+  SUPPRESS_POSITIVE_RESPONSE,
+  DTC_REPORT_TYPES,
+  DTC_STATUS_BITS,
+  ALL_DTC_GROUPS,
+  ALL_DTC_RECORDS,
+  RESPONSE_ECHO_LENGTH,
+  DATA_IDENTIFIERS,
+  ROUTINE_IDENTIFIERS,
+  ROUTINE_CONTROL_TYPES,
+  ECU_RESET_TYPES,
+  HID_FRAME_HEADERS,
+  ECU_ADDRESSES,
+  CONFIRMED_ECUS,
+  ERROR_CODES,
+  UDS_TIMING,
+  DOWNLOAD_FORMAT,
+  MEMORY_FORMAT,
+  SEGMENTATION,
+  COMPONENT_TYPES,
+  ProtocolHelper,
+  UdsNegativeResponseError,
+  PcapAnalyzer
+};
@@ -0,0 +1,102 @@
+/**
+ * Raw-Frame-Bridge über Socket.IO
+ *
+ * Das Backend führt BoschDisplayTool gegen einen BridgeTransport aus, der
+ * Browser leitet über attachBridge() nur rohe 64-Byte-Reports zwischen
+ * Socket und lokalem Transport (WebHID, WebUSB, Demo) weiter.
+ */
+
+const { Transport, TRANSPORT_EVENTS } = require('./Transport');
+
+const BRIDGE_EVENTS = {
+  REPORT_OUT: 'hid-report-out',   // Backend -> Browser -> Gerät
+  REPORT_IN: 'hid-report-in',     // Gerät -> Browser -> Backend
+  CLOSED: 'hid-bridge-closed',    // Browser: Gerät getrennt oder Bridge beendet
+  ERROR: 'hid-bridge-error'       // Browser: Schreibfehler am Gerät
+};
+
+/**
+ * Backend-Seite: Transport, dessen Gerät in einem Browser-Tab hängt
+ */
+class BridgeTransport extends Transport {
+  /**
+   * @param {Object} options
+   * @param {Function} options.send - (reportArray) => void, z.B. socket.emit(REPORT_OUT, ...)
+   * @param {Object} options.info - Geräteinformationen aus dem Browser
+   */
+  constructor({ send, info = null }) {
+    super({
+      name: 'Bridge',
+      runtime: 'node',
+      inputMode: 'push',
+      requiresUserGesture: false,
+      hotplug: true
+    });
+    this.send = send;
+    this.deviceInfo = info;
+  }
+
+  async openDevice() {}
+
+  async writeReport(report) {
+    this.send(Array.from(report));
+  }
+
+  /**
+   * Gibt Geräteinformationen zurück
+   */
+  get info() {
+    return this.deviceInfo;
+  }
+}
+
+/**
+ * Browser-Seite: verbindet einen geöffneten Transport mit dem Socket
+ * Liefert eine Funktion zum Trennen der Bridge
+ */
+function attachBridge(socket, transport, { pollTimeout = 1000 } = {}) {
+  let active = true;
+
+  const handleReportOut = (data) => {
+    transport.write(Uint8Array.from(data)).catch(error => {
+      socket.emit(BRIDGE_EVENTS.ERROR, { error: error.message });
+    });
+  };
+
+  const handleDisconnect = ({ reason } = {}) => {
+    if (active) {
+      detach();
+      socket.emit(BRIDGE_EVENTS.CLOSED, { reason });
+    }
+  };
+
+  const detach = () => {
+    active = false;
+    socket.off(BRIDGE_EVENTS.REPORT_OUT, handleReportOut);
+    transport.off(TRANSPORT_EVENTS.DISCONNECT, handleDisconnect);
+  };
+
+  // Eingehende Reports über read() abholen - funktioniert für Push- und Poll-Transports
+  const pump = async () => {
+    while (active) {
+      try {
+        const report = await transport.read(pollTimeout);
+        if (active) {
+          socket.emit(BRIDGE_EVENTS.REPORT_IN, Array.from(report));
+        }
+      } catch (error) {
+        if (error.message !== 'TIMEOUT') {
+          handleDisconnect({ reason: error.message });
+        }
+      }
+    }
+  };
+
+  socket.on(BRIDGE_EVENTS.REPORT_OUT, handleReportOut);
+  transport.on(TRANSPORT_EVENTS.DISCONNECT, handleDisconnect);
+  pump();
+
+  return detach;
+}
+
+module.exports = { BridgeTransport, attachBridge, BRIDGE_EVENTS };
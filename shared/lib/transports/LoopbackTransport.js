@@ -0,0 +1,86 @@
+/**
+ * In-Memory Loopback Transport
+ * Für Tests, Simulator und Demo-Modus: gesendete Reports gehen an einen
+ * Responder (Funktion) oder an die Gegenstelle eines verbundenen Paares
+ */
+
+const { Transport } = require('./Transport');
+
+class LoopbackTransport extends Transport {
+  /**
+   * @param {Object} options
+   * @param {Function} options.responder - (report, transport) => Report(s) oder Promise darauf
+   * @param {Object} options.info - Geräteinformationen (vendorId, productId, productName)
+   */
+  constructor({ responder = null, info = null } = {}) {
+    super({
+      name: 'Loopback',
+      runtime: 'any',
+      inputMode: 'push',
+      requiresUserGesture: false,
+      hotplug: true
+    });
+    this.responder = responder;
+    this.deviceInfo = info;
+    this.peer = null;
+    this.sent = [];
+  }
+
+  async openDevice() {}
+
+  async closeDevice() {
+    if (this.peer && this.peer.isConnected) {
+      this.peer.handleDisconnect('peer-closed');
+    }
+  }
+
+  /**
+   * Reicht den Report an Gegenstelle bzw. Responder weiter
+   */
+  async writeReport(report) {
+    this.sent.push(report);
+
+    if (this.peer) {
+      // Asynchron zustellen, wie bei einem echten Gerät
+      Promise.resolve().then(() => this.peer.isConnected && this.peer.receive(report));
+      return;
+    }
+
+    if (this.responder) {
+      const response = await this.responder(report, this);
+      this.inject(response);
+    }
+  }
+
+  /**
+   * Stellt einen oder mehrere Reports als eingehend zu
+   */
+  inject(reports) {
+    if (!reports || !this.isConnected) {
+      return;
+    }
+
+    const list = Array.isArray(reports) && typeof reports[0] !== 'number' ? reports : [reports];
+    list.forEach(report => this.receive(report));
+  }
+
+  /**
+   * Gibt Geräteinformationen zurück
+   */
+  get info() {
+    return this.deviceInfo;
+  }
+
+  /**
+   * Erzeugt zwei verbundene Enden (z.B. Tool <-> Simulator)
+   */
+  static createPair(info = null) {
+    const host = new LoopbackTransport({ info });
+    const device = new LoopbackTransport({ info });
+    host.peer = device;
+    device.peer = host;
+    return [host, device];
+  }
+}
+
+module.exports = LoopbackTransport;
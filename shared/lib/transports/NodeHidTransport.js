@@ -0,0 +1,163 @@
+/**
+ * node-hid Transport für Bosch eBike Display Kommunikation (Node, hidraw/libusb)
+ * node-hid ist optional; im Browser-Build wird das Modul durch ein leeres ersetzt
+ */
+
+const { DEVICE_CONSTANTS, SUPPORTED_DISPLAYS } = require('../protocols');
+const { Transport } = require('./Transport');
+
+/**
+ * Lädt node-hid erst bei Bedarf
+ */
+function loadNodeHid() {
+  let HID = null;
+  try {
+    HID = require('node-hid');
+  } catch (error) {
+    HID = null;
+  }
+
+  if (!HID || typeof HID.HIDAsync !== 'function') {
+    throw new Error('node-hid ist nicht installiert (npm install node-hid)');
+  }
+  return HID;
+}
+
+/**
+ * Prüft, ob ein HID-Geräteeintrag ein unterstütztes Bosch Display ist
+ */
+function isBoschDisplay(device) {
+  return device.vendorId === DEVICE_CONSTANTS.VENDOR_ID &&
+    SUPPORTED_DISPLAYS.some(display => display.productId === device.productId);
+}
+
+class NodeHidTransport extends Transport {
+  constructor({ path = null, vendorId = DEVICE_CONSTANTS.VENDOR_ID, productId = null } = {}) {
+    super({
+      name: 'node-hid',
+      runtime: 'node',
+      inputMode: 'push',
+      requiresUserGesture: false,
+      hotplug: true
+    });
+    this.path = path;
+    this.vendorId = vendorId;
+    this.productId = productId;
+    this.device = null;
+    this.deviceInfo = null;
+    this.handleData = this.handleData.bind(this);
+    this.handleDeviceError = this.handleDeviceError.bind(this);
+  }
+
+  /**
+   * Öffnet das erste passende Bosch Display (oder den angegebenen Pfad)
+   */
+  async openDevice() {
+    const HID = loadNodeHid();
+
+    const candidates = await NodeHidTransport.list();
+    const match = candidates.find(device => this.path
+      ? device.path === this.path
+      : device.vendorId === this.vendorId && (this.productId === null || device.productId === this.productId));
+
+    if (!match) {
+      throw new Error('Kein Bosch Display gefunden. Stellen Sie sicher, dass das Gerät angeschlossen ist.');
+    }
+
+    try {
+      this.device = await HID.HIDAsync.open(match.path);
+      this.deviceInfo = match;
+      this.device.on('data', this.handleData);
+      this.device.on('error', this.handleDeviceError);
+    } catch (error) {
+      throw new Error(`node-hid-Verbindungsfehler: ${error.message}`);
+    }
+  }
+
+  /**
+   * Schließt das HID-Gerät
+   */
+  async closeDevice() {
+    if (!this.device) {
+      return;
+    }
+
+    this.device.removeListener('data', this.handleData);
+    this.device.removeListener('error', this.handleDeviceError);
+
+    try {
+      await this.device.close();
+    } catch (error) {
+      console.warn('Warnung beim Schließen des node-hid-Geräts:', error.message);
+    }
+
+    this.device = null;
+  }
+
+  /**
+   * Sendet einen Report; node-hid erwartet die Report-ID als erstes Byte
+   */
+  async writeReport(report) {
+    try {
+      await this.device.write([0x00, ...report]);
+    } catch (error) {
+      throw new Error(`node-hid-Schreibfehler: ${error.message}`);
+    }
+  }
+
+  /**
+   * Nimmt eingehende Reports entgegen
+   */
+  handleData(data) {
+    this.receive(data);
+  }
+
+  /**
+   * Lesefehler von node-hid bedeuten in der Regel ein getrenntes Gerät
+   */
+  handleDeviceError(error) {
+    this.handleError(new Error(`node-hid-Lesefehler: ${error.message}`));
+    this.handleDisconnect('device-lost');
+  }
+
+  /**
+   * Gibt Geräteinformationen zurück
+   */
+  get info() {
+    if (!this.deviceInfo) {
+      return null;
+    }
+
+    return {
+      vendorId: this.deviceInfo.vendorId,
+      productId: this.deviceInfo.productId,
+      productName: this.deviceInfo.product,
+      manufacturerName: this.deviceInfo.manufacturer,
+      serialNumber: this.deviceInfo.serialNumber,
+      path: this.deviceInfo.path
+    };
+  }
+
+  /**
+   * Prüft, ob node-hid verfügbar ist
+   */
+  static isSupported() {
+    try {
+      loadNodeHid();
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Listet angeschlossene Bosch Displays auf
+   */
+  static async list() {
+    const HID = loadNodeHid();
+    const devices = await HID.devicesAsync();
+    return devices.filter(isBoschDisplay);
+  }
+}
+
+module.exports = NodeHidTransport;
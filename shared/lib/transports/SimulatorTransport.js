@@ -0,0 +1,69 @@
+/**
+ * Simulator Transport
+ * Verbindet BoschDisplayTool mit einem DisplaySimulator statt echter Hardware
+ */
+
+const { Transport } = require('./Transport');
+const { DisplaySimulator } = require('../DisplaySimulator');
+
+class SimulatorTransport extends Transport {
+  /**
+   * @param {DisplaySimulator|string} simulator - Simulator oder Profilname (z.B. 'intuvia')
+   * @param {Object} options - Optionen für DisplaySimulator.fromProfile
+   */
+  constructor(simulator = 'intuvia', options = {}) {
+    super({
+      name: 'Simulator',
+      runtime: 'any',
+      inputMode: 'push',
+      requiresUserGesture: false,
+      hotplug: false
+    });
+    this.simulator = typeof simulator === 'string'
+      ? DisplaySimulator.fromProfile(simulator, options)
+      : simulator;
+    this.timers = new Set();
+    this.busyUntil = 0;
+  }
+
+  async openDevice() {}
+
+  /**
+   * Verwirft noch ausstehende Antworten
+   */
+  async closeDevice() {
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers.clear();
+    this.busyUntil = 0;
+  }
+
+  /**
+   * Übergibt den Report an den Simulator und stellt die Antworten zeitversetzt zu
+   */
+  async writeReport(report) {
+    let at = Math.max(Date.now(), this.busyUntil);
+
+    this.simulator.handle(report).forEach(({ delay, reports }) => {
+      at += delay;
+      const timer = setTimeout(() => {
+        this.timers.delete(timer);
+        if (this.isConnected) {
+          reports.forEach(response => this.receive(response));
+        }
+      }, at - Date.now());
+      this.timers.add(timer);
+    });
+
+    // Antworten bleiben in Sendereihenfolge
+    this.busyUntil = at;
+  }
+
+  /**
+   * Gibt Geräteinformationen zurück
+   */
+  get info() {
+    return this.simulator.info;
+  }
+}
+
+module.exports = SimulatorTransport;
@@ -0,0 +1,256 @@
+/**
+ * Transport-Vertrag für die Kommunikation mit Bosch eBike Displays
+ *
+ * Ein Transport überträgt 64-Byte HID-Reports (ohne Report-ID) zwischen
+ * BoschDisplayTool und Gerät. Implementierungen überschreiben openDevice(),
+ * closeDevice() und writeReport() und reichen eingehende Reports über
+ * receive() weiter; Leseschleifen starten sie erst in afterOpen(). Lesen (read) und Events übernimmt diese Basisklasse.
+ *
+ * Events:
+ *   connect    - Transport geöffnet (info)
+ *   disconnect - Gerät getrennt oder Transport geschlossen ({ reason })
+ *   error      - Fehler außerhalb eines laufenden Aufrufs (Error)
+ *   frame      - eingehender Report (Uint8Array), unabhängig von read()
+ */
+
+const { DEVICE_CONSTANTS } = require('../protocols');
+
+const TRANSPORT_EVENTS = {
+  CONNECT: 'connect',
+  DISCONNECT: 'disconnect',
+  ERROR: 'error',
+  FRAME: 'frame'
+};
+
+/**
+ * Standard-Fähigkeiten; Implementierungen überschreiben einzelne Felder
+ */
+const DEFAULT_CAPABILITIES = {
+  name: 'transport',
+  runtime: 'any',            // 'browser', 'node' oder 'any'
+  reportSize: DEVICE_CONSTANTS.REPORT_SIZE,
+  inputMode: 'push',         // 'push' (Events) oder 'poll' (aktives Lesen)
+  requiresUserGesture: false, // Geräteauswahl nur nach Benutzeraktion (Browser)
+  hotplug: false             // Meldet Trennen des Geräts selbstständig
+};
+
+class Transport {
+  constructor(capabilities = {}) {
+    this.capabilities = Object.freeze({ ...DEFAULT_CAPABILITIES, ...capabilities });
+    this.isConnected = false;
+    this.listeners = {};
+    this.queue = [];
+    this.waiters = [];
+  }
+
+  /**
+   * Registriert einen Event-Listener
+   */
+  on(event, listener) {
+    (this.listeners[event] = this.listeners[event] || []).push(listener);
+    return this;
+  }
+
+  /**
+   * Entfernt einen Event-Listener
+   */
+  off(event, listener) {
+    this.listeners[event] = (this.listeners[event] || []).filter(entry => entry !== listener);
+    return this;
+  }
+
+  /**
+   * Löst ein Event aus; Fehler in Listenern brechen den Transport nicht ab
+   */
+  emit(event, ...args) {
+    (this.listeners[event] || []).slice().forEach(listener => {
+      try {
+        listener(...args);
+      } catch (error) {
+        console.warn(`Fehler im ${event}-Listener:`, error.message);
+      }
+    });
+    return this;
+  }
+
+  /**
+   * Öffnet den Transport
+   */
+  async open() {
+    if (this.isConnected) {
+      return true;
+    }
+
+    await this.openDevice();
+    this.queue = [];
+    this.isConnected = true;
+    this.afterOpen();
+    this.emit(TRANSPORT_EVENTS.CONNECT, this.info);
+    return true;
+  }
+
+  /**
+   * Schließt den Transport und gibt wartende Leser frei
+   */
+  async close() {
+    const wasConnected = this.isConnected;
+
+    try {
+      await this.closeDevice();
+    } finally {
+      this.release(new Error(`${this.capabilities.name}: Transport geschlossen`));
+      if (wasConnected) {
+        this.emit(TRANSPORT_EVENTS.DISCONNECT, { reason: 'closed' });
+      }
+    }
+  }
+
+  /**
+   * Sendet einen Report (wird auf reportSize aufgefüllt bzw. gekürzt)
+   */
+  async write(data) {
+    if (!this.isConnected) {
+      throw new Error(`${this.capabilities.name}: Gerät nicht verbunden`);
+    }
+
+    const report = new Uint8Array(this.capabilities.reportSize);
+    report.set(Array.from(data).slice(0, this.capabilities.reportSize));
+
+    await this.writeReport(report);
+    return report.length;
+  }
+
+  /**
+   * Liefert den nächsten eingehenden Report oder wirft Error('TIMEOUT')
+   * Über options.signal (AbortSignal) lässt sich das Warten vorzeitig abbrechen (Error('ABORTED'))
+   */
+  read(timeout = 5000, { signal = null } = {}) {
+    if (!this.isConnected) {
+      return Promise.reject(new Error(`${this.capabilities.name}: Gerät nicht verbunden`));
+    }
+
+    if (this.queue.length > 0) {
+      return Promise.resolve(this.queue.shift());
+    }
+
+    if (signal && signal.aborted) {
+      return Promise.reject(new Error('ABORTED'));
+    }
+
+    return new Promise((resolve, reject) => {
+      const settle = (callback) => (value) => {
+        clearTimeout(waiter.timeoutId);
+        if (signal) {
+          signal.removeEventListener('abort', abort);
+        }
+        callback(value);
+      };
+
+      const waiter = {
+        resolve: settle(resolve),
+        reject: settle(reject)
+      };
+
+      const abort = () => {
+        this.waiters = this.waiters.filter(entry => entry !== waiter);
+        waiter.reject(new Error('ABORTED'));
+      };
+
+      waiter.timeoutId = setTimeout(() => {
+        this.waiters = this.waiters.filter(entry => entry !== waiter);
+        waiter.reject(new Error('TIMEOUT'));
+      }, timeout);
+
+      if (signal) {
+        signal.addEventListener('abort', abort);
+      }
+
+      this.waiters.push(waiter);
+    });
+  }
+
+  /**
+   * Nimmt einen eingehenden Report der Implementierung entgegen
+   */
+  receive(data) {
+    const report = Uint8Array.from(data);
+    this.emit(TRANSPORT_EVENTS.FRAME, report);
+
+    const waiter = this.waiters.shift();
+    if (waiter) {
+      waiter.resolve(report);
+    } else {
+      this.queue.push(report);
+    }
+  }
+
+  /**
+   * Meldet, dass das Gerät ohne close() verschwunden ist
+   */
+  handleDisconnect(reason = 'device-lost') {
+    if (!this.isConnected) {
+      return;
+    }
+
+    this.release(new Error(`${this.capabilities.name}: Gerät getrennt`));
+    this.emit(TRANSPORT_EVENTS.DISCONNECT, { reason });
+  }
+
+  /**
+   * Meldet einen asynchronen Fehler (z.B. aus einem Lese-Event)
+   */
+  handleError(error) {
+    this.emit(TRANSPORT_EVENTS.ERROR, error);
+  }
+
+  /**
+   * Setzt den Zustand zurück und weist wartende Leser ab
+   */
+  release(error) {
+    this.waiters.forEach(waiter => waiter.reject(error));
+    this.waiters = [];
+    this.queue = [];
+    this.isConnected = false;
+  }
+
+  /**
+   * Prüft, ob der Transport verbunden ist
+   */
+  get connected() {
+    return this.isConnected;
+  }
+
+  /**
+   * Gibt Geräteinformationen zurück
+   */
+  get info() {
+    return null;
+  }
+
+  // Von Implementierungen zu überschreiben
+
+  async openDevice() {
+    throw new Error(`${this.capabilities.name}: openDevice() nicht implementiert`);
+  }
+
+  /**
+   * Wird nach openDevice() aufgerufen, sobald der Transport verbunden und die Warteschlange leer ist
+   */
+  afterOpen() {}
+
+  async closeDevice() {}
+
+  async writeReport(report) {
+    throw new Error(`${this.capabilities.name}: writeReport() nicht implementiert`);
+  }
+
+  /**
+   * Prüft, ob ein Objekt den Transport-Vertrag erfüllt
+   */
+  static isTransport(candidate) {
+    return Boolean(candidate) &&
+      ['open', 'close', 'write', 'read', 'on', 'off'].every(method => typeof candidate[method] === 'function');
+  }
+}
+
+module.exports = { Transport, TRANSPORT_EVENTS, DEFAULT_CAPABILITIES };
@@ -0,0 +1,260 @@
+/**
+ * Zentraler Request-Dispatcher für einen Transport
+ *
+ * Alle Requests laufen über eine Warteschlange (immer nur einer unterwegs).
+ * Responses werden über Steuergeräte-Adresse, Response-SID und Echo (z.B. DID
+ * bei 0x22) dem laufenden Request zugeordnet; verspätete oder fremde Frames
+ * werden verworfen und gemeldet, statt einem anderen Request zugeschlagen zu werden.
+ * Eine NRC enthält keinen DID - solange ein abgelaufener Request desselben Services
+ * noch antworten kann, wird sie kurz zurückgehalten: folgt die eigene Antwort, war
+ * die NRC verspätet, sonst gilt sie dem laufenden Request.
+ */
+
+const {
+  HID_FRAME_HEADERS,
+  ERROR_CODES,
+  UDS_TIMING,
+  SEGMENTATION,
+  RESPONSE_ECHO_LENGTH,
+  UdsNegativeResponseError
+} = require('../protocols');
+const { FrameSegmenter, FrameReassembler } = require('../FrameSegmenter');
+
+const NEGATIVE_RESPONSE = 0x7F;
+const POSITIVE_RESPONSE_OFFSET = 0x40;
+
+const toHex = (bytes) => Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join(' ');
+
+// Positive Response auf den Request: SID + 0x40 und Echo (z.B. DID)
+const answers = (payload, serviceId, echo) =>
+  payload[0] === serviceId + POSITIVE_RESPONSE_OFFSET && echo.every((byte, index) => payload[1 + index] === byte);
+
+class UdsDispatcher {
+  /**
+   * @param {Transport} transport - geöffneter Transport
+   * @param {Object} options
+   * @param {Object} options.logger - Logger mit warn/debug
+   * @param {Function} options.onStray - (frame, reason) => void für verworfene Frames
+   */
+  constructor(transport, { logger = console, onStray = null } = {}) {
+    this.transport = transport;
+    this.logger = logger;
+    this.onStray = onStray;
+    this.reassembler = new FrameReassembler();
+    this.tail = Promise.resolve();
+    this.pending = 0;
+    this.strayCount = 0;
+    this.expired = []; // abgelaufene Requests: { address, serviceId, echo, until }
+  }
+
+  /**
+   * Sendet eine UDS-Payload (SID + Daten) und liefert die positive Response-Payload
+   * Der Header adressiert das Steuergerät; nur dessen Responses werden angenommen.
+   * echoLength überschreibt RESPONSE_ECHO_LENGTH (z.B. 0 bei mehreren DIDs in einem 0x22-Request).
+   * Wirft UdsNegativeResponseError bei NRC und Error('TIMEOUT') ohne Antwort
+   */
+  request(payload, { timeout = UDS_TIMING.P2_TIMEOUT, header = HID_FRAME_HEADERS.REQUEST, echoLength = null } = {}) {
+    const request = Array.from(payload);
+
+    return this.enqueue(async () => {
+      for (const report of FrameSegmenter.segment(request, header)) {
+        await this.transport.write(report);
+      }
+      return this.awaitResponse(request, timeout, header[SEGMENTATION.ADDRESS_INDEX], echoLength);
+    });
+  }
+
+  /**
+   * Sendet einen rohen Report und wartet auf den ersten, für den matches() zutrifft
+   * (z.B. Handshake); andere Reports werden als fremd verworfen
+   */
+  exchange(report, matches, timeout = UDS_TIMING.P2_TIMEOUT) {
+    return this.enqueue(async () => {
+      await this.transport.write(report);
+
+      const deadline = Date.now() + timeout;
+      while (true) {
+        const response = await this.readUntil(deadline);
+        if (matches(response)) {
+          return response;
+        }
+        this.reportStray(response, 'unerwarteter Report');
+      }
+    });
+  }
+
+  /**
+   * Hängt eine Aufgabe an die Warteschlange an
+   */
+  enqueue(task) {
+    this.pending++;
+
+    const run = this.tail.then(task, task);
+    this.tail = run.catch(() => {}).then(() => {
+      this.pending--;
+    });
+    return run;
+  }
+
+  /**
+   * Wartet auf die zum Request passende Response (inkl. NRC 0x78)
+   */
+  async awaitResponse(request, timeout, address, echoLength = null) {
+    const serviceId = request[0];
+    if (echoLength === null) {
+      echoLength = RESPONSE_ECHO_LENGTH[serviceId] || 0;
+    }
+    const echo = request.slice(1, 1 + echoLength);
+    const dataIdentifier = echoLength === 2 ? echo : null;
+
+    let deadline = Date.now() + timeout;
+    let pendingCount = 0;
+    let held = null; // zurückgehaltene NRC: { payload, until }
+    this.reassembler.reset();
+    this.expired = this.expired.filter(entry => entry.until > Date.now());
+
+    // Eigene Antwort nach der zurückgehaltenen NRC: diese gehörte zum abgelaufenen Request
+    const releaseHeld = () => {
+      if (held) {
+        this.takeExpired(address, entry => entry.serviceId === serviceId);
+        this.reportStray(held.payload, 'verspätete NRC eines abgelaufenen Requests');
+        held = null;
+      }
+    };
+
+    while (true) {
+      let report;
+      try {
+        report = await this.readUntil(held ? Math.min(deadline, held.until) : deadline);
+      } catch (error) {
+        // Keine weitere Antwort nach der NRC - sie gilt dem laufenden Request
+        if (error.message === 'TIMEOUT' && held) {
+          this.takeExpired(address, entry => entry.serviceId === serviceId);
+          throw UdsNegativeResponseError.fromPayload(held.payload, dataIdentifier);
+        }
+        if (error.message === 'TIMEOUT') {
+          this.expired.push({ address, serviceId, echo, until: Date.now() + UDS_TIMING.LATE_RESPONSE_WINDOW });
+        }
+        throw error;
+      }
+
+      // Nur UDS-Reports (Header 0x01) gehören zu einer Response
+      if (report[0] !== HID_FRAME_HEADERS.RESPONSE[0]) {
+        this.reportStray(report, 'kein UDS-Report');
+        continue;
+      }
+
+      let payload;
+      try {
+        payload = this.reassembler.push(report);
+      } catch (error) {
+        this.reassembler.reset();
+        this.reportStray(report, error.message);
+        continue;
+      }
+
+      if (this.reassembler.discarded) {
+        this.reportStray(this.reassembler.discarded.fragment, this.reassembler.discarded.reason);
+      }
+
+      if (!payload) {
+        continue;
+      }
+
+      // Gleiche DIDs gibt es bei mehreren Steuergeräten - nur die Antwort des adressierten zählt
+      if (report[SEGMENTATION.ADDRESS_INDEX] !== address) {
+        this.reportStray(payload, `Response von Adresse 0x${report[SEGMENTATION.ADDRESS_INDEX].toString(16)} statt 0x${address.toString(16)}`);
+        continue;
+      }
+
+      // Negative Response: 7F SID NRC
+      if (payload[0] === NEGATIVE_RESPONSE) {
+        if (payload[1] !== serviceId) {
+          this.reportStray(payload, `NRC für fremden Service 0x${payload[1].toString(16)}`);
+          continue;
+        }
+
+        if (payload[2] === ERROR_CODES.REQUEST_CORRECTLY_RECEIVED_RESPONSE_PENDING) {
+          releaseHeld();
+          if (++pendingCount > UDS_TIMING.MAX_RESPONSE_PENDING) {
+            throw new Error(`Zu viele Response-Pending-Antworten (${pendingCount})`);
+          }
+          this.logger.debug(`⏳ Response Pending für Service 0x${serviceId.toString(16)} - warte weiter...`);
+          deadline = Date.now() + UDS_TIMING.P2_EXTENDED_TIMEOUT;
+          continue;
+        }
+
+        if (!held && this.findExpired(address, entry => entry.serviceId === serviceId) !== -1) {
+          held = { payload, until: Date.now() + UDS_TIMING.LATE_NRC_GRACE };
+          continue;
+        }
+
+        releaseHeld();
+        throw UdsNegativeResponseError.fromPayload(payload, dataIdentifier);
+      }
+
+      // Positive Response: SID + 0x40 und Echo des Requests; ein abgelaufener gleicher Request
+      // (z.B. wiederholter TransferData-Block) ist damit erledigt
+      if (answers(payload, serviceId, echo)) {
+        releaseHeld();
+        this.takeExpired(address, entry => answers(payload, entry.serviceId, entry.echo));
+        return payload;
+      }
+
+      this.reportStray(payload, 'Response passt nicht zum Request');
+    }
+  }
+
+  /**
+   * Rechnet eine Antwort dem ältesten noch offenen abgelaufenen Request derselben Adresse zu,
+   * auf den matches(entry) zutrifft, und entfernt ihn; false, wenn keiner passt
+   */
+  takeExpired(address, matches) {
+    const index = this.findExpired(address, matches);
+    if (index === -1) {
+      return false;
+    }
+    this.expired.splice(index, 1);
+    return true;
+  }
+
+  /**
+   * Index des ältesten noch offenen abgelaufenen Requests, auf den matches(entry) zutrifft (-1: keiner)
+   */
+  findExpired(address, matches) {
+    const now = Date.now();
+    return this.expired.findIndex(entry => entry.until > now && entry.address === address && matches(entry));
+  }
+
+  /**
+   * Liest den nächsten Report bis zur Deadline
+   */
+  async readUntil(deadline) {
+    const remaining = deadline - Date.now();
+    if (remaining <= 0) {
+      this.reassembler.reset();
+      throw new Error('TIMEOUT');
+    }
+
+    try {
+      return await this.transport.read(remaining);
+    } catch (error) {
+      this.reassembler.reset();
+      throw error;
+    }
+  }
+
+  /**
+   * Verwirft einen nicht zuordenbaren Frame und meldet ihn
+   */
+  reportStray(frame, reason) {
+    this.strayCount++;
+    this.logger.warn(`⚠️  Verwerfe Frame (${reason}): ${toHex(frame.slice(0, 16))}`);
+
+    if (this.onStray) {
+      this.onStray(frame, reason);
+    }
+  }
+}
+
+module.exports = UdsDispatcher;
@@ -0,0 +1,119 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const UdsDispatcher = require('./UdsDispatcher');
+const LoopbackTransport = require('./LoopbackTransport');
+const { FrameSegmenter } = require('../FrameSegmenter');
+const { HID_FRAME_HEADERS, ECU_ADDRESSES, SEGMENTATION, UdsNegativeResponseError } = require('../protocols');
+
+const RESPONSE_HEADER = [...HID_FRAME_HEADERS.RESPONSE, ECU_ADDRESSES.HMI];
+const PAYLOAD_OFFSET = 5; // Header (4 Bytes) + Längenbyte des Single Frames
+
+const silentLogger = { debug() {}, warn() {} };
+
+/**
+ * Dispatcher an einem Loopback-Transport; replies(request) liefert die Response-Payloads
+ */
+function createDispatcher(replies) {
+  return createDispatcherWithReports(request => replies(request).flatMap(payload => FrameSegmenter.segment(payload, RESPONSE_HEADER)));
+}
+
+/**
+ * Wie createDispatcher, reports(request) liefert aber die Reports selbst (z.B. abgebrochene Nachrichten)
+ */
+async function createDispatcherWithReports(reports) {
+  const transport = new LoopbackTransport({
+    responder: (report) => reports(Array.from(report.slice(PAYLOAD_OFFSET, PAYLOAD_OFFSET + report[4])))
+  });
+  await transport.open();
+
+  const strays = [];
+  const dispatcher = new UdsDispatcher(transport, {
+    logger: silentLogger,
+    onStray: (frame, reason) => strays.push(reason)
+  });
+  return { dispatcher, strays };
+}
+
+describe('UdsDispatcher - verspätete Antworten', () => {
+  it('rechnet eine verspätete NRC dem abgelaufenen Request zu', async () => {
+    let calls = 0;
+    const { dispatcher, strays } = await createDispatcher(() => {
+      // 1. Request bleibt unbeantwortet, seine NRC kommt erst vor der Antwort auf den 2.
+      return ++calls === 1 ? [] : [[0x7F, 0x22, 0x31], [0x62, 0x02, 0x72, 0x01, 0x02]];
+    });
+
+    await assert.rejects(dispatcher.request([0x22, 0xF1, 0x90], { timeout: 50 }), /TIMEOUT/);
+    const response = await dispatcher.request([0x22, 0x02, 0x72]);
+
+    assert.deepEqual(Array.from(response), [0x62, 0x02, 0x72, 0x01, 0x02]);
+    assert.deepEqual(strays, ['verspätete NRC eines abgelaufenen Requests']);
+  });
+
+  it('liefert nach einem Timeout echte NRCs an die folgenden Requests desselben Services', async () => {
+    let calls = 0;
+    const { dispatcher, strays } = await createDispatcher(() => (++calls === 1 ? [] : [[0x7F, 0x22, 0x31]]));
+
+    await assert.rejects(dispatcher.request([0x22, 0xF1, 0x90], { timeout: 50 }), /TIMEOUT/);
+    for (const did of [[0x02, 0x42], [0x02, 0x72], [0x02, 0x20]]) {
+      await assert.rejects(
+        dispatcher.request([0x22, ...did]),
+        (error) => error instanceof UdsNegativeResponseError && error.nrc === 0x31
+      );
+    }
+
+    assert.deepEqual(strays, []);
+    assert.deepEqual(dispatcher.expired, []);
+  });
+
+  it('rechnet eine NRC vor der NRC des laufenden Requests dem abgelaufenen zu', async () => {
+    let calls = 0;
+    const { dispatcher, strays } = await createDispatcher(() => (++calls === 1 ? [] : [[0x7F, 0x22, 0x31], [0x7F, 0x22, 0x13]]));
+
+    await assert.rejects(dispatcher.request([0x22, 0xF1, 0x90], { timeout: 50 }), /TIMEOUT/);
+    await assert.rejects(
+      dispatcher.request([0x22, 0x02, 0x72]),
+      (error) => error instanceof UdsNegativeResponseError && error.nrc === 0x13
+    );
+    assert.deepEqual(strays, ['verspätete NRC eines abgelaufenen Requests']);
+  });
+
+  it('nimmt die Antwort auf einen wiederholten Request an', async () => {
+    let calls = 0;
+    const { dispatcher, strays } = await createDispatcher(() => {
+      // Antwort auf den 1. Request geht verloren, der wiederholte wird beantwortet
+      return ++calls === 1 ? [] : [[0x76, 0x03]];
+    });
+
+    await assert.rejects(dispatcher.request([0x36, 0x03, 0xAA], { timeout: 50 }), /TIMEOUT/);
+    const response = await dispatcher.request([0x36, 0x03, 0xAA]);
+
+    assert.deepEqual(Array.from(response), [0x76, 0x03]);
+    assert.deepEqual(strays, []);
+    assert.deepEqual(dispatcher.expired, []);
+  });
+
+  it('liefert eine NRC ohne abgelaufenen Request an den laufenden', async () => {
+    const { dispatcher } = await createDispatcher(() => [[0x7F, 0x22, 0x31]]);
+
+    await assert.rejects(
+      dispatcher.request([0x22, 0xF1, 0x90]),
+      (error) => error instanceof UdsNegativeResponseError && error.nrc === 0x31
+    );
+  });
+});
+
+describe('UdsDispatcher - abgebrochene Nachrichten', () => {
+  it('meldet das verworfene Fragment und nimmt die folgende Response an', async () => {
+    const [firstFrame] = FrameSegmenter.segment(new Array(2 * SEGMENTATION.SINGLE_FRAME_MAX).fill(0x62), RESPONSE_HEADER);
+    const { dispatcher, strays } = await createDispatcherWithReports(() => [
+      firstFrame,
+      ...FrameSegmenter.segment([0x62, 0x02, 0x72, 0x01, 0x02], RESPONSE_HEADER)
+    ]);
+
+    const response = await dispatcher.request([0x22, 0x02, 0x72]);
+
+    assert.deepEqual(Array.from(response), [0x62, 0x02, 0x72, 0x01, 0x02]);
+    assert.deepEqual(strays, ['Single Frame während segmentierter Nachricht']);
+  });
+});
@@ -0,0 +1,156 @@
+/**
+ * WebHID Transport für Bosch eBike Display Kommunikation
+ * Input Reports kommen als Events und werden über receive() weitergereicht
+ */
+
+const { DEVICE_CONSTANTS, SUPPORTED_DISPLAYS } = require('../protocols');
+const { Transport } = require('./Transport');
+
+class WebHidTransport extends Transport {
+  constructor(device = null) {
+    super({
+      name: 'WebHID',
+      runtime: 'browser',
+      inputMode: 'push',
+      requiresUserGesture: true,
+      hotplug: true
+    });
+    this.device = device;
+    this.handleInputReport = this.handleInputReport.bind(this);
+    this.handleDeviceDisconnect = this.handleDeviceDisconnect.bind(this);
+  }
+
+  /**
+   * Fordert den Benutzer auf, ein Bosch Display auszuwählen
+   */
+  async requestDevice() {
+    if (!WebHidTransport.isSupported()) {
+      throw new Error('WebHID wird von diesem Browser nicht unterstützt. Bitte verwenden Sie Chrome oder Edge.');
+    }
+
+    const filters = SUPPORTED_DISPLAYS.map(display => ({
+      vendorId: DEVICE_CONSTANTS.VENDOR_ID,
+      productId: display.productId
+    }));
+
+    const devices = await navigator.hid.requestDevice({ filters });
+    if (devices.length === 0) {
+      throw new Error('Kein Bosch Display ausgewählt');
+    }
+
+    this.device = devices[0];
+    return this.device;
+  }
+
+  /**
+   * Öffnet das HID-Gerät und registriert die Listener
+   */
+  async openDevice() {
+    if (!this.device) {
+      throw new Error('Kein WebHID-Gerät ausgewählt');
+    }
+
+    try {
+      if (!this.device.opened) {
+        await this.device.open();
+      }
+
+      this.device.addEventListener('inputreport', this.handleInputReport);
+      // Virtuelle Geräte (Demo-Modus) funktionieren auch ohne navigator.hid
+      if (WebHidTransport.isSupported()) {
+        navigator.hid.addEventListener('disconnect', this.handleDeviceDisconnect);
+      }
+
+    } catch (error) {
+      throw new Error(`WebHID-Verbindungsfehler: ${error.message}`);
+    }
+  }
+
+  /**
+   * Schließt das HID-Gerät
+   */
+  async closeDevice() {
+    if (!this.device) {
+      return;
+    }
+
+    this.device.removeEventListener('inputreport', this.handleInputReport);
+    if (WebHidTransport.isSupported()) {
+      navigator.hid.removeEventListener('disconnect', this.handleDeviceDisconnect);
+    }
+
+    try {
+      if (this.device.opened) {
+        await this.device.close();
+      }
+    } catch (error) {
+      console.warn('Warnung beim Schließen des WebHID-Geräts:', error.message);
+    }
+  }
+
+  /**
+   * Sendet einen 64-Byte-Report (Report-ID 0)
+   */
+  async writeReport(report) {
+    try {
+      await this.device.sendReport(0, report);
+    } catch (error) {
+      throw new Error(`WebHID-Schreibfehler: ${error.message}`);
+    }
+  }
+
+  /**
+   * Nimmt Input Reports entgegen (Report-ID 0)
+   */
+  handleInputReport(event) {
+    if (event.reportId !== 0) {
+      return;
+    }
+
+    this.receive(new Uint8Array(event.data.buffer, event.data.byteOffset, event.data.byteLength));
+  }
+
+  /**
+   * Reagiert auf das Abziehen des Geräts
+   */
+  handleDeviceDisconnect(event) {
+    if (event.device !== this.device) {
+      return;
+    }
+
+    navigator.hid.removeEventListener('disconnect', this.handleDeviceDisconnect);
+    this.device.removeEventListener('inputreport', this.handleInputReport);
+    this.handleDisconnect('device-lost');
+  }
+
+  /**
+   * Prüft, ob das Gerät verbunden ist
+   */
+  get connected() {
+    return this.isConnected && Boolean(this.device) && this.device.opened;
+  }
+
+  /**
+   * Gibt Geräteinformationen zurück
+   */
+  get info() {
+    if (!this.device) {
+      return null;
+    }
+
+    return {
+      vendorId: this.device.vendorId,
+      productId: this.device.productId,
+      productName: this.device.productName
+    };
+  }
+
+  /**
+   * Prüft, ob WebHID unterstützt wird
+   */
+  static isSupported() {
+    return typeof navigator !== 'undefined' && 'hid' in navigator;
+  }
+}
+
+module.exports = WebHidTransport;
@@ -1,14 +1,39 @@
 /**
- * WebUSB Wrapper für Bosch eBike Display Kommunikation
- * Ersetzt node-hid durch WebUSB API für Browser-Kompatibilität
+ * WebUSB Transport für Bosch eBike Display Kommunikation
+ * WebUSB liefert keine Input-Events (inputMode 'poll'): Ein dauerhaft
+ * ausstehender transferIn speist die Warteschlange der Basisklasse,
+ * read() wartet nur noch auf diese Warteschlange.
  */
 
-class WebUsbWrapper {
-  constructor() {
-    this.device = null;
-    this.isConnected = false;
+const { DEVICE_CONSTANTS } = require('../protocols');
+const { Transport } = require('./Transport');
+
+// Report-ID + 64 Byte Daten
+const TRANSFER_SIZE = DEVICE_CONSTANTS.REPORT_SIZE + 1;
+
+class WebUsbTransport extends Transport {
+  /**
+   * @param {USBDevice} device - bereits ausgewähltes Gerät (optional)
+   * @param {Object} options
+   * @param {number} options.highWaterMark - ab so vielen ungelesenen Reports wird kein
+   *   weiterer transferIn gestellt (Backpressure, das Gerät puffert selbst)
+   */
+  constructor(device = null, { highWaterMark = 32 } = {}) {
+    super({
+      name: 'WebUSB',
+      runtime: 'browser',
+      inputMode: 'poll',
+      requiresUserGesture: true,
+      hotplug: true
+    });
+    this.device = device;
     this.endpointIn = null;
     this.endpointOut = null;
+    this.highWaterMark = highWaterMark;
+    this.reading = false;
+    this.inPump = null;
+    this.resumeInPump = null;
+    this.handleDeviceDisconnect = this.handleDeviceDisconnect.bind(this);
   }
 
   /**
@@ -19,8 +44,8 @@ class WebUsbWrapper {
       // Bosch eBike Display Filter
       const filters = [
         {
-          vendorId: 0x108c,  // Bosch
-          productId: 0x155   // BUI25X Display
+          vendorId: DEVICE_CONSTANTS.VENDOR_ID,    // Bosch
+          productId: DEVICE_CONSTANTS.PRODUCT_ID   // BUI25X Display
         }
       ];
 
@@ -43,7 +68,7 @@ class WebUsbWrapper {
   /**
    * Öffnet die WebUSB-Verbindung
    */
-  async open() {
+  async openDevice() {
     if (!this.device) {
       throw new Error('Kein WebUSB-Gerät ausgewählt');
     }
@@ -72,18 +97,31 @@ class WebUsbWrapper {
         throw new Error('HID-Endpoints nicht gefunden');
       }
       
-      this.isConnected = true;
-      return true;
+      navigator.usb.addEventListener('disconnect', this.handleDeviceDisconnect);
       
     } catch (error) {
       throw new Error(`WebUSB-Verbindungsfehler: ${error.message}`);
     }
   }
 
+  /**
+   * Startet die Leseschleife erst, wenn die Basisklasse verbunden ist,
+   * sonst gingen früh eintreffende Reports beim Leeren der Warteschlange verloren
+   */
+  afterOpen() {
+    this.startInPump();
+  }
+
   /**
    * Schließt die WebUSB-Verbindung
    */
-  async close() {
+  async closeDevice() {
+    this.stopInPump();
+
+    if (WebUsbTransport.isSupported()) {
+      navigator.usb.removeEventListener('disconnect', this.handleDeviceDisconnect);
+    }
+    
     if (this.device && this.isConnected) {
       try {
         // Interface freigeben
@@ -100,19 +138,14 @@ class WebUsbWrapper {
     this.device = null;
     this.endpointIn = null;
     this.endpointOut = null;
-    this.isConnected = false;
   }
 
   /**
-   * Sendet Daten an das WebUSB-Gerät
+   * Sendet einen Report an das WebUSB-Gerät
    */
-  async write(data) {
-    if (!this.isConnected || !this.device || !this.endpointOut) {
-      throw new Error('WebUSB-Gerät nicht verbunden');
-    }
-
+  async writeReport(data) {
     try {
-      // Konvertiere Buffer zu Array
+      // Konvertiere Uint8Array zu Array
       const dataArray = Array.from(data);
       
       // HID-Report-ID hinzufügen (0x00 für Input Reports)
@@ -146,62 +179,99 @@ class WebUsbWrapper {
   }
 
   /**
-   * Liest Daten vom WebUSB-Gerät
+   * Liefert den nächsten Report aus der Warteschlange
+   * Gibt den IN-Transfer wieder frei, sobald die Warteschlange unter highWaterMark fällt
    */
-  async read(timeout = 5000) {
-    if (!this.isConnected || !this.device || !this.endpointIn) {
-      throw new Error('WebUSB-Gerät nicht verbunden');
+  read(timeout = 5000, options = {}) {
+    const result = super.read(timeout, options);
+
+    if (this.resumeInPump && this.queue.length < this.highWaterMark) {
+      const resume = this.resumeInPump;
+      this.resumeInPump = null;
+      resume();
     }
 
-    try {
-      // Timeout für Transfer setzen
-      const startTime = Date.now();
-      
-      while (Date.now() - startTime < timeout) {
-        try {
-          // Versuche Daten zu lesen
-          const result = await this.device.transferIn(this.endpointIn.endpointNumber, 65);
-          
-          if (result.status === 'ok' && result.data && result.data.byteLength > 0) {
-            // Konvertiere Uint8Array zu Buffer
-            const buffer = Buffer.from(result.data);
-            
-            // Entferne Report-ID (erstes Byte)
-            const data = buffer.slice(1);
-            
-            // Debug-Ausgabe
-            const hexString = data.slice(0, 8).map(b => b.toString(16).padStart(2, '0')).join(' ');
-            console.log(`RX: ${hexString}...`);
-            
-            return data;
-          }
-          
-        } catch (error) {
-          // Ignoriere "no data" Fehler und versuche es erneut
-          if (!error.message.includes('no data') && !error.message.includes('timeout')) {
-            throw error;
-          }
+    return result;
+  }
+
+  /**
+   * Startet die Leseschleife: immer genau ein ausstehender transferIn
+   */
+  startInPump() {
+    this.reading = true;
+    this.inPump = this.runInPump();
+  }
+
+  /**
+   * Beendet die Leseschleife; der ausstehende Transfer endet mit close()
+   */
+  stopInPump() {
+    this.reading = false;
+
+    if (this.resumeInPump) {
+      const resume = this.resumeInPump;
+      this.resumeInPump = null;
+      resume();
+    }
+  }
+
+  async runInPump() {
+    while (this.reading) {
+      // Backpressure: erst weiterlesen, wenn read() die Warteschlange abgebaut hat
+      if (this.queue.length >= this.highWaterMark) {
+        await new Promise(resolve => {
+          this.resumeInPump = resolve;
+        });
+        continue;
+      }
+
+      let result;
+      try {
+        result = await this.device.transferIn(this.endpointIn.endpointNumber, TRANSFER_SIZE);
+      } catch (error) {
+        if (this.reading) {
+          this.reading = false;
+          this.handleError(new Error(`WebUSB-Lesefehler: ${error.message}`));
+          this.handleDisconnect('read-failed');
         }
-        
-        // Kurze Pause vor dem nächsten Versuch
-        await new Promise(resolve => setTimeout(resolve, 10));
+        return;
       }
-      
-      throw new Error('TIMEOUT');
-      
-    } catch (error) {
-      if (error.message.includes('timeout') || error.message.includes('TIMEOUT')) {
-        throw new Error('TIMEOUT');
+
+      if (!this.reading) {
+        return;
+      }
+
+      if (result.status === 'stall') {
+        await this.device.clearHalt('in', this.endpointIn.endpointNumber).catch(() => {});
+        continue;
+      }
+
+      if (result.status === 'ok' && result.data && result.data.byteLength > 1) {
+        // Report-ID (erstes Byte) entfernen
+        const buffer = new Uint8Array(result.data.buffer, result.data.byteOffset, result.data.byteLength);
+        this.receive(buffer.slice(1));
       }
-      throw new Error(`WebUSB-Lesefehler: ${error.message}`);
     }
   }
 
+  /**
+   * Reagiert auf das Abziehen des Geräts
+   */
+  handleDeviceDisconnect(event) {
+    if (event.device !== this.device) {
+      return;
+    }
+
+    navigator.usb.removeEventListener('disconnect', this.handleDeviceDisconnect);
+    this.stopInPump();
+    this.handleDisconnect('device-lost');
+  }
+
   /**
    * Prüft, ob das Gerät verbunden ist
    */
   get connected() {
-    return this.isConnected && this.device && this.device.opened;
+    return this.isConnected && Boolean(this.device) && this.device.opened;
   }
 
   /**
@@ -244,7 +314,7 @@ class WebUsbWrapper {
         productName: device.productName,
         manufacturerName: device.manufacturerName,
         serialNumber: device.serialNumber,
-        isBosch: device.vendorId === 0x108c && device.productId === 0x155
+        isBosch: device.vendorId === DEVICE_CONSTANTS.VENDOR_ID && device.productId === DEVICE_CONSTANTS.PRODUCT_ID
       }));
     } catch (error) {
       throw new Error(`Fehler beim Auflisten der WebUSB-Geräte: ${error.message}`);
@@ -252,4 +322,4 @@ class WebUsbWrapper {
   }
 }
 
-module.exports = WebUsbWrapper;
+module.exports = WebUsbTransport;
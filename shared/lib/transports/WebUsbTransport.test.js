@@ -0,0 +1,60 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const WebUsbTransport = require('./WebUsbTransport');
+
+/**
+ * USBDevice-Attrappe: transferIn liefert die vorbereiteten Reports sofort, danach bleibt er offen
+ */
+function createDevice(reports) {
+  const pending = reports.map(report => Uint8Array.from([0x00, ...report]));
+  const endpoints = [{ direction: 'in', endpointNumber: 1 }, { direction: 'out', endpointNumber: 2 }];
+
+  return {
+    opened: false,
+    configuration: {},
+    configurations: [{ interfaces: [{ alternates: [{ endpoints }] }] }],
+    async open() { this.opened = true; },
+    async close() { this.opened = false; },
+    async claimInterface() {},
+    async releaseInterface() {},
+    transferIn() {
+      const data = pending.shift();
+      return data ? Promise.resolve({ status: 'ok', data: new DataView(data.buffer) }) : new Promise(() => {});
+    }
+  };
+}
+
+describe('WebUsbTransport - Öffnen', () => {
+  let previousNavigator;
+
+  before(() => {
+    previousNavigator = Object.getOwnPropertyDescriptor(globalThis, 'navigator');
+    Object.defineProperty(globalThis, 'navigator', {
+      value: { usb: { addEventListener() {}, removeEventListener() {} } },
+      configurable: true
+    });
+  });
+
+  after(() => {
+    delete globalThis.navigator;
+    if (previousNavigator) {
+      Object.defineProperty(globalThis, 'navigator', previousNavigator);
+    }
+  });
+
+  it('startet die Leseschleife erst nach dem Verbinden und behält frühe Reports', async () => {
+    const transport = new WebUsbTransport(createDevice([[0x01, 0x00, 0x3D, 0x08, 0x02, 0x50, 0x01]]));
+    let connectedWhenRead = null;
+    transport.on('frame', () => {
+      connectedWhenRead = transport.isConnected;
+    });
+
+    await transport.open();
+    const report = await transport.read(100);
+
+    assert.equal(connectedWhenRead, true);
+    assert.deepEqual(Array.from(report.slice(0, 7)), [0x01, 0x00, 0x3D, 0x08, 0x02, 0x50, 0x01]);
+    await transport.close();
+  });
+});
@@ -0,0 +1,27 @@
+/**
+ * Transport-Implementierungen für BoschDisplayTool
+ */
+
+const { Transport, TRANSPORT_EVENTS, DEFAULT_CAPABILITIES } = require('./Transport');
+const WebHidTransport = require('./WebHidTransport');
+const WebUsbTransport = require('./WebUsbTransport');
+const NodeHidTransport = require('./NodeHidTransport');
+const LoopbackTransport = require('./LoopbackTransport');
+const SimulatorTransport = require('./SimulatorTransport');
+const { BridgeTransport, attachBridge, BRIDGE_EVENTS } = require('./BridgeTransport');
+const UdsDispatcher = require('./UdsDispatcher');
+
+module.exports = {
+  Transport,
+  TRANSPORT_EVENTS,
+  DEFAULT_CAPABILITIES,
+  WebHidTransport,
+  WebUsbTransport,
+  NodeHidTransport,
+  LoopbackTransport,
+  SimulatorTransport,
+  BridgeTransport,
+  attachBridge,
+  BRIDGE_EVENTS,
+  UdsDispatcher
+};
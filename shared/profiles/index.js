@@ -0,0 +1,11 @@
+/**
+ * Geräteprofile für den Display-Simulator
+ * Werte als Hex-Bytes (wie in den Response-Vektoren), "clock" = aktuelle Uhrzeit
+ */
+
+module.exports = {
+  intuvia: require('./intuvia.json'),
+  purion: require('./purion.json'),
+  nyon: require('./nyon.json'),
+  kiox: require('./kiox.json')
+};
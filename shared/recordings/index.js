@@ -0,0 +1,8 @@
+/**
+ * Aufgezeichnete Sitzungen für die Wiedergabe (Demo-Modus)
+ * Jeder Austausch: gesendeter Report (Präfix) und die darauf empfangenen Reports
+ */
+
+module.exports = {
+  'intuvia-bosch-cap': require('./intuvia-bosch-cap.json')
+};